@@ -411,6 +411,47 @@ const Config = {
          * REQUIREMENT: |p - q| should be > 2^(bits/2 - 10)
          */
         MIN_PQ_DIFFERENCE_BITS: 10,
+
+        /**
+         * Hash functions selectable for RSA-OAEP (and its MGF1 mask generator)
+         *
+         * Keys match Web Crypto algorithm names; hLen is the digest length
+         * in bytes, which fixes the OAEP overhead: 2·hLen + 2 bytes per block.
+         *
+         * SHA-1 is still the RFC 8017 default and is safe inside OAEP
+         * (collision resistance is not required there), but new systems
+         * use SHA-256.
+         */
+        OAEP_HASHES: {
+            'SHA-1':   { hLen: 20 },
+            'SHA-256': { hLen: 32 },
+            'SHA-512': { hLen: 64 },
+        },
+
+        /**
+         * Default hash for OAEP encoding
+         */
+        DEFAULT_OAEP_HASH: 'SHA-256',
+
+        /**
+         * Hash functions selectable for RSA signatures (PSS and PKCS#1 v1.5)
+         *
+         * digestInfo is the DER prefix of the ASN.1 DigestInfo structure
+         * (AlgorithmIdentifier + OCTET STRING header) that RSASSA-PKCS1-v1_5
+         * places before the digest, from RFC 8017 §9.2 Note 1.
+         *
+         * PSS uses the same hash for MGF1 and needs only hLen.
+         */
+        SIGNATURE_HASHES: {
+            'SHA-1':   { hLen: 20, digestInfo: '3021300906052b0e03021a05000414' },
+            'SHA-256': { hLen: 32, digestInfo: '3031300d060960864801650304020105000420' },
+            'SHA-512': { hLen: 64, digestInfo: '3051300d060960864801650304020305000440' },
+        },
+
+        /**
+         * Default hash for RSA signatures
+         */
+        DEFAULT_SIGNATURE_HASH: 'SHA-256',
     },
 
     /**
@@ -532,9 +573,10 @@ const Config = {
 
         /**
          * Enable Web Workers for background computation
-         * (Not yet implemented, but reserved for Phase 2)
+         * Used by RSA key generation (see rsa-keygen-workers.js);
+         * when off, primes are searched on the main thread
          */
-        ENABLE_WEB_WORKERS: false,
+        ENABLE_WEB_WORKERS: true,
 
         /**
          * Enable detailed performance metrics
@@ -0,0 +1,514 @@
+/**
+ * ============================================================================
+ * ASN.1 DER ENCODING AND PEM ARMOR
+ *
+ * Minimal Distinguished Encoding Rules (X.690) support for the structures
+ * that carry RSA keys: SEQUENCE, INTEGER, NULL, OBJECT IDENTIFIER,
+ * BIT STRING and OCTET STRING.
+ *
+ * DER IN ONE PARAGRAPH:
+ * Every value is a TLV triple: Tag (one byte here), Length, Value.
+ *   - Lengths < 128 take one byte; longer ones use 0x80 | (number of
+ *     length bytes) followed by the length in big-endian.
+ *   - INTEGERs are big-endian two's complement with the fewest bytes
+ *     possible, so a positive number whose top bit is set gets a leading
+ *     0x00 (otherwise it would read as negative).
+ *   - Constructed types (SEQUENCE) simply concatenate their children.
+ * DER allows exactly one encoding per value, which is what makes hashes
+ * of keys (fingerprints) and signatures over certificates well defined.
+ *
+ * PEM (RFC 7468) is base64 DER between "-----BEGIN <label>-----" and
+ * "-----END <label>-----" lines, wrapped at 64 characters.
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ *
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Universal tag numbers used in key structures
+ */
+const ASN1_TAGS = {
+    INTEGER: 0x02,
+    BIT_STRING: 0x03,
+    OCTET_STRING: 0x04,
+    NULL: 0x05,
+    OBJECT_IDENTIFIER: 0x06,
+    SEQUENCE: 0x30
+};
+
+/**
+ * Human-readable tag names (for the structure dump)
+ */
+const ASN1_TAG_NAMES = {
+    0x02: 'INTEGER',
+    0x03: 'BIT STRING',
+    0x04: 'OCTET STRING',
+    0x05: 'NULL',
+    0x06: 'OBJECT IDENTIFIER',
+    0x0c: 'UTF8String',
+    0x13: 'PrintableString',
+    0x17: 'UTCTime',
+    0x30: 'SEQUENCE',
+    0x31: 'SET'
+};
+
+/**
+ * Object identifiers this tool recognizes
+ */
+const ASN1_OIDS = {
+    '1.2.840.113549.1.1.1': 'rsaEncryption',
+    '1.2.840.113549.1.1.10': 'RSASSA-PSS',
+    '1.2.840.10045.2.1': 'ecPublicKey',
+    '1.2.840.10045.1.1': 'prime-field',
+    '1.2.840.10045.3.1.7': 'prime256v1 (P-256)',
+    '1.3.132.0.10': 'secp256k1'
+};
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Encode a DER length field
+ *
+ * @param {Number} length - Content length in bytes
+ * @returns {Uint8Array} - Short or long form length
+ */
+function encodeDERLength(length) {
+    if (length < 0x80) {
+        return new Uint8Array([length]);
+    }
+
+    const lengthBytes = [];
+    for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+        lengthBytes.unshift(remaining % 256);
+    }
+
+    return new Uint8Array([0x80 | lengthBytes.length, ...lengthBytes]);
+}
+
+/**
+ * Encode a TLV triple
+ *
+ * @param {Number} tag - Tag byte
+ * @param {Uint8Array} content - Value bytes
+ * @returns {Uint8Array} - DER encoding
+ */
+function encodeTLV(tag, content) {
+    return MathUtils.concatBytes(new Uint8Array([tag]), encodeDERLength(content.length), content);
+}
+
+/**
+ * Encode a non-negative INTEGER
+ *
+ * @param {BigInt} value - Non-negative integer
+ * @returns {Uint8Array} - DER INTEGER
+ */
+function encodeDERInteger(value) {
+    if (value < 0n) {
+        throw new Error('ASN.1: negative INTEGERs are not supported');
+    }
+
+    const byteLength = Math.max(1, Math.ceil(MathUtils.bitLength(value) / 8));
+    let content = MathUtils.i2osp(value, byteLength);
+
+    // Leading 0x00 keeps the sign bit clear
+    if (content[0] & 0x80) {
+        content = MathUtils.concatBytes(new Uint8Array([0x00]), content);
+    }
+
+    return encodeTLV(ASN1_TAGS.INTEGER, content);
+}
+
+/**
+ * Encode an OBJECT IDENTIFIER from dotted notation
+ *
+ * The first two arcs share one byte (40·a + b); every arc is written in
+ * base 128, high bit set on all bytes but the last.
+ *
+ * @param {String} oid - e.g. '1.2.840.113549.1.1.1'
+ * @returns {Uint8Array} - DER OBJECT IDENTIFIER
+ */
+function encodeDEROID(oid) {
+    const arcs = oid.split('.').map(arc => BigInt(arc));
+    const values = [arcs[0] * 40n + arcs[1], ...arcs.slice(2)];
+    const content = [];
+
+    for (const value of values) {
+        const groups = [Number(value & 0x7fn)];
+        for (let rest = value >> 7n; rest > 0n; rest >>= 7n) {
+            groups.unshift(Number(rest & 0x7fn) | 0x80);
+        }
+        content.push(...groups);
+    }
+
+    return encodeTLV(ASN1_TAGS.OBJECT_IDENTIFIER, new Uint8Array(content));
+}
+
+/**
+ * Encode a NULL
+ *
+ * @returns {Uint8Array} - 05 00
+ */
+function encodeDERNull() {
+    return encodeTLV(ASN1_TAGS.NULL, new Uint8Array(0));
+}
+
+/**
+ * Encode a BIT STRING holding whole bytes (0 unused bits)
+ *
+ * @param {Uint8Array} bytes - Contents
+ * @returns {Uint8Array} - DER BIT STRING
+ */
+function encodeDERBitString(bytes) {
+    return encodeTLV(ASN1_TAGS.BIT_STRING, MathUtils.concatBytes(new Uint8Array([0x00]), bytes));
+}
+
+/**
+ * Encode an OCTET STRING
+ *
+ * @param {Uint8Array} bytes - Contents
+ * @returns {Uint8Array} - DER OCTET STRING
+ */
+function encodeDEROctetString(bytes) {
+    return encodeTLV(ASN1_TAGS.OCTET_STRING, bytes);
+}
+
+/**
+ * Encode a SEQUENCE of already-encoded elements
+ *
+ * @param {...Uint8Array} elements - DER-encoded children
+ * @returns {Uint8Array} - DER SEQUENCE
+ */
+function encodeDERSequence(...elements) {
+    return encodeTLV(ASN1_TAGS.SEQUENCE, MathUtils.concatBytes(...elements));
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Decode one DER element (and its children, for constructed types)
+ *
+ * Strict about the things that matter for keys: definite lengths only,
+ * lengths must fit in the buffer, and the top-level element must use
+ * the whole input.
+ *
+ * @param {Uint8Array} bytes - DER bytes
+ * @returns {Object} - Node { tag, tagName, constructed, offset, headerLength, length, content, children }
+ * @throws {Error} On malformed input
+ */
+function decodeDER(bytes) {
+    const node = decodeDERElement(bytes, 0);
+
+    if (node.offset + node.headerLength + node.length !== bytes.length) {
+        throw new Error('ASN.1: trailing data after the top-level element');
+    }
+
+    return node;
+}
+
+/**
+ * Decode the element starting at a given offset
+ *
+ * @param {Uint8Array} bytes - Whole buffer
+ * @param {Number} offset - Start of the element
+ * @returns {Object} - Decoded node
+ */
+function decodeDERElement(bytes, offset) {
+    if (offset + 2 > bytes.length) {
+        throw new Error('ASN.1: unexpected end of data');
+    }
+
+    const tag = bytes[offset];
+    if ((tag & 0x1f) === 0x1f) {
+        throw new Error('ASN.1: multi-byte tags are not supported');
+    }
+
+    let length = bytes[offset + 1];
+    let headerLength = 2;
+
+    if (length === 0x80) {
+        throw new Error('ASN.1: indefinite length is not allowed in DER');
+    }
+
+    if (length & 0x80) {
+        const lengthBytes = length & 0x7f;
+        if (lengthBytes > 4 || offset + 2 + lengthBytes > bytes.length) {
+            throw new Error('ASN.1: invalid length field');
+        }
+
+        length = 0;
+        for (let i = 0; i < lengthBytes; i++) {
+            length = length * 256 + bytes[offset + 2 + i];
+        }
+        headerLength += lengthBytes;
+    }
+
+    const start = offset + headerLength;
+    if (start + length > bytes.length) {
+        throw new Error('ASN.1: element extends beyond the end of data');
+    }
+
+    const constructed = (tag & 0x20) !== 0;
+    const node = {
+        tag,
+        tagName: ASN1_TAG_NAMES[tag] || describeContextTag(tag),
+        constructed,
+        offset,
+        headerLength,
+        length,
+        content: bytes.slice(start, start + length),
+        children: null
+    };
+
+    if (constructed) {
+        node.children = [];
+        let childOffset = start;
+        while (childOffset < start + length) {
+            const child = decodeDERElement(bytes, childOffset);
+            if (child.offset + child.headerLength + child.length > start + length) {
+                throw new Error('ASN.1: child element overruns its parent');
+            }
+            node.children.push(child);
+            childOffset = child.offset + child.headerLength + child.length;
+        }
+    }
+
+    return node;
+}
+
+/**
+ * Name a non-universal tag, e.g. context-specific [0]
+ *
+ * @param {Number} tag - Tag byte
+ * @returns {String} - Readable name
+ */
+function describeContextTag(tag) {
+    const tagClass = tag >> 6;
+    const number = tag & 0x1f;
+
+    if (tagClass === 2) return `[${number}]`;
+    return `tag 0x${tag.toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Read an INTEGER node as a non-negative BigInt
+ *
+ * @param {Object} node - Decoded node
+ * @returns {BigInt} - Value
+ */
+function readDERInteger(node) {
+    expectDERTag(node, ASN1_TAGS.INTEGER);
+
+    if (node.content.length === 0 || node.content[0] & 0x80) {
+        throw new Error('ASN.1: expected a non-negative INTEGER');
+    }
+
+    return MathUtils.os2ip(node.content);
+}
+
+/**
+ * Read an OBJECT IDENTIFIER node as dotted notation
+ *
+ * @param {Object} node - Decoded node
+ * @returns {String} - e.g. '1.2.840.113549.1.1.1'
+ */
+function readDEROID(node) {
+    expectDERTag(node, ASN1_TAGS.OBJECT_IDENTIFIER);
+
+    const values = [];
+    let value = 0n;
+    for (const byte of node.content) {
+        value = (value << 7n) | BigInt(byte & 0x7f);
+        if (!(byte & 0x80)) {
+            values.push(value);
+            value = 0n;
+        }
+    }
+
+    const first = values[0] < 80n ? values[0] / 40n : 2n;
+    const second = values[0] - first * 40n;
+
+    return [first, second, ...values.slice(1)].join('.');
+}
+
+/**
+ * Read the contents of a BIT STRING that holds whole bytes
+ *
+ * @param {Object} node - Decoded node
+ * @returns {Uint8Array} - Contents without the unused-bits byte
+ */
+function readDERBitString(node) {
+    expectDERTag(node, ASN1_TAGS.BIT_STRING);
+
+    if (node.content[0] !== 0x00) {
+        throw new Error('ASN.1: BIT STRING with unused bits is not a key container');
+    }
+
+    return node.content.slice(1);
+}
+
+/**
+ * Throw unless a node has the expected tag
+ *
+ * @param {Object} node - Decoded node
+ * @param {Number} tag - Expected tag
+ */
+function expectDERTag(node, tag) {
+    if (!node || node.tag !== tag) {
+        const found = node ? node.tagName : 'nothing';
+        throw new Error(`ASN.1: expected ${ASN1_TAG_NAMES[tag]}, found ${found}`);
+    }
+}
+
+/**
+ * Flatten a decoded tree into readable lines (like `openssl asn1parse`)
+ *
+ * BIT STRING and OCTET STRING contents that are themselves valid DER
+ * (the usual way keys are nested) are expanded too.
+ *
+ * @param {Object} node - Decoded node
+ * @param {Number} depth - Indentation level
+ * @returns {Array<Object>} - Lines { depth, offset, label, value }
+ */
+function describeDER(node, depth = 0) {
+    let value = '';
+    let encapsulated = null;
+
+    switch (node.tag) {
+        case ASN1_TAGS.INTEGER: {
+            const integer = readDERInteger(node);
+            value = MathUtils.bitLength(integer) > 64
+                ? `(${MathUtils.bitLength(integer)} bit) 0x${MathUtils.bytesToHex(node.content)}`
+                : integer.toString();
+            break;
+        }
+        case ASN1_TAGS.OBJECT_IDENTIFIER: {
+            const oid = readDEROID(node);
+            value = ASN1_OIDS[oid] ? `${oid} (${ASN1_OIDS[oid]})` : oid;
+            break;
+        }
+        case ASN1_TAGS.BIT_STRING:
+        case ASN1_TAGS.OCTET_STRING: {
+            const inner = node.tag === ASN1_TAGS.BIT_STRING ? node.content.slice(1) : node.content;
+            try {
+                encapsulated = decodeDER(inner);
+                value = `(${inner.length} bytes, encapsulates)`;
+            } catch (e) {
+                value = `(${inner.length} bytes) ${MathUtils.bytesToHex(inner)}`;
+            }
+            break;
+        }
+        default:
+            if (node.constructed) {
+                value = `(${node.children.length} elem)`;
+            } else if (node.tag !== ASN1_TAGS.NULL) {
+                value = MathUtils.bytesToHex(node.content);
+            }
+    }
+
+    const lines = [{ depth, offset: node.offset, label: node.tagName, value }];
+
+    for (const child of node.children || []) {
+        lines.push(...describeDER(child, depth + 1));
+    }
+    if (encapsulated) {
+        lines.push(...describeDER(encapsulated, depth + 1));
+    }
+
+    return lines;
+}
+
+// ============================================================================
+// PEM ARMOR (RFC 7468)
+// ============================================================================
+
+/**
+ * Wrap DER bytes in PEM armor
+ *
+ * @param {Uint8Array} der - DER bytes
+ * @param {String} label - e.g. 'PUBLIC KEY', 'RSA PRIVATE KEY'
+ * @returns {String} - PEM text
+ */
+function toPEM(der, label) {
+    let binary = '';
+    for (const byte of der) {
+        binary += String.fromCharCode(byte);
+    }
+
+    const base64 = btoa(binary);
+    const lines = base64.match(/.{1,64}/g) || [];
+
+    return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+/**
+ * Extract the first PEM block from text
+ *
+ * @param {String} text - Text containing a PEM block
+ * @returns {Object} - { label, der }
+ * @throws {Error} If no well-formed block is found
+ */
+function fromPEM(text) {
+    const match = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/.exec(text);
+    if (!match) {
+        throw new Error('PEM: no "-----BEGIN ...-----" / "-----END ...-----" block found');
+    }
+
+    const [, label, body] = match;
+    if (/^[A-Za-z-]+:/m.test(body)) {
+        throw new Error('PEM: encrypted (Proc-Type) PEM is not supported; export the key unencrypted');
+    }
+
+    let binary;
+    try {
+        binary = atob(body.replace(/\s+/g, ''));
+    } catch (e) {
+        throw new Error('PEM: body is not valid base64');
+    }
+
+    const der = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        der[i] = binary.charCodeAt(i);
+    }
+
+    return { label, der };
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const ASN1 = {
+    TAGS: ASN1_TAGS,
+    OIDS: ASN1_OIDS,
+    encodeLength: encodeDERLength,
+    encodeTLV,
+    encodeInteger: encodeDERInteger,
+    encodeOID: encodeDEROID,
+    encodeNull: encodeDERNull,
+    encodeBitString: encodeDERBitString,
+    encodeOctetString: encodeDEROctetString,
+    encodeSequence: encodeDERSequence,
+    decode: decodeDER,
+    readInteger: readDERInteger,
+    readOID: readDEROID,
+    readBitString: readDERBitString,
+    expectTag: expectDERTag,
+    describe: describeDER,
+    toPEM,
+    fromPEM
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ASN1 = ASN1;
+}
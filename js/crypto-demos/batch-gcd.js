@@ -0,0 +1,383 @@
+/**
+ * ============================================================================
+ * BATCH GCD - SHARED PRIME DETECTION ACROSS MANY RSA KEYS
+ *
+ * Two RSA moduli that share a prime are both broken by one gcd:
+ * gcd(n₁, n₂) = p. Checking all pairs of k keys takes k²/2 gcds, too
+ * slow for the millions of keys scanned in "Mining Your Ps and Qs"
+ * (Heninger et al., 2012), which found 0.5% of TLS hosts factorable this
+ * way, mostly embedded devices generating keys right after boot with
+ * almost no entropy.
+ *
+ * BERNSTEIN'S BATCH GCD computes gcd(nᵢ, ∏ⱼ≠ᵢ nⱼ) for all i at once:
+ *
+ * 1. Product tree: multiply pairs of moduli, then pairs of products, up
+ *    to the root P = n₁·n₂·…·nₖ.
+ * 2. Remainder tree: reduce P down the same tree, modulo the square of
+ *    each node, until every leaf holds zᵢ = P mod nᵢ².
+ * 3. gᵢ = gcd(zᵢ / nᵢ, nᵢ): zᵢ / nᵢ ≡ ∏ⱼ≠ᵢ nⱼ (mod nᵢ).
+ *
+ * Each tree level costs about one multiplication of P-sized numbers, so
+ * the whole run is quasi-linear in k instead of quadratic.
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ * - RSACore (rsa-core.js) - weak batch generator
+ * - ASN1, RSAKeyFormats (asn1.js, rsa-key-formats.js) - PEM input
+ *
+ * ============================================================================
+ */
+
+// Default weak batch: share of keys built on a low-entropy boot and the
+// entropy (bits) those devices had when choosing p
+const WEAK_BATCH_DEFAULT_FRACTION = 0.1;
+const WEAK_BATCH_DEFAULT_ENTROPY_BITS = 4;
+
+// Smallest weak batch modulus: 8-bit primes leave 23 choices for q,
+// below that q ≠ p may never be found (2-bit primes: only 3)
+const WEAK_BATCH_MIN_BITS = 16;
+
+// ============================================================================
+// PRODUCT AND REMAINDER TREES
+// ============================================================================
+
+/**
+ * Build a product tree
+ *
+ * levels[0] holds the inputs, each next level the products of adjacent
+ * pairs (an odd element out is carried up unchanged), and the last level
+ * holds the single product of everything.
+ *
+ * @param {Array<BigInt>} values - Leaves (at least one)
+ * @returns {Array<Array<BigInt>>} - Levels from leaves to root
+ */
+function productTree(values) {
+    const levels = [values];
+
+    while (levels[levels.length - 1].length > 1) {
+        const below = levels[levels.length - 1];
+        const level = [];
+        for (let i = 0; i < below.length; i += 2) {
+            level.push(i + 1 < below.length ? below[i] * below[i + 1] : below[i]);
+        }
+        levels.push(level);
+    }
+
+    return levels;
+}
+
+/**
+ * Reduce the root of a product tree modulo the square of every node
+ *
+ * @param {Array<Array<BigInt>>} levels - From productTree
+ * @returns {Array<BigInt>} - zᵢ = root mod leafᵢ² for every leaf
+ */
+function remainderTree(levels) {
+    let remainders = levels[levels.length - 1];
+
+    for (let depth = levels.length - 2; depth >= 0; depth--) {
+        remainders = levels[depth].map((node, i) => remainders[i >> 1] % (node * node));
+    }
+
+    return remainders;
+}
+
+/**
+ * Bernstein's batch GCD
+ *
+ * @param {Array<BigInt>} moduli - n₁, …, nₖ
+ * @param {Function} progressCallback - Optional callback(stage, { levels })
+ * @returns {Promise<Object>} - { gcds, depth } where gcdsᵢ = gcd(nᵢ, ∏ⱼ≠ᵢ nⱼ):
+ *          1 for a safe key, a prime for a key sharing one prime, nᵢ if
+ *          both primes are shared (or nᵢ appears twice)
+ */
+async function batchGCD(moduli, progressCallback = null) {
+    const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    if (progressCallback) progressCallback('Building product tree', { levels: 0 });
+    await yieldToBrowser();
+    const levels = productTree(moduli);
+
+    if (progressCallback) progressCallback('Descending remainder tree', { levels: levels.length });
+    await yieldToBrowser();
+    const remainders = remainderTree(levels);
+
+    const gcds = moduli.map((n, i) => MathUtils.gcd(remainders[i] / n, n));
+
+    return { gcds, depth: levels.length - 1 };
+}
+
+// ============================================================================
+// SHARED PRIME REPORT
+// ============================================================================
+
+/**
+ * Find every modulus that shares a prime with another and factor it
+ *
+ * Batch GCD flags the keys; a gcd equal to nᵢ itself is resolved by
+ * pairwise gcds among the flagged keys only (a handful, not all k).
+ *
+ * @param {Array<BigInt>} moduli - n₁, …, nₖ
+ * @param {Function} progressCallback - Optional callback(stage, data)
+ * @returns {Promise<Object>} - {
+ *     factored: [{ index, n, p, q }],
+ *     duplicates: [[index, …]]         identical moduli (no factor, same key)
+ *     sharedPrimes: [{ prime, indices }] each prime held by 2+ keys
+ *     pairs: [{ i, j, prime }]         every pair of keys sharing a prime
+ *     depth                            product tree depth
+ *   }
+ */
+async function findSharedPrimes(moduli, progressCallback = null) {
+    const { gcds, depth } = await batchGCD(moduli, progressCallback);
+    if (progressCallback) progressCallback('Factoring flagged keys', { levels: depth + 1 });
+
+    const flagged = [];
+    gcds.forEach((g, index) => {
+        if (g !== 1n) flagged.push(index);
+    });
+
+    const factored = [];
+    const duplicateGroups = new Map();
+
+    for (const index of flagged) {
+        const n = moduli[index];
+        let p = gcds[index];
+
+        if (p === n) {
+            // Both primes shared: split n against the other flagged keys
+            p = null;
+            for (const other of flagged) {
+                const d = MathUtils.gcd(n, moduli[other]);
+                if (d !== 1n && d !== n) {
+                    p = d;
+                    break;
+                }
+            }
+        }
+
+        if (p === null) {
+            const key = n.toString();
+            if (!duplicateGroups.has(key)) duplicateGroups.set(key, []);
+            duplicateGroups.get(key).push(index);
+            continue;
+        }
+
+        const q = n / p;
+        factored.push({ index, n, p: p < q ? p : q, q: p < q ? q : p });
+    }
+
+    // Group keys by prime, then expand groups into pairs
+    const holders = new Map();
+    for (const { index, p, q } of factored) {
+        for (const prime of [p, q]) {
+            const key = prime.toString();
+            if (!holders.has(key)) holders.set(key, { prime, indices: [] });
+            holders.get(key).indices.push(index);
+        }
+    }
+
+    const sharedPrimes = [...holders.values()].filter(({ indices }) => indices.length > 1);
+
+    const pairs = [];
+    for (const { prime, indices } of sharedPrimes) {
+        for (let a = 0; a < indices.length; a++) {
+            for (let b = a + 1; b < indices.length; b++) {
+                pairs.push({ i: indices[a], j: indices[b], prime });
+            }
+        }
+    }
+
+    return {
+        factored,
+        duplicates: [...duplicateGroups.values()],
+        sharedPrimes,
+        pairs,
+        depth
+    };
+}
+
+// ============================================================================
+// INPUT PARSING
+// ============================================================================
+
+/**
+ * Parse a list of moduli and PEM keys
+ *
+ * PEM blocks (any RSA label RSAKeyFormats.importKey accepts) contribute
+ * their modulus; every other non-empty line is read as a number with
+ * MathUtils.parseBigInt (decimal, or hex with a 0x prefix). Lines
+ * starting with # are comments.
+ *
+ * @param {string} text - Pasted or loaded text
+ * @returns {Object} - { moduli: [{ n, source }], errors: [string] } where
+ *          source says where the modulus came from (line or PEM block)
+ */
+function parseModuli(text) {
+    const moduli = [];
+    const errors = [];
+
+    const pemPattern = /-----BEGIN ([A-Z0-9 ]+)-----[\s\S]*?-----END \1-----/g;
+    let block = 0;
+    const rest = text.replace(pemPattern, (pem, label) => {
+        block++;
+        try {
+            moduli.push({ n: RSAKeyFormats.importKey(pem).publicKey.n, source: `PEM #${block} (${label})` });
+        } catch (error) {
+            errors.push(`PEM #${block}: ${error.message}`);
+        }
+        // Keep line numbering intact for the messages below
+        return '\n'.repeat((pem.match(/\n/g) || []).length);
+    });
+
+    rest.split('\n').forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        try {
+            const n = MathUtils.parseBigInt(trimmed);
+            if (n < 2n) throw new Error('must be at least 2');
+            moduli.push({ n, source: `line ${i + 1}` });
+        } catch (error) {
+            errors.push(`Line ${i + 1}: ${error.message}`);
+        }
+    });
+
+    return { moduli, errors };
+}
+
+// ============================================================================
+// WEAK BATCH GENERATOR (LOW-ENTROPY RNG)
+// ============================================================================
+
+/**
+ * Deterministic, NON-cryptographic random source (xorshift32)
+ *
+ * Stands in for a device RNG read right after boot: the output looks
+ * random, but there are only as many distinct streams as seeds.
+ *
+ * @param {number} seed - Initial state (the only entropy)
+ * @returns {Function} - randomBits(bits) → BigInt
+ */
+function createLowEntropyRNG(seed) {
+    let state = (seed >>> 0) || 0x9e3779b9;
+
+    const next32 = () => {
+        state ^= state << 13;
+        state >>>= 0;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        state >>>= 0;
+        return state;
+    };
+
+    return function randomBits(bits) {
+        let value = 0n;
+        for (let i = 0; i < bits; i += 32) {
+            value = (value << 32n) | BigInt(next32());
+        }
+        return value >> BigInt(Math.ceil(bits / 32) * 32 - bits);
+    };
+}
+
+/**
+ * Derive a prime from a low-entropy seed
+ *
+ * Same seed, same prime: two devices that booted into the same RNG
+ * state generate the same p.
+ *
+ * @param {number} seed - RNG seed
+ * @param {number} bits - Prime size in bits
+ * @returns {BigInt} - First prime at or after a seeded odd bits-bit candidate
+ */
+function primeFromSeed(seed, bits) {
+    const randomBits = createLowEntropyRNG(seed);
+    let candidate = randomBits(bits) | (1n << BigInt(bits - 1)) | (1n << BigInt(bits - 2)) | 1n;
+
+    while (MathUtils.isDivisibleBySmallPrime(candidate) || !RSACore.millerRabin(candidate)) {
+        candidate += 2n;
+    }
+
+    return candidate;
+}
+
+/**
+ * Generate a batch of RSA moduli, some from low-entropy devices
+ *
+ * Healthy keys use two fresh primes. Weak keys reproduce the 2012 failure
+ * mode: p comes from an RNG with only entropyBits bits of state (so at
+ * most 2^entropyBits distinct p exist), and entropy arrives before q is
+ * chosen, so q is unique. Weak keys therefore share p but not q, and
+ * batch GCD factors them.
+ *
+ * @param {number} count - Number of moduli
+ * @param {number} bits - Modulus size in bits (even: p and q have bits/2 each)
+ * @param {Object} options
+ * @param {number} options.weakFraction - Share of weak keys (0-1)
+ * @param {number} options.entropyBits - RNG state bits of weak devices
+ * @param {Function} options.progressCallback - Optional callback(stage, { generated, count })
+ * @returns {Promise<Array<Object>>} - [{ n, p, q, weak, seed }], weak keys scattered at random
+ * @throws {Error} If bits is not an even integer of at least WEAK_BATCH_MIN_BITS
+ */
+async function generateWeakBatch(count, bits, options = {}) {
+    const {
+        weakFraction = WEAK_BATCH_DEFAULT_FRACTION,
+        entropyBits = WEAK_BATCH_DEFAULT_ENTROPY_BITS,
+        progressCallback = null
+    } = options;
+
+    if (!Number.isInteger(bits) || bits % 2 !== 0 || bits < WEAK_BATCH_MIN_BITS) {
+        throw new Error(`Modulus size must be an even number of bits (at least ${WEAK_BATCH_MIN_BITS}), got ${bits}`);
+    }
+
+    const primeBits = bits / 2;
+    const seedCount = 2 ** entropyBits;
+    const weakPrimes = new Map();
+    const keys = [];
+
+    for (let generated = 0; generated < count; generated++) {
+        const weak = Math.random() < weakFraction;
+        let seed = null;
+        let p;
+
+        if (weak) {
+            seed = Math.floor(Math.random() * seedCount);
+            if (!weakPrimes.has(seed)) {
+                weakPrimes.set(seed, primeFromSeed(seed, primeBits));
+            }
+            p = weakPrimes.get(seed);
+        } else {
+            p = await RSACore.generatePrime(primeBits);
+        }
+
+        let q;
+        do {
+            q = await RSACore.generatePrime(primeBits);
+        } while (q === p);
+
+        keys.push({ n: p * q, p, q, weak, seed });
+
+        if (progressCallback) progressCallback('Generating keys', { generated: generated + 1, count });
+    }
+
+    return keys;
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const BatchGCD = {
+    productTree,
+    remainderTree,
+    batchGCD,
+    findSharedPrimes,
+    parseModuli,
+    createLowEntropyRNG,
+    primeFromSeed,
+    generateWeakBatch
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.BatchGCD = BatchGCD;
+}
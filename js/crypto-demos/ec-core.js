@@ -104,26 +104,21 @@ class EllipticCurve {
             throw new Error(`Generator order incorrect for curve ${this.name}`);
         }
 
-        // Verify n is prime (basic check for small n)
-        // For cryptographic curves, we trust the standard parameters
-        if (this.n < 1000000n) {
-            // Simple primality check for educational small curves
-            if (!this._isPrimeLikely(this.n)) {
-                console.warn(`Order n may not be prime for curve ${this.name}`);
-            }
+        // Verify n is prime (Baillie-PSW is cheap even for 521-bit orders)
+        if (!this._isPrimeLikely(this.n)) {
+            console.warn(`Order n may not be prime for curve ${this.name}`);
         }
     }
 
     /**
-     * Basic primality check (Miller-Rabin with few rounds)
+     * Primality check of the group order (Baillie-PSW)
      *
      * @private
      * @param {BigInt} n
      * @returns {Boolean}
      */
     _isPrimeLikely(n) {
-        if (n < 2n) return false;
-        return MathUtils.isDivisibleBySmallPrime(n);  // Assume prime for large n (trust standards)
+        return Primality.bailliePSW(n).probablePrime;
     }
 
     /**
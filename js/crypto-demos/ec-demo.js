@@ -23,6 +23,7 @@
 let realCurveVisualizer = null;      // Tab 1: Real number curves
 let finiteCurveVisualizer = null;    // Tab 2: Finite field curves
 let currentFiniteCurve = null;       // Currently selected finite field curve
+let lastProtocolKey = null;          // Latest ECDH (Alice) or ECDSA key pair, for the key vault
 
 // ============================================================================
 // INITIALIZATION
@@ -131,6 +132,19 @@ function setupEventListeners() {
         });
     }
 
+    // Key vault (shared controller in key-vault-demo.js)
+    setupKeyVault({
+        kinds: ['ecdh', 'ecdsa'],
+        getCurrentKey: currentECKeyForVault,
+        exportKey: exportECVaultKey,
+        onLoad: useECVaultKey,
+        onListChanged: entries => {
+            const firstOption = { value: 'new', label: 'Generate a new key pair' };
+            populateVaultPicker('ecdh-key-source', entries.filter(entry => entry.kind === 'ecdh'), firstOption);
+            populateVaultPicker('ecdsa-key-source', entries.filter(entry => entry.kind === 'ecdsa'), firstOption);
+        }
+    });
+
     // Use shared utilities for common patterns
     UIUtils.setupCopyButtons();
     UIUtils.setupTabs();
@@ -776,17 +790,24 @@ function displayScalarMultiplyResult(k, P, result) {
 async function handleECDH() {
     // Get curve selection
     const ecdhCurveSelect = document.getElementById('ecdh-curve-select');
-    const curveName = ecdhCurveSelect.value;
 
-    let curve;
-    if (curveName === 'test-small') {
-        curve = { name: 'Test (p=23)', a: 0n, b: 7n, p: 23n, n: 28n, h: 1n };
-        // Need to set generator
-        curve.G = new ECMathUtils.Point(6n, 4n, curve);
-    } else {
-        curve = ECCore.getCurve(curveName);
+    // Alice's key from the vault brings its own curve
+    let savedKey = null;
+    const keySource = document.getElementById('ecdh-key-source').value;
+    if (keySource !== 'new') {
+        try {
+            savedKey = ecKeyPairFromVault(await loadVaultEntry(keySource));
+        } catch (error) {
+            console.error('Vault load failed:', error);
+            UIUtils.showError('Could not load Alice\'s key: ' + error.message);
+            return;
+        }
+        ecdhCurveSelect.value = savedKey.curveName;
     }
 
+    const curveName = savedKey ? savedKey.curveName : ecdhCurveSelect.value;
+    const curve = savedKey ? savedKey.curve : getProtocolCurve(curveName, 'ecdh');
+
     if (!curve) {
         UIUtils.showError('Invalid curve selected');
         return;
@@ -797,8 +818,9 @@ async function handleECDH() {
     try {
         const ecdh = new ECCore.ECDH(curve);
 
-        // Alice generates keys
-        const alice = ecdh.generateKeyPair();
+        // Alice generates keys (or reuses her saved pair)
+        const alice = savedKey ? savedKey.keyPair : ecdh.generateKeyPair();
+        lastProtocolKey = { kind: 'ecdh', curveName, keyPair: alice };
 
         // Bob generates keys
         const bob = ecdh.generateKeyPair();
@@ -811,8 +833,14 @@ async function handleECDH() {
         const aliceSessionKey = await ecdh.deriveKey(aliceSecret, 'ECDH-Demo');
         const bobSessionKey = await ecdh.deriveKey(bobSecret, 'ECDH-Demo');
 
+        // Fingerprints Alice and Bob could compare out of band
+        const fingerprints = {
+            alice: await fingerprintECPublicKey(curve, alice.publicKey),
+            bob: await fingerprintECPublicKey(curve, bob.publicKey)
+        };
+
         // Display results
-        displayECDHResults(curve, alice, bob, aliceSecret, bobSecret, aliceSessionKey, bobSessionKey);
+        displayECDHResults(curve, alice, bob, aliceSecret, bobSecret, aliceSessionKey, bobSessionKey, fingerprints);
 
     } catch (error) {
         console.error('ECDH failed:', error);
@@ -824,8 +852,10 @@ async function handleECDH() {
 
 /**
  * Display ECDH results
+ *
+ * @param {Object} fingerprints - { alice, bob } public key fingerprints from fingerprintECPublicKey
  */
-function displayECDHResults(curve, alice, bob, aliceSecret, bobSecret, aliceKey, bobKey) {
+function displayECDHResults(curve, alice, bob, aliceSecret, bobSecret, aliceKey, bobKey, fingerprints) {
     const isSmallCurve = curve.p && curve.p < 1000n;
 
     let html = `
@@ -854,6 +884,11 @@ function displayECDHResults(curve, alice, bob, aliceSecret, bobSecret, aliceKey,
                     'ecdh-alice-pub-y',
                     false
                 )}
+                ${DisplayComponents.createKeyFingerprint({
+                    fingerprint: fingerprints.alice,
+                    id: 'ecdh-alice-fingerprint',
+                    title: 'Fingerprint of Q_A'
+                })}
             </div>
         </div>
 
@@ -879,6 +914,11 @@ function displayECDHResults(curve, alice, bob, aliceSecret, bobSecret, aliceKey,
                     'ecdh-bob-pub-y',
                     false
                 )}
+                ${DisplayComponents.createKeyFingerprint({
+                    fingerprint: fingerprints.bob,
+                    id: 'ecdh-bob-fingerprint',
+                    title: 'Fingerprint of Q_B'
+                })}
             </div>
         </div>
 
@@ -888,6 +928,7 @@ function displayECDHResults(curve, alice, bob, aliceSecret, bobSecret, aliceKey,
             <p class="alert alert--info" style="margin-top: 0.5rem;">
             ⚠️ Public keys can be transmitted over insecure channels (they're public!)
             </p>
+            <p>An attacker on that channel could swap them for keys of their own. Reading the fingerprints to each other over the phone (Alice's is <code>${fingerprints.alice.base64}</code>) would expose the swap.</p>
         </div>
 
         <div class="protocol-step">
@@ -983,6 +1024,9 @@ function displayECDHResults(curve, alice, bob, aliceSecret, bobSecret, aliceKey,
     `;
 
     UIUtils.displayResults('ecdh-results', html, true);
+    UIUtils.setupCopyButtons();
+    KeyFingerprint.drawRandomart(document.getElementById('ecdh-alice-fingerprint-randomart'), fingerprints.alice.randomart);
+    KeyFingerprint.drawRandomart(document.getElementById('ecdh-bob-fingerprint-randomart'), fingerprints.bob.randomart);
 }
 
 // ============================================================================
@@ -1002,16 +1046,24 @@ async function handleECDSASign() {
 
     // Get curve selection
     const ecdsaCurveSelect = document.getElementById('ecdsa-curve-select');
-    const curveName = ecdsaCurveSelect.value;
 
-    let curve;
-    if (curveName === 'test-small') {
-        curve = { name: 'Test (p=23)', a: 0n, b: 7n, p: 23n, n: 28n, h: 1n };
-        curve.G = new ECMathUtils.Point(5n, 4n, curve);
-    } else {
-        curve = ECCore.getCurve(curveName);
+    // A signing key from the vault brings its own curve
+    let savedKey = null;
+    const keySource = document.getElementById('ecdsa-key-source').value;
+    if (keySource !== 'new') {
+        try {
+            savedKey = ecKeyPairFromVault(await loadVaultEntry(keySource));
+        } catch (error) {
+            console.error('Vault load failed:', error);
+            UIUtils.showError('Could not load the signing key: ' + error.message);
+            return;
+        }
+        ecdsaCurveSelect.value = savedKey.curveName;
     }
 
+    const curveName = savedKey ? savedKey.curveName : ecdsaCurveSelect.value;
+    const curve = savedKey ? savedKey.curve : getProtocolCurve(curveName, 'ecdsa');
+
     if (!curve) {
         UIUtils.showError('Invalid curve selected');
         return;
@@ -1022,8 +1074,9 @@ async function handleECDSASign() {
     try {
         const ecdsa = new ECCore.ECDSA(curve);
 
-        // Generate key pair
-        const keyPair = ecdsa.generateKeyPair();
+        // Generate key pair (or reuse the saved one)
+        const keyPair = savedKey ? savedKey.keyPair : ecdsa.generateKeyPair();
+        lastProtocolKey = { kind: 'ecdsa', curveName, keyPair };
 
         // Sign message
         const signature = await ecdsa.sign(message, keyPair.privateKey);
@@ -1037,7 +1090,8 @@ async function handleECDSASign() {
         };
 
         // Display signing results
-        displayECDSASignResults(curve, message, keyPair, signature);
+        const fingerprint = await fingerprintECPublicKey(curve, keyPair.publicKey);
+        displayECDSASignResults(curve, message, keyPair, signature, fingerprint);
 
         // Enable verify button
         const verifyBtn = document.getElementById('ecdsa-verify-btn');
@@ -1091,8 +1145,10 @@ async function handleECDSAVerify() {
 
 /**
  * Display ECDSA signing results
+ *
+ * @param {Object} fingerprint - Signer's public key fingerprint from fingerprintECPublicKey
  */
-function displayECDSASignResults(curve, message, keyPair, signature) {
+function displayECDSASignResults(curve, message, keyPair, signature, fingerprint) {
     const isSmallCurve = curve.p && curve.p < 1000n;
 
     let html = `
@@ -1129,6 +1185,12 @@ function displayECDSASignResults(curve, message, keyPair, signature) {
                     'ecdsa-pub-y',
                     false
                 )}
+                ${DisplayComponents.createKeyFingerprint({
+                    fingerprint,
+                    id: 'ecdsa-fingerprint',
+                    title: 'Fingerprint of Q'
+                })}
+                <p>A verifier must trust that Q is the signer's key: comparing this fingerprint with one the signer published elsewhere is how they check.</p>
             </div>
         </div>
 
@@ -1191,6 +1253,8 @@ function displayECDSASignResults(curve, message, keyPair, signature) {
     `;
 
     UIUtils.displayResults('ecdsa-results', html, true);
+    UIUtils.setupCopyButtons();
+    KeyFingerprint.drawRandomart(document.getElementById('ecdsa-fingerprint-randomart'), fingerprint.randomart);
 }
 
 /**
@@ -1279,3 +1343,144 @@ function displayECDSAVerifyResults(verifyMessage, originalMessage, signature, is
     UIUtils.displayResults('ecdsa-verify-results', html, true);
 }
 
+
+// ============================================================================
+// KEY VAULT HANDLERS
+// ============================================================================
+
+// JWK "crv" names (RFC 7518 §6.2.1.1, RFC 8812 §3.1) of the curves that have one
+const JWK_CURVE_NAMES = Object.freeze({ 'P-256': 'P-256', 'secp256k1': 'secp256k1' });
+
+const PROTOCOL_LABELS = Object.freeze({ ecdh: 'ECDH', ecdsa: 'ECDSA' });
+
+/**
+ * Build the curve chosen in a protocol card
+ *
+ * The p = 23 test curve uses a different generator for each protocol.
+ *
+ * @param {string} curveName - Option value: 'test-small' or a name known to ECCore.getCurve
+ * @param {string} protocol - 'ecdh' or 'ecdsa'
+ * @returns {Object|null} - Curve, or null if the name is unknown
+ */
+function getProtocolCurve(curveName, protocol) {
+    if (curveName === 'test-small') {
+        const curve = { name: 'Test (p=23)', a: 0n, b: 7n, p: 23n, n: 28n, h: 1n };
+        curve.G = protocol === 'ecdh'
+            ? new ECMathUtils.Point(6n, 4n, curve)
+            : new ECMathUtils.Point(5n, 4n, curve);
+        return curve;
+    }
+    return ECCore.getCurve(curveName);
+}
+
+/**
+ * Fingerprint an elliptic curve public key: SHA-256 of its SubjectPublicKeyInfo
+ *
+ * @param {Object} curve - Curve of the key (named curves by OID, the test curve explicitly)
+ * @param {Object} publicKey - Point Q
+ * @returns {Promise<Object>} - Output of KeyFingerprint.fingerprintSPKI
+ */
+function fingerprintECPublicKey(curve, publicKey) {
+    return KeyFingerprint.fingerprintSPKI(KeyFingerprint.encodeECSPKI(curve, publicKey), curve.name);
+}
+
+/**
+ * Rebuild a key pair saved in the vault
+ *
+ * Only the curve name and d are stored; Q = d × G is recomputed.
+ *
+ * @param {Object} entry - Vault entry: kind 'ecdh' or 'ecdsa', material { curve, d (hex) }
+ * @returns {Object} - { curveName, curve, keyPair: { privateKey, publicKey } }
+ * @throws {Error} If the curve is unknown or d is out of range
+ */
+function ecKeyPairFromVault(entry) {
+    const { curve: curveName, d } = entry.material;
+    const curve = getProtocolCurve(curveName, entry.kind);
+
+    if (!curve) {
+        throw new Error(`Unknown curve in the vault: ${curveName}`);
+    }
+
+    const privateKey = BigInt('0x' + d);
+    if (privateKey < 1n || privateKey >= curve.n) {
+        throw new Error('Saved private key is not in [1, n-1] for its curve');
+    }
+
+    return {
+        curveName,
+        curve,
+        keyPair: { privateKey, publicKey: ECMathUtils.scalarMultiplySecure(privateKey, curve.G) }
+    };
+}
+
+/**
+ * The latest protocol key pair as a vault entry
+ *
+ * @returns {Object} - { kind, name, summary, material: { curve, d } }
+ * @throws {Error} If no ECDH or ECDSA demonstration has run yet
+ */
+function currentECKeyForVault() {
+    if (!lastProtocolKey) {
+        throw new Error('Run the ECDH demonstration or generate a signature first');
+    }
+
+    const { kind, curveName, keyPair } = lastProtocolKey;
+    const protocol = PROTOCOL_LABELS[kind];
+
+    return {
+        kind,
+        name: `${protocol} key of ${new Date().toLocaleString()}`,
+        summary: `${getProtocolCurve(curveName, kind).name} ${protocol}`,
+        material: { curve: curveName, d: keyPair.privateKey.toString(16) }
+    };
+}
+
+/**
+ * Export a saved key: a JWK (RFC 7517) on named curves, plain JSON on the test curve
+ *
+ * @param {Object} entry - Vault entry
+ * @returns {Object} - { fileName, content, mimeType }
+ */
+function exportECVaultKey(entry) {
+    const { curveName, curve, keyPair } = ecKeyPairFromVault(entry);
+    const crv = JWK_CURVE_NAMES[curveName];
+
+    if (!crv) {
+        const content = JSON.stringify({
+            curve: curve.name,
+            d: keyPair.privateKey.toString(),
+            x: keyPair.publicKey.x.toString(),
+            y: keyPair.publicKey.y.toString()
+        }, null, 2);
+        return { fileName: vaultExportFileName(entry.name, 'json'), content, mimeType: 'application/json' };
+    }
+
+    // Coordinates and d as unsigned big-endian, the field size in bytes, base64url
+    const size = Math.ceil(MathUtils.bitLength(curve.p) / 8);
+    const base64url = value => MathUtils.bytesToBase64(MathUtils.i2osp(value, size))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+    const jwk = {
+        kty: 'EC',
+        crv,
+        x: base64url(keyPair.publicKey.x),
+        y: base64url(keyPair.publicKey.y),
+        d: base64url(keyPair.privateKey)
+    };
+    return { fileName: vaultExportFileName(entry.name, 'jwk'), content: JSON.stringify(jwk, null, 2), mimeType: 'application/jwk+json' };
+}
+
+/**
+ * Select a key loaded from the vault list in its protocol's picker
+ *
+ * @param {Object} entry - Vault entry
+ */
+function useECVaultKey(entry) {
+    const { curveName } = ecKeyPairFromVault(entry);
+
+    document.getElementById(`${entry.kind}-key-source`).value = entry.id;
+    document.getElementById(`${entry.kind}-curve-select`).value = curveName;
+
+    const action = entry.kind === 'ecdh' ? 'Run the ECDH demonstration' : 'Generate a signature';
+    UIUtils.showSuccess(`"${entry.name}" selected as the ${PROTOCOL_LABELS[entry.kind]} key pair. ${action} to use it.`);
+}
@@ -0,0 +1,46 @@
+/**
+ * ============================================================================
+ * INTEGER FACTORIZATION - WEB WORKER
+ *
+ * Runs one Factorization method off the main thread. Started by
+ * FactorizationWorkers, which terminates it to cancel.
+ *
+ * MESSAGES IN:
+ *   { type: 'factor', n, method, options }  options without callbacks
+ *
+ * MESSAGES OUT:
+ *   { type: 'progress', stage, iterations }  at most every
+ *                                            Config.UI.PROGRESS_UPDATE_INTERVAL ms
+ *   { type: 'result', result }               once, on success or give-up
+ *   { type: 'error', message }               if the method throws
+ *
+ * ============================================================================
+ */
+
+// Paths are relative to this file; the scripts only touch `window` behind
+// typeof checks, so they load unchanged in a worker scope
+importScripts('../config.js', 'math-utils.js', 'factorization.js');
+
+self.addEventListener('message', async function(event) {
+    const { type, n, method, options } = event.data;
+
+    if (type !== 'factor') {
+        return;
+    }
+
+    let lastUpdate = 0;
+    const progressCallback = (stage, { iterations }) => {
+        const now = performance.now();
+        if (now - lastUpdate >= Config.UI.PROGRESS_UPDATE_INTERVAL) {
+            lastUpdate = now;
+            self.postMessage({ type: 'progress', stage, iterations });
+        }
+    };
+
+    try {
+        const result = await Factorization.factor(n, method, { ...options, progressCallback });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,139 @@
+/**
+ * ============================================================================
+ * INTEGER FACTORIZATION IN A WEB WORKER
+ *
+ * Factoring attempts run for as long as the user lets them, so they move
+ * into factorization-worker.js:
+ *
+ * - The page stays responsive and shows a live iteration counter.
+ * - Cancelling terminates the worker at once, even mid-multiplication.
+ *
+ * Falls back to running Factorization on the main thread (which yields
+ * between batches of iterations) when Config.FEATURES.ENABLE_WEB_WORKERS
+ * is off, Workers are unavailable, or the worker script cannot load (e.g.
+ * pages opened from file://).
+ *
+ * ============================================================================
+ */
+
+// Resolved against this script's own URL so the worker loads from any page
+const FACTORIZATION_WORKER_URL = (typeof document !== 'undefined' && document.currentScript)
+    ? new URL('factorization-worker.js', document.currentScript.src).href
+    : null;
+
+/**
+ * Check whether factorization can use a Web Worker
+ *
+ * @returns {boolean} - True if enabled in Config and supported here
+ */
+function canUseFactorizationWorker() {
+    return Config.FEATURES.ENABLE_WEB_WORKERS &&
+        typeof Worker !== 'undefined' &&
+        FACTORIZATION_WORKER_URL !== null;
+}
+
+/**
+ * Run a factoring method in a dedicated worker
+ *
+ * @param {BigInt} n - Number to factor
+ * @param {string} method - Key of Factorization.METHODS
+ * @param {Function} progressCallback - Optional callback(stage, { iterations })
+ * @param {Object} options - Method options; options.signal terminates the worker
+ * @returns {Promise<Object>} - The method's result
+ */
+function factorInWorker(n, method, progressCallback = null, options = {}) {
+    const { signal = null, ...methodOptions } = options;
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(FACTORIZATION_WORKER_URL);
+        let settled = false;
+
+        function finish() {
+            settled = true;
+            worker.terminate();
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+
+        function onAbort() {
+            finish();
+            reject(new DOMException('Factorization cancelled', 'AbortError'));
+        }
+
+        if (signal) {
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort);
+        }
+
+        worker.addEventListener('message', (event) => {
+            if (settled) return;
+            const message = event.data;
+
+            if (message.type === 'progress') {
+                if (progressCallback) progressCallback(message.stage, { iterations: message.iterations });
+            } else if (message.type === 'result') {
+                finish();
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                finish();
+                reject(new Error(message.message));
+            }
+        });
+
+        worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            if (settled) return;
+            finish();
+            const error = new Error('Factorization worker failed: ' + (event.message || 'could not load ' + FACTORIZATION_WORKER_URL));
+            error.name = 'WorkerError';
+            reject(error);
+        });
+
+        worker.postMessage({ type: 'factor', n, method, options: methodOptions });
+    });
+}
+
+/**
+ * Factor n without blocking the page
+ *
+ * Same result as Factorization.factor. Errors raised by the method itself
+ * (e.g. invalid bounds) are rethrown; only a worker that fails to start
+ * falls back to the main thread.
+ *
+ * @param {BigInt} n - Number to factor
+ * @param {string} method - Key of Factorization.METHODS
+ * @param {Function} progressCallback - Optional callback(stage, { iterations })
+ * @param {Object} options - Method options plus options.signal to cancel
+ * @returns {Promise<Object>} - The method's result
+ */
+async function factorWithoutBlocking(n, method, progressCallback = null, options = {}) {
+    if (!canUseFactorizationWorker()) {
+        return Factorization.factor(n, method, { ...options, progressCallback });
+    }
+
+    try {
+        return await factorInWorker(n, method, progressCallback, options);
+    } catch (error) {
+        if (error.name !== 'WorkerError') {
+            throw error;
+        }
+        console.warn(error.message + ' - factoring on the main thread instead');
+        return Factorization.factor(n, method, { ...options, progressCallback });
+    }
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const FactorizationWorkers = {
+    isAvailable: canUseFactorizationWorker,
+    factor: factorWithoutBlocking
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.FactorizationWorkers = FactorizationWorkers;
+}
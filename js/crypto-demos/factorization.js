@@ -0,0 +1,508 @@
+/**
+ * ============================================================================
+ * INTEGER FACTORIZATION
+ *
+ * RSA is only as strong as the difficulty of factoring n = p·q. This
+ * module implements the three classic special-purpose algorithms so the
+ * RSA tool can try them on real keys and show where each one gives up:
+ *
+ * - Trial division: divide by 2, 3, 5, 7, 11, ... up to a limit
+ *   └─ Work ~ p (smallest factor): hopeless beyond ~40-bit factors
+ * - Pollard's rho (Brent's variant): random walk x → x² + c mod n
+ *   └─ Work ~ √p: finds 60-bit factors, never a 512-bit one
+ * - Pollard's p - 1: a^(B1!) - 1 shares p with n if p - 1 is smooth
+ *   └─ Work ~ B1 (+ B2): instant or useless, depending on p - 1 alone
+ *
+ * None of them threatens a properly generated 2048-bit key; real records
+ * (RSA-250, 829 bits) need the General Number Field Sieve and thousands
+ * of core-years.
+ *
+ * All three are async: they report progress and yield to the event loop
+ * every FACTOR_PROGRESS_INTERVAL iterations, and stop when the optional
+ * AbortSignal fires. The same code runs in factorization-worker.js.
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ *
+ * ============================================================================
+ */
+
+// Iterations between progress callbacks and event-loop yields
+const FACTOR_PROGRESS_INTERVAL = 4096;
+
+// Default iteration limits; the Attacks Lab overrides them
+const TRIAL_DIVISION_MAX_ITERATIONS = 10000000;
+const POLLARD_RHO_MAX_ITERATIONS = 100000000;
+
+// Default Pollard p - 1 bounds, and the largest bound the sieve accepts
+// (10^7: a 10 MB sieve and 664,579 primes held in memory)
+const PM1_DEFAULT_B1 = 100000;
+const PM1_DEFAULT_B2 = 10000000;
+const PM1_MAX_BOUND = 10000000;
+
+// Products of (x - y) accumulated by Brent's rho between gcd computations
+const RHO_GCD_BATCH = 128;
+
+// Key sizes listed in the "which keys fall?" estimate
+const FACTOR_ESTIMATE_KEY_SIZES = [64, 96, 128, 160, 256, 512, 1024, 2048];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Stop a running factorization if its signal was aborted
+ *
+ * @param {AbortSignal} signal - Optional signal
+ * @throws {DOMException} AbortError if the signal was aborted
+ */
+function throwIfFactoringCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw new DOMException('Factorization cancelled', 'AbortError');
+    }
+}
+
+/**
+ * Report progress, yield to the event loop and honour cancellation
+ *
+ * @param {Function} progressCallback - Optional callback(stage, data)
+ * @param {string} stage - Stage name shown in the UI
+ * @param {number} iterations - Iterations so far
+ * @param {AbortSignal} signal - Optional signal
+ * @returns {Promise}
+ */
+async function factoringCheckpoint(progressCallback, stage, iterations, signal) {
+    if (progressCallback) {
+        progressCallback(stage, { iterations });
+    }
+    await new Promise(resolve => setTimeout(resolve, 0));
+    throwIfFactoringCancelled(signal);
+}
+
+/**
+ * Sieve of Eratosthenes
+ *
+ * @param {number} limit - Largest number to test
+ * @returns {Array<number>} - All primes ≤ limit
+ */
+function primesUpTo(limit) {
+    const composite = new Uint8Array(limit + 1);
+    const primes = [];
+
+    for (let i = 2; i <= limit; i++) {
+        if (composite[i]) continue;
+        primes.push(i);
+        for (let j = i * i; j <= limit; j += i) {
+            composite[j] = 1;
+        }
+    }
+
+    return primes;
+}
+
+// ============================================================================
+// TRIAL DIVISION
+// ============================================================================
+
+/**
+ * Find the smallest prime factor by trial division
+ *
+ * Tries 2, 3 and then only numbers of the form 6k ± 1 (every prime
+ * above 3 has that form), stopping at √n or the iteration limit.
+ *
+ * @param {BigInt} n - Number to factor (> 1)
+ * @param {Object} options
+ * @param {number} options.maxIterations - Divisions before giving up
+ * @param {Function} options.progressCallback - Optional callback(stage, { iterations })
+ * @param {AbortSignal} options.signal - Optional cancellation signal
+ * @returns {Promise<Object>} - { factor, cofactor, iterations }; factor is
+ *          null if none was found within the limit, n itself if n is prime
+ */
+async function trialDivision(n, options = {}) {
+    const {
+        maxIterations = TRIAL_DIVISION_MAX_ITERATIONS,
+        progressCallback = null,
+        signal = null
+    } = options;
+
+    let iterations = 0;
+
+    for (const small of [2n, 3n]) {
+        iterations++;
+        if (n % small === 0n) {
+            return { factor: small, cofactor: n / small, iterations };
+        }
+    }
+
+    const root = MathUtils.isqrt(n);
+    let d = 5n;
+
+    // d = 6k - 1, then d + 2 = 6k + 1
+    for (; d <= root && iterations < maxIterations; d += 6n) {
+        iterations += 2;
+        if (n % d === 0n) {
+            return { factor: d, cofactor: n / d, iterations };
+        }
+        if (n % (d + 2n) === 0n) {
+            return { factor: d + 2n, cofactor: n / (d + 2n), iterations };
+        }
+
+        if (iterations % FACTOR_PROGRESS_INTERVAL === 0) {
+            await factoringCheckpoint(progressCallback, 'Trial division', iterations, signal);
+        }
+    }
+
+    if (d > root) {
+        // Passed √n without a divisor: n is prime
+        return { factor: n, cofactor: 1n, iterations };
+    }
+
+    return { factor: null, cofactor: null, iterations };
+}
+
+// ============================================================================
+// POLLARD'S RHO (BRENT'S VARIANT)
+// ============================================================================
+
+/**
+ * Find a factor with Pollard's rho, using Brent's cycle detection
+ *
+ * IDEA: the sequence x → x² + c mod n is also a sequence mod p, where it
+ * must repeat after about √p steps (birthday paradox). When xᵢ ≡ xⱼ
+ * (mod p) but not mod n, gcd(xᵢ - xⱼ, n) = p.
+ *
+ * BRENT'S IMPROVEMENTS over Floyd's tortoise and hare:
+ * - Compare against a saved point that jumps at powers of 2, so each
+ *   step needs one evaluation of f instead of three
+ * - Multiply RHO_GCD_BATCH differences together and take one gcd
+ * - If a batch overshoots to gcd = n, replay it one step at a time
+ *
+ * A walk that collapses mod n too (gcd = n) is retried with the next c.
+ *
+ * @param {BigInt} n - Odd composite to factor
+ * @param {Object} options
+ * @param {number} options.maxIterations - Evaluations of f before giving up
+ * @param {BigInt} options.c - First increment to try (default 1n)
+ * @param {Function} options.progressCallback - Optional callback(stage, { iterations })
+ * @param {AbortSignal} options.signal - Optional cancellation signal
+ * @returns {Promise<Object>} - { factor, cofactor, iterations, c }; factor
+ *          is null if none was found within the limit
+ */
+async function pollardRho(n, options = {}) {
+    const {
+        maxIterations = POLLARD_RHO_MAX_ITERATIONS,
+        c: firstC = 1n,
+        progressCallback = null,
+        signal = null
+    } = options;
+
+    if (n % 2n === 0n) {
+        return { factor: 2n, cofactor: n / 2n, iterations: 0, c: firstC };
+    }
+
+    let iterations = 0;
+    let nextCheckpoint = FACTOR_PROGRESS_INTERVAL;
+
+    for (let c = firstC; iterations < maxIterations; c++) {
+        const f = value => (value * value + c) % n;
+
+        let y = 2n;
+        let x = y;
+        let ys = y;
+        let product = 1n;
+        let g = 1n;
+
+        // r: distance to the saved point x, doubled after every round
+        for (let r = 1; g === 1n && iterations < maxIterations; r *= 2) {
+            x = y;
+            for (let i = 0; i < r && iterations < maxIterations; i++) {
+                y = f(y);
+                iterations++;
+            }
+
+            for (let k = 0; k < r && g === 1n && iterations < maxIterations; k += RHO_GCD_BATCH) {
+                ys = y;
+                const batch = Math.min(RHO_GCD_BATCH, r - k, maxIterations - iterations);
+                for (let i = 0; i < batch; i++) {
+                    y = f(y);
+                    product = (product * (x > y ? x - y : y - x)) % n;
+                }
+                iterations += batch;
+                g = MathUtils.gcd(product, n);
+
+                if (iterations >= nextCheckpoint) {
+                    nextCheckpoint = iterations + FACTOR_PROGRESS_INTERVAL;
+                    await factoringCheckpoint(progressCallback, `Pollard rho (c = ${c})`, iterations, signal);
+                }
+            }
+        }
+
+        if (g === n) {
+            // The batch overshot: replay it one difference at a time
+            do {
+                ys = f(ys);
+                iterations++;
+                g = MathUtils.gcd(x > ys ? x - ys : ys - x, n);
+            } while (g === 1n);
+        }
+
+        if (g !== 1n && g !== n) {
+            return { factor: g, cofactor: n / g, iterations, c };
+        }
+    }
+
+    return { factor: null, cofactor: null, iterations, c: null };
+}
+
+// ============================================================================
+// POLLARD'S p - 1
+// ============================================================================
+
+/**
+ * Find a factor with Pollard's p - 1 method
+ *
+ * IDEA: by Fermat, a^(p-1) ≡ 1 (mod p). If p - 1 divides
+ * M = ∏ q^⌊log_q B1⌋ over primes q ≤ B1 (i.e. p - 1 is B1-smooth), then
+ * a^M - 1 is a multiple of p and gcd(a^M - 1, n) reveals it.
+ *
+ * STAGE 2 allows one larger prime factor B1 < q ≤ B2 in p - 1: it tests
+ * gcd(∏ (a^(M·q) - 1), n), stepping from one q to the next with cached
+ * powers a^(M·gap) for the small gaps between consecutive primes.
+ *
+ * This is why key generators reject primes with smooth p - 1, although
+ * for random 1024-bit primes the chance is negligible anyway.
+ *
+ * @param {BigInt} n - Number to factor
+ * @param {Object} options
+ * @param {number} options.bound1 - Stage 1 smoothness bound B1
+ * @param {number} options.bound2 - Stage 2 bound B2 (≥ B1; equal skips stage 2)
+ * @param {Function} options.progressCallback - Optional callback(stage, { iterations })
+ * @param {AbortSignal} options.signal - Optional cancellation signal
+ * @returns {Promise<Object>} - { factor, cofactor, iterations, stage } where
+ *          iterations counts primes processed and stage is 1 or 2 (where
+ *          the factor appeared); factor is null on failure
+ * @throws {Error} If the bounds are out of range
+ */
+async function pollardPMinus1(n, options = {}) {
+    const {
+        bound1 = PM1_DEFAULT_B1,
+        bound2 = PM1_DEFAULT_B2,
+        progressCallback = null,
+        signal = null
+    } = options;
+
+    if (!Number.isInteger(bound1) || !Number.isInteger(bound2) || bound1 < 2 || bound2 < bound1) {
+        throw new Error('Pollard p - 1 needs integer bounds with 2 ≤ B1 ≤ B2');
+    }
+    if (bound2 > PM1_MAX_BOUND) {
+        throw new Error(`Pollard p - 1 bound B2 must be at most ${PM1_MAX_BOUND.toLocaleString()}`);
+    }
+
+    const primes = primesUpTo(bound2);
+    const failure = stage => ({ factor: null, cofactor: null, iterations, stage });
+    let iterations = 0;
+    let a = 2n;
+    let i = 0;
+
+    // Stage 1: a = 2^M, with a gcd check at every progress interval
+    let saved = a;
+    for (; i < primes.length && primes[i] <= bound1; i++) {
+        const q = primes[i];
+        let power = q;
+        while (power * q <= bound1) {
+            power *= q;
+        }
+        a = MathUtils.modPow(a, BigInt(power), n);
+        iterations++;
+
+        if (iterations % FACTOR_PROGRESS_INTERVAL === 0) {
+            const g = MathUtils.gcd(a - 1n, n);
+            if (g !== 1n) break;
+            saved = a;
+            await factoringCheckpoint(progressCallback, 'Pollard p - 1, stage 1', iterations, signal);
+        }
+    }
+
+    let g = MathUtils.gcd(a - 1n, n);
+
+    if (g === n) {
+        // Every prime of n appeared in the same interval: redo it with a
+        // gcd after each prime to catch the first one alone
+        a = saved;
+        for (let j = i - (i % FACTOR_PROGRESS_INTERVAL); j < primes.length && primes[j] <= bound1; j++) {
+            let power = primes[j];
+            while (power * primes[j] <= bound1) {
+                power *= primes[j];
+            }
+            a = MathUtils.modPow(a, BigInt(power), n);
+            g = MathUtils.gcd(a - 1n, n);
+            if (g !== 1n) break;
+        }
+    }
+
+    if (g === n) {
+        return failure(1);
+    }
+    if (g !== 1n) {
+        return { factor: g, cofactor: n / g, iterations, stage: 1 };
+    }
+
+    // Stage 2: b = a^q for each prime q in (B1, B2]
+    if (i >= primes.length) {
+        return failure(1);
+    }
+
+    const gapPowers = new Map();
+    let b = MathUtils.modPow(a, BigInt(primes[i]), n);
+    let product = (b - 1n + n) % n;
+    iterations++;
+
+    for (i++; i < primes.length; i++) {
+        const gap = primes[i] - primes[i - 1];
+        if (!gapPowers.has(gap)) {
+            gapPowers.set(gap, MathUtils.modPow(a, BigInt(gap), n));
+        }
+        b = (b * gapPowers.get(gap)) % n;
+        product = (product * (b - 1n + n)) % n;
+        iterations++;
+
+        if (iterations % FACTOR_PROGRESS_INTERVAL === 0) {
+            g = MathUtils.gcd(product, n);
+            if (g !== 1n) break;
+            await factoringCheckpoint(progressCallback, 'Pollard p - 1, stage 2', iterations, signal);
+        }
+    }
+
+    g = MathUtils.gcd(product, n);
+    if (g === 1n || g === n) {
+        return failure(2);
+    }
+    return { factor: g, cofactor: n / g, iterations, stage: 2 };
+}
+
+// ============================================================================
+// DISPATCH AND ESTIMATES
+// ============================================================================
+
+/**
+ * Available methods, by the name used in the UI and the worker protocol
+ */
+const FACTORING_METHODS = Object.freeze({
+    trial: { label: 'Trial division', run: trialDivision },
+    rho: { label: 'Pollard rho (Brent)', run: pollardRho },
+    pm1: { label: 'Pollard p - 1', run: pollardPMinus1 }
+});
+
+/**
+ * Run one factoring method
+ *
+ * @param {BigInt} n - Number to factor
+ * @param {string} method - Key of FACTORING_METHODS
+ * @param {Object} options - Options of that method
+ * @returns {Promise<Object>} - The method's result
+ * @throws {Error} If the method is unknown or n < 2
+ */
+function factor(n, method, options = {}) {
+    if (!FACTORING_METHODS[method]) {
+        throw new Error(`Unknown factoring method: ${method}`);
+    }
+    if (n < 2n) {
+        throw new Error('Only integers ≥ 2 can be factored');
+    }
+    return FACTORING_METHODS[method].run(n, options);
+}
+
+/**
+ * Classify a duration for the "which keys fall?" table
+ *
+ * @param {number} seconds - Estimated duration
+ * @returns {string} - 'seconds', 'minutes', 'hours to years' or 'never'
+ */
+function classifyFactoringTime(seconds) {
+    if (seconds < 60) return 'seconds';
+    if (seconds < 3600) return 'minutes';
+    if (seconds < 100 * 365.25 * 86400) return 'hours to years';
+    return 'never';
+}
+
+/**
+ * Estimate how long trial division and Pollard rho need per key size
+ *
+ * A balanced key has p ≈ 2^(bits/2). Trial division tests about
+ * p/3 candidates (6k ± 1); Brent's rho needs about √(πp/2) steps. Rates
+ * measured on one modulus size are scaled by (measuredBits/bits)²,
+ * the cost of a multiplication mod n. Pollard p - 1 has no time estimate:
+ * it depends on whether p - 1 is smooth, not on the work done.
+ *
+ * @param {Object} rates - Iterations per second: { trial, rho, bits }
+ * @returns {Array<Object>} - One { bits, trial, rho } per key size, where
+ *          trial and rho are { seconds, verdict }
+ */
+function estimateFactoringTimes(rates) {
+    return FACTOR_ESTIMATE_KEY_SIZES.map(bits => {
+        const scale = (bits / rates.bits) ** 2;
+        const factorBits = bits / 2;
+
+        // Divide before exponentiating: 2^1024 alone overflows a double
+        const trialSeconds = 2 ** (factorBits - Math.log2(3 * rates.trial / scale));
+        const rhoSeconds = Math.sqrt(Math.PI / 2) * 2 ** (factorBits / 2) / rates.rho * scale;
+
+        return {
+            bits,
+            trial: { seconds: trialSeconds, verdict: classifyFactoringTime(trialSeconds) },
+            rho: { seconds: rhoSeconds, verdict: classifyFactoringTime(rhoSeconds) }
+        };
+    });
+}
+
+/**
+ * Measure trial division and Pollard rho speed on a given modulus
+ *
+ * Runs each method for a fixed number of iterations on n, which should
+ * have no small factors (e.g. an RSA modulus).
+ *
+ * @param {BigInt} n - Modulus to time against
+ * @param {number} iterations - Iterations per method (default 20000)
+ * @returns {Promise<Object|null>} - { trial, rho, bits } in iterations per
+ *          second, or null if a method finished early (n too easy to time)
+ */
+async function measureFactoringRates(n, iterations = 20000) {
+    const rate = async (method) => {
+        const start = performance.now();
+        const result = await factor(n, method, { maxIterations: iterations });
+        const seconds = Math.max(performance.now() - start, 1) / 1000;
+        return result.factor === null ? result.iterations / seconds : null;
+    };
+
+    const trial = await rate('trial');
+    const rho = await rate('rho');
+
+    if (trial === null || rho === null) {
+        return null;
+    }
+    return { trial, rho, bits: MathUtils.bitLength(n) };
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const Factorization = {
+    METHODS: FACTORING_METHODS,
+    PM1_DEFAULT_B1,
+    PM1_DEFAULT_B2,
+    PM1_MAX_BOUND,
+    trialDivision,
+    pollardRho,
+    pollardPMinus1,
+    factor,
+    primesUpTo,
+    classifyFactoringTime,
+    estimateFactoringTimes,
+    measureFactoringRates
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Factorization = Factorization;
+}
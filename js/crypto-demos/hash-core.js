@@ -376,6 +376,25 @@ async function computeHash(input, algorithm) {
     }
 }
 
+/**
+ * Compute a digest over raw bytes
+ *
+ * WHY A SEPARATE ENTRY POINT:
+ * The functions above hash text (UTF-8 encoded) and return hex, which is
+ * what the hash tool displays. Padding schemes (OAEP, PSS, MGF1) hash
+ * binary data and need the digest back as bytes.
+ *
+ * Only Web Crypto algorithms are supported (SHA-1, SHA-256, SHA-384, SHA-512).
+ *
+ * @param {Uint8Array} data - Bytes to hash
+ * @param {string} algorithm - 'SHA-1', 'SHA-256', 'SHA-384' or 'SHA-512'
+ * @returns {Promise<Uint8Array>} - Digest bytes
+ */
+async function digestBytes(data, algorithm = 'SHA-256') {
+    const hashBuffer = await crypto.subtle.digest(algorithm, data);
+    return new Uint8Array(hashBuffer);
+}
+
 /**
  * Get algorithm information
  *
@@ -401,6 +420,7 @@ const HashCore = {
     sha3,
     hmac,
     computeHash,
+    digestBytes,
     getAlgorithmInfo,
     isCryptoJSAvailable
 };
@@ -0,0 +1,259 @@
+/**
+ * ============================================================================
+ * PUBLIC KEY FINGERPRINTS AND RANDOMART
+ *
+ * A public key is hundreds of digits long, so people compare a short digest
+ * of it instead. Reading a fingerprint aloud over the phone, or checking it
+ * against one printed on a business card, confirms "out of band" that a key
+ * belongs to its owner: the defense against a man in the middle who
+ * substitutes their own key (SSH's first-connection prompt, PGP key signing
+ * parties, Signal safety numbers).
+ *
+ * FINGERPRINT: SHA-256 over the DER SubjectPublicKeyInfo (RFC 5280), the
+ * bytes `openssl pkey -pubin -outform DER | openssl dgst -sha256` hashes:
+ * - hex-colon: 79:29:5A:C9:... (certificate viewers, openssl dgst -c)
+ * - base64:    SHA256:eSlaybXh... (OpenSSH style, without padding)
+ *
+ * RANDOMART: OpenSSH's "drunken bishop" (ssh-keygen -lv; Loss, Limmer and
+ * von Gernler 2009) turns the digest into a 17 × 9 picture, since people
+ * notice a changed picture faster than a changed hex digit. The bishop
+ * starts in the centre and makes 4 diagonal moves per digest byte, 2 bits
+ * per move from the lowest (bit 0: right or left, bit 1: down or up),
+ * sliding along the walls. Each square counts its visits and is drawn with
+ * a denser symbol; S and E mark the start and end.
+ *
+ * SSH hashes its own key encoding, not SPKI, so these fingerprints differ
+ * from ssh-keygen's for the same key; the walk over a digest is identical.
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ * - ASN1 (asn1.js) for elliptic curve SPKI
+ * - Web Crypto API (crypto.subtle) for SHA-256
+ *
+ * ============================================================================
+ */
+
+// Randomart field, as in OpenSSH's sshkey.c
+const RANDOMART_WIDTH = 17;
+const RANDOMART_HEIGHT = 9;
+
+// Symbols by visit count (0 to 14 visits), then start and end
+const RANDOMART_SYMBOLS = ' .o+=*BOX@%&#/^SE';
+const RANDOMART_MAX_VISITS = RANDOMART_SYMBOLS.length - 3;
+
+// id-ecPublicKey and the curve parameter OIDs (RFC 5480, SEC 2)
+const EC_PUBLIC_KEY_OID = '1.2.840.10045.2.1';
+const EC_PRIME_FIELD_OID = '1.2.840.10045.1.1';
+const EC_NAMED_CURVE_OIDS = Object.freeze({
+    'P-256': '1.2.840.10045.3.1.7',
+    'secp256k1': '1.3.132.0.10'
+});
+
+// ============================================================================
+// ELLIPTIC CURVE SPKI (RFC 5480)
+// ============================================================================
+
+/**
+ * Encode a point uncompressed: 04 || x || y, coordinates of the field size
+ *
+ * @param {Object} point - {x, y}
+ * @param {number} size - Field element size in bytes
+ * @returns {Uint8Array}
+ */
+function encodeECPoint(point, size) {
+    return MathUtils.concatBytes(new Uint8Array([0x04]), MathUtils.i2osp(point.x, size), MathUtils.i2osp(point.y, size));
+}
+
+/**
+ * Encode an elliptic curve public key as SubjectPublicKeyInfo
+ *
+ * Named curves are identified by OID. Curves without one (the small test
+ * curve) are written out as explicit ECParameters (RFC 3279 §2.3.5):
+ * field prime, a, b, generator, order and cofactor.
+ *
+ * @param {Object} curve - { name, p, a, b, G, n, h }
+ * @param {Object} publicKey - Point {x, y}
+ * @returns {Uint8Array} - DER
+ */
+function encodeECSPKI(curve, publicKey) {
+    const size = Math.ceil(MathUtils.bitLength(curve.p) / 8);
+    const oid = EC_NAMED_CURVE_OIDS[curve.name];
+    const fieldElement = value => MathUtils.i2osp(((value % curve.p) + curve.p) % curve.p, size);
+
+    const parameters = oid
+        ? ASN1.encodeOID(oid)
+        : ASN1.encodeSequence(
+            ASN1.encodeInteger(1n),
+            ASN1.encodeSequence(ASN1.encodeOID(EC_PRIME_FIELD_OID), ASN1.encodeInteger(curve.p)),
+            ASN1.encodeSequence(
+                ASN1.encodeOctetString(fieldElement(curve.a)),
+                ASN1.encodeOctetString(fieldElement(curve.b))
+            ),
+            ASN1.encodeOctetString(encodeECPoint(curve.G, size)),
+            ASN1.encodeInteger(curve.n),
+            ASN1.encodeInteger(curve.h)
+        );
+
+    return ASN1.encodeSequence(
+        ASN1.encodeSequence(ASN1.encodeOID(EC_PUBLIC_KEY_OID), parameters),
+        ASN1.encodeBitString(encodeECPoint(publicKey, size))
+    );
+}
+
+// ============================================================================
+// FINGERPRINTS
+// ============================================================================
+
+/**
+ * Format digest bytes as upper-case hex pairs separated by colons
+ *
+ * @param {Uint8Array} bytes - Digest
+ * @returns {string} - e.g. '79:29:5A:C9'
+ */
+function formatHexColon(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(':');
+}
+
+/**
+ * Fingerprint a DER SubjectPublicKeyInfo
+ *
+ * @param {Uint8Array} spki - DER public key
+ * @param {string} title - Randomart title, e.g. 'RSA 2048'
+ * @returns {Promise<Object>} - { digest, hex, base64, randomart }
+ */
+async function fingerprintSPKI(spki, title = '') {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', spki));
+
+    return {
+        digest,
+        hex: formatHexColon(digest),
+        base64: 'SHA256:' + MathUtils.bytesToBase64(digest).replace(/=+$/, ''),
+        randomart: drunkenBishop(digest, title)
+    };
+}
+
+// ============================================================================
+// RANDOMART (DRUNKEN BISHOP)
+// ============================================================================
+
+/**
+ * Walk the drunken bishop over a digest
+ *
+ * @param {Uint8Array} digest - Any digest (SHA-256 gives 128 moves)
+ * @param {string} title - Shown in the top border, e.g. 'RSA 2048'
+ * @param {string} hashName - Shown in the bottom border
+ * @returns {Object} - { width, height, visits[y][x], start, end, lines }, lines
+ *          being the framed text picture exactly as ssh-keygen prints it
+ */
+function drunkenBishop(digest, title = '', hashName = 'SHA256') {
+    const visits = Array.from({ length: RANDOMART_HEIGHT }, () => new Array(RANDOMART_WIDTH).fill(0));
+    const start = { x: (RANDOMART_WIDTH - 1) / 2, y: (RANDOMART_HEIGHT - 1) / 2 };
+    let { x, y } = start;
+
+    for (const byte of digest) {
+        for (let move = 0; move < 4; move++) {
+            const bits = byte >> (2 * move);
+            x = Math.min(Math.max(x + (bits & 1 ? 1 : -1), 0), RANDOMART_WIDTH - 1);
+            y = Math.min(Math.max(y + (bits & 2 ? 1 : -1), 0), RANDOMART_HEIGHT - 1);
+            if (visits[y][x] < RANDOMART_MAX_VISITS) {
+                visits[y][x]++;
+            }
+        }
+    }
+
+    const end = { x, y };
+    const symbolAt = (column, row) => {
+        if (column === end.x && row === end.y) return 'E';
+        if (column === start.x && row === start.y) return 'S';
+        return RANDOMART_SYMBOLS[visits[row][column]];
+    };
+
+    const lines = [
+        randomartBorder(title),
+        ...visits.map((row, rowIndex) => '|' + row.map((_, column) => symbolAt(column, rowIndex)).join('') + '|'),
+        randomartBorder(hashName)
+    ];
+
+    return { width: RANDOMART_WIDTH, height: RANDOMART_HEIGHT, visits, start, end, lines };
+}
+
+/**
+ * Frame border with a centred [label], as in ssh-keygen
+ *
+ * @param {string} label - Border text (cut to fit)
+ * @returns {string} - e.g. '+---[RSA 1024]----+'
+ */
+function randomartBorder(label) {
+    const text = label ? `[${label}]`.slice(0, RANDOMART_WIDTH) : '';
+    const before = Math.floor((RANDOMART_WIDTH - text.length) / 2);
+    return '+' + '-'.repeat(before) + text + '-'.repeat(RANDOMART_WIDTH - before - text.length) + '+';
+}
+
+/**
+ * Draw a randomart picture on a canvas
+ *
+ * Each square is shaded by its visit count and labelled with its symbol;
+ * start and end squares are green and red.
+ *
+ * @param {HTMLCanvasElement} canvas - Target, ideally 17:9
+ * @param {Object} randomart - Output of drunkenBishop
+ */
+function drawRandomart(canvas, randomart) {
+    const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx) {
+        return;
+    }
+
+    const { width, height, visits, start, end, lines } = randomart;
+    const cell = Math.floor(Math.min(canvas.width / width, canvas.height / height));
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#f4f4f4';
+    ctx.fillRect(0, 0, cell * width, cell * height);
+
+    ctx.font = `bold ${Math.floor(cell * 0.7)}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const isStart = x === start.x && y === start.y;
+            const isEnd = x === end.x && y === end.y;
+            const count = visits[y][x];
+
+            if (isEnd || isStart) {
+                ctx.fillStyle = isEnd ? '#c0392b' : '#27ae60';
+            } else if (count > 0) {
+                // Lighter for one visit, darker as the bishop returns
+                ctx.fillStyle = `hsl(230, 60%, ${85 - 55 * count / RANDOMART_MAX_VISITS}%)`;
+            } else {
+                continue;
+            }
+            ctx.fillRect(x * cell, y * cell, cell, cell);
+
+            ctx.fillStyle = isStart || isEnd || count > RANDOMART_MAX_VISITS / 3 ? '#ffffff' : '#2c3e50';
+            ctx.fillText(lines[y + 1][x + 1], x * cell + cell / 2, y * cell + cell / 2);
+        }
+    }
+
+    ctx.strokeStyle = '#2c3e50';
+    ctx.strokeRect(0.5, 0.5, cell * width - 1, cell * height - 1);
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const KeyFingerprint = {
+    NAMED_CURVE_OIDS: EC_NAMED_CURVE_OIDS,
+    encodeECSPKI,
+    formatHexColon,
+    fingerprintSPKI,
+    drunkenBishop,
+    drawRandomart
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.KeyFingerprint = KeyFingerprint;
+}
@@ -0,0 +1,295 @@
+/**
+ * ============================================================================
+ * KEY VAULT - UI CONTROLLER
+ *
+ * Drives the "Key Vault" card shared by the RSA and elliptic curve tools:
+ * creating and unlocking the vault (KeyVault), saving the tool's current
+ * key, and the load, rename, export and delete actions of the key list.
+ *
+ * Each tool calls setupKeyVault() with hooks for what differs between
+ * them: which kinds of key it lists, how its current key is serialized,
+ * exported and loaded back, and which "load from vault" pickers to refresh.
+ *
+ * ============================================================================
+ */
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+let keyVault = null;          // KeyVault.EncryptedKeyVault, the page's vault
+let keyVaultHooks = null;     // Tool hooks passed to setupKeyVault
+
+// ============================================================================
+// SETUP
+// ============================================================================
+
+/**
+ * Wire the Key Vault card and show the vault's current state
+ *
+ * @param {Object} hooks
+ * @param {Array<string>} hooks.kinds - Key kinds this tool lists, e.g. ['rsa']
+ * @param {Function} hooks.getCurrentKey - () => { kind, name, summary, material };
+ *        name is the suggested name; throws if there is nothing to save
+ * @param {Function} hooks.exportKey - (entry) => { fileName, content, mimeType }
+ * @param {Function} hooks.onLoad - (entry) => void or Promise, use a loaded key in the tool
+ * @param {Function} hooks.onListChanged - (entries, unlocked) => void, e.g. refresh pickers
+ */
+function setupKeyVault(hooks) {
+    keyVault = new KeyVault.EncryptedKeyVault();
+    keyVaultHooks = hooks;
+
+    const unlockBtn = document.getElementById('vault-unlock-btn');
+    if (unlockBtn) {
+        unlockBtn.addEventListener('click', handleVaultUnlock);
+    }
+
+    const lockBtn = document.getElementById('vault-lock-btn');
+    if (lockBtn) {
+        lockBtn.addEventListener('click', () => {
+            keyVault.lock();
+            refreshKeyVault();
+        });
+    }
+
+    const saveBtn = document.getElementById('vault-save-btn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', handleVaultSave);
+    }
+
+    const destroyBtn = document.getElementById('vault-destroy-btn');
+    if (destroyBtn) {
+        destroyBtn.addEventListener('click', handleVaultDestroy);
+    }
+
+    // One delegated handler for the buttons of every listed key
+    const list = document.getElementById('vault-list');
+    if (list) {
+        list.addEventListener('click', handleVaultListClick);
+    }
+
+    refreshKeyVault();
+}
+
+/**
+ * Show whether a vault exists and is unlocked, and list this tool's keys
+ */
+async function refreshKeyVault() {
+    const status = document.getElementById('vault-status');
+    let info = null;
+    let entries = [];
+
+    try {
+        info = await keyVault.getInfo();
+        if (info) {
+            entries = await keyVault.list(keyVaultHooks.kinds);
+        }
+    } catch (error) {
+        console.error('Key vault unavailable:', error);
+        status.textContent = `The key vault is unavailable: ${error.message}`;
+        UIUtils.toggleElement('vault-controls', false);
+        return;
+    }
+
+    const unlocked = keyVault.isUnlocked;
+    const count = `${entries.length} key${entries.length === 1 ? '' : 's'} for this tool`;
+
+    if (!info) {
+        status.textContent = `No vault yet. Choose a passphrase of at least ${KeyVault.MIN_PASSPHRASE_LENGTH} ` +
+            'characters and a key derivation function to create one.';
+    } else if (unlocked) {
+        status.textContent = `🔓 Unlocked: ${count}. Key derived with ${KeyVault.KDFS[info.kdf].label}.`;
+    } else {
+        status.textContent = `🔒 Locked: ${count}. Enter the passphrase to use them.`;
+    }
+
+    document.getElementById('vault-unlock-btn').textContent = info ? 'Unlock Vault' : 'Create Vault';
+    UIUtils.toggleElement('vault-kdf-group', !info);
+    UIUtils.toggleElement('vault-unlock-group', !unlocked);
+    UIUtils.toggleElement('vault-lock-btn', unlocked);
+    UIUtils.toggleElement('vault-destroy-btn', Boolean(info));
+    document.getElementById('vault-save-btn').disabled = !unlocked;
+
+    document.getElementById('vault-list').innerHTML = info
+        ? DisplayComponents.createKeyVaultList({ entries, unlocked })
+        : '';
+
+    keyVaultHooks.onListChanged(entries, unlocked);
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+/**
+ * Create the vault, or unlock the existing one, with the typed passphrase
+ */
+async function handleVaultUnlock() {
+    const passphraseInput = document.getElementById('vault-passphrase');
+    const passphrase = passphraseInput.value;
+
+    if (!passphrase) {
+        UIUtils.showError('Please enter the vault passphrase');
+        return;
+    }
+
+    const unlockBtn = document.getElementById('vault-unlock-btn');
+
+    try {
+        if (await keyVault.getInfo()) {
+            UIUtils.setButtonLoading(unlockBtn, 'Deriving key...');
+            await keyVault.unlock(passphrase);
+        } else {
+            UIUtils.setButtonLoading(unlockBtn, 'Creating vault...');
+            await keyVault.create(passphrase, document.getElementById('vault-kdf').value);
+        }
+        passphraseInput.value = '';
+
+    } catch (error) {
+        console.error('Vault unlock failed:', error);
+        UIUtils.showError('Vault: ' + error.message);
+    } finally {
+        UIUtils.resetButton(unlockBtn);
+    }
+
+    await refreshKeyVault();
+}
+
+/**
+ * Encrypt the tool's current key into the vault under the typed name
+ */
+async function handleVaultSave() {
+    const nameInput = document.getElementById('vault-key-name');
+
+    try {
+        const current = keyVaultHooks.getCurrentKey();
+        const entry = await keyVault.save({ ...current, name: nameInput.value.trim() || current.name });
+
+        nameInput.value = '';
+        UIUtils.showSuccess(`Saved "${entry.name}" to the vault`);
+
+    } catch (error) {
+        console.error('Vault save failed:', error);
+        UIUtils.showError('Could not save the key: ' + error.message);
+    }
+
+    await refreshKeyVault();
+}
+
+/**
+ * Run the load, rename, export or delete action of a listed key
+ *
+ * @param {Event} event - Click inside the vault list
+ */
+async function handleVaultListClick(event) {
+    const button = event.target.closest('[data-vault-action]');
+    if (!button) {
+        return;
+    }
+
+    const { vaultAction: action, id } = button.dataset;
+
+    try {
+        if (action === 'load') {
+            await keyVaultHooks.onLoad(await keyVault.load(id));
+
+        } else if (action === 'export') {
+            const { fileName, content, mimeType } = keyVaultHooks.exportKey(await keyVault.load(id));
+            UIUtils.downloadFile(fileName, content, mimeType);
+
+        } else if (action === 'rename') {
+            const entry = (await keyVault.list()).find(candidate => candidate.id === id);
+            const name = window.prompt('New name for this key:', entry ? entry.name : '');
+            if (name === null) {
+                return;
+            }
+            await keyVault.rename(id, name);
+            await refreshKeyVault();
+
+        } else if (action === 'delete') {
+            if (!window.confirm('Delete this key from the vault? This cannot be undone.')) {
+                return;
+            }
+            await keyVault.remove(id);
+            await refreshKeyVault();
+        }
+
+    } catch (error) {
+        console.error(`Vault ${action} failed:`, error);
+        UIUtils.showError(`Vault ${action} failed: ` + error.message);
+    }
+}
+
+/**
+ * Delete the vault with every key in it (the way out of a forgotten passphrase)
+ */
+async function handleVaultDestroy() {
+    if (!window.confirm('Delete the vault and every key saved in it, for all tools? This cannot be undone.')) {
+        return;
+    }
+
+    try {
+        await keyVault.destroy();
+    } catch (error) {
+        console.error('Vault deletion failed:', error);
+        UIUtils.showError('Could not delete the vault: ' + error.message);
+    }
+
+    await refreshKeyVault();
+}
+
+// ============================================================================
+// PICKERS
+// ============================================================================
+
+/**
+ * Decrypt a key chosen in a tool's "load from vault" picker
+ *
+ * @param {string} id - Entry id (the picker option's value)
+ * @returns {Promise<Object>} - { id, name, kind, summary, created, material }
+ * @throws {Error} If the vault is locked or the key cannot be decrypted
+ */
+function loadVaultEntry(id) {
+    return keyVault.load(id);
+}
+
+/**
+ * Fill a "load from vault" picker with vault entries
+ *
+ * @param {string} selectId - <select> element id
+ * @param {Array<Object>} entries - Entries to offer (id, name, summary)
+ * @param {Object|null} firstOption - { value, label } kept at the top, e.g. "generate a new key"
+ */
+function populateVaultPicker(selectId, entries, firstOption = null) {
+    const select = document.getElementById(selectId);
+    if (!select) {
+        return;
+    }
+
+    const previous = select.value;
+    select.innerHTML = '';
+
+    if (firstOption) {
+        select.appendChild(new Option(firstOption.label, firstOption.value));
+    }
+    for (const { id, name, summary } of entries) {
+        select.appendChild(new Option(`${name} (${summary})`, id));
+    }
+
+    // Keep the selection across refreshes while the key still exists
+    if ([...select.options].some(option => option.value === previous)) {
+        select.value = previous;
+    }
+}
+
+/**
+ * File name for an exported vault key
+ *
+ * @param {string} name - Entry name
+ * @param {string} extension - e.g. 'pem'
+ * @returns {string} - Lower-case name with runs of other characters as '-'
+ */
+function vaultExportFileName(name, extension) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${base || 'key'}.${extension}`;
+}
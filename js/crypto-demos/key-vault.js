@@ -0,0 +1,642 @@
+/**
+ * ============================================================================
+ * PASSWORD-PROTECTED KEY VAULT (INDEXEDDB + AES-256-GCM)
+ *
+ * Keys generated in the tools live in page memory and vanish on reload.
+ * The vault keeps named key pairs in the browser's IndexedDB, each one
+ * encrypted under a key derived from a passphrase:
+ *
+ *   1. Pick a random 16-byte salt when the vault is created
+ *   2. Vault key K = KDF(passphrase, salt), with either
+ *      - PBKDF2-HMAC-SHA256 (RFC 8018), 600,000 iterations: the work is
+ *        time only, so GPUs and ASICs test passphrases cheaply in parallel
+ *      - scrypt (RFC 7914), N = 2^15, r = 8, p = 1: every guess also needs
+ *        32 MiB of memory, which is what makes parallel guessing expensive
+ *   3. Each key record: AES-256-GCM under K with a fresh 12-byte IV, the
+ *      record id and kind bound to the tag as additional authenticated
+ *      data, so ciphertexts cannot be swapped between records
+ *
+ * A known plaintext encrypted at creation checks the passphrase on unlock:
+ * a wrong passphrase gives a different K and the GCM tag fails. K is held
+ * in memory as a non-extractable CryptoKey until the vault is locked or
+ * the page is closed; the passphrase itself is never stored.
+ *
+ * Names, kinds and summaries stay in the clear so the list shows while the
+ * vault is locked. Only the key material is encrypted.
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ * - Web Crypto API (crypto.subtle) for AES-GCM and PBKDF2
+ * - IndexedDB
+ *
+ * ============================================================================
+ */
+
+// Storage
+const VAULT_DATABASE_NAME = 'crypto-demos-key-vault';
+const VAULT_DATABASE_VERSION = 1;
+const VAULT_META_STORE = 'meta';
+const VAULT_KEY_STORE = 'keys';
+const VAULT_META_ID = 'vault';
+const VAULT_FORMAT_VERSION = 1;
+
+// Symmetric layer
+const VAULT_CIPHER = 'AES-256-GCM';
+const VAULT_AES_KEY_BYTES = 32;
+const VAULT_IV_BYTES = 12;        // 96-bit nonce, the GCM standard size
+const VAULT_SALT_BYTES = 16;
+const VAULT_ID_BYTES = 16;
+
+// Encrypted at creation and decrypted on unlock to check the passphrase
+const VAULT_CHECK_TEXT = 'key-vault v1 passphrase check';
+
+const VAULT_MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Passphrase-based key derivation functions, by the name stored in the vault
+ *
+ * PBKDF2 iterations follow the OWASP recommendation for HMAC-SHA256 (2023);
+ * scrypt uses N = 2^15 rather than OWASP's 2^17 to keep a pure JavaScript
+ * unlock under a few seconds.
+ */
+const VAULT_KDFS = Object.freeze({
+    'PBKDF2-SHA256': {
+        label: 'PBKDF2-HMAC-SHA256, 600,000 iterations',
+        params: Object.freeze({ iterations: 600000 })
+    },
+    'scrypt': {
+        label: 'scrypt, N = 2^15, r = 8, p = 1 (32 MiB per guess)',
+        params: Object.freeze({ N: 32768, r: 8, p: 1 })
+    }
+});
+
+// ============================================================================
+// SCRYPT (RFC 7914)
+// ============================================================================
+
+/**
+ * Salsa20/8 core, in place on 16 little-endian words
+ *
+ * @param {Uint32Array} B - 16 words, replaced by Salsa20/8(B)
+ * @param {Uint32Array} x - 16 words of scratch space
+ */
+function salsa208Core(B, x) {
+    const R = (a, b) => (a << b) | (a >>> (32 - b));
+    x.set(B);
+
+    for (let i = 0; i < 8; i += 2) {
+        // Column round
+        x[4] ^= R(x[0] + x[12], 7);   x[8] ^= R(x[4] + x[0], 9);
+        x[12] ^= R(x[8] + x[4], 13);  x[0] ^= R(x[12] + x[8], 18);
+        x[9] ^= R(x[5] + x[1], 7);    x[13] ^= R(x[9] + x[5], 9);
+        x[1] ^= R(x[13] + x[9], 13);  x[5] ^= R(x[1] + x[13], 18);
+        x[14] ^= R(x[10] + x[6], 7);  x[2] ^= R(x[14] + x[10], 9);
+        x[6] ^= R(x[2] + x[14], 13);  x[10] ^= R(x[6] + x[2], 18);
+        x[3] ^= R(x[15] + x[11], 7);  x[7] ^= R(x[3] + x[15], 9);
+        x[11] ^= R(x[7] + x[3], 13);  x[15] ^= R(x[11] + x[7], 18);
+
+        // Row round
+        x[1] ^= R(x[0] + x[3], 7);    x[2] ^= R(x[1] + x[0], 9);
+        x[3] ^= R(x[2] + x[1], 13);   x[0] ^= R(x[3] + x[2], 18);
+        x[6] ^= R(x[5] + x[4], 7);    x[7] ^= R(x[6] + x[5], 9);
+        x[4] ^= R(x[7] + x[6], 13);   x[5] ^= R(x[4] + x[7], 18);
+        x[11] ^= R(x[10] + x[9], 7);  x[8] ^= R(x[11] + x[10], 9);
+        x[9] ^= R(x[8] + x[11], 13);  x[10] ^= R(x[9] + x[8], 18);
+        x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9);
+        x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18);
+    }
+
+    for (let i = 0; i < 16; i++) {
+        B[i] += x[i];
+    }
+}
+
+/**
+ * scryptBlockMix: Salsa20/8 chained over the 2r 64-byte blocks of B
+ *
+ * Output blocks are reordered even-indexed first, then odd-indexed.
+ *
+ * @param {Uint32Array} B - 32r words, replaced by the mixed block
+ * @param {Uint32Array} Y - 32r words of scratch space
+ * @param {Uint32Array} X - 16 words of scratch space
+ * @param {Uint32Array} x - 16 words of scratch space for the core
+ * @param {number} r - Block size parameter
+ */
+function scryptBlockMix(B, Y, X, x, r) {
+    X.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+    for (let i = 0; i < 2 * r; i++) {
+        for (let j = 0; j < 16; j++) {
+            X[j] ^= B[i * 16 + j];
+        }
+        salsa208Core(X, x);
+        // Y_i goes to position i/2 (even i) or r + (i-1)/2 (odd i)
+        Y.set(X, ((i >> 1) + (i & 1) * r) * 16);
+    }
+
+    B.set(Y);
+}
+
+/**
+ * scryptROMix: the memory-hard step, N block mixes stored then read back
+ * at data-dependent positions
+ *
+ * @param {Uint32Array} B - 32r words, replaced by ROMix(B)
+ * @param {number} N - CPU/memory cost, a power of 2
+ * @param {number} r - Block size parameter
+ */
+function scryptROMix(B, N, r) {
+    const words = 32 * r;
+    const V = new Uint32Array(words * N);
+    const Y = new Uint32Array(words);
+    const X = new Uint32Array(16);
+    const x = new Uint32Array(16);
+
+    for (let i = 0; i < N; i++) {
+        V.set(B, i * words);
+        scryptBlockMix(B, Y, X, x, r);
+    }
+
+    for (let i = 0; i < N; i++) {
+        // Integerify: first word of the last 64-byte block, mod N
+        const j = B[(2 * r - 1) * 16] & (N - 1);
+        for (let k = 0; k < words; k++) {
+            B[k] ^= V[j * words + k];
+        }
+        scryptBlockMix(B, Y, X, x, r);
+    }
+}
+
+/**
+ * PBKDF2-HMAC-SHA256 through Web Crypto
+ *
+ * @param {Uint8Array} password - Password bytes
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - Iteration count
+ * @param {number} length - Output length in bytes
+ * @returns {Promise<Uint8Array>} - Derived bytes
+ */
+async function pbkdf2SHA256(password, salt, iterations, length) {
+    const baseKey = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        length * 8
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * scrypt key derivation (RFC 7914)
+ *
+ * B = PBKDF2-SHA256(P, S, 1, p·128·r), each 128r-byte chunk of B through
+ * ROMix, then DK = PBKDF2-SHA256(P, B, 1, dkLen).
+ *
+ * @param {Uint8Array} password - Password bytes
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {Object} params - { N, r, p }
+ * @param {number} length - Output length in bytes
+ * @returns {Promise<Uint8Array>} - Derived key
+ * @throws {Error} If N is not a power of 2 greater than 1, or r or p is not positive
+ */
+async function scrypt(password, salt, params, length) {
+    const { N, r, p } = params;
+
+    if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+        throw new Error('scrypt N must be a power of 2 greater than 1');
+    }
+    if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+        throw new Error('scrypt r and p must be positive integers');
+    }
+
+    const blockBytes = 128 * r;
+    const B = await pbkdf2SHA256(password, salt, 1, p * blockBytes);
+    const view = new DataView(B.buffer, B.byteOffset, B.byteLength);
+    const words = new Uint32Array(32 * r);
+
+    for (let i = 0; i < p; i++) {
+        const offset = i * blockBytes;
+        for (let k = 0; k < words.length; k++) {
+            words[k] = view.getUint32(offset + 4 * k, true);
+        }
+        scryptROMix(words, N, r);
+        for (let k = 0; k < words.length; k++) {
+            view.setUint32(offset + 4 * k, words[k], true);
+        }
+    }
+
+    return pbkdf2SHA256(password, B, 1, length);
+}
+
+// ============================================================================
+// VAULT KEY AND ENCRYPTION
+// ============================================================================
+
+/**
+ * Derive the vault's AES-256-GCM key from a passphrase
+ *
+ * The passphrase is NFC-normalized first, so the same characters typed on
+ * different systems give the same key.
+ *
+ * @param {string} passphrase - User passphrase
+ * @param {string} kdf - Key in VAULT_KDFS
+ * @param {Object} params - KDF parameters ({ iterations } or { N, r, p })
+ * @param {Uint8Array} salt - Vault salt
+ * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM key
+ * @throws {Error} If the KDF is unknown
+ */
+async function deriveVaultKey(passphrase, kdf, params, salt) {
+    const password = new TextEncoder().encode(passphrase.normalize('NFC'));
+
+    if (kdf === 'PBKDF2-SHA256') {
+        const baseKey = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: params.iterations },
+            baseKey,
+            { name: 'AES-GCM', length: VAULT_AES_KEY_BYTES * 8 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    if (kdf === 'scrypt') {
+        const keyBytes = await scrypt(password, salt, params, VAULT_AES_KEY_BYTES);
+        return crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    }
+
+    throw new Error(`Unknown key derivation function: ${kdf}`);
+}
+
+/**
+ * Additional authenticated data, in a fixed order
+ *
+ * @param {Array} fields - Values bound to the GCM tag
+ * @returns {Uint8Array}
+ */
+function vaultAssociatedData(fields) {
+    return new TextEncoder().encode(JSON.stringify([VAULT_FORMAT_VERSION, ...fields]));
+}
+
+/**
+ * Encrypt bytes under the vault key with a fresh IV
+ *
+ * @param {CryptoKey} key - Vault key
+ * @param {Uint8Array} plaintext - Data
+ * @param {Array} fields - Values bound as additional authenticated data
+ * @returns {Promise<Object>} - { iv, ciphertext }, both base64
+ */
+async function vaultEncrypt(key, plaintext, fields) {
+    const iv = crypto.getRandomValues(new Uint8Array(VAULT_IV_BYTES));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: vaultAssociatedData(fields) },
+        key,
+        plaintext
+    );
+    return {
+        iv: MathUtils.bytesToBase64(iv),
+        ciphertext: MathUtils.bytesToBase64(new Uint8Array(ciphertext))
+    };
+}
+
+/**
+ * Decrypt a vault record
+ *
+ * @param {CryptoKey} key - Vault key
+ * @param {Object} sealed - { iv, ciphertext }, both base64
+ * @param {Array} fields - Values bound as additional authenticated data
+ * @returns {Promise<Uint8Array>} - Plaintext
+ * @throws {Error} Generic error if the key is wrong or the record was modified
+ */
+async function vaultDecrypt(key, sealed, fields) {
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: MathUtils.base64ToBytes(sealed.iv), additionalData: vaultAssociatedData(fields) },
+            key,
+            MathUtils.base64ToBytes(sealed.ciphertext)
+        );
+        return new Uint8Array(plaintext);
+    } catch (error) {
+        throw new Error('Decryption error');
+    }
+}
+
+// ============================================================================
+// INDEXEDDB
+// ============================================================================
+
+/**
+ * Wrap an IndexedDB request in a promise
+ *
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} - request.result
+ */
+function vaultRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and on first use create) the vault database
+ *
+ * @param {string} databaseName
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} If the browser has no IndexedDB (e.g. some private modes)
+ */
+function openVaultDatabase(databaseName) {
+    if (typeof indexedDB === 'undefined') {
+        throw new Error('IndexedDB is not available in this browser');
+    }
+
+    const request = indexedDB.open(databaseName, VAULT_DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(VAULT_META_STORE, { keyPath: 'id' });
+        db.createObjectStore(VAULT_KEY_STORE, { keyPath: 'id' });
+    };
+    return vaultRequest(request);
+}
+
+/**
+ * Run one request in its own transaction and wait for the commit
+ *
+ * @param {string} databaseName
+ * @param {string} storeName - VAULT_META_STORE or VAULT_KEY_STORE
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} - Result of the request
+ */
+async function vaultTransaction(databaseName, storeName, mode, operation) {
+    const db = await openVaultDatabase(databaseName);
+
+    try {
+        const transaction = db.transaction(storeName, mode);
+        const committed = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Vault transaction aborted'));
+        });
+
+        const result = await vaultRequest(operation(transaction.objectStore(storeName)));
+        await committed;
+        return result;
+    } finally {
+        db.close();
+    }
+}
+
+// ============================================================================
+// VAULT
+// ============================================================================
+
+/**
+ * Named key pairs, encrypted under a passphrase, in one IndexedDB database
+ *
+ * Key material is any JSON value chosen by the caller (BigInts as hex
+ * strings); the vault only stores and encrypts it. Entries carry a kind
+ * ('rsa', 'ecdh', 'ecdsa', ...) so each tool lists only the keys it can use.
+ */
+class EncryptedKeyVault {
+    /**
+     * @param {string} databaseName - IndexedDB database (tests use their own)
+     */
+    constructor(databaseName = VAULT_DATABASE_NAME) {
+        this.databaseName = databaseName;
+        this.key = null;
+    }
+
+    /**
+     * @returns {boolean} - True while the vault key is in memory
+     */
+    get isUnlocked() {
+        return this.key !== null;
+    }
+
+    /**
+     * Vault header: KDF, parameters and creation date
+     *
+     * @returns {Promise<Object|null>} - { kdf, params, created }, or null if no vault exists
+     */
+    async getInfo() {
+        const meta = await vaultTransaction(this.databaseName, VAULT_META_STORE, 'readonly',
+            store => store.get(VAULT_META_ID));
+        return meta ? { kdf: meta.kdf, params: meta.params, created: meta.created } : null;
+    }
+
+    /**
+     * Create the vault and unlock it
+     *
+     * @param {string} passphrase - At least VAULT_MIN_PASSPHRASE_LENGTH characters
+     * @param {string} kdf - Key in VAULT_KDFS (default PBKDF2-SHA256)
+     * @param {Object} params - KDF parameters (default VAULT_KDFS[kdf].params)
+     * @throws {Error} If a vault exists, the passphrase is too short or the KDF is unknown
+     */
+    async create(passphrase, kdf = 'PBKDF2-SHA256', params = null) {
+        if (!VAULT_KDFS[kdf]) {
+            throw new Error(`Unknown key derivation function: ${kdf}`);
+        }
+        if (passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        if (await this.getInfo()) {
+            throw new Error('A vault already exists: unlock it or delete it first');
+        }
+
+        const kdfParams = { ...(params || VAULT_KDFS[kdf].params) };
+        const salt = crypto.getRandomValues(new Uint8Array(VAULT_SALT_BYTES));
+        const key = await deriveVaultKey(passphrase, kdf, kdfParams, salt);
+        const check = await vaultEncrypt(key, new TextEncoder().encode(VAULT_CHECK_TEXT), ['check', kdf, kdfParams]);
+
+        await vaultTransaction(this.databaseName, VAULT_META_STORE, 'readwrite', store => store.put({
+            id: VAULT_META_ID,
+            version: VAULT_FORMAT_VERSION,
+            cipher: VAULT_CIPHER,
+            kdf,
+            params: kdfParams,
+            salt: MathUtils.bytesToBase64(salt),
+            check,
+            created: new Date().toISOString()
+        }));
+
+        this.key = key;
+    }
+
+    /**
+     * Derive the vault key from the passphrase and keep it in memory
+     *
+     * @param {string} passphrase - User passphrase
+     * @throws {Error} If no vault exists or the passphrase is wrong
+     */
+    async unlock(passphrase) {
+        const meta = await vaultTransaction(this.databaseName, VAULT_META_STORE, 'readonly',
+            store => store.get(VAULT_META_ID));
+        if (!meta) {
+            throw new Error('No vault exists yet');
+        }
+
+        const key = await deriveVaultKey(passphrase, meta.kdf, meta.params, MathUtils.base64ToBytes(meta.salt));
+
+        try {
+            await vaultDecrypt(key, meta.check, ['check', meta.kdf, meta.params]);
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+
+        this.key = key;
+    }
+
+    /**
+     * Forget the vault key (the passphrase is needed again)
+     */
+    lock() {
+        this.key = null;
+    }
+
+    /**
+     * @throws {Error} If the vault is locked
+     */
+    requireUnlocked() {
+        if (!this.key) {
+            throw new Error('Unlock the vault first');
+        }
+    }
+
+    /**
+     * List the stored keys, oldest first (works while locked)
+     *
+     * @param {Array<string>|null} kinds - Only these kinds (default all)
+     * @returns {Promise<Array<Object>>} - [{ id, name, kind, summary, created }]
+     */
+    async list(kinds = null) {
+        const records = await vaultTransaction(this.databaseName, VAULT_KEY_STORE, 'readonly',
+            store => store.getAll());
+
+        return records
+            .filter(record => !kinds || kinds.includes(record.kind))
+            .map(({ id, name, kind, summary, created }) => ({ id, name, kind, summary, created }))
+            .sort((a, b) => a.created.localeCompare(b.created) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Encrypt and store a key
+     *
+     * @param {Object} entry
+     * @param {string} entry.name - Display name
+     * @param {string} entry.kind - Key kind, e.g. 'rsa'
+     * @param {string} entry.summary - Short description shown in lists (stored in the clear)
+     * @param {*} entry.material - JSON-serializable key material
+     * @returns {Promise<Object>} - { id, name, kind, summary, created }
+     * @throws {Error} If the vault is locked or the name or kind is empty
+     */
+    async save({ name, kind, summary = '', material }) {
+        this.requireUnlocked();
+
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Please enter a name for the key');
+        }
+        if (!kind) {
+            throw new Error('Key kind is required');
+        }
+
+        const id = MathUtils.bytesToHex(crypto.getRandomValues(new Uint8Array(VAULT_ID_BYTES)));
+        const sealed = await vaultEncrypt(this.key, new TextEncoder().encode(JSON.stringify(material)), [id, kind]);
+        const entry = { id, name: trimmedName, kind, summary, created: new Date().toISOString() };
+
+        await vaultTransaction(this.databaseName, VAULT_KEY_STORE, 'readwrite',
+            store => store.add({ ...entry, ...sealed }));
+
+        return entry;
+    }
+
+    /**
+     * Read and decrypt one key
+     *
+     * @param {string} id - Entry id
+     * @returns {Promise<Object>} - { id, name, kind, summary, created, material }
+     * @throws {Error} If the vault is locked, the entry is missing or fails to decrypt
+     */
+    async load(id) {
+        this.requireUnlocked();
+        const record = await this.getRecord(id);
+        const plaintext = await vaultDecrypt(this.key, record, [record.id, record.kind]);
+        const { name, kind, summary, created } = record;
+
+        return { id, name, kind, summary, created, material: JSON.parse(new TextDecoder().decode(plaintext)) };
+    }
+
+    /**
+     * Give a stored key a new name
+     *
+     * @param {string} id - Entry id
+     * @param {string} name - New name
+     * @throws {Error} If the vault is locked, the entry is missing or the name is empty
+     */
+    async rename(id, name) {
+        this.requireUnlocked();
+
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Please enter a name for the key');
+        }
+
+        const record = await this.getRecord(id);
+        await vaultTransaction(this.databaseName, VAULT_KEY_STORE, 'readwrite',
+            store => store.put({ ...record, name: trimmedName }));
+    }
+
+    /**
+     * Delete a stored key
+     *
+     * @param {string} id - Entry id
+     * @throws {Error} If the vault is locked
+     */
+    async remove(id) {
+        this.requireUnlocked();
+        await vaultTransaction(this.databaseName, VAULT_KEY_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Delete the whole vault, e.g. after a forgotten passphrase
+     */
+    async destroy() {
+        this.lock();
+        if (typeof indexedDB === 'undefined') {
+            return;
+        }
+        await vaultRequest(indexedDB.deleteDatabase(this.databaseName));
+    }
+
+    /**
+     * @param {string} id - Entry id
+     * @returns {Promise<Object>} - Stored record, ciphertext included
+     * @throws {Error} If no entry has this id
+     */
+    async getRecord(id) {
+        const record = await vaultTransaction(this.databaseName, VAULT_KEY_STORE, 'readonly', store => store.get(id));
+        if (!record) {
+            throw new Error('Key not found in the vault');
+        }
+        return record;
+    }
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const KeyVault = {
+    KDFS: VAULT_KDFS,
+    CIPHER: VAULT_CIPHER,
+    MIN_PASSPHRASE_LENGTH: VAULT_MIN_PASSPHRASE_LENGTH,
+    EncryptedKeyVault,
+    deriveVaultKey,
+    pbkdf2SHA256,
+    scrypt
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.KeyVault = KeyVault;
+}
@@ -56,6 +56,32 @@ function gcd(a, b) {
     return a;
 }
 
+/**
+ * Least Common Multiple
+ *
+ * lcm(a, b) = |a·b| / gcd(a, b), computed as a / gcd · b so the
+ * intermediate product stays no larger than the result.
+ *
+ * RSA APPLICATION:
+ * Carmichael's λ(n) = lcm(p-1, q-1), the smallest modulus for the
+ * private exponent (see carmichaelLambda).
+ *
+ * EXAMPLE:
+ *   lcm(60, 52) = 60 / gcd(60, 52) · 52 = 60 / 4 · 52 = 780
+ *
+ * @param {BigInt} a - First integer
+ * @param {BigInt} b - Second integer
+ * @returns {BigInt} - LCM of a and b (0 if either is 0)
+ */
+function lcm(a, b) {
+    if (a === 0n || b === 0n) {
+        return 0n;
+    }
+
+    const result = (a / gcd(a, b)) * b;
+    return result < 0n ? -result : result;
+}
+
 /**
  * Extended Euclidean Algorithm
  *
@@ -99,6 +125,60 @@ function extendedGCD(a, b) {
     return { gcd: result.gcd, x, y };
 }
 
+/**
+ * Extended Euclidean Algorithm, Traced Row by Row
+ *
+ * The iterative form of extendedGCD, as it is done by hand. Starting from
+ * rows (r, s, t) = (a, 1, 0) and (b, 0, 1), each new row is
+ *
+ *   qᵢ = ⌊rᵢ₋₂ / rᵢ₋₁⌋
+ *   rᵢ = rᵢ₋₂ - qᵢ·rᵢ₋₁,  sᵢ = sᵢ₋₂ - qᵢ·sᵢ₋₁,  tᵢ = tᵢ₋₂ - qᵢ·tᵢ₋₁
+ *
+ * and every row keeps the invariant rᵢ = a·sᵢ + b·tᵢ. The last nonzero
+ * remainder is gcd(a, b), and its row holds the Bézout coefficients.
+ *
+ * EXAMPLE: a = φ(n) = 3120, b = e = 17 (p = 61, q = 53)
+ *   i    q      r      s      t
+ *   0    -   3120      1      0
+ *   1    -     17      0      1
+ *   2  183      9      1   -183
+ *   3    1      8     -1    184
+ *   4    1      1      2   -367
+ *   5    8      0    -17   3120
+ *
+ *   gcd = 1 = 3120·2 + 17·(-367), so d = 17⁻¹ mod 3120 = -367 + 3120 = 2753
+ *
+ * @param {BigInt} a - First integer (≥ 0)
+ * @param {BigInt} b - Second integer (≥ 0)
+ * @returns {Object} - { gcd, x, y, rows } with a·x + b·y = gcd and
+ *          rows = [{ index, quotient, remainder, s, t }] (quotient null
+ *          in the two starting rows, remainder 0 in the last row)
+ */
+function extendedGCDTrace(a, b) {
+    const rows = [
+        { index: 0, quotient: null, remainder: a, s: 1n, t: 0n },
+        { index: 1, quotient: null, remainder: b, s: 0n, t: 1n }
+    ];
+
+    let previous = rows[0];
+    let current = rows[1];
+    while (current.remainder !== 0n) {
+        const quotient = previous.remainder / current.remainder;
+        const next = {
+            index: current.index + 1,
+            quotient,
+            remainder: previous.remainder - quotient * current.remainder,
+            s: previous.s - quotient * current.s,
+            t: previous.t - quotient * current.t
+        };
+        rows.push(next);
+        previous = current;
+        current = next;
+    }
+
+    return { gcd: previous.remainder, x: previous.s, y: previous.t, rows };
+}
+
 /**
  * Modular Multiplicative Inverse
  *
@@ -180,13 +260,16 @@ function modInverse(a, n) {
  * @param {BigInt} base - Base
  * @param {BigInt} exponent - Exponent (≥ 0)
  * @param {BigInt} modulus - Modulus
+ * @param {Function} onStep - Optional, called after each exponent bit with
+ *        { position, bit, base, accumulator, multiplied }: the running base
+ *        x^(2^i) used for bit i and the accumulator after it (see traceModPow)
  * @returns {BigInt} - base^exponent mod modulus
  */
-function modPow(base, exponent, modulus) {
+function modPow(base, exponent, modulus, onStep = null) {
     // Edge cases
     if (modulus === 1n) return 0n;
     if (exponent === 0n) return 1n;
-    if (exponent === 1n) return base % modulus;
+    if (exponent === 1n && !onStep) return base % modulus;
 
     // Ensure base is in range [0, modulus)
     base = base % modulus;
@@ -194,19 +277,26 @@ function modPow(base, exponent, modulus) {
     let result = 1n;
     let currentBase = base;
     let currentExponent = exponent;
+    let position = 0;
 
     // Process each bit of the exponent (right to left)
     while (currentExponent > 0n) {
         // If current bit is 1, multiply result by current base
-        if (currentExponent % 2n === 1n) {
+        const bit = currentExponent % 2n === 1n;
+        if (bit) {
             result = (result * currentBase) % modulus;
         }
 
+        if (onStep) {
+            onStep({ position, bit: bit ? 1 : 0, base: currentBase, accumulator: result, multiplied: bit });
+        }
+
         // Square the base for next bit position
         currentBase = (currentBase * currentBase) % modulus;
 
         // Shift to next bit (divide by 2)
         currentExponent = currentExponent / 2n;
+        position++;
     }
 
     return result;
@@ -240,12 +330,18 @@ function modPow(base, exponent, modulus) {
  *   - Branch prediction
  * But this is still better than the naive version.
  *
+ * INVARIANT: after the bits e_(L-1) … e_i, R0 = base^k and R1 = base^(k+1)
+ * where k is the exponent read so far, so the ladder starts from
+ * R0 = base^0 and R1 = base^1 and reads every bit, the leading 1 included.
+ *
  * @param {BigInt} base
  * @param {BigInt} exponent
  * @param {BigInt} modulus
+ * @param {Function} onStep - Optional, called after each exponent bit with
+ *        { position, bit, base: R1, accumulator: R0, multiplied: true }
  * @returns {BigInt}
  */
-function modPowConstantTime(base, exponent, modulus) {
+function modPowConstantTime(base, exponent, modulus, onStep = null) {
     if (modulus === 1n) return 0n;
     if (exponent === 0n) return 1n;
 
@@ -260,7 +356,7 @@ function modPowConstantTime(base, exponent, modulus) {
     let R1 = base; // Represents base^1
 
     // Process each bit from left to right (most significant to least)
-    for (let i = 1; i < bitLength; i++) {
+    for (let i = 0; i < bitLength; i++) {
         const bit = expBinary[i];
 
         if (bit === '0') {
@@ -272,11 +368,299 @@ function modPowConstantTime(base, exponent, modulus) {
             R0 = (R0 * R1) % modulus;
             R1 = (R1 * R1) % modulus;
         }
+
+        if (onStep) {
+            onStep({ position: bitLength - 1 - i, bit: Number(bit), base: R1, accumulator: R0, multiplied: true });
+        }
     }
 
     return R0;
 }
 
+/**
+ * Record every step of modPow or modPowConstantTime
+ *
+ * Both methods run unchanged with an onStep callback, so the trace shows
+ * exactly the operations they perform:
+ * - 'binary' (modPow): bits right to left, one squaring per bit and a
+ *   multiplication only for 1-bits, so the operation sequence spells
+ *   out the exponent
+ * - 'ladder' (modPowConstantTime): bits left to right, one multiplication
+ *   and one squaring per bit whatever its value
+ *
+ * @param {BigInt} base - Base
+ * @param {BigInt} exponent - Exponent (≥ 1)
+ * @param {BigInt} modulus - Modulus (> 1)
+ * @param {string} method - 'binary' or 'ladder'
+ * @returns {Object} - { method, result, steps, squarings, multiplications }
+ * @throws {Error} On an unknown method
+ */
+function traceModPow(base, exponent, modulus, method = 'binary') {
+    const steps = [];
+    const record = step => steps.push(step);
+
+    let result;
+    if (method === 'binary') {
+        result = modPow(base, exponent, modulus, record);
+    } else if (method === 'ladder') {
+        result = modPowConstantTime(base, exponent, modulus, record);
+    } else {
+        throw new Error(`Unknown exponentiation method: ${method}`);
+    }
+
+    return {
+        method,
+        result,
+        steps,
+        squarings: steps.length,
+        multiplications: steps.filter(step => step.multiplied).length
+    };
+}
+
+// ============================================================================
+// MONTGOMERY ARITHMETIC AND SLIDING-WINDOW EXPONENTIATION
+// ============================================================================
+
+/**
+ * Default reduction for modPowWindowed: 'division' (x % n) or 'montgomery'
+ *
+ * MEASURED (V8, BigInt): one 2048-bit modular multiplication takes about
+ * 5.9 µs with %, 7.1 µs with Montgomery reduction. BigInt division is
+ * native code, while Montgomery pays for three full-size multiplications
+ * (the library cannot compute only the low or high half of a product).
+ * Montgomery wins where division is the expensive part, such as word-level
+ * implementations in C; the benchmark in the RSA tool measures both in
+ * the browser at hand.
+ *
+ * RSA encryption and decryption, key generation and the primality tests
+ * ask for Montgomery reduction explicitly (modPowMontgomery); this
+ * default applies to every other caller.
+ */
+const MODPOW_REDUCTION = 'division';
+
+/**
+ * Montgomery Context for an odd modulus n
+ *
+ * IDEA (Montgomery, 1985): pick R = 2^k > n and represent a as
+ * ā = a·R mod n. The product of two such numbers, ā·b̄ = a·b·R² mod n,
+ * needs one division by R to get back to a·b·R, and dividing by a power
+ * of two is a shift, not a long division:
+ *
+ *   REDC(T) = (T + m·n) / R   with m = (T mod R)·n' mod R
+ *
+ * where n' = -n^-1 mod R makes T + m·n a multiple of R.
+ *
+ * EXAMPLE: n = 13, R = 16, n' = -13^-1 mod 16 = -5 mod 16 = 11
+ *   3·4 mod 13:  3̄ = 48 mod 13 = 9,  4̄ = 64 mod 13 = 12
+ *   REDC(9·12 = 108): m = (108 mod 16)·11 mod 16 = 12·11 mod 16 = 4
+ *                     (108 + 4·13) / 16 = 160 / 16 = 10
+ *   and 10 = 12·16 mod 13 is the Montgomery form of 3·4 = 12 ✓
+ *
+ * @param {BigInt} n - Odd modulus (≥ 3)
+ * @returns {Object} - Frozen { n, rBits, R, mask, nPrime, rSquared }
+ * @throws {Error} If n is even or smaller than 3
+ */
+function createMontgomeryContext(n) {
+    if (n < 3n || n % 2n === 0n) {
+        throw new Error('Montgomery arithmetic needs an odd modulus n ≥ 3');
+    }
+
+    const rBits = BigInt(bitLength(n));
+    const R = 1n << rBits;
+
+    return Object.freeze({
+        n,
+        rBits,
+        R,
+        mask: R - 1n,
+        nPrime: R - modInverse(n, R),   // n·n' ≡ -1 (mod R)
+        rSquared: (R * R) % n           // Converts into the domain with one REDC
+    });
+}
+
+/**
+ * Montgomery reduction REDC(T) = T·R^-1 mod n, for 0 ≤ T < n·R
+ *
+ * @param {BigInt} T - Value to reduce
+ * @param {Object} context - From createMontgomeryContext
+ * @returns {BigInt} - T·R^-1 mod n
+ */
+function montgomeryReduce(T, context) {
+    const m = ((T & context.mask) * context.nPrime) & context.mask;
+    const t = (T + m * context.n) >> context.rBits;
+    return t >= context.n ? t - context.n : t;
+}
+
+/**
+ * Multiply two numbers in Montgomery form: ā·b̄·R^-1 = (a·b)‾
+ *
+ * @param {BigInt} a - ā in [0, n)
+ * @param {BigInt} b - b̄ in [0, n)
+ * @param {Object} context - From createMontgomeryContext
+ * @returns {BigInt} - Montgomery form of a·b mod n
+ */
+function montgomeryMultiply(a, b, context) {
+    return montgomeryReduce(a * b, context);
+}
+
+/**
+ * Convert into the Montgomery domain: a ↦ a·R mod n
+ *
+ * @param {BigInt} a - Any integer
+ * @param {Object} context - From createMontgomeryContext
+ * @returns {BigInt} - ā
+ */
+function toMontgomery(a, context) {
+    const reduced = ((a % context.n) + context.n) % context.n;
+    return montgomeryReduce(reduced * context.rSquared, context);
+}
+
+/**
+ * Convert out of the Montgomery domain: ā ↦ a
+ *
+ * @param {BigInt} a - ā in [0, n)
+ * @param {Object} context - From createMontgomeryContext
+ * @returns {BigInt} - a mod n
+ */
+function fromMontgomery(a, context) {
+    return montgomeryReduce(a, context);
+}
+
+/**
+ * Window width for sliding-window exponentiation
+ *
+ * A w-bit window costs 2^(w-1) multiplications up front (the odd powers
+ * x, x³, ..., x^(2^w - 1)) and saves one multiplication per window. The
+ * thresholds are where the next width pays off (the same as OpenSSL's).
+ *
+ * @param {number} exponentBits - Bit length of the exponent
+ * @returns {number} - Window width in bits
+ */
+function slidingWindowBits(exponentBits) {
+    if (exponentBits > 671) return 6;
+    if (exponentBits > 239) return 5;
+    if (exponentBits > 79) return 4;
+    if (exponentBits > 23) return 3;
+    return 1;
+}
+
+/**
+ * Modular Exponentiation - Sliding Window (left to right)
+ *
+ * Binary square-and-multiply (modPow) multiplies once per 1-bit, about
+ * L/2 times for an L-bit exponent. Sliding windows read the exponent in
+ * chunks of up to w bits that start and end with a 1 and multiply once
+ * per chunk by a precomputed odd power, about L/(w+1) times:
+ *
+ *   e = 1101 0 0 111 (w = 4):  x^e = ((x^13)^(2^5) · x^7)
+ *        └┬─┘     └┬┘          13 and 7 are odd: taken from the table
+ *
+ * For a 2048-bit exponent (w = 6) that is about 290 multiplications
+ * instead of 1024, next to the 2047 squarings both methods need.
+ *
+ * SECURITY NOTE: like modPow, the sequence of operations depends on the
+ * exponent. modPowConstantTime is the timing-safe choice.
+ *
+ * @param {BigInt} base - Base
+ * @param {BigInt} exponent - Exponent (≥ 0)
+ * @param {BigInt} modulus - Modulus (odd for Montgomery reduction)
+ * @param {Object} options - {
+ *          reduction: 'division' | 'montgomery' (default MODPOW_REDUCTION),
+ *          windowBits: width (default slidingWindowBits),
+ *          context: Montgomery context to reuse for the same modulus }
+ * @returns {BigInt} - base^exponent mod modulus
+ * @throws {Error} On an unknown reduction or an even modulus with Montgomery
+ */
+function modPowWindowed(base, exponent, modulus, options = {}) {
+    const {
+        reduction = MODPOW_REDUCTION,
+        windowBits = slidingWindowBits(bitLength(exponent))
+    } = options;
+
+    if (modulus === 1n) return 0n;
+    if (exponent === 0n) return 1n;
+
+    let multiply;
+    let x;
+    let leave;
+    if (reduction === 'montgomery') {
+        const context = options.context || createMontgomeryContext(modulus);
+        multiply = (a, b) => montgomeryMultiply(a, b, context);
+        x = toMontgomery(base, context);
+        leave = a => fromMontgomery(a, context);
+    } else if (reduction === 'division') {
+        multiply = (a, b) => (a * b) % modulus;
+        x = ((base % modulus) + modulus) % modulus;  // Into [0, n), as toMontgomery does
+        leave = a => a;
+    } else {
+        throw new Error(`Unknown modular reduction: ${reduction}`);
+    }
+
+    // Odd powers x^1, x^3, ..., x^(2^w - 1): table[i] = x^(2i + 1)
+    const table = [x];
+    if (windowBits > 1) {
+        const xSquared = multiply(x, x);
+        for (let i = 1; i < 2 ** (windowBits - 1); i++) {
+            table.push(multiply(table[i - 1], xSquared));
+        }
+    }
+
+    const bits = exponent.toString(2);
+    let result = null;  // Stays unset until the first window (saves squaring 1)
+    let i = 0;
+
+    while (i < bits.length) {
+        if (bits[i] === '0') {
+            result = multiply(result, result);
+            i++;
+            continue;
+        }
+
+        // Longest window of at most w bits that ends in a 1
+        let end = Math.min(i + windowBits, bits.length);
+        while (bits[end - 1] === '0') end--;
+        const power = table[(parseInt(bits.slice(i, end), 2) - 1) / 2];
+
+        if (result === null) {
+            result = power;
+        } else {
+            for (let j = i; j < end; j++) {
+                result = multiply(result, result);
+            }
+            result = multiply(result, power);
+        }
+        i = end;
+    }
+
+    return leave(result);
+}
+
+/**
+ * Sliding-window exponentiation with Montgomery reduction
+ *
+ * The form used by RSA and the primality tests. Pass a context from
+ * createMontgomeryContext to share R, n' and R² mod n across several
+ * exponentiations with one modulus (the rounds of a primality test).
+ * Even moduli, which Montgomery reduction cannot handle, fall back to
+ * division.
+ *
+ * @param {BigInt} base - Base
+ * @param {BigInt} exponent - Exponent (≥ 0)
+ * @param {BigInt} modulus - Modulus
+ * @param {Object} context - Montgomery context of modulus (optional)
+ * @returns {BigInt} - base^exponent mod modulus
+ */
+function modPowMontgomery(base, exponent, modulus, context = null) {
+    if (modulus < 3n || modulus % 2n === 0n) {
+        return modPowWindowed(base, exponent, modulus, { reduction: 'division' });
+    }
+
+    return modPowWindowed(base, exponent, modulus, {
+        reduction: 'montgomery',
+        context: context || createMontgomeryContext(modulus)
+    });
+}
+
 /**
  * Check if two numbers are coprime (gcd = 1)
  *
@@ -303,31 +687,63 @@ function areCoprime(a, b) {
  * SPECIAL CASE (RSA uses this):
  * If n = p·q where p, q are distinct primes, then:
  *   φ(n) = φ(p)·φ(q) = (p-1)·(q-1)
+ * and for multi-prime RSA, n = r₁·r₂·…·rᵤ with distinct primes:
+ *   φ(n) = (r₁-1)·(r₂-1)·…·(rᵤ-1)
  *
  * WHY: For prime p, φ(p) = p-1 (all integers 1..p-1 are coprime to p)
  *
  * EXAMPLE:
  *   φ(9) = φ(3²) = 6  (numbers coprime to 9: 1,2,4,5,7,8)
  *   φ(15) = φ(3·5) = φ(3)·φ(5) = 2·4 = 8
+ *   φ(105) = φ(3·5·7) = 2·4·6 = 48
  *
- * @param {BigInt} p - Prime factor
- * @param {BigInt} q - Prime factor
- * @returns {BigInt} - φ(p·q) = (p-1)(q-1)
+ * @param {...BigInt} primes - Distinct prime factors of n (p, q, ...)
+ * @returns {BigInt} - φ(n) = (p-1)(q-1)...
  */
-function eulerTotient(p, q) {
-    return (p - 1n) * (q - 1n);
+function eulerTotient(...primes) {
+    return primes.reduce((product, prime) => product * (prime - 1n), 1n);
+}
+
+/**
+ * Carmichael's Function λ(n)
+ *
+ * MATHEMATICAL DEFINITION:
+ * λ(n) = smallest m > 0 with a^m ≡ 1 (mod n) for every a coprime to n
+ *
+ * For n = r₁·r₂·…·rᵤ with distinct primes:
+ *   λ(n) = lcm(r₁-1, r₂-1, …, rᵤ-1)
+ *
+ * RSA APPLICATION:
+ * Decryption only needs e·d ≡ 1 (mod λ(n)), and RFC 8017 §3.2 allows d
+ * modulo λ(n). λ(n) divides φ(n), and since p-1 and q-1 are both even
+ * it is at most φ(n)/2, so d mod λ(n) is usually a few bits shorter.
+ *
+ * EXAMPLE:
+ *   λ(3233) = λ(61·53) = lcm(60, 52) = 780, while φ(3233) = 3120
+ *
+ * @param {...BigInt} primes - Distinct prime factors of n (p, q, ...)
+ * @returns {BigInt} - λ(n) = lcm(p-1, q-1, ...)
+ */
+function carmichaelLambda(...primes) {
+    return primes.reduce((multiple, prime) => lcm(multiple, prime - 1n), 1n);
 }
 
 /**
  * Convert string to BigInt (for encryption)
  *
- * APPROACH: Treat string as a number in base 256
- * Each character's ASCII value becomes a "digit"
+ * APPROACH: m = OS2IP(UTF-8(str))
+ * The string is encoded as UTF-8 bytes, which are read as a number in
+ * base 256. Each byte becomes a "digit".
  *
  * EXAMPLE: "Hi"
  *   'H' = 72, 'i' = 105
  *   Number = 72·256 + 105 = 18537
  *
+ * WHY UTF-8 AND NOT charCodeAt:
+ * charCodeAt returns UTF-16 code units up to 65535, which do not fit in
+ * a base-256 digit: "ñ" or "😀" would be silently corrupted. UTF-8 turns
+ * every character into 1-4 bytes ("ñ" = C3 B1), so the mapping is exact.
+ *
  * LIMITATION: Message must be smaller than modulus n
  * This is why real RSA uses padding schemes (OAEP)
  *
@@ -335,37 +751,21 @@ function eulerTotient(p, q) {
  * @returns {BigInt} - Numeric representation
  */
 function stringToBigInt(str) {
-    let result = 0n;
-
-    for (let i = 0; i < str.length; i++) {
-        const charCode = BigInt(str.charCodeAt(i));
-        result = result * 256n + charCode;
-    }
-
-    return result;
+    return os2ip(new TextEncoder().encode(str));
 }
 
 /**
  * Convert BigInt back to string (for decryption)
  *
- * INVERSE OPERATION: Extract base-256 digits
+ * INVERSE OPERATION: UTF-8 decode the base-256 digits
+ * Byte sequences that are not valid UTF-8 (e.g. decryption with the wrong
+ * key) become U+FFFD replacement characters.
  *
  * @param {BigInt} num - Numeric representation
  * @returns {String} - Recovered string
  */
 function bigIntToString(num) {
-    if (num === 0n) return '\0';
-
-    const chars = [];
-    let remaining = num;
-
-    while (remaining > 0n) {
-        const charCode = Number(remaining % 256n);
-        chars.unshift(String.fromCharCode(charCode));
-        remaining = remaining / 256n;
-    }
-
-    return chars.join('');
+    return new TextDecoder().decode(integerToBytes(num));
 }
 
 /**
@@ -381,13 +781,164 @@ function bitLength(n) {
     return n.toString(2).length;
 }
 
+/**
+ * Integer square root
+ *
+ * NEWTON'S METHOD ON INTEGERS:
+ * Starting above √n, x ← ⌊(x + ⌊n/x⌋) / 2⌋ decreases strictly until it
+ * reaches ⌊√n⌋, then stops decreasing. Converges in O(log bits) steps.
+ *
+ * @param {BigInt} n - Non-negative integer
+ * @returns {BigInt} - ⌊√n⌋
+ * @throws {Error} If n is negative
+ */
+function isqrt(n) {
+    if (n < 0n) {
+        throw new Error('isqrt: negative input');
+    }
+    if (n < 2n) {
+        return n;
+    }
+
+    // 2^⌈bits/2⌉ ≥ √n
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+
+    while (true) {
+        const y = (x + n / x) >> 1n;
+        if (y >= x) {
+            return x;
+        }
+        x = y;
+    }
+}
+
+/**
+ * Integer k-th root
+ *
+ * Newton's method for f(x) = x^k - n on integers:
+ *   x ← ⌊((k-1)·x + ⌊n / x^(k-1)⌋) / k⌋
+ * decreases strictly from any start above the root until it reaches
+ * ⌊n^(1/k)⌋. The root is exact iff result^k === n.
+ *
+ * @param {BigInt} n - Non-negative integer
+ * @param {Number} k - Root degree (≥ 1)
+ * @returns {BigInt} - ⌊n^(1/k)⌋
+ * @throws {Error} If n is negative or k < 1
+ */
+function integerRoot(n, k) {
+    if (n < 0n || k < 1) {
+        throw new Error('integerRoot: requires n ≥ 0 and k ≥ 1');
+    }
+    if (n < 2n || k === 1) {
+        return n;
+    }
+
+    const bigK = BigInt(k);
+
+    // 2^⌈bits/k⌉ ≥ n^(1/k)
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / k));
+
+    while (true) {
+        const y = ((bigK - 1n) * x + n / x ** (bigK - 1n)) / bigK;
+        if (y >= x) {
+            return x;
+        }
+        x = y;
+    }
+}
+
+/**
+ * Chinese Remainder Theorem solver
+ *
+ * Finds the unique x mod N = n₁·n₂·…·nₖ with x ≡ rᵢ (mod nᵢ) for all i.
+ *
+ * CONSTRUCTION (Gauss):
+ *   Nᵢ = N / nᵢ,  yᵢ = Nᵢ⁻¹ mod nᵢ,  x = Σ rᵢ·Nᵢ·yᵢ mod N
+ * Nᵢ·yᵢ is 1 modulo nᵢ and 0 modulo every other modulus.
+ *
+ * @param {Array<BigInt>} residues - r₁, …, rₖ
+ * @param {Array<BigInt>} moduli - Pairwise coprime n₁, …, nₖ
+ * @returns {Object} - { x, modulus: N, terms: [{ residue, modulus, Ni, yi }] }
+ * @throws {Error} If two moduli share a factor
+ */
+function crt(residues, moduli) {
+    if (residues.length !== moduli.length || moduli.length === 0) {
+        throw new Error('crt: need one residue per modulus');
+    }
+
+    const N = moduli.reduce((product, modulus) => product * modulus, 1n);
+    const terms = [];
+    let x = 0n;
+
+    moduli.forEach((modulus, i) => {
+        const Ni = N / modulus;
+        const yi = modInverse(Ni % modulus, modulus);
+
+        if (yi === null) {
+            throw new Error(`crt: moduli are not pairwise coprime (modulus ${i + 1} shares a factor)`);
+        }
+
+        x = (x + residues[i] * Ni * yi) % N;
+        terms.push({ residue: residues[i], modulus, Ni, yi });
+    });
+
+    return { x, modulus: N, terms };
+}
+
+/**
+ * Continued fraction expansion of a rational number
+ *
+ * Euclid's algorithm on (numerator, denominator): the quotients are the
+ * partial quotients a₀, a₁, ... with
+ *   numerator/denominator = a₀ + 1/(a₁ + 1/(a₂ + ...))
+ *
+ * @param {BigInt} numerator - Non-negative numerator
+ * @param {BigInt} denominator - Positive denominator
+ * @returns {Array<BigInt>} - Partial quotients [a₀, a₁, ...]
+ */
+function continuedFraction(numerator, denominator) {
+    const quotients = [];
+
+    while (denominator !== 0n) {
+        quotients.push(numerator / denominator);
+        [numerator, denominator] = [denominator, numerator % denominator];
+    }
+
+    return quotients;
+}
+
+/**
+ * Convergents of a continued fraction
+ *
+ * RECURRENCE: h₋₁ = 1, h₋₂ = 0, k₋₁ = 0, k₋₂ = 1 and
+ *   hᵢ = aᵢ·hᵢ₋₁ + hᵢ₋₂,  kᵢ = aᵢ·kᵢ₋₁ + kᵢ₋₂
+ * Each hᵢ/kᵢ is in lowest terms and the best approximation of its size.
+ *
+ * @param {Array<BigInt>} quotients - Partial quotients from continuedFraction
+ * @returns {Array<Object>} - [{ numerator: hᵢ, denominator: kᵢ }]
+ */
+function convergents(quotients) {
+    const result = [];
+    let [h, hPrev] = [1n, 0n];
+    let [k, kPrev] = [0n, 1n];
+
+    for (const a of quotients) {
+        [h, hPrev] = [a * h + hPrev, h];
+        [k, kPrev] = [a * k + kPrev, k];
+        result.push({ numerator: h, denominator: k });
+    }
+
+    return result;
+}
+
 /**
  * Generate a random BigInt with specified bit length
  *
  * SECURITY: Uses Web Crypto API for cryptographically secure randomness
  *
  * APPROACH:
- * 1. Generate random bytes using window.crypto.getRandomValues()
+ * 1. Generate random bytes using crypto.getRandomValues()
+ *    (the global crypto object, so this also works inside Web Workers)
  * 2. Convert bytes to BigInt
  * 3. Ensure it has exactly the requested bit length
  *
@@ -400,7 +951,7 @@ function randomBigInt(bits) {
 
     // Generate random bytes
     const randomBytes = new Uint8Array(bytes);
-    window.crypto.getRandomValues(randomBytes);
+    crypto.getRandomValues(randomBytes);
 
     // Convert to BigInt
     let result = 0n;
@@ -420,6 +971,207 @@ function randomBigInt(bits) {
     return result;
 }
 
+/**
+ * Integer-to-Octet-String Primitive (I2OSP, RFC 8017 §4.1)
+ *
+ * Converts a non-negative integer into a big-endian byte string of
+ * exactly xLen bytes (left-padded with zeros).
+ *
+ * EXAMPLE: I2OSP(258, 4) = [0x00, 0x00, 0x01, 0x02]
+ *
+ * WHY A FIXED LENGTH:
+ * Padding schemes (OAEP, PSS) operate on blocks the size of the modulus.
+ * Leading zero bytes carry meaning there and must not be dropped.
+ *
+ * @param {BigInt} x - Non-negative integer
+ * @param {Number} xLen - Intended length of the byte string
+ * @returns {Uint8Array} - Big-endian representation of x
+ * @throws {Error} If x ≥ 256^xLen ("integer too large")
+ */
+function i2osp(x, xLen) {
+    if (x < 0n) {
+        throw new Error('I2OSP: integer must be non-negative');
+    }
+    if (x >= (1n << BigInt(8 * xLen))) {
+        throw new Error('I2OSP: integer too large');
+    }
+
+    const bytes = new Uint8Array(xLen);
+    let remaining = x;
+
+    for (let i = xLen - 1; i >= 0; i--) {
+        bytes[i] = Number(remaining & 0xffn);
+        remaining >>= 8n;
+    }
+
+    return bytes;
+}
+
+/**
+ * Octet-String-to-Integer Primitive (OS2IP, RFC 8017 §4.2)
+ *
+ * Interprets a byte string as a big-endian non-negative integer.
+ * Inverse of I2OSP (up to leading zeros).
+ *
+ * @param {Uint8Array} bytes - Byte string
+ * @returns {BigInt} - Integer value
+ */
+function os2ip(bytes) {
+    let result = 0n;
+
+    for (let i = 0; i < bytes.length; i++) {
+        result = (result << 8n) | BigInt(bytes[i]);
+    }
+
+    return result;
+}
+
+/**
+ * Shortest big-endian byte string of a non-negative integer
+ *
+ * I2OSP with the smallest length that fits, for values whose byte length
+ * is not fixed by a modulus (textbook RSA messages, integers typed by
+ * the user). Zero is one 0x00 byte.
+ *
+ * @param {BigInt} x - Non-negative integer
+ * @returns {Uint8Array} - Big-endian bytes without leading zeros
+ */
+function integerToBytes(x) {
+    return i2osp(x, Math.max(1, Math.ceil(bitLength(x) / 8)));
+}
+
+/**
+ * Concatenate byte arrays (the || operator in RFC notation)
+ *
+ * @param {...Uint8Array} arrays - Byte arrays to join, in order
+ * @returns {Uint8Array} - Concatenation
+ */
+function concatBytes(...arrays) {
+    const totalLength = arrays.reduce((sum, arr) => sum + arr.length, 0);
+    const result = new Uint8Array(totalLength);
+
+    let offset = 0;
+    for (const arr of arrays) {
+        result.set(arr, offset);
+        offset += arr.length;
+    }
+
+    return result;
+}
+
+/**
+ * Bytewise XOR of two equal-length byte arrays (the ⊕ operator)
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Uint8Array} - a ⊕ b
+ */
+function xorBytes(a, b) {
+    if (a.length !== b.length) {
+        throw new Error('xorBytes: arrays must have equal length');
+    }
+
+    const result = new Uint8Array(a.length);
+    for (let i = 0; i < a.length; i++) {
+        result[i] = a[i] ^ b[i];
+    }
+
+    return result;
+}
+
+/**
+ * Convert a hex string to bytes
+ *
+ * @param {String} hex - Even-length hex string (whitespace and ':' ignored)
+ * @returns {Uint8Array} - Decoded bytes
+ * @throws {Error} If the string is not valid hex
+ */
+function hexToBytes(hex) {
+    const clean = hex.replace(/[\s:]/g, '');
+    if (clean.length % 2 !== 0 || /[^0-9a-fA-F]/.test(clean)) {
+        throw new Error('hexToBytes: invalid hex string');
+    }
+
+    const bytes = new Uint8Array(clean.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(clean.substr(2 * i, 2), 16);
+    }
+
+    return bytes;
+}
+
+/**
+ * Convert bytes to a lowercase hex string
+ *
+ * @param {Uint8Array} bytes - Byte array
+ * @returns {String} - Two hex digits per byte
+ */
+function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert bytes to base64 (RFC 4648, with padding)
+ *
+ * @param {Uint8Array} bytes - Byte array
+ * @returns {String} - Base64 text
+ */
+function bytesToBase64(bytes) {
+    return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+/**
+ * Convert base64 to bytes
+ *
+ * Accepts whitespace (wrapped PEM-style lines), missing padding and the
+ * URL-safe alphabet (- and _ instead of + and /).
+ *
+ * @param {String} text - Base64 text
+ * @returns {Uint8Array} - Decoded bytes
+ * @throws {Error} If the text is not valid base64
+ */
+function base64ToBytes(text) {
+    const body = text.replace(/\s/g, '').replace(/={0,2}$/, '').replace(/-/g, '+').replace(/_/g, '/');
+    if (/[^A-Za-z0-9+/]/.test(body) || body.length % 4 === 1) {
+        throw new Error('base64ToBytes: invalid base64 string');
+    }
+
+    const padded = body.padEnd(Math.ceil(body.length / 4) * 4, '=');
+    return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
+
+/**
+ * Parse a non-negative integer typed by the user
+ *
+ * Whitespace is ignored, and in hex also ':' separators, so values can be
+ * pasted from `openssl rsa -text`. A 0x prefix always means hex.
+ *
+ * @param {String} text - Digits to parse
+ * @param {String} format - 'decimal' or 'hex' (default: 'decimal')
+ * @returns {BigInt} - Parsed value
+ * @throws {Error} If the text is empty or has digits invalid for the format
+ */
+function parseBigInt(text, format = 'decimal') {
+    let clean = text.replace(/\s/g, '');
+    if (/^0x/i.test(clean)) {
+        format = 'hex';
+        clean = clean.slice(2);
+    }
+
+    if (format === 'hex') {
+        clean = clean.replace(/:/g, '');
+        if (!/^[0-9a-fA-F]+$/.test(clean)) {
+            throw new Error('Not a valid hexadecimal number');
+        }
+        return BigInt('0x' + clean);
+    }
+
+    if (!/^[0-9]+$/.test(clean)) {
+        throw new Error('Not a valid decimal number');
+    }
+    return BigInt(clean);
+}
+
 /**
  * Checks divisibility by small primes
  *
@@ -446,16 +1198,44 @@ function isDivisibleBySmallPrime(num) {
 // For use in other modules
 const MathUtils = {
     gcd,
+    lcm,
     extendedGCD,
+    extendedGCDTrace,
     modInverse,
     modPow,
     modPowConstantTime,
+    traceModPow,
+    MODPOW_REDUCTION,
+    createMontgomeryContext,
+    montgomeryReduce,
+    montgomeryMultiply,
+    toMontgomery,
+    fromMontgomery,
+    slidingWindowBits,
+    modPowWindowed,
+    modPowMontgomery,
     areCoprime,
     eulerTotient,
+    carmichaelLambda,
     stringToBigInt,
     bigIntToString,
     bitLength,
+    isqrt,
+    integerRoot,
+    crt,
+    continuedFraction,
+    convergents,
     randomBigInt,
+    i2osp,
+    os2ip,
+    integerToBytes,
+    concatBytes,
+    xorBytes,
+    hexToBytes,
+    bytesToHex,
+    bytesToBase64,
+    base64ToBytes,
+    parseBigInt,
     isDivisibleBySmallPrime
 };
 
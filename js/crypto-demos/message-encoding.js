@@ -0,0 +1,181 @@
+/**
+ * ============================================================================
+ * MESSAGE ENCODING LAYER
+ *
+ * RSA works on integers and padding schemes work on bytes, but people type
+ * text. Every conversion goes through bytes so nothing is lost on the way:
+ *
+ *   text ──UTF-8──▶ bytes ──OS2IP──▶ integer m < n
+ *   text ◀─UTF-8── bytes ◀──I2OSP── integer m
+ *
+ * INPUT / OUTPUT FORMATS:
+ * - utf8:    text, encoded as UTF-8 (1-4 bytes per character)
+ * - hex:     two hex digits per byte (spaces and ':' ignored)
+ * - base64:  RFC 4648, standard or URL-safe alphabet
+ * - integer: the number itself, decimal or 0x-prefixed hex. As bytes it
+ *            is the shortest big-endian string, so leading 0x00 bytes of
+ *            a message cannot be represented in this format
+ *
+ * Ciphertexts use the same formats except utf8: an RSA ciphertext is an
+ * integer c < n, or I2OSP(c, k) as k = ⌈bits(n)/8⌉ bytes (RFC 8017 §7.1).
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ *
+ * ============================================================================
+ */
+
+/**
+ * Formats accepted for messages, by <select> value
+ */
+const MESSAGE_FORMATS = Object.freeze({
+    utf8: { label: 'Text (UTF-8)' },
+    hex: { label: 'Hex bytes' },
+    base64: { label: 'Base64' },
+    integer: { label: 'Integer (decimal or 0x hex)' }
+});
+
+/**
+ * Formats accepted for ciphertexts (bytes are I2OSP(c, k))
+ */
+const CIPHERTEXT_FORMATS = Object.freeze({
+    integer: { label: 'Integer (decimal)' },
+    hex: { label: 'Hex (I2OSP, k bytes)' },
+    base64: { label: 'Base64 (I2OSP, k bytes)' }
+});
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * Convert user input into message bytes
+ *
+ * @param {string} text - Input as typed
+ * @param {string} format - Key of MESSAGE_FORMATS
+ * @returns {Uint8Array} - Message bytes
+ * @throws {Error} If the text is not valid in the chosen format
+ */
+function parseMessage(text, format) {
+    switch (format) {
+        case 'utf8':
+            return new TextEncoder().encode(text);
+        case 'hex':
+            try {
+                return MathUtils.hexToBytes(text);
+            } catch (error) {
+                throw new Error('Not valid hex: use two hex digits per byte');
+            }
+        case 'base64':
+            try {
+                return MathUtils.base64ToBytes(text);
+            } catch (error) {
+                throw new Error('Not valid base64');
+            }
+        case 'integer':
+            return MathUtils.integerToBytes(MathUtils.parseBigInt(text));
+        default:
+            throw new Error(`Unknown message format: ${format}`);
+    }
+}
+
+/**
+ * Check whether bytes are well-formed UTF-8
+ *
+ * @param {Uint8Array} bytes - Byte string
+ * @returns {boolean} - False for overlong forms, stray continuation bytes, etc.
+ */
+function isValidUTF8(bytes) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Render message bytes in the chosen format
+ *
+ * Invalid UTF-8 is shown with U+FFFD replacement characters; check
+ * isValidUTF8 first to warn that another format would be exact.
+ *
+ * @param {Uint8Array} bytes - Message bytes
+ * @param {string} format - Key of MESSAGE_FORMATS
+ * @returns {string} - Formatted message
+ * @throws {Error} If the format is unknown
+ */
+function formatMessage(bytes, format) {
+    switch (format) {
+        case 'utf8':
+            return new TextDecoder().decode(bytes);
+        case 'hex':
+            return MathUtils.bytesToHex(bytes);
+        case 'base64':
+            return MathUtils.bytesToBase64(bytes);
+        case 'integer':
+            return MathUtils.os2ip(bytes).toString();
+        default:
+            throw new Error(`Unknown message format: ${format}`);
+    }
+}
+
+// ============================================================================
+// CIPHERTEXTS
+// ============================================================================
+
+/**
+ * Parse a ciphertext typed or pasted by the user
+ *
+ * @param {string} text - Ciphertext as typed
+ * @param {string} format - Key of CIPHERTEXT_FORMATS
+ * @returns {BigInt} - Ciphertext integer c
+ * @throws {Error} If the text is not valid in the chosen format
+ */
+function parseCiphertext(text, format) {
+    if (format === 'integer') {
+        return MathUtils.parseBigInt(text);
+    }
+    if (!CIPHERTEXT_FORMATS[format]) {
+        throw new Error(`Unknown ciphertext format: ${format}`);
+    }
+    return MathUtils.os2ip(parseMessage(text, format));
+}
+
+/**
+ * Render a ciphertext in the chosen format
+ *
+ * @param {BigInt} ciphertext - Ciphertext integer c
+ * @param {BigInt} n - Modulus, fixes the byte length k
+ * @param {string} format - Key of CIPHERTEXT_FORMATS
+ * @returns {string} - Formatted ciphertext
+ */
+function formatCiphertext(ciphertext, n, format) {
+    if (format === 'integer') {
+        return ciphertext.toString();
+    }
+    if (!CIPHERTEXT_FORMATS[format]) {
+        throw new Error(`Unknown ciphertext format: ${format}`);
+    }
+    const k = Math.ceil(MathUtils.bitLength(n) / 8);
+    return formatMessage(MathUtils.i2osp(ciphertext, k), format);
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const MessageEncoding = {
+    MESSAGE_FORMATS,
+    CIPHERTEXT_FORMATS,
+    parseMessage,
+    formatMessage,
+    isValidUTF8,
+    parseCiphertext,
+    formatCiphertext
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.MessageEncoding = MessageEncoding;
+}
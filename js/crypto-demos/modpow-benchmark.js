@@ -0,0 +1,155 @@
+/**
+ * ============================================================================
+ * MODULAR EXPONENTIATION BENCHMARK
+ *
+ * Times the ways MathUtils computes x^e mod n on the same random inputs:
+ * binary square-and-multiply or sliding windows, each with reduction by
+ * division (x % n) or by Montgomery's REDC.
+ *
+ * Two exponents per modulus size show where the time goes in RSA:
+ * - a full-size exponent, as in decryption, signing and every
+ *   Miller-Rabin round of key generation (on primes of half the key size)
+ * - e = 65537, as in encryption and verification
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ *
+ * ============================================================================
+ */
+
+// Modular exponentiations timed per method and exponent, by modulus size:
+// enough for stable numbers, few enough to finish in a few seconds
+const MODPOW_BENCHMARK_ITERATIONS = Object.freeze({ 512: 40, 1024: 20, 2048: 6, 4096: 2 });
+
+// ============================================================================
+// METHODS
+// ============================================================================
+
+/**
+ * Exponentiation methods under test. run(base, exponent, modulus, context)
+ * gets a Montgomery context prepared once per modulus, as a caller
+ * exponentiating repeatedly under one key would keep it.
+ */
+const MODPOW_METHODS = Object.freeze({
+    binary: {
+        label: 'Binary square-and-multiply, % reduction',
+        run: (base, exponent, modulus) => MathUtils.modPow(base, exponent, modulus)
+    },
+    montgomeryBinary: {
+        label: 'Binary square-and-multiply, Montgomery reduction',
+        run: (base, exponent, modulus, context) =>
+            MathUtils.modPowWindowed(base, exponent, modulus, { reduction: 'montgomery', windowBits: 1, context })
+    },
+    window: {
+        label: 'Sliding window, % reduction',
+        run: (base, exponent, modulus) =>
+            MathUtils.modPowWindowed(base, exponent, modulus, { reduction: 'division' })
+    },
+    montgomeryWindow: {
+        label: 'Sliding window, Montgomery reduction',
+        run: (base, exponent, modulus, context) =>
+            MathUtils.modPowWindowed(base, exponent, modulus, { reduction: 'montgomery', context })
+    }
+});
+
+// ============================================================================
+// BENCHMARK
+// ============================================================================
+
+/**
+ * Average time of one exponentiation
+ *
+ * @param {Function} run - Method to time
+ * @param {Array} args - Arguments for run
+ * @param {number} iterations - Repetitions
+ * @returns {Object} - { result, milliseconds }
+ */
+function timeModPow(run, args, iterations) {
+    // One untimed call so the JIT has compiled the method
+    const result = run(...args);
+
+    const startTime = performance.now();
+    for (let i = 0; i < iterations; i++) {
+        run(...args);
+    }
+    return { result, milliseconds: (performance.now() - startTime) / iterations };
+}
+
+/**
+ * Benchmark every method at one modulus size
+ *
+ * The modulus is a random odd number of the given size (its factors do
+ * not matter for the cost of exponentiation), the base random below it.
+ *
+ * @param {number} bits - Modulus size
+ * @param {Object} options - { iterations, onProgress(label, done, total) }
+ * @returns {Promise<Object>} - { bits, iterations, windowBits, rows, agree },
+ *          rows = [{ method, label, privateMs, publicMs, speedup }], speedup
+ *          relative to binary with % on the full-size exponent
+ * @throws {Error} If the modulus is smaller than 16 bits
+ */
+async function runModPowBenchmark(bits, options = {}) {
+    if (bits < 16) {
+        throw new Error('Benchmark needs a modulus of at least 16 bits');
+    }
+
+    const { iterations = MODPOW_BENCHMARK_ITERATIONS[bits] || 5, onProgress } = options;
+    const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    const modulus = MathUtils.randomBigInt(bits) | 1n;
+    const base = MathUtils.randomBigInt(bits - 1);
+    const privateExponent = MathUtils.randomBigInt(bits);
+    const publicExponent = 65537n;
+    const context = MathUtils.createMontgomeryContext(modulus);
+
+    const methods = Object.entries(MODPOW_METHODS);
+    const rows = [];
+    let expected = null;
+    let agree = true;
+
+    for (const [index, [method, { label, run }]] of methods.entries()) {
+        if (onProgress) onProgress(label, index, methods.length);
+        await yieldToBrowser();
+
+        const full = timeModPow(run, [base, privateExponent, modulus, context], iterations);
+        const small = timeModPow(run, [base, publicExponent, modulus, context], iterations);
+
+        // Every method must compute the same two values
+        if (expected === null) {
+            expected = [full.result, small.result];
+        } else if (full.result !== expected[0] || small.result !== expected[1]) {
+            agree = false;
+        }
+
+        rows.push({ method, label, privateMs: full.milliseconds, publicMs: small.milliseconds });
+    }
+
+    const baseline = rows[0].privateMs;
+    for (const row of rows) {
+        row.speedup = baseline / row.privateMs;
+    }
+
+    return {
+        bits,
+        iterations,
+        windowBits: MathUtils.slidingWindowBits(bits),
+        rows,
+        agree
+    };
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const ModPowBenchmark = {
+    ITERATIONS: MODPOW_BENCHMARK_ITERATIONS,
+    METHODS: MODPOW_METHODS,
+    timeModPow,
+    runModPowBenchmark
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ModPowBenchmark = ModPowBenchmark;
+}
@@ -0,0 +1,186 @@
+/**
+ * ============================================================================
+ * PRIMALITY TEST COMPARISON - UI CONTROLLER
+ *
+ * This module handles all user interactions and DOM updates for the
+ * primality test comparison page.
+ *
+ * ARCHITECTURE: MVC pattern
+ * - Model: primality.js (the tests and the pseudoprime gallery)
+ * - View: primality-tool.html (DOM structure)
+ * - Controller: this file (event handling, UI updates)
+ *
+ * - Uses shared UIUtils for common DOM operations
+ * - Uses DisplayComponents for consistent HTML generation
+ *
+ * ============================================================================
+ */
+
+// Largest n accepted: the three base-by-base tests run 36 modPows with the
+// default bases, about a second at 2048 bits (four times that at 4096)
+const PRIMALITY_MAX_BITS = 2048;
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the primality demo when page loads
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Primality Test Comparison initialized');
+
+    // Set up event listeners
+    setupEventListeners();
+
+    // Display welcome message
+    displayWelcomeMessage();
+
+    // The gallery is static: render it once
+    displayGallery();
+});
+
+// ============================================================================
+// EVENT HANDLER SETUP
+// ============================================================================
+
+/**
+ * Set up all event listeners
+ */
+function setupEventListeners() {
+    const testBtn = document.getElementById('primality-test-btn');
+    if (testBtn) {
+        testBtn.addEventListener('click', handleTestNumber);
+    }
+
+    // "Test" buttons of the gallery rows (rendered later, so delegate)
+    const gallery = document.getElementById('gallery-results');
+    if (gallery) {
+        gallery.addEventListener('click', handleGalleryTest);
+    }
+
+    // Use shared utilities for common patterns
+    UIUtils.setupCopyButtons();
+    UIUtils.setupTabs();
+}
+
+// ============================================================================
+// TEST A NUMBER
+// ============================================================================
+
+/**
+ * Parse the comma-separated bases
+ *
+ * @param {string} text - Bases as typed
+ * @returns {Array<BigInt>} - Bases
+ * @throws {Error} If a base is not a number or none is given
+ */
+function parseBases(text) {
+    const bases = text.split(',')
+        .map(part => part.trim())
+        .filter(part => part !== '')
+        .map(part => MathUtils.parseBigInt(part));
+
+    if (bases.length === 0) {
+        throw new Error('Enter at least one base');
+    }
+    return bases;
+}
+
+/**
+ * Handle "Run All Tests"
+ */
+function handleTestNumber() {
+    UIUtils.clearResults('primality-results');
+
+    let n;
+    let bases;
+    try {
+        n = MathUtils.parseBigInt(document.getElementById('primality-n').value);
+        bases = parseBases(document.getElementById('primality-bases').value);
+    } catch (error) {
+        UIUtils.showError('Invalid input: ' + error.message);
+        return;
+    }
+
+    if (MathUtils.bitLength(n) > PRIMALITY_MAX_BITS) {
+        UIUtils.showError(`n has ${MathUtils.bitLength(n)} bits; the limit is ${PRIMALITY_MAX_BITS}`);
+        return;
+    }
+
+    try {
+        const startTime = performance.now();
+        const comparison = Primality.compareTests(n, bases);
+        const duration = (performance.now() - startTime).toFixed(1);
+
+        UIUtils.displayResults('primality-results',
+            DisplayComponents.createPrimalityComparison({ n, comparison, duration }), true);
+    } catch (error) {
+        console.error('Primality test failed:', error);
+        UIUtils.showError('Primality test failed: ' + error.message);
+    }
+}
+
+// ============================================================================
+// PSEUDOPRIME GALLERY
+// ============================================================================
+
+/**
+ * Run every test on the gallery entries and render the table
+ */
+function displayGallery() {
+    const entries = Primality.GALLERY.map(entry => ({
+        entry,
+        comparison: Primality.compareTests(entry.n, entry.bases)
+    }));
+
+    UIUtils.displayResults('gallery-results', DisplayComponents.createPseudoprimeGallery(entries), false);
+}
+
+/**
+ * Handle a gallery "Test" button: load the number and its bases into
+ * the first tab and run the comparison there
+ *
+ * @param {Event} event - Click anywhere in the gallery
+ */
+function handleGalleryTest(event) {
+    const button = event.target.closest('.gallery-test-btn');
+    if (!button) return;
+
+    const entry = Primality.GALLERY[parseInt(button.dataset.index)];
+    document.getElementById('primality-n').value = entry.n.toString();
+    document.getElementById('primality-bases').value = entry.bases.join(', ');
+
+    UIUtils.switchTab('test-number', document.querySelector('.tab-button[data-tab="test-number"]'));
+    handleTestNumber();
+}
+
+// ============================================================================
+// WELCOME MESSAGE
+// ============================================================================
+
+/**
+ * Display welcome message
+ */
+function displayWelcomeMessage() {
+    const welcomeDiv = document.getElementById('welcome-message');
+    if (welcomeDiv) {
+        welcomeDiv.innerHTML = `
+        <div class="welcome-content">
+            <h2>Welcome to the Primality Test Comparison</h2>
+            <p>Probabilistic tests decide primality without factoring, but each can be fooled:</p>
+            <ol>
+                <li><strong>Fermat:</strong> a^(n-1) ≡ 1 (mod n). Fooled by Carmichael numbers for every coprime base</li>
+                <li><strong>Solovay-Strassen:</strong> Euler's criterion with the Jacobi symbol. At most half the bases lie</li>
+                <li><strong>Miller-Rabin:</strong> no nontrivial square roots of 1. At most a quarter of the bases lie</li>
+                <li><strong>Strong Lucas:</strong> the same idea on Lucas sequences, with n + 1 in place of n - 1</li>
+                <li><strong>Baillie-PSW:</strong> Miller-Rabin base 2 and strong Lucas together. No counterexample is known</li>
+            </ol>
+            ${DisplayComponents.createEducationalNote(
+                'RSA key generation relies on these tests: a composite "prime" gives a modulus that is easy to factor. ' +
+                'Open the gallery to see which numbers fool which test.'
+            )}
+        </div>
+        `;
+    }
+}
@@ -0,0 +1,491 @@
+/**
+ * ============================================================================
+ * PRIMALITY TESTS
+ *
+ * Probabilistic primality tests, from the weakest to the strongest, each
+ * returning the evidence it found for every base so the tests can be
+ * compared side by side:
+ *
+ * - Fermat:           a^(n-1) ≡ 1 (mod n)
+ *                     Fooled by Carmichael numbers for EVERY coprime base
+ * - Solovay-Strassen: a^((n-1)/2) ≡ (a/n) (mod n), with the Jacobi symbol
+ *                     At most half of the bases lie (Euler pseudoprimes)
+ * - Miller-Rabin:     the sequence a^d, a^(2d), …, a^(2^s·d) must reach -1
+ *                     or start at 1. At most a quarter of the bases lie
+ * - Strong Lucas:     the same idea on Lucas sequences U_k, V_k with
+ *                     Selfridge's parameters (D, P = 1, Q)
+ * - Baillie-PSW:      Miller-Rabin base 2 + strong Lucas. No composite
+ *                     passing both is known; it is verified up to 2^64
+ *
+ * TERMINOLOGY:
+ * For composite n, a base that exposes n is a WITNESS (of compositeness);
+ * a base that lets n pass is a LIAR, and n is a pseudoprime to that base.
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ * - Config (SMALL_PRIMES)
+ *
+ * ============================================================================
+ */
+
+// Default bases: the first twelve primes. Miller-Rabin with all of them
+// is a proof of primality for n < 3.18·10^23 (Jiang & Deng, 2014)
+const PRIMALITY_DEFAULT_BASES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
+
+// Selfridge's D search gives up here (only reachable for perfect squares,
+// which are rejected first, or astronomically unlikely n)
+const LUCAS_MAX_D = 1000000n;
+
+// ============================================================================
+// NUMBER THEORY HELPERS
+// ============================================================================
+
+/**
+ * Jacobi symbol (a/n) for odd n > 0
+ *
+ * Generalizes the Legendre symbol: for prime n it is +1 if a is a nonzero
+ * square mod n, -1 if not, 0 if n | a. For composite n it is the product
+ * of the Legendre symbols of its prime factors, so (a/n) = 1 does NOT
+ * mean that a is a square.
+ *
+ * ALGORITHM (no factoring needed, like the Euclidean algorithm):
+ *   - pull out factors 2 of a: (2/n) = -1 iff n ≡ 3, 5 (mod 8)
+ *   - quadratic reciprocity: swap a and n, sign flips iff a ≡ n ≡ 3 (mod 4)
+ *   - reduce a mod n and repeat
+ *
+ * EXAMPLE: (2/7) = 1 (3² ≡ 2), (3/7) = -1, (5/9) = 1 although 5 is no square mod 9
+ *
+ * @param {BigInt} a - Any integer
+ * @param {BigInt} n - Odd positive integer
+ * @returns {number} - -1, 0 or 1
+ * @throws {Error} If n is even or not positive
+ */
+function jacobi(a, n) {
+    if (n <= 0n || n % 2n === 0n) {
+        throw new Error('Jacobi symbol needs an odd positive n');
+    }
+
+    a = ((a % n) + n) % n;
+    let result = 1;
+
+    while (a !== 0n) {
+        while (a % 2n === 0n) {
+            a /= 2n;
+            const r = n % 8n;
+            if (r === 3n || r === 5n) result = -result;
+        }
+
+        [a, n] = [n, a];
+        if (a % 4n === 3n && n % 4n === 3n) result = -result;
+        a %= n;
+    }
+
+    return n === 1n ? result : 0;
+}
+
+/**
+ * Handle n < 5 and even n, which the tests below cannot take
+ *
+ * @param {BigInt} n - Number to test
+ * @returns {Object|null} - { probablePrime, note } or null if n needs testing
+ */
+function trivialPrimality(n) {
+    if (n < 2n) return { probablePrime: false, note: `${n} is not prime by definition` };
+    if (n === 2n || n === 3n) return { probablePrime: true, note: `${n} is prime` };
+    if (n % 2n === 0n) return { probablePrime: false, note: `${n} is even` };
+    return null;
+}
+
+/**
+ * Bases usable for n: 2 ≤ a ≤ n - 2 (a = 1 and a = n - 1 always pass)
+ *
+ * @param {BigInt} n - Number to test
+ * @param {Array<BigInt>} bases - Requested bases
+ * @returns {Array<BigInt>} - Bases in range, duplicates removed
+ * @throws {Error} If no base is in range: with no rounds there would be no
+ *         witness, and a composite would come back "probably prime"
+ */
+function usableBases(n, bases) {
+    const usable = [...new Set(bases)].filter(a => a >= 2n && a <= n - 2n);
+    if (usable.length === 0) {
+        throw new Error(`No base in [2, n - 2] = [2, ${n - 2n}]`);
+    }
+    return usable;
+}
+
+/**
+ * Common result shape of the base-by-base tests
+ *
+ * @param {Array<Object>} rounds - [{ base, passes, ... }]
+ * @returns {Object} - { probablePrime, rounds, witnesses, liars }
+ */
+function summarizeRounds(rounds) {
+    const witnesses = rounds.filter(round => !round.passes).map(round => round.base);
+    return {
+        probablePrime: witnesses.length === 0,
+        rounds,
+        witnesses,
+        liars: rounds.filter(round => round.passes).map(round => round.base)
+    };
+}
+
+// ============================================================================
+// FERMAT, SOLOVAY-STRASSEN AND MILLER-RABIN
+// ============================================================================
+
+/**
+ * Fermat test: a^(n-1) ≡ 1 (mod n) for every base
+ *
+ * FOOLED BY: Carmichael numbers (561 = 3·11·17, 1105, 1729, …). By
+ * Korselt's criterion n is squarefree and p - 1 | n - 1 for every p | n,
+ * so a^(n-1) ≡ 1 for every a coprime to n: only bases sharing a factor
+ * with n expose it, and those are as hard to find as the factors.
+ *
+ * @param {BigInt} n - Number to test
+ * @param {Array<BigInt>} bases - Bases to try (default: first 12 primes)
+ * @returns {Object} - { probablePrime, rounds: [{ base, value, passes }], witnesses, liars, note? }
+ * @throws {Error} If no base is in [2, n - 2]
+ */
+function fermatTest(n, bases = PRIMALITY_DEFAULT_BASES) {
+    const trivial = trivialPrimality(n);
+    if (trivial) return { ...trivial, rounds: [], witnesses: [], liars: [] };
+
+    const context = MathUtils.createMontgomeryContext(n);
+    return summarizeRounds(usableBases(n, bases).map(base => {
+        const value = MathUtils.modPowMontgomery(base, n - 1n, n, context);
+        return { base, value, passes: value === 1n };
+    }));
+}
+
+/**
+ * Solovay-Strassen test: Euler's criterion a^((n-1)/2) ≡ (a/n) (mod n)
+ *
+ * For prime n both sides are the Legendre symbol. For composite n at
+ * least half of the bases coprime to n are witnesses (there are no
+ * "Carmichael numbers" for this test), so k bases give error ≤ 2^-k.
+ *
+ * @param {BigInt} n - Number to test
+ * @param {Array<BigInt>} bases - Bases to try (default: first 12 primes)
+ * @returns {Object} - { probablePrime, rounds: [{ base, jacobi, euler, passes }], witnesses, liars, note? }
+ * @throws {Error} If no base is in [2, n - 2]
+ */
+function solovayStrassenTest(n, bases = PRIMALITY_DEFAULT_BASES) {
+    const trivial = trivialPrimality(n);
+    if (trivial) return { ...trivial, rounds: [], witnesses: [], liars: [] };
+
+    const context = MathUtils.createMontgomeryContext(n);
+    return summarizeRounds(usableBases(n, bases).map(base => {
+        const symbol = jacobi(base, n);
+        const euler = MathUtils.modPowMontgomery(base, (n - 1n) / 2n, n, context);
+        const passes = symbol !== 0 && euler === (BigInt(symbol) + n) % n;
+        return { base, jacobi: symbol, euler, passes };
+    }));
+}
+
+/**
+ * Miller-Rabin test with chosen bases
+ *
+ * Same test as RSACore.millerRabin (random bases, used for key
+ * generation), but with fixed bases and the full squaring sequence
+ * a^d, a^(2d), …, a^(2^(s-1)·d) of each base recorded.
+ *
+ * @param {BigInt} n - Number to test
+ * @param {Array<BigInt>} bases - Bases to try (default: first 12 primes)
+ * @returns {Object} - { probablePrime, s, d, rounds: [{ base, sequence, passes }], witnesses, liars, note? }
+ * @throws {Error} If no base is in [2, n - 2]
+ */
+function millerRabinTest(n, bases = PRIMALITY_DEFAULT_BASES) {
+    const trivial = trivialPrimality(n);
+    if (trivial) return { ...trivial, rounds: [], witnesses: [], liars: [] };
+
+    // n - 1 = 2^s · d with d odd
+    let s = 0;
+    let d = n - 1n;
+    while (d % 2n === 0n) {
+        d /= 2n;
+        s++;
+    }
+
+    const context = MathUtils.createMontgomeryContext(n);
+    const rounds = usableBases(n, bases).map(base => {
+        let x = MathUtils.modPowMontgomery(base, d, n, context);
+        const sequence = [x];
+        let passes = x === 1n || x === n - 1n;
+
+        for (let r = 1; r < s && !passes; r++) {
+            x = (x * x) % n;
+            sequence.push(x);
+            if (x === n - 1n) passes = true;
+            if (x === 1n) break;  // 1 without -1 before it: a nontrivial √1 was squared
+        }
+
+        return { base, sequence, passes };
+    });
+
+    return { ...summarizeRounds(rounds), s, d };
+}
+
+// ============================================================================
+// STRONG LUCAS AND BAILLIE-PSW
+// ============================================================================
+
+/**
+ * Selfridge's parameters for the Lucas test (Method A)
+ *
+ * D is the first of 5, -7, 9, -11, 13, … with (D/n) = -1; then P = 1 and
+ * Q = (1 - D)/4. A perfect square n has no such D, so it is rejected first.
+ *
+ * @param {BigInt} n - Odd number > 3
+ * @returns {Object} - { D, P, Q, tried } or { factor, tried } when some
+ *          |D| < n shares a factor with n (n composite)
+ */
+function selfridgeParameters(n) {
+    let D = 5n;
+    let tried = 0;
+
+    while (tried < LUCAS_MAX_D) {
+        tried++;
+        const symbol = jacobi(D, n);
+        const absD = D < 0n ? -D : D;
+
+        if (symbol === -1) {
+            return { D, P: 1n, Q: (1n - D) / 4n, tried };
+        }
+        if (symbol === 0 && absD !== n) {
+            return { factor: absD, tried };
+        }
+
+        D = D > 0n ? -(D + 2n) : -D + 2n;
+    }
+
+    throw new Error('No Selfridge parameter D found');
+}
+
+/**
+ * Lucas sequences U_k, V_k (mod n) and Q^k by binary doubling
+ *
+ *   U_0 = 0, U_1 = 1, V_0 = 2, V_1 = P
+ *   U_2k = U_k·V_k                V_2k = V_k² - 2·Q^k
+ *   U_2k+1 = (P·U_2k + V_2k)/2    V_2k+1 = (D·U_2k + P·V_2k)/2
+ *
+ * Halving mod odd n: add n to odd values first.
+ *
+ * @param {BigInt} n - Odd modulus
+ * @param {BigInt} k - Index (≥ 1)
+ * @param {Object} params - { D, P, Q }
+ * @returns {Object} - { U, V, Qk } for index k
+ */
+function lucasSequence(n, k, { D, P, Q }) {
+    const mod = x => ((x % n) + n) % n;
+    const half = x => (x % 2n === 0n ? x : x + n) / 2n;
+
+    let U = 1n;
+    let V = mod(P);
+    let Qk = mod(Q);
+
+    for (let bit = MathUtils.bitLength(k) - 2; bit >= 0; bit--) {
+        U = mod(U * V);
+        V = mod(V * V - 2n * Qk);
+        Qk = mod(Qk * Qk);
+
+        if ((k >> BigInt(bit)) & 1n) {
+            const U2 = U;
+            U = half(mod(P * U2 + V));
+            V = half(mod(D * U2 + P * V));
+            Qk = mod(Qk * Q);
+        }
+    }
+
+    return { U, V, Qk };
+}
+
+/**
+ * Strong Lucas probable prime test (Baillie & Wagstaff, 1980)
+ *
+ * For prime n with (D/n) = -1, n + 1 = 2^s · d (d odd):
+ *   U_d ≡ 0, or V_(d·2^r) ≡ 0 for some 0 ≤ r < s   (mod n)
+ * the Lucas analogue of the Miller-Rabin condition. The smallest strong
+ * Lucas pseudoprime is 5459 = 53·103.
+ *
+ * @param {BigInt} n - Number to test
+ * @returns {Object} - { probablePrime, D, P, Q, s, d, U, vSequence, note? }
+ */
+function strongLucasTest(n) {
+    const trivial = trivialPrimality(n);
+    if (trivial) return trivial;
+
+    const root = MathUtils.isqrt(n);
+    if (root * root === n) {
+        return { probablePrime: false, note: `n = ${root}² is a perfect square` };
+    }
+
+    const params = selfridgeParameters(n);
+    if (params.factor) {
+        return { probablePrime: false, note: `gcd(D, n) = ${params.factor}: found while choosing D` };
+    }
+
+    // n + 1 = 2^s · d with d odd
+    let s = 0;
+    let d = n + 1n;
+    while (d % 2n === 0n) {
+        d /= 2n;
+        s++;
+    }
+
+    let { U, V, Qk } = lucasSequence(n, d, params);
+    const vSequence = [V];
+    let probablePrime = U === 0n || V === 0n;
+
+    for (let r = 1; r < s && !probablePrime; r++) {
+        V = ((V * V - 2n * Qk) % n + n) % n;
+        Qk = (Qk * Qk) % n;
+        vSequence.push(V);
+        if (V === 0n) probablePrime = true;
+    }
+
+    return { probablePrime, D: params.D, P: params.P, Q: params.Q, s, d, U, vSequence };
+}
+
+/**
+ * Baillie-PSW test (Pomerance, Selfridge, Wagstaff, Baillie 1980)
+ *
+ * 1. Trial division by small primes
+ * 2. Miller-Rabin with base 2
+ * 3. Strong Lucas test with Selfridge's parameters
+ *
+ * The pseudoprimes of steps 2 and 3 seem to avoid each other: no
+ * composite passing both is known, none exists below 2^64, and the test
+ * is deterministic (no random bases). Used by GMP, Mathematica, PARI/GP.
+ *
+ * @param {BigInt} n - Number to test
+ * @returns {Object} - { probablePrime, stage, smallFactor?, millerRabin?, lucas? }
+ *          stage names the step that decided: 'trivial', 'trial division',
+ *          'Miller-Rabin base 2', 'strong Lucas'
+ */
+function bailliePSW(n) {
+    const trivial = trivialPrimality(n);
+    if (trivial) return { ...trivial, stage: 'trivial' };
+
+    for (const p of Config.SMALL_PRIMES) {
+        const prime = BigInt(p);
+        if (n === prime) return { probablePrime: true, stage: 'trial division' };
+        if (n % prime === 0n) return { probablePrime: false, stage: 'trial division', smallFactor: prime };
+    }
+
+    const millerRabin = millerRabinTest(n, [2n]);
+    if (!millerRabin.probablePrime) {
+        return { probablePrime: false, stage: 'Miller-Rabin base 2', millerRabin };
+    }
+
+    const lucas = strongLucasTest(n);
+    return { probablePrime: lucas.probablePrime, stage: 'strong Lucas', millerRabin, lucas };
+}
+
+// ============================================================================
+// COMPARISON AND GALLERY
+// ============================================================================
+
+/**
+ * Tests shown on the comparison page, weakest first
+ */
+const PRIMALITY_TESTS = Object.freeze({
+    fermat: { label: 'Fermat', run: fermatTest },
+    solovayStrassen: { label: 'Solovay-Strassen', run: solovayStrassenTest },
+    millerRabin: { label: 'Miller-Rabin', run: millerRabinTest },
+    strongLucas: { label: 'Strong Lucas', run: n => strongLucasTest(n) },
+    bailliePSW: { label: 'Baillie-PSW', run: n => bailliePSW(n) }
+});
+
+/**
+ * Run every test on the same number
+ *
+ * @param {BigInt} n - Number to test
+ * @param {Array<BigInt>} bases - Bases for the base-by-base tests
+ * @returns {Array<Object>} - [{ key, label, result }] in PRIMALITY_TESTS order
+ */
+function compareTests(n, bases = PRIMALITY_DEFAULT_BASES) {
+    return Object.entries(PRIMALITY_TESTS).map(([key, { label, run }]) => ({
+        key,
+        label,
+        result: run(n, bases)
+    }));
+}
+
+/**
+ * Composites that fool the weaker tests, with the bases that show it
+ */
+const PSEUDOPRIME_GALLERY = Object.freeze([
+    {
+        n: 341n, factors: '11 · 31', bases: [2n],
+        title: 'Smallest Fermat pseudoprime to base 2',
+        note: '2^340 ≡ 1 (mod 341), the counterexample to the "Chinese hypothesis". Base 3 exposes it.'
+    },
+    {
+        n: 561n, factors: '3 · 11 · 17', bases: [2n, 5n, 7n, 13n],
+        title: 'Smallest Carmichael number',
+        note: 'Fools Fermat for every base coprime to 561. Miller-Rabin sees 2^35 ≡ 263, then 263² ≡ 166, 166² ≡ 67, 67² ≡ 1: a nontrivial square root of 1.'
+    },
+    {
+        n: 1105n, factors: '5 · 13 · 17', bases: [2n, 3n, 7n],
+        title: 'Second Carmichael number',
+        note: 'Fermat passes with every coprime base; Solovay-Strassen base 2 also passes (Euler pseudoprime).'
+    },
+    {
+        n: 1729n, factors: '7 · 13 · 19', bases: [2n, 3n, 5n, 11n],
+        title: 'Hardy-Ramanujan number, Carmichael',
+        note: 'A Carmichael number and an Euler-Jacobi pseudoprime to many bases.'
+    },
+    {
+        n: 2047n, factors: '23 · 89', bases: [2n],
+        title: 'Smallest strong pseudoprime to base 2',
+        note: '2047 = 2^11 - 1: Miller-Rabin base 2 passes. Baillie-PSW adds the Lucas test and catches it.'
+    },
+    {
+        n: 5459n, factors: '53 · 103', bases: [2n, 3n],
+        title: 'Smallest strong Lucas pseudoprime',
+        note: 'Passes the strong Lucas test with Selfridge parameters, but Miller-Rabin base 2 exposes it.'
+    },
+    {
+        n: 8911n, factors: '7 · 19 · 67', bases: [2n, 3n, 5n],
+        title: 'Carmichael number',
+        note: 'Fermat passes with every coprime base.'
+    },
+    {
+        n: 1373653n, factors: '829 · 1657', bases: [2n, 3n],
+        title: 'Smallest strong pseudoprime to bases 2 and 3',
+        note: 'Miller-Rabin with bases {2, 3} is wrong here; adding base 5 exposes it.'
+    },
+    {
+        n: 3215031751n, factors: '151 · 751 · 28351', bases: [2n, 3n, 5n, 7n],
+        title: 'Smallest strong pseudoprime to bases 2, 3, 5 and 7',
+        note: 'Also a Carmichael number. Base 11 exposes it.'
+    },
+    {
+        n: 318665857834031151167461n, factors: '399165290221 · 798330580441', bases: PRIMALITY_DEFAULT_BASES,
+        title: 'Smallest strong pseudoprime to the first 12 prime bases',
+        note: 'Miller-Rabin with 2, 3, …, 37 is fooled (Jiang & Deng, 2014). Base 41 and Baillie-PSW expose it.'
+    }
+]);
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const Primality = {
+    DEFAULT_BASES: PRIMALITY_DEFAULT_BASES,
+    TESTS: PRIMALITY_TESTS,
+    GALLERY: PSEUDOPRIME_GALLERY,
+    jacobi,
+    fermatTest,
+    solovayStrassenTest,
+    millerRabinTest,
+    strongLucasTest,
+    lucasSequence,
+    bailliePSW,
+    compareTests
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Primality = Primality;
+}
@@ -0,0 +1,742 @@
+/**
+ * ============================================================================
+ * RSA ATTACKS LAB - UI CONTROLLER
+ *
+ * Drives the "Attacks Lab" tab of the RSA tool, plus the Wiener demo in
+ * the Security tab. Each lab builds its own
+ * victim (key, ciphertext, oracle) with RSACore, hands only the public
+ * material to RSAAttacks and reports the attack's progress live. The
+ * factoring lab instead targets the current key from the Key Generation
+ * tab (or any number) and runs Factorization in a worker. The public key
+ * auditor of the Security tab runs RSAKeyAudit on pasted keys.
+ *
+ * Loaded after rsa-demo.js, which owns the main tabs and shared state.
+ *
+ * ============================================================================
+ */
+
+// Key size for the victim of the padding oracle lab. Query count does not
+// depend on the modulus size, but each query is a full decryption.
+const BLEICHENBACHER_KEY_BITS = 512;
+
+// Key size for the Fermat lab; the closeness options are relative to bits/4
+const FERMAT_KEY_BITS = 1024;
+
+// Håstad lab: e recipients, each with a key of this size and public exponent e
+const HASTAD_KEY_BITS = 512;
+const HASTAD_EXPONENT = 3;
+
+// Key size for the common-modulus labs (both users share this n)
+const COMMON_MODULUS_KEY_BITS = 1024;
+
+let factorAbortController = null;  // Set while a factoring attempt can be cancelled
+
+// Batch GCD lab: modulus size of generated batches, rows per result table
+const WEAK_BATCH_KEY_BITS = 512;
+const BATCH_GCD_MAX_ROWS = 100;
+
+// Last generated weak batch, to compare findings with the truth while the
+// textarea still holds exactly that batch
+let lastWeakBatch = null;
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', function() {
+    const bleichenbacherBtn = document.getElementById('bleichenbacher-btn');
+    if (bleichenbacherBtn) {
+        bleichenbacherBtn.addEventListener('click', handleBleichenbacherAttack);
+    }
+
+    const fermatBtn = document.getElementById('fermat-btn');
+    if (fermatBtn) {
+        fermatBtn.addEventListener('click', handleFermatAttack);
+    }
+
+    const hastadBtn = document.getElementById('hastad-btn');
+    if (hastadBtn) {
+        hastadBtn.addEventListener('click', handleHastadAttack);
+    }
+
+    const commonModulusBtn = document.getElementById('common-modulus-btn');
+    if (commonModulusBtn) {
+        commonModulusBtn.addEventListener('click', handleCommonModulusAttack);
+    }
+
+    const sharedFactorBtn = document.getElementById('shared-factor-btn');
+    if (sharedFactorBtn) {
+        sharedFactorBtn.addEventListener('click', handleSharedModulusFactoring);
+    }
+
+    const factorTargetSelect = document.getElementById('factor-target');
+    if (factorTargetSelect) {
+        factorTargetSelect.addEventListener('change', () => {
+            UIUtils.toggleElement('factor-custom-options', factorTargetSelect.value === 'custom');
+        });
+    }
+
+    const factorMethodSelect = document.getElementById('factor-method');
+    if (factorMethodSelect) {
+        factorMethodSelect.addEventListener('change', () => {
+            const isPMinus1 = factorMethodSelect.value === 'pm1';
+            UIUtils.toggleElement('pm1-options', isPMinus1);
+            UIUtils.toggleElement('factor-limit-options', !isPMinus1);
+        });
+    }
+
+    const factorBtn = document.getElementById('factor-btn');
+    if (factorBtn) {
+        factorBtn.addEventListener('click', handleFactorAttempt);
+    }
+
+    const cancelFactorBtn = document.getElementById('cancel-factor-btn');
+    if (cancelFactorBtn) {
+        cancelFactorBtn.addEventListener('click', () => {
+            if (factorAbortController) factorAbortController.abort();
+        });
+    }
+
+    const batchFileInput = document.getElementById('batch-gcd-file');
+    if (batchFileInput) {
+        batchFileInput.addEventListener('change', handleBatchFiles);
+    }
+
+    const weakBatchBtn = document.getElementById('weak-batch-btn');
+    if (weakBatchBtn) {
+        weakBatchBtn.addEventListener('click', handleGenerateWeakBatch);
+    }
+
+    const batchGcdBtn = document.getElementById('batch-gcd-btn');
+    if (batchGcdBtn) {
+        batchGcdBtn.addEventListener('click', handleBatchGCD);
+    }
+
+    const wienerBtn = document.getElementById('wiener-btn');
+    if (wienerBtn) {
+        wienerBtn.addEventListener('click', handleWienerAttack);
+    }
+
+    const auditBtn = document.getElementById('audit-key-btn');
+    if (auditBtn) {
+        auditBtn.addEventListener('click', handleKeyAudit);
+    }
+
+    const auditCurrentBtn = document.getElementById('audit-current-key-btn');
+    if (auditCurrentBtn) {
+        auditCurrentBtn.addEventListener('click', handleLoadCurrentKeyForAudit);
+    }
+});
+
+// ============================================================================
+// BLEICHENBACHER PADDING ORACLE LAB
+// ============================================================================
+
+/**
+ * Generate a victim key, encrypt the secret with PKCS#1 v1.5 and run
+ * Bleichenbacher's attack against a padding oracle for that key
+ */
+async function handleBleichenbacherAttack() {
+    const message = document.getElementById('bleichenbacher-message').value;
+    if (!message) {
+        UIUtils.showError('Please enter a secret message');
+        return;
+    }
+
+    const runBtn = document.getElementById('bleichenbacher-btn');
+    UIUtils.setButtonLoading(runBtn, 'Attacking...');
+    UIUtils.clearResults(['bleichenbacher-results']);
+
+    const progressDiv = document.getElementById('bleichenbacher-progress');
+    UIUtils.showLoading(progressDiv, `Generating a ${BLEICHENBACHER_KEY_BITS}-bit victim key...`);
+
+    try {
+        // The victim: a key pair, a PKCS#1 v1.5 ciphertext and an oracle
+        const victimKeys = await RSACore.generateKeyPair(BLEICHENBACHER_KEY_BITS);
+        const { ciphertext } = RSACore.encryptPKCS1v15(new TextEncoder().encode(message), victimKeys.publicKey);
+        const oracle = RSAAttacks.createPaddingOracle(victimKeys.privateKey);
+
+        // The attacker: public key, ciphertext and oracle only
+        const startTime = performance.now();
+        const result = await RSAAttacks.bleichenbacher(ciphertext, victimKeys.publicKey, oracle, updateBleichenbacherProgress);
+        const endTime = performance.now();
+        const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+        const k = RSACore.modulusByteLength(victimKeys.publicKey.n);
+        const resultDisplay = DisplayComponents.createBleichenbacherResult({
+            recoveredMessage: result.message ? new TextDecoder().decode(result.message) : '(no padding separator found)',
+            encodedMessage: MathUtils.i2osp(result.plaintext, k),
+            queries: result.queries,
+            duration,
+            history: result.history
+        });
+        UIUtils.displayResults('bleichenbacher-results', resultDisplay, true);
+
+        console.log('Bleichenbacher attack succeeded:', result.queries, 'queries');
+
+    } catch (error) {
+        console.error('Bleichenbacher attack failed:', error);
+        UIUtils.showError('Attack failed: ' + error.message);
+    } finally {
+        UIUtils.resetButton(runBtn, 'Run Bleichenbacher Attack');
+        UIUtils.hideLoading(progressDiv);
+    }
+}
+
+/**
+ * Update progress display during the attack
+ *
+ * The interval for m starts B wide; progress is measured in bits of
+ * that width eliminated so far.
+ *
+ * @param {string} stage - Current step of the attack
+ * @param {Object} data - { queries, iteration, intervals, widthBits, initialWidthBits }
+ */
+function updateBleichenbacherProgress(stage, data) {
+    const progressDiv = document.getElementById('bleichenbacher-progress');
+    const percent = Math.round(100 * (data.initialWidthBits - data.widthBits) / data.initialWidthBits);
+
+    progressDiv.innerHTML = DisplayComponents.createProgressDisplay(stage, { percent }) +
+        `<p class="progress-detail">Oracle queries: ${data.queries.toLocaleString()} · ` +
+        `Iteration ${data.iteration} · ${data.intervals} interval(s), width 2<sup>${data.widthBits}</sup></p>`;
+}
+
+// ============================================================================
+// FERMAT FACTORIZATION LAB
+// ============================================================================
+
+/**
+ * Generate a key with close primes and factor its modulus with Fermat's method
+ */
+async function handleFermatAttack() {
+    const extraBits = parseInt(document.getElementById('fermat-closeness').value);
+    const gapBits = FERMAT_KEY_BITS / 4 + extraBits;
+
+    const runBtn = document.getElementById('fermat-btn');
+    UIUtils.setButtonLoading(runBtn, 'Generating weak key...');
+    UIUtils.clearResults(['fermat-results']);
+
+    try {
+        const victimKeys = await RSAAttacks.generateClosePrimeKeyPair(FERMAT_KEY_BITS, gapBits);
+
+        // The attacker only uses n
+        const startTime = performance.now();
+        const result = RSAAttacks.fermatFactor(victimKeys.publicKey.n);
+        const endTime = performance.now();
+
+        if (result === null) {
+            throw new Error('no factor found within the iteration limit');
+        }
+
+        const resultDisplay = DisplayComponents.createFermatResult({
+            n: victimKeys.publicKey.n,
+            p: result.p,
+            q: result.q,
+            iterations: result.iterations,
+            trace: result.trace,
+            duration: (endTime - startTime).toFixed(1)
+        });
+        UIUtils.displayResults('fermat-results', resultDisplay, true);
+        UIUtils.setupCopyButtons();
+
+        console.log('Fermat factorization succeeded:', result.iterations, 'steps');
+
+    } catch (error) {
+        console.error('Fermat factorization failed:', error);
+        UIUtils.showError('Attack failed: ' + error.message);
+    } finally {
+        UIUtils.resetButton(runBtn, 'Generate Weak Key and Factor It');
+    }
+}
+
+// ============================================================================
+// HÅSTAD BROADCAST LAB
+// ============================================================================
+
+/**
+ * Encrypt one message to three e = 3 recipients and recover it with the CRT
+ */
+async function handleHastadAttack() {
+    const message = document.getElementById('hastad-message').value;
+    if (!message) {
+        UIUtils.showError('Please enter a message to broadcast');
+        return;
+    }
+
+    const runBtn = document.getElementById('hastad-btn');
+    UIUtils.setButtonLoading(runBtn, 'Attacking...');
+    UIUtils.clearResults(['hastad-results']);
+
+    const progressDiv = document.getElementById('hastad-progress');
+
+    try {
+        // The victims: e recipients with independent keys sharing e
+        const publicKeys = [];
+        for (let i = 1; i <= HASTAD_EXPONENT; i++) {
+            UIUtils.showLoading(progressDiv, `Generating key ${i} of ${HASTAD_EXPONENT} (${HASTAD_KEY_BITS} bits, e = ${HASTAD_EXPONENT})...`);
+            const keys = await RSAKeygenWorkers.generateKeyPair(HASTAD_KEY_BITS, null, { publicExponent: HASTAD_EXPONENT });
+            publicKeys.push(keys.publicKey);
+        }
+        UIUtils.hideLoading(progressDiv);
+
+        // The sender: same textbook-RSA message to everyone
+        const m = MathUtils.stringToBigInt(message);
+        const ciphertexts = publicKeys.map(publicKey => RSACore.encrypt(m, publicKey));
+
+        // The attacker: ciphertexts and public keys only
+        const startTime = performance.now();
+        const result = RSAAttacks.hastadBroadcast(ciphertexts, publicKeys);
+        const endTime = performance.now();
+
+        const resultDisplay = DisplayComponents.createHastadResult({
+            publicKeys,
+            ciphertexts,
+            result,
+            recoveredMessage: MathUtils.bigIntToString(result.message),
+            duration: (endTime - startTime).toFixed(1)
+        });
+        UIUtils.displayResults('hastad-results', resultDisplay, true);
+
+        console.log('Håstad broadcast attack succeeded');
+
+    } catch (error) {
+        console.error('Håstad broadcast attack failed:', error);
+        UIUtils.showError('Attack failed: ' + error.message);
+    } finally {
+        UIUtils.resetButton(runBtn, 'Run Broadcast Attack');
+        UIUtils.hideLoading(progressDiv);
+    }
+}
+
+// ============================================================================
+// COMMON MODULUS LAB
+// ============================================================================
+
+/**
+ * Read the lab message or report that it is missing
+ *
+ * @returns {string|null} - Message, or null after showing an error
+ */
+function getCommonModulusMessage() {
+    const message = document.getElementById('common-modulus-message').value;
+    if (!message) {
+        UIUtils.showError('Please enter a message');
+        return null;
+    }
+    return message;
+}
+
+/**
+ * Encrypt one message to Alice and Bob (same n) and recover it from the
+ * two ciphertexts with extended Euclid
+ */
+async function handleCommonModulusAttack() {
+    const message = getCommonModulusMessage();
+    if (message === null) return;
+
+    const runBtn = document.getElementById('common-modulus-btn');
+    UIUtils.setButtonLoading(runBtn, 'Generating shared keys...');
+    UIUtils.clearResults(['common-modulus-results']);
+
+    try {
+        const [alice, bob] = await RSAAttacks.generateSharedModulusKeyPairs(COMMON_MODULUS_KEY_BITS);
+        const publicKeys = [alice.publicKey, bob.publicKey];
+
+        const m = MathUtils.stringToBigInt(message);
+        const ciphertexts = publicKeys.map(publicKey => RSACore.encrypt(m, publicKey));
+
+        // The attacker: both ciphertexts and both public keys
+        const startTime = performance.now();
+        const result = RSAAttacks.commonModulus(ciphertexts, publicKeys);
+        const endTime = performance.now();
+
+        const resultDisplay = DisplayComponents.createCommonModulusResult({
+            publicKeys,
+            result,
+            recoveredMessage: MathUtils.bigIntToString(result.message),
+            duration: (endTime - startTime).toFixed(1)
+        });
+        UIUtils.displayResults('common-modulus-results', resultDisplay, true);
+
+        console.log('Common-modulus attack succeeded');
+
+    } catch (error) {
+        console.error('Common-modulus attack failed:', error);
+        UIUtils.showError('Attack failed: ' + error.message);
+    } finally {
+        UIUtils.resetButton(runBtn, 'Attack 1: Combine the Two Ciphertexts');
+    }
+}
+
+/**
+ * Let Bob factor the shared n from his own (e, d), derive Alice's private
+ * exponent and decrypt a message meant for her
+ */
+async function handleSharedModulusFactoring() {
+    const message = getCommonModulusMessage();
+    if (message === null) return;
+
+    const runBtn = document.getElementById('shared-factor-btn');
+    UIUtils.setButtonLoading(runBtn, 'Generating shared keys...');
+    UIUtils.clearResults(['common-modulus-results']);
+
+    try {
+        const [alice, bob] = await RSAAttacks.generateSharedModulusKeyPairs(COMMON_MODULUS_KEY_BITS);
+        const ciphertext = RSACore.encrypt(MathUtils.stringToBigInt(message), alice.publicKey);
+
+        // Bob: his own key pair plus Alice's public key and ciphertext
+        const startTime = performance.now();
+        const result = RSAAttacks.factorFromKeyPair(bob.publicKey.e, bob.privateKey.d, bob.publicKey.n);
+        if (result === null) {
+            throw new Error('no random base revealed a factor; try again');
+        }
+        const phi = MathUtils.eulerTotient(result.p, result.q);
+        const recoveredD = MathUtils.modInverse(alice.publicKey.e, phi);
+        const decrypted = RSACore.decrypt(ciphertext, { d: recoveredD, n: alice.publicKey.n });
+        const endTime = performance.now();
+
+        const resultDisplay = DisplayComponents.createSharedModulusFactorResult({
+            insiderKeys: bob,
+            victimPublicKey: alice.publicKey,
+            result,
+            recoveredD,
+            decryptedMessage: MathUtils.bigIntToString(decrypted),
+            duration: (endTime - startTime).toFixed(1)
+        });
+        UIUtils.displayResults('common-modulus-results', resultDisplay, true);
+        UIUtils.setupCopyButtons();
+
+        console.log('Shared modulus factored after', result.attempts.length, 'random base(s)');
+
+    } catch (error) {
+        console.error('Shared modulus factoring failed:', error);
+        UIUtils.showError('Attack failed: ' + error.message);
+    } finally {
+        UIUtils.resetButton(runBtn, 'Attack 2: Factor n with Bob\'s Key Pair');
+    }
+}
+
+// ============================================================================
+// FACTORING LAB ("TRY TO BREAK")
+// ============================================================================
+
+/**
+ * Read the factoring target: the current key's modulus or a typed number
+ *
+ * @returns {Object} - { n, keys } where keys is the current key pair or null
+ * @throws {Error} If no key is loaded or the number is invalid
+ */
+function getFactorTarget() {
+    if (document.getElementById('factor-target').value === 'current') {
+        if (!currentKeys) {
+            throw new Error('Generate or import a key in the Key Generation tab first');
+        }
+        return { n: currentKeys.publicKey.n, keys: currentKeys };
+    }
+
+    const text = document.getElementById('factor-custom-n').value;
+    const n = MathUtils.parseBigInt(text);
+    if (n < 2n) {
+        throw new Error('Enter an integer of at least 2');
+    }
+    return { n, keys: null };
+}
+
+/**
+ * Read the options of the selected method from the form
+ *
+ * @param {string} method - Key of Factorization.METHODS
+ * @returns {Object} - Options for Factorization.factor
+ * @throws {Error} If the iteration limit is not a positive integer
+ */
+function getFactorOptions(method) {
+    if (method === 'pm1') {
+        // Pollard p - 1 validates its own bounds
+        return {
+            bound1: parseInt(document.getElementById('pm1-bound1').value),
+            bound2: parseInt(document.getElementById('pm1-bound2').value)
+        };
+    }
+
+    const maxIterations = parseInt(document.getElementById('factor-max-iterations').value);
+    if (!(maxIterations > 0)) {
+        throw new Error('The iteration limit must be a positive number');
+    }
+    return { maxIterations };
+}
+
+/**
+ * Run the selected factoring method in a worker with a live counter,
+ * then estimate which key sizes fall at the measured speed
+ */
+async function handleFactorAttempt() {
+    const method = document.getElementById('factor-method').value;
+    const methodLabel = Factorization.METHODS[method].label;
+
+    let target, options;
+    try {
+        target = getFactorTarget();
+        options = getFactorOptions(method);
+    } catch (error) {
+        UIUtils.showError(error.message);
+        return;
+    }
+
+    const runBtn = document.getElementById('factor-btn');
+    UIUtils.setButtonLoading(runBtn, 'Factoring...');
+    UIUtils.clearResults(['factor-results']);
+
+    const progressDiv = document.getElementById('factor-progress');
+    UIUtils.showLoading(progressDiv, `${methodLabel}: starting...`);
+
+    const cancelBtn = document.getElementById('cancel-factor-btn');
+    factorAbortController = new AbortController();
+    UIUtils.toggleElement(cancelBtn, true);
+
+    try {
+        const startTime = performance.now();
+        const result = await FactorizationWorkers.factor(target.n, method, (stage, { iterations }) => {
+            const seconds = (performance.now() - startTime) / 1000;
+            const rate = Math.round(iterations / Math.max(seconds, 0.001));
+            progressDiv.innerHTML = DisplayComponents.createProgressDisplay(stage) +
+                `<p class="progress-detail">${iterations.toLocaleString()} iterations, ${seconds.toFixed(1)}s (${rate.toLocaleString()}/s)</p>`;
+        }, { ...options, signal: factorAbortController.signal });
+        const endTime = performance.now();
+
+        let resultDisplay = DisplayComponents.createFactorizationResult({
+            n: target.n,
+            methodLabel,
+            result,
+            duration: endTime - startTime,
+            keys: target.keys
+        });
+
+        // Time both general-purpose methods on a real modulus when one is loaded
+        UIUtils.showLoading(progressDiv, 'Measuring speed for the key size table...');
+        const rates = await Factorization.measureFactoringRates(currentKeys ? currentKeys.publicKey.n : target.n);
+        if (rates) {
+            resultDisplay += DisplayComponents.createFactoringEstimates(
+                Factorization.estimateFactoringTimes(rates),
+                currentKeys ? MathUtils.bitLength(currentKeys.publicKey.n) : null
+            );
+        }
+
+        UIUtils.displayResults('factor-results', resultDisplay, true);
+        UIUtils.setupCopyButtons();
+
+        console.log('Factoring attempt finished:', result);
+
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            UIUtils.showWarning('Factoring cancelled.');
+        } else {
+            console.error('Factoring failed:', error);
+            UIUtils.showError('Factoring failed: ' + error.message);
+        }
+    } finally {
+        UIUtils.resetButton(runBtn, 'Try to Break');
+        UIUtils.hideLoading(progressDiv);
+        UIUtils.toggleElement(cancelBtn, false);
+        factorAbortController = null;
+    }
+}
+
+// ============================================================================
+// BATCH GCD LAB
+// ============================================================================
+
+/**
+ * Append the contents of the selected files to the batch textarea
+ *
+ * @param {Event} event - Change event of the file input
+ */
+async function handleBatchFiles(event) {
+    const input = document.getElementById('batch-gcd-input');
+
+    try {
+        const texts = await Promise.all(Array.from(event.target.files, file => file.text()));
+        input.value = [input.value.trim(), ...texts].filter(Boolean).join('\n');
+        UIUtils.showSuccess(`Loaded ${texts.length} file(s)`);
+    } catch (error) {
+        console.error('Reading key files failed:', error);
+        UIUtils.showError('Could not read file: ' + error.message);
+    } finally {
+        event.target.value = '';
+    }
+}
+
+/**
+ * Generate a batch with some low-entropy keys and put it in the textarea
+ */
+async function handleGenerateWeakBatch() {
+    const count = parseInt(document.getElementById('weak-batch-count').value);
+    const weakFraction = parseFloat(document.getElementById('weak-batch-fraction').value);
+    const entropyBits = parseInt(document.getElementById('weak-batch-entropy').value);
+
+    const runBtn = document.getElementById('weak-batch-btn');
+    UIUtils.setButtonLoading(runBtn, 'Generating...');
+    UIUtils.clearResults(['batch-gcd-results']);
+
+    const progressDiv = document.getElementById('batch-gcd-progress');
+    UIUtils.showLoading(progressDiv, `Generating ${count} keys...`);
+
+    try {
+        const keys = await BatchGCD.generateWeakBatch(count, WEAK_BATCH_KEY_BITS, {
+            weakFraction,
+            entropyBits,
+            progressCallback: (stage, { generated }) => {
+                progressDiv.innerHTML = DisplayComponents.createProgressDisplay(
+                    `${stage}: ${generated} of ${count}`, { percent: Math.round(100 * generated / count) });
+            }
+        });
+
+        const text = [
+            `# ${count} x ${WEAK_BATCH_KEY_BITS}-bit moduli, ${Math.round(weakFraction * 100)}% from devices with ${entropyBits}-bit RNG state`,
+            ...keys.map(key => key.n.toString())
+        ].join('\n');
+
+        document.getElementById('batch-gcd-input').value = text;
+        lastWeakBatch = { text, keys };
+
+        UIUtils.showSuccess(`Generated ${count} keys (${keys.filter(key => key.weak).length} weak)`);
+
+    } catch (error) {
+        console.error('Weak batch generation failed:', error);
+        UIUtils.showError('Generation failed: ' + error.message);
+    } finally {
+        UIUtils.resetButton(runBtn, 'Generate Weak Batch');
+        UIUtils.hideLoading(progressDiv);
+    }
+}
+
+/**
+ * Parse the textarea, run batch GCD and report shared primes
+ */
+async function handleBatchGCD() {
+    const text = document.getElementById('batch-gcd-input').value;
+    const { moduli, errors } = BatchGCD.parseModuli(text);
+
+    if (errors.length > 0) {
+        UIUtils.showError(`${errors.length} entr${errors.length === 1 ? 'y' : 'ies'} could not be read. ${errors.slice(0, 3).join('; ')}`);
+        return;
+    }
+    if (moduli.length < 2) {
+        UIUtils.showError('Enter at least two moduli or keys');
+        return;
+    }
+
+    const runBtn = document.getElementById('batch-gcd-btn');
+    UIUtils.setButtonLoading(runBtn, 'Scanning...');
+    UIUtils.clearResults(['batch-gcd-results']);
+
+    const progressDiv = document.getElementById('batch-gcd-progress');
+    UIUtils.showLoading(progressDiv, `Scanning ${moduli.length} moduli...`);
+
+    try {
+        const startTime = performance.now();
+        const result = await BatchGCD.findSharedPrimes(moduli.map(entry => entry.n), (stage) => {
+            progressDiv.innerHTML = DisplayComponents.createProgressDisplay(stage);
+        });
+        const endTime = performance.now();
+
+        const resultDisplay = DisplayComponents.createBatchGCDResult({
+            moduli,
+            result,
+            duration: (endTime - startTime).toFixed(1),
+            groundTruth: lastWeakBatch && lastWeakBatch.text === text ? lastWeakBatch.keys : null,
+            maxRows: BATCH_GCD_MAX_ROWS
+        });
+        UIUtils.displayResults('batch-gcd-results', resultDisplay, true);
+
+        console.log('Batch GCD found', result.factored.length, 'factorable keys');
+
+    } catch (error) {
+        console.error('Batch GCD failed:', error);
+        UIUtils.showError('Batch GCD failed: ' + error.message);
+    } finally {
+        UIUtils.resetButton(runBtn, 'Find Shared Primes');
+        UIUtils.hideLoading(progressDiv);
+    }
+}
+
+// ============================================================================
+// WIENER SMALL PRIVATE EXPONENT DEMO (SECURITY TAB)
+// ============================================================================
+
+/**
+ * Generate a key with a small d and recover d from (e, n) with Wiener's attack
+ */
+async function handleWienerAttack() {
+    const keySize = parseInt(document.getElementById('wiener-key-size').value);
+
+    const runBtn = document.getElementById('wiener-btn');
+    UIUtils.setButtonLoading(runBtn, 'Generating key...');
+    UIUtils.clearResults(['wiener-results']);
+
+    const progressDiv = document.getElementById('wiener-progress');
+    UIUtils.showLoading(progressDiv, `Generating a ${keySize}-bit key with a small private exponent...`);
+
+    try {
+        const weakKeys = await RSAKeygenWorkers.generateKeyPair(keySize, null, { smallPrivateExponent: true });
+        UIUtils.hideLoading(progressDiv);
+
+        // The attacker only uses (e, n)
+        const startTime = performance.now();
+        const result = RSAAttacks.wiener(weakKeys.publicKey);
+        const endTime = performance.now();
+
+        const resultDisplay = DisplayComponents.createWienerResult({
+            publicKey: weakKeys.publicKey,
+            result,
+            duration: (endTime - startTime).toFixed(1)
+        });
+        UIUtils.displayResults('wiener-results', resultDisplay, true);
+        UIUtils.setupCopyButtons();
+
+        console.log('Wiener attack:', result.success ? 'd recovered' : 'failed', result.rows.length, 'convergents');
+
+    } catch (error) {
+        console.error('Wiener attack failed:', error);
+        UIUtils.showError('Attack failed: ' + error.message);
+    } finally {
+        UIUtils.resetButton(runBtn, 'Generate Small-d Key and Run Wiener\'s Attack');
+        UIUtils.hideLoading(progressDiv);
+    }
+}
+
+// ============================================================================
+// PUBLIC KEY AUDITOR (SECURITY TAB)
+// ============================================================================
+
+/**
+ * Audit the pasted public key
+ */
+function handleKeyAudit() {
+    UIUtils.clearResults(['audit-results']);
+
+    try {
+        const { publicKey, source } = RSAKeyAudit.parseAuditInput(document.getElementById('audit-key-input').value);
+        const report = RSAKeyAudit.auditPublicKey(publicKey);
+
+        UIUtils.displayResults('audit-results', DisplayComponents.createKeyAuditReport({ report, source }), true);
+        UIUtils.setupCopyButtons();
+
+        console.log('Key audit:', report.status, report.checks.map(check => `${check.id}=${check.status}`).join(', '));
+
+    } catch (error) {
+        console.error('Key audit failed:', error);
+        UIUtils.showError('Audit failed: ' + error.message);
+    }
+}
+
+/**
+ * Put the current key's public part (SPKI PEM) into the auditor
+ */
+function handleLoadCurrentKeyForAudit() {
+    if (!currentKeys) {
+        UIUtils.showError('Generate or import a key in the Key Generation tab first');
+        return;
+    }
+
+    document.getElementById('audit-key-input').value = RSAKeyFormats.exportKey(currentKeys, 'spki').pem;
+}
@@ -0,0 +1,760 @@
+/**
+ * ============================================================================
+ * RSA CRYPTOSYSTEM - ATTACK IMPLEMENTATIONS
+ *
+ * This module implements classic attacks against RSA for the Attacks lab.
+ * Each attack exploits a specific implementation or parameter mistake,
+ * not a weakness in the RSA problem itself:
+ *
+ * - Bleichenbacher (1998): PKCS#1 v1.5 padding oracle
+ *   └─ Mistake: revealing whether a ciphertext has valid padding
+ * - Fermat factorization: n = a² - b² when p and q are close
+ *   └─ Mistake: choosing q near p (e.g. "next prime after p")
+ * - Wiener (1990): continued fraction of e/n reveals a small d
+ *   └─ Mistake: choosing d < n^¼/3 to speed up decryption
+ * - Håstad (1985): broadcast of one message to e recipients
+ *   └─ Mistake: small e with textbook (unpadded, deterministic) RSA
+ * - Common modulus (Simmons 1983; DeLaurentis 1984): users share n
+ *   └─ Mistake: one n for everyone, with a different (e, d) per user
+ *
+ * The attacks run against keys generated locally. The "server" is a plain
+ * function holding the private key; the attacker code only ever sees the
+ * public key, the target ciphertext and the oracle's yes/no answers.
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ * - RSACore (rsa-core.js)
+ *
+ * ============================================================================
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Floor division for BigInt (rounds toward -∞)
+ *
+ * WHY: BigInt division truncates toward zero, so -7n / 2n = -3n.
+ * Interval arithmetic in Bleichenbacher's attack needs true ⌊a/b⌋.
+ *
+ * @param {BigInt} a - Dividend
+ * @param {BigInt} b - Divisor (> 0)
+ * @returns {BigInt} - ⌊a / b⌋
+ */
+function floorDiv(a, b) {
+    const q = a / b;
+    return (a % b !== 0n && a < 0n) ? q - 1n : q;
+}
+
+/**
+ * Ceiling division for BigInt
+ *
+ * @param {BigInt} a - Dividend
+ * @param {BigInt} b - Divisor (> 0)
+ * @returns {BigInt} - ⌈a / b⌉
+ */
+function ceilDiv(a, b) {
+    return -floorDiv(-a, b);
+}
+
+/**
+ * Smallest prime ≥ n
+ *
+ * @param {BigInt} n - Starting point
+ * @returns {BigInt} - Next prime (Miller-Rabin)
+ */
+function nextPrime(n) {
+    let candidate = n <= 2n ? 2n : (n % 2n === 0n ? n + 1n : n);
+
+    while (MathUtils.isDivisibleBySmallPrime(candidate) || !RSACore.millerRabin(candidate)) {
+        candidate += candidate === 2n ? 1n : 2n;
+    }
+
+    return candidate;
+}
+
+/**
+ * Assemble a key pair from primes without any security checks
+ *
+ * RSACore.keyFromPrimes rejects exactly the parameters these attacks
+ * need (close primes, tiny d, small e), so weak victims are built here.
+ *
+ * @param {BigInt} p - First prime
+ * @param {BigInt} q - Second prime
+ * @param {BigInt} e - Public exponent
+ * @returns {Object|null} - Same shape as RSACore.generateKeyPair, or null if gcd(e, φ(n)) ≠ 1
+ */
+function buildWeakKeyPair(p, q, e) {
+    const phi = MathUtils.eulerTotient(p, q);
+    const d = MathUtils.modInverse(e, phi);
+
+    if (d === null) {
+        return null;
+    }
+
+    const n = p * q;
+    const { dP, dQ, qInv } = RSACore.crtParameters(p, q, d);
+
+    return {
+        publicKey: { e, n },
+        privateKey: { d, n, p, q, dP, dQ, qInv },
+        p,
+        q,
+        phi
+    };
+}
+
+/**
+ * Yield to the event loop so long-running attacks keep the page responsive
+ *
+ * @returns {Promise}
+ */
+function yieldToBrowser() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// ============================================================================
+// BLEICHENBACHER'S PADDING ORACLE ATTACK (CRYPTO '98)
+// ============================================================================
+
+/**
+ * Create a PKCS#1 v1.5 padding oracle
+ *
+ * Models a server that decrypts a ciphertext and answers one bit:
+ * "does the plaintext start with 0x00 0x02?". Historically this bit
+ * leaked through distinct TLS alerts, error messages or timing.
+ *
+ * "00 02 ..." as an integer means 2B ≤ m < 3B, where B = 2^(8(k-2)).
+ *
+ * @param {Object} privateKey - {d, n} held by the server
+ * @returns {Object} - { query(ciphertext) → Boolean, queries: Number }
+ */
+function createPaddingOracle(privateKey) {
+    const k = RSACore.modulusByteLength(privateKey.n);
+    const B = 1n << BigInt(8 * (k - 2));
+
+    const oracle = {
+        queries: 0,
+        query(ciphertext) {
+            oracle.queries++;
+            const m = RSACore.decrypt(ciphertext, privateKey);
+            return m >= 2n * B && m < 3n * B;
+        }
+    };
+
+    return oracle;
+}
+
+/**
+ * Merge overlapping intervals [a, b] (sorted by a)
+ *
+ * @param {Array<Object>} intervals - Array of {a, b}
+ * @returns {Array<Object>} - Disjoint intervals
+ */
+function mergeIntervals(intervals) {
+    const sorted = intervals.slice().sort((x, y) => (x.a < y.a ? -1 : x.a > y.a ? 1 : 0));
+    const merged = [];
+
+    for (const interval of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && interval.a <= last.b + 1n) {
+            if (interval.b > last.b) last.b = interval.b;
+        } else {
+            merged.push({ a: interval.a, b: interval.b });
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Bleichenbacher's adaptive chosen-ciphertext attack
+ *
+ * IDEA:
+ * RSA is multiplicatively homomorphic: (s^e · c) decrypts to s·m mod n.
+ * Each time the oracle says "s·m mod n is PKCS conforming" we learn
+ *   2B ≤ s·m - r·n < 3B   for some integer r
+ * which confines m to a union of narrow intervals. Repeating with
+ * well-chosen s shrinks the intervals until a single value remains.
+ *
+ * ALGORITHM (numbering follows the paper):
+ * 1. Blinding: c₀ = c·s₀^e conforming (s₀ = 1 when c is a real ciphertext)
+ *    M₀ = {[2B, 3B - 1]}
+ * 2a. First search: smallest s₁ ≥ n/(3B) with c₀·s₁^e conforming
+ * 2b. Several intervals left: next s > s_{i-1} that is conforming
+ * 2c. One interval [a, b] left: choose r ≥ 2(b·s_{i-1} - 2B)/n and try
+ *     (2B + r·n)/b ≤ s < (3B + r·n)/a  (about two queries per halving)
+ * 3. Narrow: for every [a, b] ∈ M and every valid r,
+ *     new interval [max(a, ⌈(2B + r·n)/s⌉), min(b, ⌊(3B - 1 + r·n)/s⌋)]
+ * 4. Done when M = {[a, a]}: m = a·s₀⁻¹ mod n
+ *
+ * COST: dominated by step 2a, roughly n/B ≈ 2^15-2^16 queries for any
+ * key size; step 2c then needs ~2 queries per bit of the modulus.
+ *
+ * @param {BigInt} ciphertext - Target ciphertext c
+ * @param {Object} publicKey - {e, n}
+ * @param {Object} oracle - Padding oracle from createPaddingOracle()
+ * @param {Function} progressCallback - Optional callback(stage, data)
+ * @returns {Promise<Object>} - { plaintext, message, queries, iterations, history }
+ */
+async function bleichenbacher(ciphertext, publicKey, oracle, progressCallback = null) {
+    const { e, n } = publicKey;
+    const k = RSACore.modulusByteLength(n);
+    const B = 1n << BigInt(8 * (k - 2));
+    const B2 = 2n * B;
+    const B3 = 3n * B;
+
+    const history = [];
+    let stage = 'Step 1: Blinding';
+
+    const report = (intervals) => {
+        if (!progressCallback) return;
+        const width = intervals.reduce((max, { a, b }) => (b - a > max ? b - a : max), 0n);
+        progressCallback(stage, {
+            queries: oracle.queries,
+            iteration: history.length,
+            intervals: intervals.length,
+            widthBits: MathUtils.bitLength(width),
+            initialWidthBits: MathUtils.bitLength(B - 1n)
+        });
+    };
+
+    // Ask the oracle about c₀·s^e, yielding to the browser periodically
+    const probe = async (c0, s) => {
+        if (oracle.queries % 256 === 0) {
+            report(M);
+            await yieldToBrowser();
+        }
+        return oracle.query((c0 * MathUtils.modPow(s, e, n)) % n);
+    };
+
+    // STEP 1: Blinding (skipped in practice: a real ciphertext is conforming)
+    let M = [{ a: B2, b: B3 - 1n }];
+    let s0 = 1n;
+    let c0 = ciphertext;
+
+    if (!oracle.query(c0)) {
+        do {
+            s0 = MathUtils.randomBigInt(MathUtils.bitLength(n) - 1);
+            c0 = (ciphertext * MathUtils.modPow(s0, e, n)) % n;
+        } while (!oracle.query(c0));
+    }
+
+    let s = 0n;
+
+    for (let i = 1; ; i++) {
+        // STEP 2: Search for the next conforming multiplier
+        if (i === 1) {
+            stage = 'Step 2a: Searching for s₁';
+            s = ceilDiv(n, B3);
+            while (!(await probe(c0, s))) s++;
+
+        } else if (M.length > 1) {
+            stage = 'Step 2b: Searching with several intervals';
+            s++;
+            while (!(await probe(c0, s))) s++;
+
+        } else {
+            stage = 'Step 2c: Binary search on one interval';
+            const { a, b } = M[0];
+            let found = false;
+
+            for (let r = ceilDiv(2n * (b * s - B2), n); !found; r++) {
+                const sHigh = ceilDiv(B3 + r * n, a);
+                for (let candidate = ceilDiv(B2 + r * n, b); candidate < sHigh; candidate++) {
+                    if (await probe(c0, candidate)) {
+                        s = candidate;
+                        found = true;
+                        break;
+                    }
+                }
+            }
+        }
+
+        // STEP 3: Narrow the set of solutions
+        const narrowed = [];
+        for (const { a, b } of M) {
+            const rLow = ceilDiv(a * s - B3 + 1n, n);
+            const rHigh = floorDiv(b * s - B2, n);
+
+            for (let r = rLow; r <= rHigh; r++) {
+                const low = ceilDiv(B2 + r * n, s);
+                const high = floorDiv(B3 - 1n + r * n, s);
+                const newA = a > low ? a : low;
+                const newB = b < high ? b : high;
+                if (newA <= newB) narrowed.push({ a: newA, b: newB });
+            }
+        }
+        M = mergeIntervals(narrowed);
+
+        const width = M.reduce((max, { a, b }) => (b - a > max ? b - a : max), 0n);
+        history.push({
+            iteration: i,
+            stage,
+            s,
+            queries: oracle.queries,
+            intervals: M.length,
+            widthBits: MathUtils.bitLength(width)
+        });
+        report(M);
+
+        // STEP 4: Single value left?
+        if (M.length === 1 && M[0].a === M[0].b) {
+            const plaintext = (M[0].a * MathUtils.modInverse(s0, n)) % n;
+            stage = 'Complete';
+            report(M);
+
+            return {
+                plaintext,
+                message: unpadRecoveredBlock(plaintext, k),
+                queries: oracle.queries,
+                iterations: i,
+                history
+            };
+        }
+    }
+}
+
+/**
+ * Strip PKCS#1 v1.5 type-2 padding from a recovered plaintext block
+ *
+ * @param {BigInt} m - Recovered encoded message as integer
+ * @param {Number} k - Modulus length in bytes
+ * @returns {Uint8Array|null} - Message bytes, or null if no separator
+ */
+function unpadRecoveredBlock(m, k) {
+    const encodedMessage = MathUtils.i2osp(m, k);
+    const separatorIndex = encodedMessage.indexOf(0x00, 2);
+    return separatorIndex === -1 ? null : encodedMessage.slice(separatorIndex + 1);
+}
+
+// ============================================================================
+// FERMAT FACTORIZATION (CLOSE PRIMES)
+// ============================================================================
+
+// Steps run before fermatFactor gives up
+const FERMAT_MAX_ITERATIONS = 1000000;
+
+// Rows of the iteration trace kept by fermatFactor (the final row is always kept)
+const FERMAT_TRACE_ROWS = 12;
+
+// Steps used to probe a public key whose primes are unknown
+const FERMAT_PROBE_ITERATIONS = 10000;
+
+// A key Fermat's method factors in fewer steps than this is reported as
+// vulnerable: 2^32 steps take minutes in optimized code
+const FERMAT_VULNERABLE_ITERATIONS = 1n << 32n;
+
+// Quadratic residues modulo 64: a number whose residue is not in this set
+// cannot be a perfect square, which rules out ~80% of candidates cheaply
+const SQUARES_MOD_64 = new Set(Array.from({ length: 64 }, (_, i) => (i * i) % 64));
+
+/**
+ * Perfect square test
+ *
+ * @param {BigInt} x - Non-negative integer
+ * @returns {BigInt|null} - √x if x is a perfect square, otherwise null
+ */
+function exactSquareRoot(x) {
+    if (!SQUARES_MOD_64.has(Number(x & 63n))) {
+        return null;
+    }
+
+    const root = MathUtils.isqrt(x);
+    return root * root === x ? root : null;
+}
+
+/**
+ * Fermat's factorization method
+ *
+ * IDEA: for odd n = p·q, set a = (p+q)/2 and b = (p-q)/2. Then
+ *       n = a² - b², so searching a = ⌈√n⌉, ⌈√n⌉+1, ... until a² - n
+ *       is a perfect square b² yields p = a + b and q = a - b.
+ *
+ * COST: (p+q)/2 - ⌈√n⌉ + 1 steps, about (p - q)² / (8√n). Instant when p
+ * and q agree in their top half of bits; hopeless for random primes,
+ * where |p - q| ≈ √n and the count is about √n / 8.
+ *
+ * Each step updates a² - n incrementally: (a+1)² - n = (a² - n) + 2a + 1.
+ *
+ * @param {BigInt} n - Odd modulus to factor
+ * @param {Object} options - { maxIterations, traceRows } (both optional)
+ * @returns {Object|null} - { p, q, iterations, trace: [{ iteration, a, b2, b }] },
+ *          or null if no factor is found within maxIterations
+ */
+function fermatFactor(n, options = {}) {
+    const { maxIterations = FERMAT_MAX_ITERATIONS, traceRows = FERMAT_TRACE_ROWS } = options;
+
+    let a = MathUtils.isqrt(n);
+    if (a * a < n) {
+        a++;
+    }
+    let b2 = a * a - n;
+    const trace = [];
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        const b = exactSquareRoot(b2);
+
+        if (iteration <= traceRows || b !== null) {
+            trace.push({ iteration, a, b2, b });
+        }
+
+        if (b !== null) {
+            return { p: a + b, q: a - b, iterations: iteration, trace };
+        }
+
+        b2 += 2n * a + 1n;
+        a++;
+    }
+
+    return null;
+}
+
+/**
+ * Exact number of steps Fermat's method needs for known primes
+ *
+ * @param {BigInt} p - First prime
+ * @param {BigInt} q - Second prime
+ * @returns {BigInt} - (p+q)/2 - ⌈√n⌉ + 1
+ */
+function fermatIterations(p, q) {
+    const n = p * q;
+    let start = MathUtils.isqrt(n);
+    if (start * start < n) {
+        start++;
+    }
+    return (p + q) / 2n - start + 1n;
+}
+
+/**
+ * Generate a key pair whose primes are deliberately close
+ *
+ * p is a random prime; q is the next prime after p + r for a random
+ * r of gapBits bits, so |p - q| ≈ 2^gapBits. With gapBits = bits/4 + k,
+ * Fermat's method needs roughly 2^(2k-3) steps.
+ *
+ * @param {Number} bits - Modulus size in bits
+ * @param {Number} gapBits - Bit length of |p - q|
+ * @returns {Object} - Same shape as RSACore.generateKeyPair
+ */
+async function generateClosePrimeKeyPair(bits, gapBits) {
+    const e = BigInt(Config.RSA.PUBLIC_EXPONENT);
+
+    while (true) {
+        const p = await RSACore.generatePrime(Math.floor(bits / 2));
+        const q = nextPrime(p + MathUtils.randomBigInt(gapBits));
+        const keys = buildWeakKeyPair(p, q, e);
+
+        if (keys !== null) {
+            return keys;
+        }
+    }
+}
+
+/**
+ * Check whether a key falls to Fermat's method
+ *
+ * With the primes at hand the step count is exact. Multi-prime keys are
+ * checked pair by pair, as generateKeyPair does, and the closest pair is
+ * reported. For a public key alone, the method is run for
+ * FERMAT_PROBE_ITERATIONS steps, which also recovers the factors if it
+ * succeeds.
+ *
+ * @param {Object} keys - { publicKey, primes?, p?, q? }
+ * @returns {Object} - { vulnerable, iterations (BigInt|null), pair ([BigInt, BigInt]|null), probed }
+ */
+function assessFermatRisk(keys) {
+    const primes = keys.primes || (keys.p && keys.q ? [keys.p, keys.q] : null);
+    if (primes) {
+        let closest = null;
+        primes.forEach((a, i) => primes.slice(i + 1).forEach(b => {
+            const iterations = fermatIterations(a, b);
+            if (closest === null || iterations < closest.iterations) {
+                closest = { iterations, pair: [a, b] };
+            }
+        }));
+        return { vulnerable: closest.iterations < FERMAT_VULNERABLE_ITERATIONS, ...closest, probed: false };
+    }
+
+    const result = fermatFactor(keys.publicKey.n, { maxIterations: FERMAT_PROBE_ITERATIONS, traceRows: 0 });
+    return {
+        vulnerable: result !== null,
+        iterations: result ? BigInt(result.iterations) : null,
+        pair: result ? [result.p, result.q] : null,
+        probed: true
+    };
+}
+
+// ============================================================================
+// WIENER'S ATTACK (SMALL PRIVATE EXPONENT)
+// ============================================================================
+
+/**
+ * Wiener's continued-fraction attack
+ *
+ * IDEA: e·d = 1 + k·φ(n) and φ(n) ≈ n, so e/n ≈ k/d with error below
+ * 1/(2d²) when d < n^¼/3 (and q < p < 2q). By Legendre's theorem k/d is
+ * then one of the convergents of the continued fraction of e/n.
+ *
+ * TEST FOR EACH CONVERGENT k/d:
+ * 1. k must divide e·d - 1; candidate φ = (e·d - 1)/k
+ * 2. p + q = n - φ + 1 =: s, so p and q are the roots of x² - s·x + n
+ * 3. The discriminant s² - 4n must be a perfect square t²;
+ *    then p = (s + t)/2, q = (s - t)/2
+ *
+ * @param {Object} publicKey - {e, n}
+ * @returns {Object} - { success, d, p, q, phi, quotients, rows }, where rows
+ *          holds one entry per convergent tested:
+ *          { index, quotient, k, d, phi (BigInt|null), factored }
+ */
+function wiener(publicKey) {
+    const { e, n } = publicKey;
+    const quotients = MathUtils.continuedFraction(e, n);
+    const rows = [];
+
+    for (const [index, { numerator: k, denominator: d }] of MathUtils.convergents(quotients).entries()) {
+        const row = { index, quotient: quotients[index], k, d, phi: null, factored: false };
+        rows.push(row);
+
+        if (k === 0n || (e * d - 1n) % k !== 0n) {
+            continue;
+        }
+
+        const phi = (e * d - 1n) / k;
+        row.phi = phi;
+
+        const s = n - phi + 1n;
+        const discriminant = s * s - 4n * n;
+        const t = discriminant >= 0n ? exactSquareRoot(discriminant) : null;
+
+        if (t !== null && (s + t) % 2n === 0n) {
+            const p = (s + t) / 2n;
+            const q = (s - t) / 2n;
+
+            if (p * q === n) {
+                row.factored = true;
+                return { success: true, d, p, q, phi, quotients, rows };
+            }
+        }
+    }
+
+    return { success: false, d: null, p: null, q: null, phi: null, quotients, rows };
+}
+
+// ============================================================================
+// HÅSTAD'S BROADCAST ATTACK (SMALL PUBLIC EXPONENT)
+// ============================================================================
+
+/**
+ * Håstad's broadcast attack
+ *
+ * IDEA: the same m is sent with textbook RSA to e recipients sharing the
+ * public exponent e, giving cᵢ = m^e mod nᵢ. The CRT combines them into
+ * x ≡ m^e (mod n₁·…·nₑ). Since m < every nᵢ, m^e < n₁·…·nₑ, so x = m^e
+ * exactly, over the integers, and m is its integer e-th root.
+ * No modular arithmetic is left to undo and no private key is needed.
+ *
+ * Random padding (OAEP) defeats this: each recipient then encrypts a
+ * different number.
+ *
+ * @param {Array<BigInt>} ciphertexts - c₁, …, cₑ
+ * @param {Array<Object>} publicKeys - {e, n} of each recipient, same e
+ * @returns {Object} - { message, combined, modulus, terms } where combined = m^e
+ *          and terms are the CRT terms from MathUtils.crt
+ * @throws {Error} If the exponents differ, fewer than e ciphertexts are
+ *         given, or the combined value is not an exact e-th power
+ */
+function hastadBroadcast(ciphertexts, publicKeys) {
+    const e = publicKeys[0].e;
+
+    if (publicKeys.some(key => key.e !== e)) {
+        throw new Error('All recipients must use the same public exponent');
+    }
+    if (BigInt(ciphertexts.length) < e) {
+        throw new Error(`Need at least e = ${e} ciphertexts, got ${ciphertexts.length}`);
+    }
+
+    const count = Number(e);
+    const { x, modulus, terms } = MathUtils.crt(
+        ciphertexts.slice(0, count),
+        publicKeys.slice(0, count).map(key => key.n)
+    );
+
+    const message = MathUtils.integerRoot(x, count);
+    if (message ** e !== x) {
+        throw new Error('The combined value is not a perfect e-th power: the plaintexts differ (padding?)');
+    }
+
+    return { message, combined: x, modulus, terms };
+}
+
+// ============================================================================
+// COMMON MODULUS ATTACKS (SHARED n)
+// ============================================================================
+
+// Random bases tried before giving up on factoring n from (e, d);
+// each one succeeds with probability at least 1/2
+const SHARED_MODULUS_MAX_ATTEMPTS = 64;
+
+/**
+ * Generate two users' key pairs that share one modulus
+ *
+ * The "central key server" design students keep proposing: generate
+ * p and q once, hand everyone the same n and give each user their own
+ * public exponent. Alice gets e = 65537, Bob the next prime above it
+ * that is coprime to φ(n), so gcd(e_A, e_B) = 1.
+ *
+ * @param {number} bits - Modulus size in bits
+ * @returns {Promise<Array<Object>>} - [alice, bob], same shape as RSACore.generateKeyPair
+ */
+async function generateSharedModulusKeyPairs(bits) {
+    const alice = await RSACore.generateKeyPair(bits);
+
+    let bob = null;
+    let e = alice.publicKey.e;
+    while (bob === null) {
+        e = nextPrime(e + 1n);
+        bob = buildWeakKeyPair(alice.p, alice.q, e);
+    }
+
+    return [alice, bob];
+}
+
+/**
+ * Recover a message encrypted under two public keys with the same n
+ *
+ * IDEA: c₁ = m^e₁ and c₂ = m^e₂ (mod n) with gcd(e₁, e₂) = 1. The
+ * extended Euclidean algorithm gives a·e₁ + b·e₂ = 1, so
+ *   c₁^a · c₂^b = m^(a·e₁ + b·e₂) = m (mod n)
+ * One of a, b is negative; that power is taken of the ciphertext's
+ * modular inverse instead. No private key and no factoring involved.
+ *
+ * @param {Array<BigInt>} ciphertexts - [c₁, c₂]
+ * @param {Array<Object>} publicKeys - [{e₁, n}, {e₂, n}]
+ * @returns {Object} - { message, gcd, terms } where each term is
+ *          { ciphertext, exponent, coefficient, base, power }: base is cᵢ
+ *          or cᵢ⁻¹ mod n and power = base^|coefficient| mod n
+ * @throws {Error} If the moduli differ, the exponents share a factor,
+ *         or a ciphertext has no inverse mod n
+ */
+function commonModulus(ciphertexts, publicKeys) {
+    const [first, second] = publicKeys;
+    const n = first.n;
+
+    if (second.n !== n) {
+        throw new Error('The two public keys must share the same modulus n');
+    }
+
+    const { gcd, x: a, y: b } = MathUtils.extendedGCD(first.e, second.e);
+    if (gcd !== 1n) {
+        throw new Error(`gcd(e₁, e₂) = ${gcd}: the exponents must be coprime`);
+    }
+
+    const terms = [a, b].map((coefficient, i) => {
+        const ciphertext = ciphertexts[i];
+        const base = coefficient < 0n ? MathUtils.modInverse(ciphertext, n) : ciphertext;
+
+        if (base === null) {
+            throw new Error(`c${i + 1} has no inverse modulo n (it shares a factor with n)`);
+        }
+
+        const power = MathUtils.modPow(base, coefficient < 0n ? -coefficient : coefficient, n);
+        return { ciphertext, exponent: publicKeys[i].e, coefficient, base, power };
+    });
+
+    const message = (terms[0].power * terms[1].power) % n;
+
+    return { message, gcd, terms };
+}
+
+/**
+ * Factor n from one complete key pair (e, d, n)
+ *
+ * IDEA: k = e·d - 1 is a multiple of λ(n), so g^k ≡ 1 (mod n) for every
+ * g coprime to n. Write k = 2^t·r with r odd and square g^r up to t times.
+ * The last value before 1 is a square root of 1 mod n; if it is not ±1
+ * it is 1 mod one prime and -1 mod the other, and gcd(x - 1, n) is a
+ * factor. A random g fails this way with probability at most 1/2.
+ *
+ * Consequence for a shared modulus: any user can factor n with their own
+ * key pair and then compute every other user's d.
+ *
+ * @param {BigInt} e - Public exponent
+ * @param {BigInt} d - Matching private exponent
+ * @param {BigInt} n - Modulus
+ * @param {Object} options
+ * @param {number} options.maxAttempts - Random bases to try (default SHARED_MODULUS_MAX_ATTEMPTS)
+ * @returns {Object|null} - { p, q, k, t, r, attempts } where each attempt is
+ *          { g, sequence, factor }: sequence lists g^r, g^(2r), … up to the
+ *          first 1; null if every base failed
+ */
+function factorFromKeyPair(e, d, n, options = {}) {
+    const { maxAttempts = SHARED_MODULUS_MAX_ATTEMPTS } = options;
+
+    const k = e * d - 1n;
+    let r = k;
+    let t = 0;
+    while (r % 2n === 0n) {
+        r /= 2n;
+        t++;
+    }
+
+    const attempts = [];
+    const bits = MathUtils.bitLength(n);
+
+    for (let i = 0; i < maxAttempts; i++) {
+        const g = 2n + MathUtils.randomBigInt(bits + 64) % (n - 3n);
+        const attempt = { g, sequence: [], factor: null };
+        attempts.push(attempt);
+
+        // Lucky guess: g itself shares a prime with n
+        const shared = MathUtils.gcd(g, n);
+        if (shared !== 1n) {
+            attempt.factor = shared;
+            return { p: shared, q: n / shared, k, t, r, attempts };
+        }
+
+        let x = MathUtils.modPow(g, r, n);
+        attempt.sequence.push(x);
+
+        for (let j = 0; j < t && x !== 1n; j++) {
+            const next = (x * x) % n;
+            attempt.sequence.push(next);
+
+            if (next === 1n && x !== n - 1n) {
+                const p = MathUtils.gcd(x - 1n, n);
+                attempt.factor = p;
+                return { p, q: n / p, k, t, r, attempts };
+            }
+            x = next;
+        }
+    }
+
+    return null;
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const RSAAttacks = {
+    createPaddingOracle,
+    bleichenbacher,
+    buildWeakKeyPair,
+    nextPrime,
+    fermatFactor,
+    fermatIterations,
+    generateClosePrimeKeyPair,
+    assessFermatRisk,
+    wiener,
+    hastadBroadcast,
+    generateSharedModulusKeyPairs,
+    commonModulus,
+    factorFromKeyPair
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RSAAttacks = RSAAttacks;
+}
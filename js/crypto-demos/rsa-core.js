@@ -13,7 +13,12 @@
  * 5. Compute d = e^(-1) mod φ(n) (private exponent)
  *
  * Public key: (e, n)
- * Private key: (d, n)
+ * Private key: (d, n), plus p, q, dP, dQ, qInv for CRT decryption
+ *
+ * VARIANTS (RFC 8017 §3):
+ * - d may be taken modulo Carmichael's λ(n) = lcm(p-1, q-1) instead of φ(n)
+ * - Multi-prime RSA: n = r₁·r₂·…·rᵤ with u ≥ 3 primes, each r₃… carrying
+ *   its own CRT exponent and coefficient
  *
  * ENCRYPTION: c = m^e mod n
  * DECRYPTION: m = c^d mod n
@@ -66,6 +71,9 @@
  *    d. If we reach here, n is composite
  * 3. If all witnesses pass, n is probably prime
  *
+ * All rounds share one Montgomery context for n, and the squarings of
+ * step c stay in Montgomery form (compared with the form of n-1).
+ *
  * @param {BigInt} n - Number to test
  * @param {Number} rounds - Number of witnesses (default: 40)
  * @returns {Boolean} - true if probably prime, false if definitely composite
@@ -84,25 +92,30 @@ function millerRabin(n, rounds = Config.RSA.PRIMALITY_TEST_ROUNDS) {
         d = d / 2n;
     }
 
+    // One Montgomery context for every round
+    const context = MathUtils.createMontgomeryContext(n);
+    const minusOne = MathUtils.toMontgomery(n - 1n, context);
+
     // Perform Miller-Rabin test with multiple witnesses
     witnessLoop: for (let i = 0; i < rounds; i++) {
         // Choose random witness a in range [2, n-2]
         const a = randomWitness(n);
 
         // Compute x = a^d mod n
-        let x = MathUtils.modPow(a, d, n);
+        const x = MathUtils.modPowMontgomery(a, d, n, context);
 
         // If x = 1 or x = n-1, this witness passes
         if (x === 1n || x === n - 1n) {
             continue witnessLoop;
         }
 
-        // Square x repeatedly (r-1 times)
+        // Square x repeatedly (r-1 times), in Montgomery form
+        let xBar = MathUtils.toMontgomery(x, context);
         for (let j = 0n; j < r - 1n; j++) {
-            x = MathUtils.modPow(x, 2n, n);
+            xBar = MathUtils.montgomeryMultiply(xBar, xBar, context);
 
             // If x = n-1, this witness passes
-            if (x === n - 1n) {
+            if (xBar === minusOne) {
                 continue witnessLoop;
             }
         }
@@ -118,18 +131,17 @@ function millerRabin(n, rounds = Config.RSA.PRIMALITY_TEST_ROUNDS) {
 /**
  * Generate random witness for Miller-Rabin test
  *
- * @param {BigInt} n - Number being tested
+ * Reduces a random value 64 bits longer than n into the range, so the
+ * modulo bias is negligible. (Rejection sampling on bitLength(n)-bit values
+ * never terminates for n = 2^k + 1: randomBigInt sets the top bit, so every
+ * candidate is ≥ n - 1.)
+ *
+ * @param {BigInt} n - Number being tested (n ≥ 5)
  * @returns {BigInt} - Random witness in range [2, n-2]
  */
 function randomWitness(n) {
     const bitLen = MathUtils.bitLength(n);
-    let witness;
-
-    do {
-        witness = MathUtils.randomBigInt(bitLen);
-    } while (witness < 2n || witness >= n - 1n);
-
-    return witness;
+    return 2n + MathUtils.randomBigInt(bitLen + 64) % (n - 3n);
 }
 
 /**
@@ -154,14 +166,23 @@ function randomWitness(n) {
  * - 1024-bit: ~500-2000ms
  * - 2048-bit: ~2-10 seconds
  *
+ * CANCELLATION: pass an AbortSignal; it is checked before every attempt
+ * and an aborted search rejects with an AbortError.
+ *
  * @param {Number} bits - Desired bit length
  * @param {Function} progressCallback - Optional callback(attempt, isPrime)
+ * @param {AbortSignal} signal - Optional signal to cancel the search
+ * @param {Object} options - { minimum } (optional)
+ * @param {BigInt} options.minimum - Candidates below it are drawn again
+ *        (see multiPrimeLowerBound)
  * @returns {BigInt} - Random prime number
  */
-async function generatePrime(bits, progressCallback = null) {
+async function generatePrime(bits, progressCallback = null, signal = null, options = {}) {
+    const { minimum = 0n } = options;
     let attempts = 0;
 
     while (true) {
+        throwIfCancelled(signal);
         attempts++;
 
         // Generate random odd number with 'bits' bits
@@ -172,8 +193,8 @@ async function generatePrime(bits, progressCallback = null) {
             candidate = candidate + 1n;
         }
 
-        // Quick check: divisible by small primes?
-        let divisibleBySmallPrime = MathUtils.isDivisibleBySmallPrime(candidate);
+        // Quick check: below the minimum, or divisible by small primes?
+        let divisibleBySmallPrime = candidate < minimum || MathUtils.isDivisibleBySmallPrime(candidate);
 
         if (divisibleBySmallPrime) {
             if (progressCallback) progressCallback(attempts, false);
@@ -198,6 +219,18 @@ async function generatePrime(bits, progressCallback = null) {
     }
 }
 
+/**
+ * Stop a long computation once its AbortSignal has fired
+ *
+ * @param {AbortSignal|null} signal - Signal to check (null: never cancelled)
+ * @throws {DOMException} AbortError if the signal was aborted
+ */
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw new DOMException('Key generation cancelled', 'AbortError');
+    }
+}
+
 /**
  * Sleep utility (for yielding to event loop)
  *
@@ -208,21 +241,76 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// ============================================================================
+// KEY GENERATION
+// ============================================================================
+
+// Names of the prime factors: p, q, then r₃ … r₅ for multi-prime keys (RFC 8017 §3)
+const RSA_PRIME_NAMES = Object.freeze(['p', 'q', 'r₃', 'r₄', 'r₅']);
+
+/**
+ * Largest number of primes that keeps a key as hard to factor as a
+ * two-prime key of the same size (Hinek, "On the Security of Multi-prime
+ * RSA", 2008): with more primes each factor is small enough for the
+ * elliptic curve method (ECM) to find it faster than the number field
+ * sieve factors n.
+ */
+const MULTI_PRIME_LIMITS = Object.freeze({ 1024: 3, 2048: 3, 4096: 4, 8192: 5 });
+
+/**
+ * Moduli the private exponent can be derived under
+ *
+ * - phi:    d = e⁻¹ mod φ(n), the textbook definition
+ * - lambda: d = e⁻¹ mod λ(n), the smallest d that works, allowed by
+ *           RFC 8017 and used by OpenSSL and FIPS 186-4
+ */
+const PRIVATE_EXPONENT_MODULI = Object.freeze({
+    phi: { label: 'd = e⁻¹ mod φ(n) (Euler)', symbol: 'φ(n)' },
+    lambda: { label: 'd = e⁻¹ mod λ(n) (Carmichael)', symbol: 'λ(n)' }
+});
+
+/**
+ * Largest prime count recommended for a key size (see MULTI_PRIME_LIMITS)
+ *
+ * @param {Number} bits - Key size in bits
+ * @returns {Number} - 2 below 1024 bits, otherwise the limit of the largest listed size ≤ bits
+ */
+function maxSecurePrimeCount(bits) {
+    let limit = 2;
+    for (const [size, count] of Object.entries(MULTI_PRIME_LIMITS)) {
+        if (bits >= Number(size)) {
+            limit = count;
+        }
+    }
+    return limit;
+}
+
 /**
  * Generate RSA key pair
  *
  * ALGORITHM:
- * 1. Generate two distinct primes p and q
+ * 1. Generate distinct primes p and q (and r₃ … r₅ for multi-prime keys)
  * 2. Compute n = p·q (modulus)
- * 3. Compute φ(n) = (p-1)(q-1)
+ * 3. Compute φ(n) = (p-1)(q-1) and λ(n) = lcm(p-1, q-1)
  * 4. Choose e (typically 65537 for efficiency)
  * 5. Verify gcd(e, φ(n)) = 1
- * 6. Compute d = e^(-1) mod φ(n)
+ * 6. Compute d = e^(-1) mod φ(n), or mod λ(n) with options.totient = 'lambda'
  *
  * KEY SIZE SELECTION:
  * - n has 'bits' bits (e.g., 2048 bits)
  * - p and q each have bits/2 bits (e.g., 1024 bits each)
  * - This ensures n = p·q has the desired bit length
+ * - With u primes the bits are split u ways (1024 = 341 + 341 + 342)
+ *
+ * φ(n) OR λ(n):
+ * e·d ≡ 1 (mod λ(n)) is all decryption needs, and λ(n) divides φ(n), so
+ * both choices decrypt alike. d mod λ(n) is smaller; the φ-based d is
+ * that value plus a multiple of λ(n). Both are returned (dPhi, dLambda).
+ *
+ * MULTI-PRIME RSA:
+ * More primes make CRT decryption faster (u exponentiations with moduli
+ * of 1/u the size: about u² times less work than c^d mod n) but each
+ * prime is smaller and easier for ECM to find; see MULTI_PRIME_LIMITS.
  *
  * PUBLIC EXPONENT CHOICE:
  * Standard choice: e = 65537 = 2^16 + 1
@@ -233,77 +321,178 @@ function sleep(ms) {
  *
  * SECURITY CHECKS:
  * - Ensure p ≠ q (distinct primes)
- * - Ensure |p - q| is large (prevents Fermat factorization)
+ * - Ensure |p - q| is large (prevents Fermat factorization), for every pair of primes
  * - Ensure gcd(e, φ(n)) = 1 (d exists)
  *
+ * MODULUS SIZE: primes with only their top bit set multiply to a modulus
+ * up to primeCount - 1 bits short. Multi-prime keys therefore draw every
+ * prime above multiPrimeLowerBound, so n has exactly 'bits' bits (as
+ * OpenSSL requires of multi-prime keys). Two-prime keys keep plain
+ * random primes and may be one bit short, except in the FIPS mode.
+ *
+ * The private key also carries p, q and the CRT parameters dP, dQ, qInv
+ * (see decryptCRT), as in the PKCS#1 RSAPrivateKey structure, and for
+ * multi-prime keys otherPrimes (see otherPrimeInfos).
+ *
+ * PRIME SEARCH: the two prime searches are almost all of the work.
+ * options.findPrime replaces findPrimeByMode with any function of the same
+ * signature, e.g. RSAKeygenWorkers running the search in Web Workers.
+ * options.primeMode picks the kind of prime (see PRIME_MODES).
+ *
+ * STATISTICS: every prime search, including those thrown away when a
+ * check below fails and the key is regenerated, is recorded with its
+ * number of candidates and duration in the returned statistics.
+ *
  * @param {Number} bits - Key size in bits (512, 1024, 2048, etc.)
  * @param {Function} progressCallback - Optional callback(stage, data)
- * @returns {Object} { publicKey: {e, n}, privateKey: {d, n}, p, q, phi }
+ * @param {Object} options - { findPrime, signal, smallPrivateExponent, publicExponent, primeMode } (all optional)
+ * @param {Function} options.findPrime - async (bits, progressCallback, signal, { mode, publicExponent }) => prime
+ * @param {AbortSignal} options.signal - Cancels the prime searches
+ * @param {boolean} options.smallPrivateExponent - INSECURE: d < n^¼/3, breakable
+ *        by Wiener's attack (see publicExponentForSmallD)
+ * @param {Number|BigInt} options.publicExponent - e (default: Config.RSA.PUBLIC_EXPONENT);
+ *        primes are regenerated until gcd(e, φ(n)) = 1
+ * @param {string} options.primeMode - Key of PRIME_MODES (default: 'random')
+ * @param {Number} options.primeCount - Number of primes, 2 to 5 (default: 2)
+ * @param {string} options.totient - Key of PRIVATE_EXPONENT_MODULI (default: 'phi')
+ * @returns {Object} { publicKey: {e, n}, privateKey: {d, n, p, q, dP, dQ, qInv, otherPrimes?},
+ *          p, q, primes, phi, lambda, dPhi, dLambda, totient,
+ *          statistics: { mode, primes: [{ stage, attempts, duration }], retries } }
+ * @throws {Error} If primeCount or totient is invalid
  */
-async function generateKeyPair(bits = 2048, progressCallback = null) {
-    console.log(`Generating ${bits}-bit RSA key pair...`);
+async function generateKeyPair(bits = 2048, progressCallback = null, options = {}) {
+    const {
+        findPrime = findPrimeByMode,
+        signal = null,
+        smallPrivateExponent = false,
+        publicExponent = Config.RSA.PUBLIC_EXPONENT,
+        primeMode = 'random',
+        primeCount = 2,
+        totient = 'phi'
+    } = options;
 
-    const halfBits = Math.floor(bits / 2);
+    if (!Number.isInteger(primeCount) || primeCount < 2 || primeCount > RSA_PRIME_NAMES.length) {
+        throw new Error(`RSA needs 2 to ${RSA_PRIME_NAMES.length} primes, got ${primeCount}`);
+    }
+    if (!PRIVATE_EXPONENT_MODULI[totient]) {
+        throw new Error(`Unknown private exponent modulus: ${totient}`);
+    }
 
-    // STEP 1: Generate prime p
-    if (progressCallback) progressCallback('Generating prime p', null);
-    const p = await generatePrime(halfBits, (attempt, isPrime) => {
-        if (progressCallback) progressCallback('Generating prime p', { attempt, isPrime });
-    });
-    console.log(`Generated p (${MathUtils.bitLength(p)} bits)`);
-
-    // STEP 2: Generate prime q (distinct from p)
-    if (progressCallback) progressCallback('Generating prime q', null);
-    let q;
-    do {
-        q = await generatePrime(halfBits, (attempt, isPrime) => {
-            if (progressCallback) progressCallback('Generating prime q', { attempt, isPrime });
-        });
-    } while (q === p);  // Ensure p ≠ q
-    console.log(`Generated q (${MathUtils.bitLength(q)} bits)`);
+    console.log(`Generating ${bits}-bit RSA key pair (${primeCount} primes)...`);
+
+    // Prime sizes add up to the key size
+    const primeSizes = Array.from({ length: primeCount }, (_, i) =>
+        Math.floor(bits * (i + 1) / primeCount) - Math.floor(bits * i / primeCount));
+
+    // Multi-prime keys: lower bounds that keep n at exactly 'bits' bits
+    const primeMinimums = primeSizes.map(size => primeCount > 2 ? multiPrimeLowerBound(size, primeCount) : 0n);
+
+    // Shared with the retries below, so their searches are counted too
+    const statistics = options.statistics || { mode: primeMode, primes: [], retries: 0 };
+    const retry = () => {
+        statistics.retries++;
+        return generateKeyPair(bits, progressCallback, { ...options, statistics });
+    };
+
+    // Progress data from the prime search ({ attempt, isPrime } and, for
+    // worker searches, the number of workers) is passed through unchanged.
+    // A search that gives up at its candidate limit (FIPS 186-4 B.3.3) is
+    // started again; its candidates still count.
+    async function searchPrime(stage, primeBits, minimum) {
+        const record = { stage, attempts: 0, duration: 0 };
+        const startTime = performance.now();
+
+        let prime = null;
+        let previousAttempts = 0;
+        while (prime === null) {
+            try {
+                prime = await findPrime(primeBits, (attempt, isPrime, details = {}) => {
+                    record.attempts = previousAttempts + attempt;
+                    if (progressCallback) progressCallback(stage, { attempt: record.attempts, isPrime, ...details });
+                }, signal, { mode: primeMode, publicExponent, minimum });
+            } catch (error) {
+                if (error.name !== 'PrimeSearchLimitError') throw error;
+                console.warn(error.message);
+                previousAttempts = record.attempts;
+            }
+        }
+
+        record.duration = performance.now() - startTime;
+        statistics.primes.push(record);
+        return prime;
+    }
+
+    // STEP 1: Generate primes p, q (and r₃ … for multi-prime keys), all distinct
+    const primes = [];
+    for (const [index, name] of RSA_PRIME_NAMES.slice(0, primeCount).entries()) {
+        const stage = `Generating prime ${name}`;
+        if (progressCallback) progressCallback(stage, null);
 
-    // SECURITY CHECK: Ensure |p - q| is sufficiently large
+        // Ensure p ≠ q (≠ r₃ ...), and that a findPrime ignoring the minimum is caught
+        let prime;
+        do {
+            prime = await searchPrime(stage, primeSizes[index], primeMinimums[index]);
+        } while (primes.includes(prime) || prime < primeMinimums[index]);
+        primes.push(prime);
+        console.log(`Generated ${name} (${MathUtils.bitLength(prime)} bits)`);
+    }
+    const [p, q] = primes;
+
+    // SECURITY CHECK: Ensure |p - q| is sufficiently large (for every pair)
     // If p and q are too close, Fermat factorization can factor n efficiently
-    const diff = p > q ? p - q : q - p;
-    const minDiff = 1n << BigInt(halfBits - 10);  // At least 2^(halfBits-10) difference
+    const minDiff = 1n << BigInt(Math.min(...primeSizes) - Config.RSA.MIN_PQ_DIFFERENCE_BITS);  // At least 2^(primeBits-10) difference
+    const tooClose = primes.some((a, i) => primes.slice(i + 1).some(b => (a > b ? a - b : b - a) < minDiff));
 
-    if (diff < Config.RSA.MIN_PQ_DIFFERENCE_BITS) {
+    if (tooClose) {
         console.warn('p and q are too close, regenerating...');
-        return generateKeyPair(bits, progressCallback);  // Retry
+        return retry();
     }
 
-    // STEP 3: Compute n = p·q (modulus)
+    // STEP 2: Compute n = p·q (modulus)
     if (progressCallback) progressCallback('Computing modulus n', null);
-    const n = p * q;
+    const n = primes.reduce((product, prime) => product * prime, 1n);
     console.log(`Modulus n: ${MathUtils.bitLength(n)} bits`);
 
-    // STEP 4: Compute φ(n) = (p-1)(q-1)
+    // STEP 3: Compute φ(n) = (p-1)(q-1) and λ(n) = lcm(p-1, q-1)
     if (progressCallback) progressCallback('Computing φ(n)', null);
-    const phi = MathUtils.eulerTotient(p, q);
+    const phi = MathUtils.eulerTotient(...primes);
+    if (totient === 'lambda' && progressCallback) progressCallback('Computing λ(n)', null);
+    const lambda = MathUtils.carmichaelLambda(...primes);
+    const modulus = totient === 'lambda' ? lambda : phi;
 
-    // STEP 5: Public exponent e
-    const e = BigInt(Config.RSA.PUBLIC_EXPONENT);
+    // STEP 4: Public exponent e
+    // (INSECURE option for the Wiener demo: derive e from a small d instead)
+    const e = smallPrivateExponent
+        ? publicExponentForSmallD(bits, modulus)
+        : BigInt(publicExponent);
 
-    // Verify gcd(e, φ(n)) = 1
+    // Verify gcd(e, φ(n)) = 1 (λ(n) has the same prime factors, so this covers both)
     if (!MathUtils.areCoprime(e, phi)) {
         console.error('e and φ(n) are not coprime! Regenerating keys...');
-        return generateKeyPair(bits, progressCallback);  // Retry
+        return retry();
     }
 
-    // STEP 6: Compute private exponent d = e^(-1) mod φ(n)
+    // STEP 5: Compute private exponent d = e^(-1) mod φ(n) (or λ(n))
     if (progressCallback) progressCallback('Computing private exponent d', null);
-    const d = MathUtils.modInverse(e, phi);
+    const d = MathUtils.modInverse(e, modulus);
 
     if (d === null) {
         console.error('Failed to compute modular inverse! Regenerating keys...');
-        return generateKeyPair(bits, progressCallback);  // Retry
+        return retry();
     }
 
-    // VERIFICATION: Check that e·d ≡ 1 (mod φ(n))
-    const verification = (e * d) % phi;
+    // VERIFICATION: Check that e·d ≡ 1 (mod φ(n)) (or λ(n))
+    const verification = (e * d) % modulus;
     if (verification !== 1n) {
         console.error('Key generation verification failed!');
-        return generateKeyPair(bits, progressCallback);  // Retry
+        return retry();
+    }
+
+    // STEP 6: CRT parameters for fast decryption (PKCS#1 private key form)
+    const { dP, dQ, qInv } = crtParameters(p, q, d);
+    const privateKey = { d, n, p, q, dP, dQ, qInv };
+    if (primeCount > 2) {
+        privateKey.otherPrimes = otherPrimeInfos(primes, d);
     }
 
     console.log('Key generation complete!');
@@ -312,14 +501,475 @@ async function generateKeyPair(bits = 2048, progressCallback = null) {
 
     return {
         publicKey: { e, n },
-        privateKey: { d, n },
+        privateKey,
         // Include p, q, phi for educational purposes (NEVER do this in production!)
         p,
         q,
-        phi
+        primes,
+        phi,
+        lambda,
+        dPhi: totient === 'phi' ? d : MathUtils.modInverse(e, phi),
+        dLambda: totient === 'lambda' ? d : MathUtils.modInverse(e, lambda),
+        totient,
+        statistics
+    };
+}
+
+/**
+ * Public exponent for a deliberately small private exponent
+ *
+ * INSECURE - ONLY FOR DEMONSTRATING WIENER'S ATTACK
+ * A small d makes decryption fast, which is why it was once tempting.
+ * Wiener (1990) showed that d < n^¼/3 is recovered from (e, n) alone.
+ *
+ * Picks a random odd d of bits/4 - 2 bits (below n^¼/3 for any n of
+ * bits - 1 or bits bits) that is invertible mod φ(n), and returns
+ * e = d⁻¹ mod φ(n). generateKeyPair then recovers the same d as e⁻¹.
+ *
+ * @param {Number} bits - Key size in bits
+ * @param {BigInt} phi - φ(n) (or λ(n) when d is derived modulo λ(n))
+ * @returns {BigInt} - Public exponent e (about as large as n)
+ */
+function publicExponentForSmallD(bits, phi) {
+    const dBits = Math.floor(bits / 4) - 2;
+
+    while (true) {
+        const d = MathUtils.randomBigInt(dBits) | 1n;
+        const e = MathUtils.modInverse(d, phi);
+        if (e !== null) {
+            return e;
+        }
+    }
+}
+
+/**
+ * Lower bound on each prime of a multi-prime key: ⌈2^(bits - 1/k)⌉
+ *
+ * k primes each ≥ 2^(bits_i - 1/k) multiply to at least 2^(Σ bits_i - 1),
+ * so the modulus has its full size. For k = 2 this is FIPS 186-4's
+ * √2·2^(bits-1); it rises towards 2^bits as k grows (≈ 1.74·2^(bits-1)
+ * for 5 primes), leaving fewer candidates of each size.
+ *
+ * @param {Number} bits - Bit length of the prime
+ * @param {Number} primeCount - Number of primes k in the modulus
+ * @returns {BigInt} - Smallest allowed prime
+ */
+function multiPrimeLowerBound(bits, primeCount) {
+    const k = BigInt(primeCount);
+    const target = 1n << (k * BigInt(bits) - 1n);
+    const root = MathUtils.integerRoot(target, primeCount);
+    return root ** k === target ? root : root + 1n;
+}
+
+// ============================================================================
+// PRIME GENERATION MODES
+// ============================================================================
+
+/**
+ * Definitions of a "good" RSA prime, selectable in the key-generation form
+ *
+ * - random: any probable prime of the right size (generatePrime)
+ * - safe:   p = 2q + 1 with q prime, so p - 1 has a huge prime factor
+ * - strong: Gordon's strong primes: p - 1, p + 1 and r - 1 all have
+ *           large prime factors (ANSI X9.31, the 1990s requirement)
+ * - fips:   FIPS 186-4 Appendix B.3.3 probable primes: p ≥ √2·2^(k-1)
+ *           and gcd(p - 1, e) = 1
+ *
+ * Pollard's p-1 and Williams' p+1 methods are fast when p - 1 or p + 1 is
+ * smooth, which safe and strong primes rule out. For 1024-bit and larger
+ * random primes the chance of that is negligible anyway, which is why
+ * FIPS 186-4 only requires strong primes for small keys.
+ */
+const PRIME_MODES = Object.freeze({
+    random: { label: 'Random probable prime', generate: generatePrime },
+    safe: { label: 'Safe prime (p = 2q + 1)', generate: generateSafePrime },
+    strong: { label: 'Gordon strong prime', generate: generateStrongPrime },
+    fips: { label: 'FIPS 186-4 B.3.3 probable prime', generate: generateFIPSPrime }
+});
+
+// Safe-prime search: candidates are stepped from a random start this many
+// times before a new start is drawn
+const SAFE_PRIME_SEARCH_WINDOW = 1 << 16;
+
+// Report progress for every candidate that reaches Miller-Rabin, and for
+// every this-many sieved candidates in between
+const PRIME_PROGRESS_INTERVAL = 256;
+
+/**
+ * Generate a prime in the given mode
+ *
+ * Same signature as generatePrime plus an options argument, so it works
+ * as generateKeyPair's findPrime and in the keygen workers.
+ *
+ * @param {Number} bits - Desired bit length
+ * @param {Function} progressCallback - Optional callback(attempt, isPrime)
+ * @param {AbortSignal} signal - Optional signal to cancel the search
+ * @param {Object} options - { mode, publicExponent, minimum }
+ * @param {string} options.mode - Key of PRIME_MODES (default: 'random')
+ * @param {Number|BigInt} options.publicExponent - e, used by the FIPS mode
+ * @param {BigInt} options.minimum - Smallest acceptable prime (every mode honors it)
+ * @returns {Promise<BigInt>} - Prime number
+ * @throws {Error} If the mode is unknown
+ */
+function findPrimeByMode(bits, progressCallback = null, signal = null, options = {}) {
+    const { mode = 'random' } = options;
+    if (!PRIME_MODES[mode]) {
+        throw new Error(`Unknown prime generation mode: ${mode}`);
+    }
+    return PRIME_MODES[mode].generate(bits, progressCallback, signal, options);
+}
+
+/**
+ * Generate a safe prime p = 2q + 1 (q is a "Sophie Germain" prime)
+ *
+ * WHY: p - 1 = 2q has no small factors besides 2, so Pollard's p-1 method
+ * is useless against it. Safe primes are also what Diffie-Hellman groups
+ * need (the subgroup of order q).
+ *
+ * COST: both q and 2q + 1 must be prime. Near 2^k that happens for about
+ * one odd q in (k·ln 2)² / 2.6 instead of one in k·ln 2 / 2, so the search
+ * takes hundreds of times longer than for a random prime.
+ *
+ * SIEVE: candidates q ≡ 5 (mod 6) are stepped by 6 from a random start
+ * (odd, and q ≡ 1 mod 3 would make 3 divide 2q + 1). The residues of q
+ * modulo the small primes are kept as Numbers and updated on each step,
+ * and both q ≡ 0 and 2q + 1 ≡ 0 (mod r) are rejected without any BigInt
+ * arithmetic. Survivors get one Miller-Rabin round on q and on p before
+ * the full test.
+ *
+ * @param {Number} bits - Bit length of p
+ * @param {Function} progressCallback - Optional callback(attempt, isPrime)
+ * @param {AbortSignal} signal - Optional signal to cancel the search
+ * @param {Object} options - { minimum } (optional), smallest acceptable p
+ * @returns {Promise<BigInt>} - Safe prime p
+ */
+async function generateSafePrime(bits, progressCallback = null, signal = null, options = {}) {
+    const { minimum = 0n } = options;
+    const sievePrimes = Config.SMALL_PRIMES.filter(r => r > 3);
+    const qMax = 1n << BigInt(bits - 1);
+    let attempts = 0;
+
+    while (true) {
+        throwIfCancelled(signal);
+
+        // Random (bits-1)-bit start, moved up to the next q ≡ 5 (mod 6)
+        let q = MathUtils.randomBigInt(bits - 1);
+        q += (5n - q % 6n + 6n) % 6n;
+        if (2n * q + 1n < minimum) {
+            continue;  // Steps only go up, but this start is too low: draw again
+        }
+        const residues = sievePrimes.map(r => Number(q % BigInt(r)));
+
+        for (let step = 0; step < SAFE_PRIME_SEARCH_WINDOW && q < qMax; step++) {
+            attempts++;
+
+            let survives = true;
+            for (let i = 0; i < sievePrimes.length; i++) {
+                const r = sievePrimes[i];
+                if (residues[i] === 0 || (2 * residues[i] + 1) % r === 0) {
+                    survives = false;
+                }
+                residues[i] = (residues[i] + 6) % r;
+            }
+
+            if (survives) {
+                const p = 2n * q + 1n;
+                const isPrime = millerRabin(q, 1) && millerRabin(p, 1) && millerRabin(q) && millerRabin(p);
+                if (progressCallback) progressCallback(attempts, isPrime);
+                if (isPrime) {
+                    console.log(`Found safe prime after ${attempts} candidates`);
+                    return p;
+                }
+            } else if (progressCallback && attempts % PRIME_PROGRESS_INTERVAL === 0) {
+                progressCallback(attempts, false);
+            }
+
+            if (attempts % PRIME_PROGRESS_INTERVAL === 0) {
+                throwIfCancelled(signal);
+                await sleep(0);
+            }
+
+            q += 6n;
+        }
+    }
+}
+
+/**
+ * Generate a strong prime with Gordon's algorithm (1984)
+ *
+ * A strong prime p has large prime factors r of p - 1, s of p + 1 and
+ * t of r - 1. Gordon builds p around them:
+ *   1. Random primes s and t, about half the size of p
+ *   2. r = the first prime of the form 2·i·t + 1        (t | r - 1)
+ *   3. p₀ = 2·(s^(r-2) mod r)·s - 1, so that p₀ ≡ 1 (mod r), p₀ ≡ -1 (mod s)
+ *   4. p = the first prime of the form p₀ + 2·j·r·s with exactly 'bits' bits
+ * Every candidate in step 4 keeps r | p - 1 and s | p + 1.
+ *
+ * COST: three prime searches of half the size plus two short
+ * progressions: about twice the work of one random prime.
+ *
+ * @param {Number} bits - Bit length of p
+ * @param {Function} progressCallback - Optional callback(attempt, isPrime)
+ * @param {AbortSignal} signal - Optional signal to cancel the search
+ * @param {Object} options - { minimum } (optional), smallest acceptable p
+ * @returns {Promise<BigInt>} - Strong prime p
+ */
+async function generateStrongPrime(bits, progressCallback = null, signal = null, options = {}) {
+    const { minimum = 0n } = options;
+    const halfBits = Math.floor(bits / 2);
+    const topBit = 1n << BigInt(bits - 1);
+    const low = minimum > topBit ? minimum : topBit;
+    const high = 1n << BigInt(bits);
+    let attempts = 0;
+
+    // Candidates of the helper searches count as attempts, but only the
+    // final p is reported as "prime found"
+    const tick = () => {
+        attempts++;
+        if (progressCallback) progressCallback(attempts, false);
+    };
+    const isProbablePrime = candidate => !MathUtils.isDivisibleBySmallPrime(candidate) && millerRabin(candidate);
+
+    while (true) {
+        // Step 1: auxiliary primes s and t (sizes leave room for r·s < p)
+        const s = await generatePrime(halfBits - 8, tick, signal);
+        const t = await generatePrime(halfBits - 16, tick, signal);
+
+        // Step 2: r = 2·i·t + 1
+        let r = 2n * t + 1n;
+        while (!isProbablePrime(r)) {
+            tick();
+            r += 2n * t;
+        }
+
+        // Step 3: p₀ ≡ 1 (mod r) and p₀ ≡ -1 (mod s)
+        const p0 = 2n * MathUtils.modPowWindowed(s, r - 2n, r) * s - 1n;
+
+        // Step 4: p = p₀ + 2·j·r·s, starting at the first value with 'bits' bits
+        const stride = 2n * r * s;
+        let p = p0 + ((low - p0 + stride - 1n) / stride) * stride;
+
+        while (p < high) {
+            throwIfCancelled(signal);
+            attempts++;
+
+            const isPrime = isProbablePrime(p);
+            if (progressCallback) progressCallback(attempts, isPrime);
+            if (isPrime) {
+                console.log(`Found strong prime after ${attempts} candidates`);
+                return p;
+            }
+
+            p += stride;
+            if (attempts % 10 === 0) {
+                await sleep(0);
+            }
+        }
+        // Progression left the bit range without a prime: new s and t
+    }
+}
+
+/**
+ * Generate a probable prime per FIPS 186-4 Appendix B.3.3
+ *
+ * For a modulus of nlen bits, each prime has nlen/2 bits and:
+ *   4.2  p is a random odd number of nlen/2 bits
+ *   4.4  p ≥ √2 · 2^(nlen/2 - 1), otherwise draw again
+ *   4.5  gcd(p - 1, e) = 1, otherwise draw again
+ *   4.5.1 p passes Miller-Rabin
+ *   4.7  give up after 5 · nlen/2 candidates
+ *
+ * WHY THE √2 BOUND: with both primes ≥ √2 · 2^(nlen/2 - 1), their product
+ * is ≥ 2^(nlen - 1), so n has exactly nlen bits. Random primes with only
+ * the top bit set can give a modulus one bit short.
+ *
+ * The bound rejects √2 - 1 ≈ 41% of the candidates before any test. The
+ * standard asks for 4-5 Miller-Rabin rounds at these sizes;
+ * Config.RSA.PRIMALITY_TEST_ROUNDS is used, which is stricter.
+ * (Step 5.4, |p - q| > 2^(nlen/2 - 100), is enforced by generateKeyPair
+ * with a stricter bound.)
+ *
+ * @param {Number} bits - Bit length of p (nlen/2)
+ * @param {Function} progressCallback - Optional callback(attempt, isPrime)
+ * @param {AbortSignal} signal - Optional signal to cancel the search
+ * @param {Object} options - { publicExponent, minimum } (optional); publicExponent defaults
+ *        to Config.RSA.PUBLIC_EXPONENT, minimum raises the √2 bound (multi-prime keys)
+ * @returns {Promise<BigInt>} - Prime p
+ * @throws {Error} PrimeSearchLimitError if no prime is found within 5 · bits
+ *         candidates (generateKeyPair then starts a new search)
+ */
+async function generateFIPSPrime(bits, progressCallback = null, signal = null, options = {}) {
+    const e = BigInt(options.publicExponent || Config.RSA.PUBLIC_EXPONENT);
+    const sqrt2Bound = MathUtils.isqrt(1n << BigInt(2 * bits - 1));  // ⌊√2 · 2^(bits-1)⌋
+    const lowerBound = options.minimum > sqrt2Bound ? options.minimum : sqrt2Bound;
+    const maxAttempts = 5 * bits;
+
+    for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+        throwIfCancelled(signal);
+
+        const candidate = MathUtils.randomBigInt(bits) | 1n;
+
+        const isPrime = candidate >= lowerBound &&
+            MathUtils.gcd(candidate - 1n, e) === 1n &&
+            !MathUtils.isDivisibleBySmallPrime(candidate) &&
+            millerRabin(candidate);
+
+        if (progressCallback) progressCallback(attempts, isPrime);
+
+        if (isPrime) {
+            console.log(`Found FIPS 186-4 prime after ${attempts} attempts`);
+            return candidate;
+        }
+
+        if (attempts % 10 === 0) {
+            await sleep(0);
+        }
+    }
+
+    const error = new Error(`FIPS 186-4 B.3.3: no prime in ${maxAttempts} candidates (the standard's iteration limit), try again`);
+    error.name = 'PrimeSearchLimitError';
+    throw error;
+}
+
+// ============================================================================
+// KEYS FROM USER-SUPPLIED PRIMES
+// ============================================================================
+
+/**
+ * Check hand-picked RSA parameters
+ *
+ * Collects every problem instead of stopping at the first one, so the UI
+ * can show each reason next to the field it concerns.
+ *
+ * CHECKS:
+ * - p and q are prime (Miller-Rabin) and distinct
+ * - |p - q| ≥ 2^(bits(n)/2 - MIN_PQ_DIFFERENCE_BITS), the Fermat margin of
+ *   generateKeyPair (a difference of 1 is enough for toy keys)
+ * - e is odd, 3 ≤ e < n and gcd(e, φ(n)) = 1 (areCoprime)
+ *
+ * @param {BigInt} p - First prime
+ * @param {BigInt} q - Second prime
+ * @param {BigInt} e - Public exponent
+ * @returns {Array<Object>} - [{ field: 'p' | 'q' | 'e', message }], empty if valid
+ */
+function validateKeyParameters(p, q, e) {
+    const problems = [];
+
+    for (const [field, value] of [['p', p], ['q', q]]) {
+        if (value < 2n) {
+            problems.push({ field, message: `${field} must be a prime of at least 2` });
+        } else if (!millerRabin(value)) {
+            problems.push({ field, message: `${field} = ${value} is not prime (Miller-Rabin found a witness)` });
+        }
+    }
+
+    // Relations between p, q and e only make sense once both primes are valid
+    if (problems.length > 0) {
+        if (e < 3n) {
+            problems.push({ field: 'e', message: 'e must be at least 3' });
+        }
+        return problems;
+    }
+
+    if (p === q) {
+        problems.push({ field: 'q', message: 'q must differ from p: with n = p², φ(n) = p(p-1) and √n reveals p' });
+    } else {
+        const n = p * q;
+        const diff = p > q ? p - q : q - p;
+        const marginBits = Math.max(0, Math.floor(MathUtils.bitLength(n) / 2) - Config.RSA.MIN_PQ_DIFFERENCE_BITS);
+        const minDiff = 1n << BigInt(marginBits);
+
+        if (diff < minDiff) {
+            problems.push({
+                field: 'q',
+                message: `|p - q| = ${diff} is below 2^${marginBits}: p and q are so close that Fermat factorization finds them at once`
+            });
+        }
+    }
+
+    const n = p * q;
+    const phi = MathUtils.eulerTotient(p, q);
+
+    if (e < 3n) {
+        problems.push({ field: 'e', message: 'e must be at least 3' });
+    } else if (e % 2n === 0n) {
+        problems.push({ field: 'e', message: 'e must be odd: φ(n) is even, so an even e never has an inverse' });
+    } else if (e >= n) {
+        problems.push({ field: 'e', message: `e must be smaller than n = ${n}` });
+    } else if (!MathUtils.areCoprime(e, phi)) {
+        problems.push({
+            field: 'e',
+            message: `gcd(e, φ(n)) = ${MathUtils.gcd(e, phi)}, so e has no inverse modulo φ(n) = ${phi}`
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Pick a public exponent for hand-picked primes
+ *
+ * Prefers Config.RSA.PUBLIC_EXPONENT; toy moduli are smaller than 65537,
+ * so fall back to the smallest Fermat prime that is valid for p and q.
+ * For p = 61, q = 53 this gives the textbook e = 17.
+ *
+ * @param {BigInt} p - First prime
+ * @param {BigInt} q - Second prime
+ * @returns {BigInt|null} - A valid e, or null if none of the candidates fit
+ */
+function defaultPublicExponent(p, q) {
+    const candidates = [BigInt(Config.RSA.PUBLIC_EXPONENT), 3n, 5n, 17n, 257n];
+    return candidates.find(e => validateKeyParameters(p, q, e).length === 0) || null;
+}
+
+/**
+ * Build an RSA key pair from user-supplied primes
+ *
+ * Same output shape as generateKeyPair with d = e⁻¹ mod φ(n); e⁻¹ mod λ(n),
+ * the smallest working exponent, is returned as dLambda.
+ *
+ * @param {BigInt} p - First prime
+ * @param {BigInt} q - Second prime
+ * @param {BigInt} e - Public exponent (default: defaultPublicExponent(p, q))
+ * @returns {Object} - { publicKey, privateKey, p, q, primes, phi, lambda, dPhi, dLambda, totient }
+ * @throws {Error} Listing every problem found by validateKeyParameters
+ */
+function keyFromPrimes(p, q, e = defaultPublicExponent(p, q)) {
+    if (e === null) {
+        throw new Error('No standard public exponent (65537, 3, 5, 17, 257) is valid for these primes');
+    }
+
+    const problems = validateKeyParameters(p, q, e);
+    if (problems.length > 0) {
+        throw new Error(problems.map(problem => problem.message).join('; '));
+    }
+
+    const n = p * q;
+    const phi = MathUtils.eulerTotient(p, q);
+    const lambda = MathUtils.carmichaelLambda(p, q);
+
+    const d = MathUtils.modInverse(e, phi);
+    const dLambda = MathUtils.modInverse(e, lambda);
+    const { dP, dQ, qInv } = crtParameters(p, q, d);
+
+    return {
+        publicKey: { e, n },
+        privateKey: { d, n, p, q, dP, dQ, qInv },
+        p,
+        q,
+        primes: [p, q],
+        phi,
+        lambda,
+        dPhi: d,
+        dLambda,
+        totient: 'phi'
     };
 }
 
+// ============================================================================
+// TEXTBOOK RSA ENCRYPTION AND DECRYPTION
+// ============================================================================
+
 /**
  * RSA Encryption
  *
@@ -340,7 +990,7 @@ async function generateKeyPair(bits = 2048, progressCallback = null) {
  * - Small message space (can precompute encryptions)
  *
  * REAL-WORLD FIX: Use padding scheme (OAEP, PKCS#1 v1.5)
- * We'll implement OAEP in Phase 2.
+ * See encryptOAEP() below.
  *
  * @param {BigInt} message - Plaintext (as number)
  * @param {Object} publicKey - {e, n}
@@ -359,11 +1009,69 @@ function encrypt(message, publicKey) {
     }
 
     // Perform encryption: c = m^e mod n
-    const ciphertext = MathUtils.modPow(message, e, n);
+    const ciphertext = MathUtils.modPowMontgomery(message, e, n);
 
     return ciphertext;
 }
 
+/**
+ * Compute the CRT parameters of a private key (RFC 8017 §3.2)
+ *
+ *   dP   = d mod (p-1)
+ *   dQ   = d mod (q-1)
+ *   qInv = q^(-1) mod p
+ *
+ * @param {BigInt} p - First prime factor
+ * @param {BigInt} q - Second prime factor
+ * @param {BigInt} d - Private exponent
+ * @returns {Object} - { dP, dQ, qInv }
+ */
+function crtParameters(p, q, d) {
+    return {
+        dP: d % (p - 1n),
+        dQ: d % (q - 1n),
+        qInv: MathUtils.modInverse(q, p)
+    };
+}
+
+/**
+ * CRT parameters of the further primes of a multi-prime key (RFC 8017 §3.2)
+ *
+ *   dᵢ = d mod (rᵢ - 1)
+ *   tᵢ = (r₁ · r₂ · … · rᵢ₋₁)⁻¹ mod rᵢ
+ *
+ * for i = 3 … u, named as in the ASN.1 OtherPrimeInfo structure.
+ *
+ * @param {Array<BigInt>} primes - [p, q, r₃, ...]
+ * @param {BigInt} d - Private exponent
+ * @returns {Array<Object>} - [{ prime, exponent, coefficient }] for r₃, ... (empty for two primes)
+ */
+function otherPrimeInfos(primes, d) {
+    const infos = [];
+    let product = primes[0] * primes[1];
+
+    for (const prime of primes.slice(2)) {
+        infos.push({
+            prime,
+            exponent: d % (prime - 1n),
+            coefficient: MathUtils.modInverse(product % prime, prime)
+        });
+        product *= prime;
+    }
+
+    return infos;
+}
+
+/**
+ * Check whether a private key carries CRT parameters
+ *
+ * @param {Object} privateKey - Private key object
+ * @returns {Boolean}
+ */
+function hasCRTParameters(privateKey) {
+    return ['p', 'q', 'dP', 'dQ', 'qInv'].every(field => typeof privateKey[field] === 'bigint');
+}
+
 /**
  * RSA Decryption
  *
@@ -380,11 +1088,19 @@ function encrypt(message, publicKey) {
  * Therefore:
  *   (m^e)^d = m^(e·d) = m^(1 + k·φ(n)) = m · (m^φ(n))^k ≡ m · 1^k ≡ m (mod n)
  *
+ * If the key carries CRT parameters (dP, dQ, qInv) the work is delegated
+ * to decryptCRT(), which gives the same result 2.5-4× faster. Pass a
+ * bare {d, n} key to force the full-size exponentiation.
+ *
  * @param {BigInt} ciphertext - Ciphertext (as number)
- * @param {Object} privateKey - {d, n}
+ * @param {Object} privateKey - {d, n} or {d, n, p, q, dP, dQ, qInv}
  * @returns {BigInt} - Recovered plaintext
  */
 function decrypt(ciphertext, privateKey) {
+    if (hasCRTParameters(privateKey)) {
+        return decryptCRT(ciphertext, privateKey).plaintext;
+    }
+
     const { d, n } = privateKey;
 
     // Validate ciphertext
@@ -397,18 +1113,91 @@ function decrypt(ciphertext, privateKey) {
     }
 
     // Perform decryption: m = c^d mod n
-    const plaintext = MathUtils.modPow(ciphertext, d, n);
+    const plaintext = MathUtils.modPowMontgomery(ciphertext, d, n);
 
     return plaintext;
 }
 
 /**
- * Encrypt a text string
+ * RSA Decryption with the Chinese Remainder Theorem (RFC 8017 §5.1.2)
  *
- * WRAPPER: Converts string → BigInt → encrypt → return ciphertext
+ * IDEA:
+ * Instead of one exponentiation modulo n, do two modulo p and q:
+ *   m₁ = c^dP mod p        (dP = d mod (p-1), by Fermat's little theorem)
+ *   m₂ = c^dQ mod q        (dQ = d mod (q-1))
+ * and glue them back together with Garner's formula:
+ *   h = qInv · (m₁ - m₂) mod p
+ *   m = m₂ + h · q
+ * which is the unique m < n with m ≡ m₁ (mod p) and m ≡ m₂ (mod q).
  *
- * @param {String} message - Plaintext string
- * @param {Object} publicKey - {e, n}
+ * WHY IT IS FASTER:
+ * Schoolbook multiplication costs O(k²) for k-bit operands and an
+ * exponentiation needs O(k) of them, so O(k³) overall. Two exponentiations
+ * with half-size moduli AND half-size exponents cost 2 · (k/2)³ = k³/4:
+ * about 4× faster in theory. Measured with JavaScript BigInt the gain is
+ * ~2.5× at 1024 bits and ~3× at 2048 bits.
+ *
+ * SECURITY NOTE:
+ * A single computational fault in m₁ or m₂ (glitch, bit flip) yields a
+ * wrong m with gcd(m^e - c, n) = q: the Bellcore/Boneh-DeMillo-Lipton
+ * attack factors n from one faulty signature. Hardened implementations
+ * verify m^e ≡ c (mod n) before releasing the result.
+ *
+ * MULTI-PRIME KEYS (RFC 8017 §5.1.2 step 2.b):
+ * Each further prime rᵢ adds one exponentiation mᵢ = c^dᵢ mod rᵢ, folded
+ * into the result so far with the same formula:
+ *   R = r₁ · … · rᵢ₋₁,  hᵢ = tᵢ · (mᵢ - m) mod rᵢ,  m = m + R · hᵢ
+ *
+ * @param {BigInt} ciphertext - Ciphertext (as number)
+ * @param {Object} privateKey - {n, p, q, dP, dQ, qInv, otherPrimes?}
+ * @returns {Object} - { plaintext: BigInt, steps: { cP, cQ, m1, m2, h, others } },
+ *          others = [{ prime, m, h }] for r₃, ... (empty for two primes)
+ */
+function decryptCRT(ciphertext, privateKey) {
+    const { n, p, q, dP, dQ, qInv, otherPrimes = [] } = privateKey;
+
+    if (ciphertext >= n) {
+        throw new Error('Invalid ciphertext: must be < modulus n');
+    }
+
+    if (ciphertext < 0n) {
+        throw new Error('Ciphertext must be non-negative');
+    }
+
+    // Two half-size exponentiations
+    const cP = ciphertext % p;
+    const cQ = ciphertext % q;
+    const m1 = MathUtils.modPowMontgomery(cP, dP, p);
+    const m2 = MathUtils.modPowMontgomery(cQ, dQ, q);
+
+    // Garner recombination (add p before reducing: m₁ - m₂ may be negative)
+    const h = (qInv * ((m1 - m2) % p + p)) % p;
+    let plaintext = m2 + h * q;
+
+    // Further primes of a multi-prime key, one at a time
+    const others = [];
+    let R = p * q;
+    for (const { prime, exponent, coefficient } of otherPrimes) {
+        const mi = MathUtils.modPowMontgomery(ciphertext % prime, exponent, prime);
+        const hi = (coefficient * ((mi - plaintext) % prime + prime)) % prime;
+        plaintext += R * hi;
+        R *= prime;
+        others.push({ prime, m: mi, h: hi });
+    }
+
+    return {
+        plaintext,
+        steps: { cP, cQ, m1, m2, h, others }
+    };
+}
+
+/**
+ * Encrypt a text string
+ *
+ * WRAPPER: Converts string → BigInt → encrypt → return ciphertext
+ *
+ * @param {String} message - Plaintext string
+ * @param {Object} publicKey - {e, n}
  * @returns {BigInt} - Ciphertext
  */
 function encryptString(message, publicKey) {
@@ -430,18 +1219,783 @@ function decryptString(ciphertext, privateKey) {
     return MathUtils.bigIntToString(plaintextInt);
 }
 
+// ============================================================================
+// RSA-OAEP (OPTIMAL ASYMMETRIC ENCRYPTION PADDING, RFC 8017 §7.1)
+// ============================================================================
+
+/**
+ * Byte length of the modulus: k = ⌈bitLength(n) / 8⌉
+ *
+ * @param {BigInt} n - RSA modulus
+ * @returns {Number} - k
+ */
+function modulusByteLength(n) {
+    return Math.ceil(MathUtils.bitLength(n) / 8);
+}
+
+/**
+ * Look up the digest length of an OAEP hash
+ *
+ * @param {String} hash - Web Crypto hash name
+ * @returns {Number} - hLen in bytes
+ */
+function oaepHashLength(hash) {
+    const info = Config.RSA.OAEP_HASHES[hash];
+    if (!info) {
+        throw new Error(`Unsupported OAEP hash: ${hash}`);
+    }
+    return info.hLen;
+}
+
+/**
+ * MGF1 - Mask Generation Function (RFC 8017 Appendix B.2.1)
+ *
+ * Stretches a seed into a pseudorandom mask of any length:
+ *   T = Hash(seed || I2OSP(0, 4)) || Hash(seed || I2OSP(1, 4)) || ...
+ *   mask = first maskLen bytes of T
+ *
+ * In OAEP the mask behaves like a random oracle output: without knowing
+ * the seed, the mask (and therefore the masked data) looks random.
+ *
+ * @param {Uint8Array} seed - Seed bytes
+ * @param {Number} maskLen - Desired mask length in bytes
+ * @param {String} hash - Hash function name
+ * @returns {Promise<Uint8Array>} - Mask of maskLen bytes
+ */
+async function mgf1(seed, maskLen, hash = Config.RSA.DEFAULT_OAEP_HASH) {
+    const hLen = oaepHashLength(hash);
+    const blocks = [];
+
+    for (let counter = 0; counter < Math.ceil(maskLen / hLen); counter++) {
+        const C = MathUtils.i2osp(BigInt(counter), 4);
+        blocks.push(await HashCore.digestBytes(MathUtils.concatBytes(seed, C), hash));
+    }
+
+    return MathUtils.concatBytes(...blocks).slice(0, maskLen);
+}
+
+/**
+ * RSA-OAEP Encryption (RSAES-OAEP-ENCRYPT)
+ *
+ * WHY PADDING:
+ * Textbook RSA is deterministic and malleable. OAEP fixes both by mixing
+ * a fresh random seed into every encryption through a two-round Feistel
+ * network built from MGF1:
+ *
+ *   DB        = lHash || PS || 0x01 || M       (PS = zero bytes)
+ *   maskedDB  = DB ⊕ MGF1(seed, k - hLen - 1)
+ *   maskedSeed = seed ⊕ MGF1(maskedDB, hLen)
+ *   EM        = 0x00 || maskedSeed || maskedDB
+ *   c         = OS2IP(EM)^e mod n
+ *
+ * PROPERTIES:
+ * - Randomized: same message → different ciphertext every time
+ * - IND-CCA2 secure in the random oracle model (Fujisaki et al., 2001)
+ * - Any modification of c scrambles the whole block on decryption
+ *
+ * CAPACITY: mLen ≤ k - 2·hLen - 2 bytes
+ * (e.g., 1024-bit key with SHA-256: 128 - 64 - 2 = 62 bytes)
+ *
+ * @param {Uint8Array} message - Message bytes
+ * @param {Object} publicKey - {e, n}
+ * @param {Object} options - { hash: 'SHA-256', label: '' }
+ * @returns {Promise<Object>} - { ciphertext: BigInt, steps } where steps
+ *   holds every intermediate value (lHash, DB, seed, masks, EM) for display
+ */
+async function encryptOAEP(message, publicKey, options = {}) {
+    const { hash = Config.RSA.DEFAULT_OAEP_HASH, label = '' } = options;
+    const k = modulusByteLength(publicKey.n);
+    const hLen = oaepHashLength(hash);
+
+    // STEP 1: Length checking
+    const maxLength = k - 2 * hLen - 2;
+    if (maxLength < 0) {
+        throw new Error(`Modulus too small for OAEP with ${hash} (need at least ${2 * hLen + 2} bytes)`);
+    }
+    if (message.length > maxLength) {
+        throw new Error(`Message too long! OAEP with ${hash} and a ${k * 8}-bit key holds at most ${maxLength} bytes. Your message: ${message.length} bytes.`);
+    }
+
+    // STEP 2a: lHash = Hash(L)
+    const lHash = await HashCore.digestBytes(new TextEncoder().encode(label), hash);
+
+    // STEP 2b-c: DB = lHash || PS || 0x01 || M
+    const ps = new Uint8Array(k - message.length - 2 * hLen - 2);
+    const dataBlock = MathUtils.concatBytes(lHash, ps, new Uint8Array([0x01]), message);
+
+    // STEP 2d: Random seed of hLen bytes
+    const seed = new Uint8Array(hLen);
+    window.crypto.getRandomValues(seed);
+
+    // STEP 2e-h: Two Feistel rounds
+    const dbMask = await mgf1(seed, k - hLen - 1, hash);
+    const maskedDB = MathUtils.xorBytes(dataBlock, dbMask);
+    const seedMask = await mgf1(maskedDB, hLen, hash);
+    const maskedSeed = MathUtils.xorBytes(seed, seedMask);
+
+    // STEP 2i: EM = 0x00 || maskedSeed || maskedDB
+    const encodedMessage = MathUtils.concatBytes(new Uint8Array([0x00]), maskedSeed, maskedDB);
+
+    // STEP 3: RSA encryption primitive
+    const m = MathUtils.os2ip(encodedMessage);
+    const ciphertext = encrypt(m, publicKey);
+
+    return {
+        ciphertext,
+        steps: {
+            hash,
+            label,
+            k,
+            hLen,
+            lHash,
+            paddingLength: ps.length,
+            dataBlock,
+            seed,
+            dbMask,
+            maskedDB,
+            seedMask,
+            maskedSeed,
+            encodedMessage,
+            m
+        }
+    };
+}
+
+/**
+ * RSA-OAEP Decryption (RSAES-OAEP-DECRYPT)
+ *
+ * Reverses encryptOAEP:
+ *   EM         = I2OSP(c^d mod n, k)
+ *   seed       = maskedSeed ⊕ MGF1(maskedDB, hLen)
+ *   DB         = maskedDB ⊕ MGF1(seed, k - hLen - 1)
+ *   check: Y = 0x00, lHash matches, PS is all zeros, then 0x01
+ *
+ * SECURITY NOTE (Manger's attack, 2001):
+ * All decoding failures must look identical to the caller. If an attacker
+ * can tell "Y ≠ 0" apart from "bad lHash", they get a padding oracle that
+ * decrypts any ciphertext in ~1000 queries. We therefore throw a single
+ * generic "Decryption error" for every failure.
+ *
+ * @param {BigInt} ciphertext - Ciphertext integer
+ * @param {Object} privateKey - {d, n}
+ * @param {Object} options - { hash: 'SHA-256', label: '' }
+ * @returns {Promise<Object>} - { message: Uint8Array, steps }
+ * @throws {Error} 'Decryption error' on any decoding failure
+ */
+async function decryptOAEP(ciphertext, privateKey, options = {}) {
+    const { hash = Config.RSA.DEFAULT_OAEP_HASH, label = '' } = options;
+    const k = modulusByteLength(privateKey.n);
+    const hLen = oaepHashLength(hash);
+
+    // STEP 1: Length checking
+    if (k < 2 * hLen + 2) {
+        throw new Error('Decryption error');
+    }
+
+    // STEP 2: RSA decryption primitive
+    const m = decrypt(ciphertext, privateKey);
+    const encodedMessage = MathUtils.i2osp(m, k);
+
+    // STEP 3a: lHash = Hash(L)
+    const lHash = await HashCore.digestBytes(new TextEncoder().encode(label), hash);
+
+    // STEP 3b: EM = Y || maskedSeed || maskedDB
+    const Y = encodedMessage[0];
+    const maskedSeed = encodedMessage.slice(1, 1 + hLen);
+    const maskedDB = encodedMessage.slice(1 + hLen);
+
+    // STEP 3c-f: Undo the Feistel rounds
+    const seedMask = await mgf1(maskedDB, hLen, hash);
+    const seed = MathUtils.xorBytes(maskedSeed, seedMask);
+    const dbMask = await mgf1(seed, k - hLen - 1, hash);
+    const dataBlock = MathUtils.xorBytes(maskedDB, dbMask);
+
+    // STEP 3g: DB = lHash' || PS || 0x01 || M
+    // Accumulate every check into one flag before deciding (no early exit)
+    let valid = Y === 0;
+
+    for (let i = 0; i < hLen; i++) {
+        valid = valid && dataBlock[i] === lHash[i];
+    }
+
+    let separatorIndex = -1;
+    for (let i = hLen; i < dataBlock.length; i++) {
+        if (separatorIndex === -1 && dataBlock[i] === 0x01) {
+            separatorIndex = i;
+        } else if (separatorIndex === -1 && dataBlock[i] !== 0x00) {
+            valid = false;
+        }
+    }
+    valid = valid && separatorIndex !== -1;
+
+    if (!valid) {
+        throw new Error('Decryption error');
+    }
+
+    const message = dataBlock.slice(separatorIndex + 1);
+
+    return {
+        message,
+        steps: {
+            hash,
+            label,
+            k,
+            hLen,
+            m,
+            encodedMessage,
+            maskedSeed,
+            maskedDB,
+            seedMask,
+            seed,
+            dbMask,
+            dataBlock,
+            lHash,
+            paddingLength: separatorIndex - hLen
+        }
+    };
+}
+
+// ============================================================================
+// PKCS#1 v1.5 ENCRYPTION PADDING (RFC 8017 §7.2)
+// ============================================================================
+
+/**
+ * RSA Encryption with PKCS#1 v1.5 padding (RSAES-PKCS1-V1_5-ENCRYPT)
+ *
+ * ENCODING (block type 2):
+ *   EM = 0x00 || 0x02 || PS || 0x00 || M
+ *   PS = at least 8 random NONZERO bytes (length k - mLen - 3)
+ *
+ * CAPACITY: mLen ≤ k - 11 bytes
+ *
+ * HISTORY:
+ * Standardized in 1993 and still everywhere (TLS ≤ 1.2 key exchange,
+ * CMS, JWE RSA1_5). In 1998 Bleichenbacher showed that a server which
+ * reveals whether a ciphertext decrypts to "00 02 ..." is a padding oracle
+ * that decrypts any ciphertext with ~10⁴-10⁶ queries. The padding is not
+ * broken by itself; leaking its validity is. RFC 8017 recommends OAEP
+ * for new applications. See the Attacks tab for the full attack.
+ *
+ * @param {Uint8Array} message - Message bytes
+ * @param {Object} publicKey - {e, n}
+ * @returns {Object} - { ciphertext: BigInt, steps: { k, padding, encodedMessage, m } }
+ */
+function encryptPKCS1v15(message, publicKey) {
+    const k = modulusByteLength(publicKey.n);
+
+    // STEP 1: Length checking
+    if (message.length > k - 11) {
+        throw new Error(`Message too long! PKCS#1 v1.5 with a ${k * 8}-bit key holds at most ${k - 11} bytes. Your message: ${message.length} bytes.`);
+    }
+
+    // STEP 2a: PS = random nonzero bytes
+    const padding = new Uint8Array(k - message.length - 3);
+    window.crypto.getRandomValues(padding);
+    for (let i = 0; i < padding.length; i++) {
+        while (padding[i] === 0) {
+            const retry = new Uint8Array(1);
+            window.crypto.getRandomValues(retry);
+            padding[i] = retry[0];
+        }
+    }
+
+    // STEP 2b: EM = 0x00 || 0x02 || PS || 0x00 || M
+    const encodedMessage = MathUtils.concatBytes(
+        new Uint8Array([0x00, 0x02]), padding, new Uint8Array([0x00]), message
+    );
+
+    // STEP 3: RSA encryption primitive
+    const m = MathUtils.os2ip(encodedMessage);
+    const ciphertext = encrypt(m, publicKey);
+
+    return {
+        ciphertext,
+        steps: { k, padding, encodedMessage, m }
+    };
+}
+
+/**
+ * RSA Decryption with PKCS#1 v1.5 padding (RSAES-PKCS1-V1_5-DECRYPT)
+ *
+ * Checks EM = 0x00 || 0x02 || PS (≥ 8 nonzero bytes) || 0x00 || M.
+ *
+ * As with OAEP, every failure produces the same generic error. A real
+ * server must go further (TLS uses a random premaster secret on failure)
+ * because even timing differences form an oracle.
+ *
+ * @param {BigInt} ciphertext - Ciphertext integer
+ * @param {Object} privateKey - {d, n}
+ * @returns {Object} - { message: Uint8Array, steps: { k, encodedMessage, paddingLength, m } }
+ * @throws {Error} 'Decryption error' on any decoding failure
+ */
+function decryptPKCS1v15(ciphertext, privateKey) {
+    const k = modulusByteLength(privateKey.n);
+
+    if (k < 11) {
+        throw new Error('Decryption error');
+    }
+
+    const m = decrypt(ciphertext, privateKey);
+    const encodedMessage = MathUtils.i2osp(m, k);
+
+    let valid = encodedMessage[0] === 0x00 && encodedMessage[1] === 0x02;
+
+    // Separator: first zero byte after the two-byte header
+    let separatorIndex = -1;
+    for (let i = 2; i < k; i++) {
+        if (separatorIndex === -1 && encodedMessage[i] === 0x00) {
+            separatorIndex = i;
+        }
+    }
+    valid = valid && separatorIndex !== -1;
+
+    // PS must be at least 8 bytes long
+    valid = valid && separatorIndex - 2 >= 8;
+
+    if (!valid) {
+        throw new Error('Decryption error');
+    }
+
+    return {
+        message: encodedMessage.slice(separatorIndex + 1),
+        steps: { k, encodedMessage, paddingLength: separatorIndex - 2, m }
+    };
+}
+
+// ============================================================================
+// RSA SIGNATURES (RFC 8017 §8)
+// ============================================================================
+
+/**
+ * Look up a signature hash (digest length and DigestInfo prefix)
+ *
+ * @param {String} hash - Web Crypto hash name
+ * @returns {Object} - { hLen, digestInfo }
+ */
+function signatureHashInfo(hash) {
+    const info = Config.RSA.SIGNATURE_HASHES[hash];
+    if (!info) {
+        throw new Error(`Unsupported signature hash: ${hash}`);
+    }
+    return info;
+}
+
+/**
+ * EMSA-PKCS1-v1_5 encoding (RFC 8017 §9.2)
+ *
+ *   T  = DigestInfo(hash, H(M))       (DER, fixed prefix || digest)
+ *   EM = 0x00 || 0x01 || PS || 0x00 || T   (PS = 0xFF bytes, at least 8)
+ *
+ * Deterministic: the same message and key always give the same signature.
+ *
+ * @param {Uint8Array} message - Message bytes
+ * @param {Number} emLen - Encoded length (k bytes)
+ * @param {String} hash - Hash function name
+ * @returns {Promise<Object>} - { digest, digestInfo, encodedMessage }
+ */
+async function emsaPKCS1v15Encode(message, emLen, hash) {
+    const { digestInfo: prefix } = signatureHashInfo(hash);
+
+    const digest = await HashCore.digestBytes(message, hash);
+    const digestInfo = MathUtils.concatBytes(MathUtils.hexToBytes(prefix), digest);
+
+    if (emLen < digestInfo.length + 11) {
+        throw new Error('Intended encoded message length too short (key too small for this hash)');
+    }
+
+    const padding = new Uint8Array(emLen - digestInfo.length - 3).fill(0xff);
+    const encodedMessage = MathUtils.concatBytes(
+        new Uint8Array([0x00, 0x01]), padding, new Uint8Array([0x00]), digestInfo
+    );
+
+    return { digest, digestInfo, encodedMessage };
+}
+
+/**
+ * RSASSA-PKCS1-v1_5 Signature Generation (RFC 8017 §8.2.1)
+ *
+ * s = OS2IP(EMSA-PKCS1-v1_5(M))^d mod n
+ *
+ * Still the most deployed RSA signature (X.509 certificates, JWT RS256).
+ * No known attack on the scheme itself, but lax verifiers that parse EM
+ * instead of re-encoding it fell to Bleichenbacher's 2006 e = 3 forgery.
+ *
+ * @param {Uint8Array} message - Message bytes
+ * @param {Object} privateKey - {d, n}
+ * @param {Object} options - { hash: 'SHA-256' }
+ * @returns {Promise<Object>} - { signature: BigInt, steps }
+ */
+async function signPKCS1v15(message, privateKey, options = {}) {
+    const { hash = Config.RSA.DEFAULT_SIGNATURE_HASH } = options;
+    const k = modulusByteLength(privateKey.n);
+
+    const { digest, digestInfo, encodedMessage } = await emsaPKCS1v15Encode(message, k, hash);
+
+    // RSASP1: s = m^d mod n
+    const m = MathUtils.os2ip(encodedMessage);
+    const signature = decrypt(m, privateKey);
+
+    return {
+        signature,
+        steps: { scheme: 'pkcs1v15', hash, k, digest, digestInfo, encodedMessage, m }
+    };
+}
+
+/**
+ * RSASSA-PKCS1-v1_5 Signature Verification (RFC 8017 §8.2.2)
+ *
+ * Recomputes the expected encoding and compares it with s^e mod n as a
+ * whole. Never parse the recovered block: comparing full encodings is what
+ * keeps garbage bytes from hiding after the digest.
+ *
+ * @param {Uint8Array} message - Message bytes
+ * @param {BigInt} signature - Signature integer
+ * @param {Object} publicKey - {e, n}
+ * @param {Object} options - { hash: 'SHA-256' }
+ * @returns {Promise<Object>} - { valid, reason, steps }
+ */
+async function verifyPKCS1v15(message, signature, publicKey, options = {}) {
+    const { hash = Config.RSA.DEFAULT_SIGNATURE_HASH } = options;
+    const k = modulusByteLength(publicKey.n);
+
+    if (signature < 0n || signature >= publicKey.n) {
+        return { valid: false, reason: 'Signature representative out of range', steps: { scheme: 'pkcs1v15', hash, k } };
+    }
+
+    // RSAVP1: m = s^e mod n
+    const m = encrypt(signature, publicKey);
+    const recoveredMessage = MathUtils.i2osp(m, k);
+
+    const { digest, encodedMessage } = await emsaPKCS1v15Encode(message, k, hash);
+
+    const valid = MathUtils.bytesToHex(recoveredMessage) === MathUtils.bytesToHex(encodedMessage);
+
+    return {
+        valid,
+        reason: valid ? null : 'Recovered block differs from the expected encoding of H(M)',
+        steps: { scheme: 'pkcs1v15', hash, k, digest, m, recoveredMessage, encodedMessage }
+    };
+}
+
+/**
+ * EMSA-PSS encoding (RFC 8017 §9.1.1)
+ *
+ *   mHash    = H(M)
+ *   M'       = 0x00 × 8 || mHash || salt
+ *   H        = H(M')
+ *   DB       = PS || 0x01 || salt            (PS = zero bytes)
+ *   maskedDB = DB ⊕ MGF1(H, emLen - hLen - 1)
+ *   EM       = maskedDB || H || 0xBC
+ *
+ * The top 8·emLen - emBits bits of maskedDB are cleared so EM < n.
+ *
+ * @param {Uint8Array} mHash - Message digest
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {Number} emBits - Maximal bit length of OS2IP(EM), modBits - 1
+ * @param {String} hash - Hash function name
+ * @returns {Promise<Object>} - { H, dataBlock, dbMask, maskedDB, encodedMessage }
+ */
+async function emsaPSSEncode(mHash, salt, emBits, hash) {
+    const { hLen } = signatureHashInfo(hash);
+    const emLen = Math.ceil(emBits / 8);
+
+    if (emLen < hLen + salt.length + 2) {
+        throw new Error(`Encoding error: EM holds ${emLen} bytes but hash + salt + 2 needs ${hLen + salt.length + 2}. ` +
+            `Use a salt of at most ${Math.max(emLen - hLen - 2, 0)} bytes or a larger key.`);
+    }
+
+    const mPrime = MathUtils.concatBytes(new Uint8Array(8), mHash, salt);
+    const H = await HashCore.digestBytes(mPrime, hash);
+
+    const padding = new Uint8Array(emLen - salt.length - hLen - 2);
+    const dataBlock = MathUtils.concatBytes(padding, new Uint8Array([0x01]), salt);
+
+    const dbMask = await mgf1(H, emLen - hLen - 1, hash);
+    const maskedDB = MathUtils.xorBytes(dataBlock, dbMask);
+    maskedDB[0] &= 0xff >> (8 * emLen - emBits);
+
+    const encodedMessage = MathUtils.concatBytes(maskedDB, H, new Uint8Array([0xbc]));
+
+    return { H, dataBlock, dbMask, maskedDB, encodedMessage };
+}
+
+/**
+ * RSASSA-PSS Signature Generation (RFC 8017 §8.1.1)
+ *
+ * WHY PSS:
+ * The Probabilistic Signature Scheme (Bellare-Rogaway, 1996) has a tight
+ * security proof: forging a signature is as hard as inverting RSA, in the
+ * random oracle model. The random salt makes every signature different,
+ * like OAEP does for encryption. Required by TLS 1.3 for RSA certificates.
+ *
+ * @param {Uint8Array} message - Message bytes
+ * @param {Object} privateKey - {d, n}
+ * @param {Object} options - { hash: 'SHA-256', saltLength: hLen }
+ * @returns {Promise<Object>} - { signature: BigInt, steps }
+ */
+async function signPSS(message, privateKey, options = {}) {
+    const { hash = Config.RSA.DEFAULT_SIGNATURE_HASH } = options;
+    const { hLen } = signatureHashInfo(hash);
+    const { saltLength = hLen } = options;
+
+    const k = modulusByteLength(privateKey.n);
+    const emBits = MathUtils.bitLength(privateKey.n) - 1;
+
+    const mHash = await HashCore.digestBytes(message, hash);
+
+    const salt = new Uint8Array(saltLength);
+    window.crypto.getRandomValues(salt);
+
+    const encoding = await emsaPSSEncode(mHash, salt, emBits, hash);
+
+    // RSASP1: s = m^d mod n
+    const m = MathUtils.os2ip(encoding.encodedMessage);
+    const signature = decrypt(m, privateKey);
+
+    return {
+        signature,
+        steps: { scheme: 'pss', hash, hLen, k, emBits, mHash, salt, ...encoding, m }
+    };
+}
+
+/**
+ * RSASSA-PSS Signature Verification (RFC 8017 §8.1.2, EMSA-PSS-VERIFY §9.1.2)
+ *
+ * Undoes the masking with the public key, extracts the salt and checks
+ * that H(0x00 × 8 || H(M) || salt) equals the H stored in EM.
+ *
+ * @param {Uint8Array} message - Message bytes
+ * @param {BigInt} signature - Signature integer
+ * @param {Object} publicKey - {e, n}
+ * @param {Object} options - { hash: 'SHA-256', saltLength: hLen }
+ * @returns {Promise<Object>} - { valid, reason, steps }
+ */
+async function verifyPSS(message, signature, publicKey, options = {}) {
+    const { hash = Config.RSA.DEFAULT_SIGNATURE_HASH } = options;
+    const { hLen } = signatureHashInfo(hash);
+    const { saltLength = hLen } = options;
+
+    const k = modulusByteLength(publicKey.n);
+    const emBits = MathUtils.bitLength(publicKey.n) - 1;
+    const emLen = Math.ceil(emBits / 8);
+    const steps = { scheme: 'pss', hash, hLen, k, emBits };
+    const invalid = reason => ({ valid: false, reason, steps });
+
+    if (signature < 0n || signature >= publicKey.n) {
+        return invalid('Signature representative out of range');
+    }
+
+    // RSAVP1: m = s^e mod n, EM = I2OSP(m, emLen)
+    const m = encrypt(signature, publicKey);
+    if (m >= (1n << BigInt(8 * emLen))) {
+        return invalid('Recovered integer longer than emLen');
+    }
+    const encodedMessage = MathUtils.i2osp(m, emLen);
+    const mHash = await HashCore.digestBytes(message, hash);
+    Object.assign(steps, { m, encodedMessage, mHash });
+
+    if (emLen < hLen + saltLength + 2) {
+        return invalid('Key too small for this hash and salt length');
+    }
+    if (encodedMessage[emLen - 1] !== 0xbc) {
+        return invalid('Trailer byte is not 0xBC');
+    }
+
+    const maskedDB = encodedMessage.slice(0, emLen - hLen - 1);
+    const H = encodedMessage.slice(emLen - hLen - 1, emLen - 1);
+    const topBits = 0xff >> (8 * emLen - emBits);
+
+    if ((maskedDB[0] & ~topBits) !== 0) {
+        return invalid('Leftmost bits of maskedDB are not zero');
+    }
+
+    const dbMask = await mgf1(H, emLen - hLen - 1, hash);
+    const dataBlock = MathUtils.xorBytes(maskedDB, dbMask);
+    dataBlock[0] &= topBits;
+    Object.assign(steps, { maskedDB, H, dbMask, dataBlock });
+
+    const paddingLength = emLen - hLen - saltLength - 2;
+    for (let i = 0; i < paddingLength; i++) {
+        if (dataBlock[i] !== 0x00) {
+            return invalid('Padding PS is not all zero (wrong salt length or key?)');
+        }
+    }
+    if (dataBlock[paddingLength] !== 0x01) {
+        return invalid('Missing 0x01 separator before the salt');
+    }
+
+    const salt = dataBlock.slice(dataBlock.length - saltLength);
+    const mPrime = MathUtils.concatBytes(new Uint8Array(8), mHash, salt);
+    const expectedH = await HashCore.digestBytes(mPrime, hash);
+    Object.assign(steps, { salt, expectedH });
+
+    const valid = MathUtils.bytesToHex(H) === MathUtils.bytesToHex(expectedH);
+
+    return {
+        valid,
+        reason: valid ? null : "H(M') does not match: the message or signature was changed",
+        steps
+    };
+}
+
+// ============================================================================
+// BLIND SIGNATURES (CHAUM 1982, RFC 9474)
+// ============================================================================
+
+/**
+ * Blinding schemes: how the requester encodes M before blinding it.
+ * The unblinded signature is an ordinary signature of that scheme.
+ */
+const BLIND_SIGNATURE_SCHEMES = Object.freeze({
+    pss: { label: 'RSASSA-PSS (RFC 9474 RSABSSA)' },
+    pkcs1v15: { label: 'RSASSA-PKCS1-v1_5 (deterministic)' }
+});
+
+/**
+ * Blind a message for signing (requester side)
+ *
+ * IDEA: RSA is multiplicative, (m·r^e)^d = m^d·r (mod n). The requester
+ * encodes M as for an ordinary signature, multiplies by r^e for a secret
+ * random r and sends only m' = m·r^e mod n. Every m' is equally likely
+ * for every M, so the signer learns nothing about the message; dividing
+ * the blind signature by r later gives the signature m^d.
+ *
+ * With PSS the requester also picks the salt, so even the signer cannot
+ * link a finished signature to the signing session (RFC 9474).
+ *
+ * @param {Uint8Array} message - Message bytes
+ * @param {Object} publicKey - Signer's {e, n}
+ * @param {Object} options - { scheme: 'pss', hash: 'SHA-256', saltLength: hLen }
+ * @returns {Promise<Object>} - { blindedMessage, inverse, steps }, where
+ *          inverse = r^-1 mod n must be kept secret for unblinding and
+ *          steps = { scheme, hash, k, encodedMessage, m, r, rE, ... }
+ */
+async function blindMessage(message, publicKey, options = {}) {
+    const { scheme = 'pss', hash = Config.RSA.DEFAULT_SIGNATURE_HASH } = options;
+    const { e, n } = publicKey;
+    const k = modulusByteLength(n);
+
+    let encoding;
+    if (scheme === 'pss') {
+        const { hLen } = signatureHashInfo(hash);
+        const { saltLength = hLen } = options;
+        const mHash = await HashCore.digestBytes(message, hash);
+        const salt = new Uint8Array(saltLength);
+        window.crypto.getRandomValues(salt);
+        encoding = { mHash, salt, ...await emsaPSSEncode(mHash, salt, MathUtils.bitLength(n) - 1, hash) };
+    } else if (scheme === 'pkcs1v15') {
+        encoding = await emsaPKCS1v15Encode(message, k, hash);
+    } else {
+        throw new Error(`Unknown blind signature scheme: ${scheme}`);
+    }
+
+    const m = MathUtils.os2ip(encoding.encodedMessage);
+
+    // Blinding factor: uniform r in [1, n) with an inverse mod n
+    // (64 extra random bits make the bias of "mod n" negligible)
+    let r;
+    let inverse = null;
+    while (inverse === null || r < 2n) {
+        r = MathUtils.randomBigInt(MathUtils.bitLength(n) + 64) % n;
+        inverse = MathUtils.modInverse(r, n);
+    }
+
+    const rE = MathUtils.modPowMontgomery(r, e, n);
+    const blindedMessage = (m * rE) % n;
+
+    return {
+        blindedMessage,
+        inverse,
+        steps: { scheme, hash, k, ...encoding, m, r, rE }
+    };
+}
+
+/**
+ * Sign a blinded message (signer side)
+ *
+ * A plain RSA private-key operation s' = m'^d mod n on a number the
+ * signer cannot interpret. Anyone may ask for any m', so this key must
+ * be used for nothing else: on an encryption key it would decrypt any
+ * ciphertext (m' = c·r^e), on a signing key it would sign any message.
+ *
+ * @param {BigInt} blindedMessage - m' from blindMessage
+ * @param {Object} privateKey - {d, n} (CRT parameters used if present)
+ * @returns {Object} - { blindSignature }
+ * @throws {Error} If m' is not in [0, n)
+ */
+function blindSign(blindedMessage, privateKey) {
+    if (blindedMessage < 0n || blindedMessage >= privateKey.n) {
+        throw new Error('Blinded message out of range');
+    }
+    return { blindSignature: decrypt(blindedMessage, privateKey) };
+}
+
+/**
+ * Unblind a blind signature (requester side)
+ *
+ *   s = s'·r^-1 = (m·r^e)^d·r^-1 = m^d·r·r^-1 = m^d (mod n)
+ *
+ * The result is checked with the public key (s^e = m), as RFC 9474
+ * requires: a faulty or malicious signer is caught here.
+ *
+ * @param {BigInt} blindSignature - s' from blindSign
+ * @param {BigInt} inverse - r^-1 mod n from blindMessage
+ * @param {BigInt} m - Encoded message from blindMessage (steps.m)
+ * @param {Object} publicKey - Signer's {e, n}
+ * @returns {Object} - { signature }
+ * @throws {Error} If the unblinded signature does not match m
+ */
+function unblindSignature(blindSignature, inverse, m, publicKey) {
+    const signature = (blindSignature * inverse) % publicKey.n;
+
+    if (encrypt(signature, publicKey) !== m) {
+        throw new Error('Unblinded signature does not match the message: the signer returned a wrong value');
+    }
+    return { signature };
+}
+
 // ============================================================================
 // EXPORT ALL FUNCTIONS
 // ============================================================================
 
 const RSACore = {
     millerRabin,
+    PRIME_MODES,
+    PRIME_NAMES: RSA_PRIME_NAMES,
+    MULTI_PRIME_LIMITS,
+    PRIVATE_EXPONENT_MODULI,
+    maxSecurePrimeCount,
+    multiPrimeLowerBound,
     generatePrime,
+    generateSafePrime,
+    generateStrongPrime,
+    generateFIPSPrime,
+    findPrimeByMode,
     generateKeyPair,
+    validateKeyParameters,
+    defaultPublicExponent,
+    keyFromPrimes,
     encrypt,
     decrypt,
+    decryptCRT,
+    crtParameters,
+    otherPrimeInfos,
     encryptString,
-    decryptString
+    decryptString,
+    mgf1,
+    encryptOAEP,
+    decryptOAEP,
+    encryptPKCS1v15,
+    decryptPKCS1v15,
+    signPKCS1v15,
+    verifyPKCS1v15,
+    signPSS,
+    verifyPSS,
+    BLIND_SIGNATURE_SCHEMES,
+    blindMessage,
+    blindSign,
+    unblindSignature,
+    modulusByteLength
 };
 
 // Make available globally
@@ -14,12 +14,19 @@
  * ============================================================================
  */
 
+// Largest modulus (bits) whose exponentiation and extended Euclid traces
+// show full values; larger keys show bit lengths or a summary
+const TRACE_FULL_VALUE_BITS = 64;
+
 // ============================================================================
 // GLOBAL STATE (stored in memory, never persisted)
 // ============================================================================
 
 let currentKeys = null;
 let lastCiphertext = null;
+let keygenAbortController = null;  // Set while a key generation can be cancelled
+let blindSession = null;  // Requester's r^-1 and the signer's s' between the blind signature steps
+const primeModeStats = {};  // Prime search totals per mode and key size, for the comparison table
 
 // ============================================================================
 // INITIALIZATION
@@ -57,6 +64,50 @@ function setupEventListeners() {
         generateBtn.addEventListener('click', handleGenerateKeys);
     }
 
+    const cancelKeygenBtn = document.getElementById('cancel-keygen-btn');
+    if (cancelKeygenBtn) {
+        cancelKeygenBtn.addEventListener('click', () => {
+            if (keygenAbortController) keygenAbortController.abort();
+        });
+    }
+
+    // Key source: random primes, hand-picked p, q, e or a key saved in the vault
+    const keyModeSelect = document.getElementById('key-mode');
+    if (keyModeSelect) {
+        const buttonLabels = { random: 'Generate RSA Keys', manual: 'Build Key from p and q', vault: 'Load Key from Vault' };
+        keyModeSelect.addEventListener('change', () => {
+            const mode = keyModeSelect.value;
+            UIUtils.toggleElement('random-key-options', mode === 'random');
+            UIUtils.toggleElement('manual-key-options', mode === 'manual');
+            UIUtils.toggleElement('vault-key-options', mode === 'vault');
+            generateBtn.textContent = buttonLabels[mode];
+        });
+    }
+
+    // Key import / export
+    const exportBtn = document.getElementById('export-key-btn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', handleExportKey);
+    }
+
+    const importBtn = document.getElementById('import-key-btn');
+    if (importBtn) {
+        importBtn.addEventListener('click', handleImportKey);
+    }
+
+    // Key vault (shared controller in key-vault-demo.js)
+    setupKeyVault({
+        kinds: ['rsa'],
+        getCurrentKey: currentKeyForVault,
+        exportKey: entry => ({
+            fileName: vaultExportFileName(entry.name, 'pem'),
+            content: entry.material.pem,
+            mimeType: 'application/x-pem-file'
+        }),
+        onLoad: useVaultKey,
+        onListChanged: entries => populateVaultPicker('vault-key-select', entries)
+    });
+
     // Encryption
     const encryptBtn = document.getElementById('encrypt-btn');
     if (encryptBtn) {
@@ -69,6 +120,53 @@ function setupEventListeners() {
         decryptBtn.addEventListener('click', handleDecrypt);
     }
 
+    // Padding scheme selectors (show OAEP / hybrid parameters only when relevant)
+    const paddingSelect = document.getElementById('padding-scheme');
+    if (paddingSelect) {
+        paddingSelect.addEventListener('change', () => {
+            toggleOAEPOptions('padding-scheme', 'oaep-options');
+            UIUtils.toggleElement('hybrid-options', paddingSelect.value === 'hybrid');
+        });
+    }
+
+    const decryptPaddingSelect = document.getElementById('decrypt-padding-scheme');
+    if (decryptPaddingSelect) {
+        decryptPaddingSelect.addEventListener('change', () => toggleOAEPOptions('decrypt-padding-scheme', 'decrypt-oaep-options'));
+    }
+
+    // Signatures
+    const signBtn = document.getElementById('sign-btn');
+    if (signBtn) {
+        signBtn.addEventListener('click', handleSign);
+    }
+
+    const verifyBtn = document.getElementById('verify-btn');
+    if (verifyBtn) {
+        verifyBtn.addEventListener('click', handleVerify);
+    }
+
+    const blindRequestBtn = document.getElementById('blind-request-btn');
+    if (blindRequestBtn) {
+        blindRequestBtn.addEventListener('click', handleBlindRequest);
+    }
+
+    const blindSignBtn = document.getElementById('blind-sign-btn');
+    if (blindSignBtn) {
+        blindSignBtn.addEventListener('click', handleBlindSign);
+    }
+
+    const blindUnblindBtn = document.getElementById('blind-unblind-btn');
+    if (blindUnblindBtn) {
+        blindUnblindBtn.addEventListener('click', handleBlindUnblind);
+    }
+
+    const signatureSchemeSelect = document.getElementById('signature-scheme');
+    if (signatureSchemeSelect) {
+        signatureSchemeSelect.addEventListener('change', () => {
+            UIUtils.toggleElement('pss-options', signatureSchemeSelect.value === 'pss');
+        });
+    }
+
     // Use shared utilities for common patterns
     UIUtils.setupCopyButtons();
     UIUtils.setupTabs();
@@ -82,27 +180,46 @@ function setupEventListeners() {
  * Handle key generation button click
  */
 async function handleGenerateKeys() {
+    const keyMode = document.getElementById('key-mode').value;
+    if (keyMode === 'manual') {
+        await handleManualKey();
+        return;
+    }
+    if (keyMode === 'vault') {
+        await handleLoadVaultKey();
+        return;
+    }
+
     const keySizeSelect = document.getElementById('key-size');
     const keySize = parseInt(keySizeSelect.value);
+    const primeMode = document.getElementById('prime-mode').value;
+    const primeCount = parseInt(document.getElementById('prime-count').value);
+    const totient = document.getElementById('private-exponent-modulus').value;
 
     // Use shared button state management
     const generateBtn = document.getElementById('generate-keys-btn');
     UIUtils.setButtonLoading(generateBtn, 'Generating...');
 
     // Use shared result clearing
-    UIUtils.clearResults(['key-gen-results', 'encryption-results', 'decryption-results']);
+    UIUtils.clearResults(['key-gen-results', 'key-export-results', 'encryption-results', 'decryption-results',
+        'signature-results', 'verification-results']);
+    resetBlindSignature();
 
     // Show progress using shared utility
     const progressDiv = document.getElementById('key-gen-progress');
     UIUtils.showLoading(progressDiv, 'Initializing key generation...');
 
+    const cancelBtn = document.getElementById('cancel-keygen-btn');
+    keygenAbortController = new AbortController();
+    UIUtils.toggleElement(cancelBtn, true);
+
     try {
         const startTime = performance.now();
 
-        // Generate keys with progress callback
-        const keys = await RSACore.generateKeyPair(keySize, (stage, data) => {
+        // Generate keys in Web Workers (main thread fallback) with progress callback
+        const keys = await RSAKeygenWorkers.generateKeyPair(keySize, (stage, data) => {
             updateProgress(stage, data);
-        });
+        }, { signal: keygenAbortController.signal, primeMode, primeCount, totient });
 
         const endTime = performance.now();
         const duration = ((endTime - startTime) / 1000).toFixed(2);
@@ -111,7 +228,8 @@ async function handleGenerateKeys() {
         currentKeys = keys;
 
         // Display results
-        displayKeys(keys, duration);
+        recordPrimeStatistics(keySize, keys.statistics, keys.primes.length);
+        await displayKeys(keys, duration);
 
         // Enable encryption/decryption
         document.getElementById('encrypt-btn').disabled = false;
@@ -119,12 +237,18 @@ async function handleGenerateKeys() {
         console.log('Key generation successful:', keys);
 
     } catch (error) {
-        console.error('Key generation failed:', error);
-        UIUtils.showError('Key generation failed: ' + error.message);
+        if (error.name === 'AbortError') {
+            UIUtils.showWarning('Key generation cancelled.');
+        } else {
+            console.error('Key generation failed:', error);
+            UIUtils.showError('Key generation failed: ' + error.message);
+        }
     } finally {
         // Re-enable button using shared utility
         UIUtils.resetButton(generateBtn, 'Generate RSA Keys');
         UIUtils.hideLoading(progressDiv);
+        UIUtils.toggleElement(cancelBtn, false);
+        keygenAbortController = null;
     }
 }
 
@@ -145,13 +269,13 @@ function updateProgress(stage, data) {
         case 'Generating prime p':
             message = '<p><strong>Step 1/4:</strong> Generating prime p...</p>';
             if (data) {
-                message += `<p class="progress-detail">Attempt ${data.attempt}${data.isPrime ? ' ✓ Prime found!' : ''}</p>`;
+                message += primeSearchDetail(data);
             }
             break;
         case 'Generating prime q':
             message = '<p><strong>Step 2/4:</strong> Generating prime q...</p>';
             if (data) {
-                message += `<p class="progress-detail">Attempt ${data.attempt}${data.isPrime ? ' ✓ Prime found!' : ''}</p>`;
+                message += primeSearchDetail(data);
             }
             break;
         case 'Computing modulus n':
@@ -160,33 +284,135 @@ function updateProgress(stage, data) {
         case 'Computing φ(n)':
             message = '<p><strong>Step 3/4:</strong> Computing Euler\'s totient φ(n)...</p>';
             break;
+        case 'Computing λ(n)':
+            message = '<p><strong>Step 3/4:</strong> Computing Carmichael\'s function λ(n) = lcm(p-1, q-1, ...)...</p>';
+            break;
         case 'Computing private exponent d':
             message = '<p><strong>Step 4/4:</strong> Computing private exponent d...</p>';
             break;
         case 'Complete':
             message = '<p><strong>✓ Key generation complete!</strong></p>';
             break;
+        default:
+            // Further primes of a multi-prime key (r₃, r₄, r₅)
+            if (stage.startsWith('Generating prime')) {
+                message = `<p><strong>Step 2/4:</strong> ${stage}...</p>`;
+                if (data) {
+                    message += primeSearchDetail(data);
+                }
+            }
     }
 
     progressDiv.innerHTML = message;
 }
 
+/**
+ * Security warnings for the key about to be displayed
+ *
+ * Runs the checks from the Attacks Lab against the user's own key.
+ *
+ * @param {Object} keys - { publicKey, primes?, p?, q? } (primes absent for public keys)
+ * @returns {string} - HTML alerts, empty if no weakness was found
+ */
+function createKeyWarnings(keys) {
+    let html = '';
+
+    const fermat = RSAAttacks.assessFermatRisk(keys);
+    if (fermat.vulnerable) {
+        const closePrimes = keys.primes && keys.primes.length > 2 ? 'two of its primes are' : 'p and q are';
+        html += DisplayComponents.createSecurityAlert(
+            `Fermat's method factors this modulus in ${fermat.iterations.toLocaleString()} step(s): ` +
+            `${closePrimes} too close together. Try it in the Attacks Lab.`, 'danger');
+    }
+
+    const wiener = RSAAttacks.wiener(keys.publicKey);
+    if (wiener.success) {
+        html += DisplayComponents.createSecurityAlert(
+            `Wiener's attack recovers the ${MathUtils.bitLength(wiener.d)}-bit private exponent from (e, n) ` +
+            'alone: d is below n^¼/3. See the Security tab.', 'danger');
+    }
+
+    const bits = MathUtils.bitLength(keys.publicKey.n);
+    const primeCount = keys.primes ? keys.primes.length : 2;
+    if (primeCount > RSACore.maxSecurePrimeCount(bits)) {
+        html += DisplayComponents.createSecurityAlert(
+            `${primeCount} primes of about ${Math.round(bits / primeCount)} bits are within reach of the elliptic curve ` +
+            `method: a ${bits}-bit key should use at most ${RSACore.maxSecurePrimeCount(bits)} primes to stay as hard ` +
+            'to factor as a two-prime key.');
+    }
+
+    return html;
+}
+
+/**
+ * Progress line for a prime search
+ *
+ * @param {Object} data - { attempt, isPrime, workers? }
+ * @returns {string} - HTML paragraph
+ */
+function primeSearchDetail(data) {
+    const workers = data.workers ? ` across ${data.workers} worker${data.workers > 1 ? 's' : ''}` : '';
+    return `<p class="progress-detail">Attempt ${data.attempt}${workers}${data.isPrime ? ' ✓ Prime found!' : ''}</p>`;
+}
+
+/**
+ * Add the prime searches of a generated key to the session totals
+ *
+ * @param {number} bits - Key size
+ * @param {Object} statistics - From RSACore.generateKeyPair
+ * @param {number} primeCount - Number of primes in the key (smaller primes cost less each)
+ */
+function recordPrimeStatistics(bits, statistics, primeCount = 2) {
+    const id = `${statistics.mode}-${bits}-${primeCount}`;
+    if (!primeModeStats[id]) {
+        const { label } = RSACore.PRIME_MODES[statistics.mode];
+        primeModeStats[id] = {
+            label: primeCount > 2 ? `${label}, ${primeCount} primes` : label,
+            bits,
+            keys: 0,
+            primes: 0,
+            attempts: 0,
+            duration: 0
+        };
+    }
+
+    const totals = primeModeStats[id];
+    totals.keys++;
+    for (const { attempts, duration } of statistics.primes) {
+        totals.primes++;
+        totals.attempts += attempts;
+        totals.duration += duration;
+    }
+}
+
 /**
  * Display generated keys in the UI
  */
-function displayKeys(keys, duration) {
+async function displayKeys(keys, duration) {
     const resultsDiv = document.getElementById('key-gen-results');
+    const derivation = createPrivateExponentDerivation(keys);
+    const primeCount = keys.primes.length;
+    const fingerprint = await fingerprintPublicKey(keys.publicKey);
 
     // Use DisplayComponents for consistent HTML generation
     const keyDisplay = DisplayComponents.createKeyDisplayCard({
-        title: `✓ RSA Keys Generated (${duration}s)`,
+        title: `✓ RSA Keys Generated (${duration}s${primeCount > 2 ? `, ${primeCount} primes` : ''})`,
         publicKey: keys.publicKey,
         privateKey: keys.privateKey,
         educational: {
             p: keys.p,
             q: keys.q,
-            phi: keys.phi
-        }
+            primes: keys.primes,
+            phi: keys.phi,
+            lambda: keys.lambda,
+            dPhi: keys.dPhi,
+            dLambda: keys.dLambda
+        },
+        fingerprint
+    }) + createKeyWarnings(keys) + derivation.html + DisplayComponents.createPrimeStatistics({
+        modeLabel: RSACore.PRIME_MODES[keys.statistics.mode].label,
+        statistics: keys.statistics,
+        session: Object.values(primeModeStats)
     });
 
     // Use shared display utility
@@ -194,6 +420,358 @@ function displayKeys(keys, duration) {
 
     // Setup copy buttons for the newly rendered content
     UIUtils.setupCopyButtons();
+    setupEuclidTraceDownload(derivation.trace);
+    drawKeyFingerprint(fingerprint);
+}
+
+/**
+ * Fingerprint a public key: SHA-256 of its SubjectPublicKeyInfo
+ *
+ * @param {Object} publicKey - { e, n }
+ * @returns {Promise<Object>} - Output of KeyFingerprint.fingerprintSPKI
+ */
+function fingerprintPublicKey(publicKey) {
+    const { der } = RSAKeyFormats.exportKey({ publicKey }, 'spki');
+    return KeyFingerprint.fingerprintSPKI(der, `RSA ${MathUtils.bitLength(publicKey.n)}`);
+}
+
+/**
+ * Draw the randomart of the key card's fingerprint
+ *
+ * @param {Object} fingerprint - Fingerprint passed to createKeyDisplayCard
+ */
+function drawKeyFingerprint(fingerprint) {
+    KeyFingerprint.drawRandomart(document.getElementById('display-fingerprint-randomart'), fingerprint.randomart);
+}
+
+/**
+ * Trace the derivation of d = e⁻¹ mod φ(n) (or λ(n)) with the extended Euclidean algorithm
+ *
+ * @param {Object} keys - Key pair with phi and lambda (from generateKeyPair or keyFromPrimes)
+ * @returns {Object} - { html, trace }
+ */
+function createPrivateExponentDerivation(keys) {
+    const { e, n } = keys.publicKey;
+    const modulus = keys[keys.totient];
+    const trace = MathUtils.extendedGCDTrace(modulus, e);
+
+    const html = DisplayComponents.createExtendedEuclidTrace({
+        e,
+        modulus,
+        modulusName: RSACore.PRIVATE_EXPONENT_MODULI[keys.totient].symbol,
+        d: keys.privateKey.d,
+        trace,
+        showValues: MathUtils.bitLength(n) <= TRACE_FULL_VALUE_BITS
+    });
+
+    return { html, trace };
+}
+
+/**
+ * Offer the full extended Euclid trace as CSV, when the card has a download button
+ *
+ * @param {Object} trace - Output of MathUtils.extendedGCDTrace
+ */
+function setupEuclidTraceDownload(trace) {
+    const downloadBtn = document.getElementById('download-euclid-btn');
+    if (!downloadBtn) {
+        return;
+    }
+
+    downloadBtn.addEventListener('click', () => {
+        const lines = trace.rows.map(row =>
+            [row.index, row.quotient === null ? '' : row.quotient, row.remainder, row.s, row.t].join(','));
+        UIUtils.downloadFile('extended-euclid-trace.csv', ['i,q,r,s,t', ...lines].join('\n') + '\n', 'text/csv');
+    });
+}
+
+/**
+ * Build a key pair from the p, q and e typed in the manual key form
+ *
+ * Every problem (unparsable input, composite p, e not coprime to φ(n), ...)
+ * is shown under the field it concerns instead of in a single alert.
+ */
+async function handleManualKey() {
+    const format = document.getElementById('manual-number-format').value;
+    const values = {};
+    const problems = [];
+
+    for (const field of ['p', 'q', 'e']) {
+        const text = document.getElementById(`manual-${field}`).value;
+
+        if (!text.trim()) {
+            if (field === 'e') {
+                values.e = null;  // Picked below once p and q are known
+            } else {
+                problems.push({ field, message: `Please enter ${field}` });
+            }
+            continue;
+        }
+
+        try {
+            values[field] = MathUtils.parseBigInt(text, format);
+        } catch (error) {
+            problems.push({ field, message: error.message });
+        }
+    }
+
+    if (problems.length === 0) {
+        if (values.e === null) {
+            values.e = RSACore.defaultPublicExponent(values.p, values.q);
+        }
+
+        if (values.e === null) {
+            problems.push(...RSACore.validateKeyParameters(values.p, values.q, BigInt(Config.RSA.PUBLIC_EXPONENT))
+                .filter(problem => problem.field !== 'e'));
+            problems.push({ field: 'e', message: 'None of 65537, 3, 5, 17, 257 is valid for these primes: please enter e' });
+        } else {
+            problems.push(...RSACore.validateKeyParameters(values.p, values.q, values.e));
+        }
+    }
+
+    showFieldErrors('manual', ['p', 'q', 'e'], problems);
+
+    if (problems.length > 0) {
+        return;
+    }
+
+    UIUtils.clearResults(['key-gen-results', 'key-export-results', 'encryption-results', 'decryption-results',
+        'signature-results', 'verification-results']);
+    resetBlindSignature();
+
+    const keys = RSACore.keyFromPrimes(values.p, values.q, values.e);
+    currentKeys = keys;
+    const derivation = createPrivateExponentDerivation(keys);
+    const fingerprint = await fingerprintPublicKey(keys.publicKey);
+
+    const keyDisplay = DisplayComponents.createKeyDisplayCard({
+        title: `✓ RSA Key Built from p and q (${MathUtils.bitLength(keys.publicKey.n)} bits)`,
+        publicKey: keys.publicKey,
+        privateKey: keys.privateKey,
+        educational: {
+            p: keys.p,
+            q: keys.q,
+            phi: keys.phi,
+            lambda: keys.lambda,
+            dPhi: keys.dPhi,
+            dLambda: keys.dLambda
+        },
+        fingerprint
+    }) + createKeyWarnings(keys) + derivation.html;
+    UIUtils.displayResults('key-gen-results', keyDisplay, true);
+    UIUtils.setupCopyButtons();
+    setupEuclidTraceDownload(derivation.trace);
+    drawKeyFingerprint(fingerprint);
+
+    document.getElementById('encrypt-btn').disabled = false;
+
+    console.log('Manual key built:', keys);
+}
+
+/**
+ * Show validation messages under their input fields
+ *
+ * Expects inputs with id `${prefix}-${field}` and message elements with
+ * id `${prefix}-${field}-error`; fields without problems are cleared.
+ *
+ * @param {string} prefix - Form id prefix
+ * @param {Array<string>} fields - Field names
+ * @param {Array<Object>} problems - [{ field, message }]
+ */
+function showFieldErrors(prefix, fields, problems) {
+    for (const field of fields) {
+        const messages = problems
+            .filter(problem => problem.field === field)
+            .map(problem => UIUtils.escapeHtml(problem.message));
+
+        const input = document.getElementById(`${prefix}-${field}`);
+        const errorElement = document.getElementById(`${prefix}-${field}-error`);
+
+        input.classList.toggle('input--invalid', messages.length > 0);
+        errorElement.innerHTML = messages.join('<br>');
+        UIUtils.toggleElement(errorElement, messages.length > 0);
+    }
+}
+
+// ============================================================================
+// KEY IMPORT / EXPORT HANDLERS
+// ============================================================================
+
+/**
+ * Export the current key in the selected PEM format
+ */
+function handleExportKey() {
+    if (!currentKeys) {
+        UIUtils.showError('Please generate or import keys first!');
+        return;
+    }
+
+    const format = document.getElementById('export-format').value;
+
+    try {
+        const { pem, der } = RSAKeyFormats.exportKey(currentKeys, format);
+        const { name, label, isPrivate } = RSAKeyFormats.FORMATS[format];
+
+        const exportDisplay = DisplayComponents.createKeyExportResult({
+            formatName: name,
+            pem,
+            derLength: der.length,
+            isPrivate
+        }) + DisplayComponents.createASN1Structure(ASN1.describe(ASN1.decode(der)));
+        UIUtils.displayResults('key-export-results', exportDisplay, true);
+
+        const fileName = label.toLowerCase().replace(/ /g, '-') + '.pem';
+        document.getElementById('download-pem-btn').addEventListener('click', () => {
+            UIUtils.downloadFile(fileName, pem, 'application/x-pem-file');
+        });
+        UIUtils.setupCopyButtons();
+
+    } catch (error) {
+        console.error('Key export failed:', error);
+        UIUtils.showError('Key export failed: ' + error.message);
+    }
+}
+
+/**
+ * Import a PEM key and make it the current key
+ *
+ * Private keys replace the whole key pair; public keys leave the tool
+ * able to encrypt and verify only.
+ */
+async function handleImportKey() {
+    const pemText = document.getElementById('import-key-input').value;
+
+    if (!pemText.trim()) {
+        UIUtils.showError('Please paste a PEM key to import');
+        return;
+    }
+
+    try {
+        const imported = RSAKeyFormats.importKey(pemText);
+        const { name } = RSAKeyFormats.FORMATS[imported.format];
+
+        await useImportedKey(imported, `✓ Imported ${name} (${MathUtils.bitLength(imported.publicKey.n)} bits)`);
+
+        console.log('Key import successful:', imported.format);
+
+    } catch (error) {
+        console.error('Key import failed:', error);
+        UIUtils.showError('Key import failed: ' + error.message);
+    }
+}
+
+/**
+ * Make a decoded PEM key the current key and show it with its ASN.1 structure
+ *
+ * @param {Object} imported - Output of RSAKeyFormats.importKey
+ * @param {string} title - Key card title
+ */
+async function useImportedKey(imported, title) {
+    currentKeys = {
+        publicKey: imported.publicKey,
+        privateKey: imported.privateKey,
+        p: imported.p,
+        q: imported.q,
+        primes: imported.primes,
+        phi: imported.phi
+    };
+
+    UIUtils.clearResults(['key-export-results', 'encryption-results', 'decryption-results',
+        'signature-results', 'verification-results']);
+    resetBlindSignature();
+
+    const fingerprint = await fingerprintPublicKey(imported.publicKey);
+    const keyDisplay = DisplayComponents.createKeyDisplayCard({
+        title,
+        publicKey: imported.publicKey,
+        privateKey: imported.privateKey,
+        educational: imported.privateKey
+            ? { p: imported.p, q: imported.q, primes: imported.primes, phi: imported.phi }
+            : null,
+        fingerprint
+    }) + createKeyWarnings(currentKeys) + DisplayComponents.createASN1Structure(ASN1.describe(ASN1.decode(imported.der)));
+    UIUtils.displayResults('key-gen-results', keyDisplay, true);
+    UIUtils.setupCopyButtons();
+    drawKeyFingerprint(fingerprint);
+}
+
+/**
+ * Check that the current key can perform private-key operations
+ *
+ * @returns {boolean} - True if a private key is loaded
+ */
+function hasPrivateKey() {
+    if (!currentKeys) {
+        UIUtils.showError('Please generate keys first!');
+        return false;
+    }
+    if (!currentKeys.privateKey) {
+        UIUtils.showError('The current key is a public key only. Import a private key or generate a new key pair.');
+        return false;
+    }
+    return true;
+}
+
+// ============================================================================
+// KEY VAULT HANDLERS
+// ============================================================================
+
+/**
+ * The current key pair as a vault entry
+ *
+ * Stored as PKCS#8, which keeps d exactly as generated (mod φ(n) or λ(n))
+ * along with every prime and CRT value of multi-prime keys.
+ *
+ * @returns {Object} - { kind, name, summary, material: { pem } }
+ * @throws {Error} If no key pair with a private key is loaded
+ */
+function currentKeyForVault() {
+    if (!currentKeys || !currentKeys.privateKey) {
+        throw new Error('The vault stores key pairs: generate, build or import a private key first');
+    }
+
+    const { publicKey, primes } = currentKeys;
+    const primeCount = primes ? primes.length : 2;
+    const summary = `${MathUtils.bitLength(publicKey.n)}-bit RSA` +
+        `${primeCount > 2 ? `, ${primeCount} primes` : ''}, e = ${publicKey.e}`;
+
+    return {
+        kind: 'rsa',
+        name: `RSA key of ${new Date().toLocaleString()}`,
+        summary,
+        material: { pem: RSAKeyFormats.exportKey(currentKeys, 'pkcs8').pem }
+    };
+}
+
+/**
+ * Make a key decrypted from the vault the current key
+ *
+ * @param {Object} entry - Vault entry with material.pem
+ */
+async function useVaultKey(entry) {
+    const imported = RSAKeyFormats.importKey(entry.material.pem);
+    await useImportedKey(imported, `✓ Loaded "${entry.name}" from the Key Vault (${MathUtils.bitLength(imported.publicKey.n)} bits)`);
+
+    console.log('Key loaded from vault:', entry.name);
+}
+
+/**
+ * Load the key chosen in the "Load from the key vault" picker
+ */
+async function handleLoadVaultKey() {
+    const id = document.getElementById('vault-key-select').value;
+
+    if (!id) {
+        UIUtils.showError('No RSA keys in the vault yet: save one in the Key Vault section below');
+        return;
+    }
+
+    try {
+        await useVaultKey(await loadVaultEntry(id));
+    } catch (error) {
+        console.error('Vault load failed:', error);
+        UIUtils.showError('Could not load the key: ' + error.message);
+    }
 }
 
 // ============================================================================
@@ -217,14 +795,37 @@ async function handleEncrypt() {
         return;
     }
 
+    // Every scheme starts from the exact message bytes
+    let messageBytes;
+    try {
+        messageBytes = MessageEncoding.parseMessage(message, document.getElementById('plaintext-format').value);
+    } catch (error) {
+        UIUtils.showError('Invalid message: ' + error.message);
+        return;
+    }
+
+    const paddingScheme = document.getElementById('padding-scheme').value;
+    if (paddingScheme === 'oaep') {
+        await handleEncryptOAEP(message, messageBytes);
+        return;
+    }
+    if (paddingScheme === 'pkcs1v15') {
+        handleEncryptPKCS1v15(message, messageBytes);
+        return;
+    }
+    if (paddingScheme === 'hybrid') {
+        await handleEncryptHybrid(message, messageBytes);
+        return;
+    }
+
     try {
-        // Convert message to BigInt
-        const messageInt = MathUtils.stringToBigInt(message);
+        // Convert message bytes to BigInt: m = OS2IP(bytes)
+        const messageInt = MathUtils.os2ip(messageBytes);
 
         // Check if message is too large
         if (messageInt >= currentKeys.publicKey.n) {
             const maxBytes = Math.floor(MathUtils.bitLength(currentKeys.publicKey.n) / 8) - 1;
-            UIUtils.showError(`Message too large! Maximum message length: ~${maxBytes} bytes. Your message: ${message.length} bytes.`);
+            UIUtils.showError(`Message too large! Maximum message length: ~${maxBytes} bytes. Your message: ${messageBytes.length} bytes. Use the hybrid scheme for longer messages.`);
             return;
         }
 
@@ -238,7 +839,8 @@ async function handleEncrypt() {
         lastCiphertext = ciphertext;
 
         // Display results using shared component
-        displayEncryptionResults(message, messageInt, ciphertext, duration);
+        displayEncryptionResults(message, messageBytes, messageInt, ciphertext, duration);
+        syncDecryptionPadding('none');
 
         // Enable decryption
         document.getElementById('decrypt-btn').disabled = false;
@@ -254,25 +856,227 @@ async function handleEncrypt() {
 /**
  * Display encryption results
  */
-function displayEncryptionResults(originalMessage, messageInt, ciphertext, duration) {
+function displayEncryptionResults(originalMessage, messageBytes, messageInt, ciphertext, duration) {
+    const ciphertextText = showCiphertextForDecryption(ciphertext);
+
     const encryptionDisplay = DisplayComponents.createEncryptionResult({
         originalMessage,
+        messageBytes,
         messageInt: messageInt.toString(),
         ciphertext: ciphertext.toString(),
+        ciphertextText,
         duration,
         publicKey: currentKeys.publicKey
     });
 
-    UIUtils.displayResults('encryption-results', encryptionDisplay, true);
+    const traceDisplay = createExponentiationTraces(messageInt, currentKeys.publicKey.e, currentKeys.publicKey.n,
+        'c = m<sup>e</sup> mod n', 'e');
+
+    UIUtils.displayResults('encryption-results', encryptionDisplay + traceDisplay, true);
+
+    // Setup copy buttons for the newly rendered content
+    UIUtils.setupCopyButtons();
+}
+
+/**
+ * Trace one exponentiation with modPow and modPowConstantTime
+ *
+ * @param {BigInt} base - x
+ * @param {BigInt} exponent - Exponent (e or d)
+ * @param {BigInt} n - Modulus
+ * @param {string} expression - Formula shown in the title (HTML)
+ * @param {string} exponentName - Name of the exponent
+ * @returns {string} - HTML of the trace card
+ */
+function createExponentiationTraces(base, exponent, n, expression, exponentName) {
+    return DisplayComponents.createModPowTraces({
+        expression,
+        exponentName,
+        traces: ['binary', 'ladder'].map(method => MathUtils.traceModPow(base, exponent, n, method)),
+        showValues: MathUtils.bitLength(n) <= TRACE_FULL_VALUE_BITS
+    });
+}
+
+/**
+ * Write a ciphertext into the Decryption tab in the selected output format
+ *
+ * @param {BigInt} ciphertext - Ciphertext integer
+ * @returns {string} - The ciphertext as shown (for the results card)
+ */
+function showCiphertextForDecryption(ciphertext) {
+    const format = document.getElementById('ciphertext-format').value;
+    const ciphertextText = MessageEncoding.formatCiphertext(ciphertext, currentKeys.publicKey.n, format);
 
-    // Populate ciphertext in decryption input
     const decryptInput = document.getElementById('ciphertext-input');
     if (decryptInput) {
-        decryptInput.value = ciphertext.toString();
+        decryptInput.value = ciphertextText;
     }
+    document.getElementById('ciphertext-input-format').value = format;
 
-    // Setup copy buttons for the newly rendered content
-    UIUtils.setupCopyButtons();
+    return ciphertextText;
+}
+
+/**
+ * Encrypt with RSA-OAEP and display every encoding step
+ *
+ * @param {string} message - Plaintext entered by the user
+ * @param {Uint8Array} messageBytes - Message in the selected input format, as bytes
+ */
+async function handleEncryptOAEP(message, messageBytes) {
+    const { hash, label } = getOAEPOptions('oaep-hash', 'oaep-label');
+
+    try {
+        const startTime = performance.now();
+        const { ciphertext, steps } = await RSACore.encryptOAEP(messageBytes, currentKeys.publicKey, { hash, label });
+        const endTime = performance.now();
+        const duration = ((endTime - startTime)).toFixed(2);
+
+        lastCiphertext = ciphertext;
+
+        const encryptionDisplay = DisplayComponents.createOAEPEncryptionResult({
+            originalMessage: message,
+            ciphertext: ciphertext.toString(),
+            ciphertextText: showCiphertextForDecryption(ciphertext),
+            duration,
+            publicKey: currentKeys.publicKey,
+            steps
+        });
+        UIUtils.displayResults('encryption-results', encryptionDisplay, true);
+        syncDecryptionPadding('oaep', hash, label);
+
+        UIUtils.setupCopyButtons();
+        document.getElementById('decrypt-btn').disabled = false;
+
+        console.log('OAEP encryption successful');
+
+    } catch (error) {
+        console.error('OAEP encryption failed:', error);
+        UIUtils.showError('Encryption failed: ' + error.message);
+    }
+}
+
+/**
+ * Encrypt with PKCS#1 v1.5 padding and display the encoded block
+ *
+ * @param {string} message - Plaintext entered by the user
+ * @param {Uint8Array} messageBytes - Message in the selected input format, as bytes
+ */
+function handleEncryptPKCS1v15(message, messageBytes) {
+    try {
+        const startTime = performance.now();
+        const { ciphertext, steps } = RSACore.encryptPKCS1v15(messageBytes, currentKeys.publicKey);
+        const endTime = performance.now();
+        const duration = ((endTime - startTime)).toFixed(2);
+
+        lastCiphertext = ciphertext;
+
+        const encryptionDisplay = DisplayComponents.createPKCS1v15EncryptionResult({
+            originalMessage: message,
+            ciphertext: ciphertext.toString(),
+            ciphertextText: showCiphertextForDecryption(ciphertext),
+            duration,
+            steps
+        });
+        UIUtils.displayResults('encryption-results', encryptionDisplay, true);
+        syncDecryptionPadding('pkcs1v15');
+
+        UIUtils.setupCopyButtons();
+        document.getElementById('decrypt-btn').disabled = false;
+
+        console.log('PKCS#1 v1.5 encryption successful');
+
+    } catch (error) {
+        console.error('PKCS#1 v1.5 encryption failed:', error);
+        UIUtils.showError('Encryption failed: ' + error.message);
+    }
+}
+
+/**
+ * Encrypt a message of any length: RSA transports a fresh AES-256 key,
+ * AES-GCM encrypts the message, and the result is a JSON envelope
+ *
+ * @param {string} message - Plaintext entered by the user
+ * @param {Uint8Array} messageBytes - Message in the selected input format, as bytes
+ */
+async function handleEncryptHybrid(message, messageBytes) {
+    const kem = document.getElementById('hybrid-kem').value;
+    const hash = document.getElementById('hybrid-hash').value;
+
+    try {
+        const startTime = performance.now();
+        const { envelope, steps } = await RSAHybrid.encryptHybrid(messageBytes, currentKeys.publicKey, { kem, hash });
+        const endTime = performance.now();
+        const duration = ((endTime - startTime)).toFixed(2);
+
+        const serialized = RSAHybrid.serializeEnvelope(envelope);
+        lastCiphertext = serialized;
+
+        const encryptionDisplay = DisplayComponents.createHybridEncryptionResult({
+            originalMessage: message,
+            envelope: serialized,
+            duration,
+            steps
+        });
+        UIUtils.displayResults('encryption-results', encryptionDisplay, true);
+
+        const decryptInput = document.getElementById('ciphertext-input');
+        if (decryptInput) {
+            decryptInput.value = serialized;
+        }
+        syncDecryptionPadding('hybrid');
+
+        UIUtils.setupCopyButtons();
+        document.getElementById('decrypt-btn').disabled = false;
+
+        console.log('Hybrid encryption successful');
+
+    } catch (error) {
+        console.error('Hybrid encryption failed:', error);
+        const hint = kem === 'RSA-OAEP' ? ' (RSA-KEM works with any key size)' : '';
+        UIUtils.showError('Encryption failed: ' + error.message + hint);
+    }
+}
+
+/**
+ * Read OAEP parameters from a pair of form fields
+ *
+ * @param {string} hashSelectId - ID of the hash <select>
+ * @param {string} labelInputId - ID of the label <input>
+ * @returns {Object} - { hash, label }
+ */
+function getOAEPOptions(hashSelectId, labelInputId) {
+    return {
+        hash: document.getElementById(hashSelectId).value,
+        label: document.getElementById(labelInputId).value
+    };
+}
+
+/**
+ * Show the OAEP parameter fields only when OAEP is selected
+ *
+ * @param {string} selectId - ID of the padding scheme <select>
+ * @param {string} optionsId - ID of the OAEP options container
+ */
+function toggleOAEPOptions(selectId, optionsId) {
+    const isOAEP = document.getElementById(selectId).value === 'oaep';
+    UIUtils.toggleElement(optionsId, isOAEP);
+}
+
+/**
+ * Carry the padding parameters of the last encryption over to the
+ * Decryption tab, so the auto-filled ciphertext decrypts as-is
+ *
+ * @param {string} scheme - 'none', 'oaep', 'pkcs1v15' or 'hybrid'
+ * @param {string} hash - OAEP hash (ignored for 'none')
+ * @param {string} label - OAEP label (ignored for 'none')
+ */
+function syncDecryptionPadding(scheme, hash = null, label = '') {
+    document.getElementById('decrypt-padding-scheme').value = scheme;
+    if (scheme === 'oaep') {
+        document.getElementById('decrypt-oaep-hash').value = hash;
+        document.getElementById('decrypt-oaep-label').value = label;
+    }
+    toggleOAEPOptions('decrypt-padding-scheme', 'decrypt-oaep-options');
 }
 
 // ============================================================================
@@ -283,8 +1087,7 @@ function displayEncryptionResults(originalMessage, messageInt, ciphertext, durat
  * Handle decryption button click
  */
 async function handleDecrypt() {
-    if (!currentKeys) {
-        UIUtils.showError('Please generate keys first!');
+    if (!hasPrivateKey()) {
         return;
     }
 
@@ -296,21 +1099,49 @@ async function handleDecrypt() {
         return;
     }
 
+    // Envelopes carry their own parameters, whatever the selector says
+    const paddingScheme = document.getElementById('decrypt-padding-scheme').value;
+    if (paddingScheme === 'hybrid' || RSAHybrid.isEnvelope(ciphertextStr)) {
+        await handleDecryptHybrid(ciphertextStr);
+        return;
+    }
+
+    let ciphertext;
     try {
-        // Parse ciphertext as BigInt
-        const ciphertext = BigInt(ciphertextStr);
+        ciphertext = MessageEncoding.parseCiphertext(ciphertextStr, document.getElementById('ciphertext-input-format').value);
+    } catch (error) {
+        UIUtils.showError('Invalid ciphertext: ' + error.message);
+        return;
+    }
+
+    if (paddingScheme === 'oaep') {
+        await handleDecryptOAEP(ciphertext);
+        return;
+    }
+    if (paddingScheme === 'pkcs1v15') {
+        handleDecryptPKCS1v15(ciphertext);
+        return;
+    }
 
-        // Decrypt
+    try {
+        // Decrypt with CRT (two half-size exponentiations)
         const startTime = performance.now();
-        const plaintextInt = RSACore.decrypt(ciphertext, currentKeys.privateKey);
+        const { plaintext: plaintextInt, steps: crtSteps } = RSACore.decryptCRT(ciphertext, currentKeys.privateKey);
         const endTime = performance.now();
         const duration = ((endTime - startTime)).toFixed(2);
 
-        // Convert back to string
-        const plaintextStr = MathUtils.bigIntToString(plaintextInt);
+        // Benchmark both paths for the speedup comparison
+        const { d, n } = currentKeys.privateKey;
+        const timing = {
+            crt: averageDuration(() => RSACore.decryptCRT(ciphertext, currentKeys.privateKey)),
+            plain: averageDuration(() => RSACore.decrypt(ciphertext, { d, n }))
+        };
+
+        // Convert back to bytes, then to the selected output format
+        const plaintextStr = formatRecoveredMessage(MathUtils.integerToBytes(plaintextInt));
 
         // Display results using shared component
-        displayDecryptionResults(ciphertext, plaintextInt, plaintextStr, duration);
+        displayDecryptionResults(ciphertext, plaintextInt, plaintextStr, duration, crtSteps, timing);
 
         console.log('Decryption successful');
 
@@ -323,16 +1154,371 @@ async function handleDecrypt() {
 /**
  * Display decryption results
  */
-function displayDecryptionResults(ciphertext, plaintextInt, plaintextStr, duration) {
+function displayDecryptionResults(ciphertext, plaintextInt, plaintextStr, duration, crtSteps, timing) {
     const decryptionDisplay = DisplayComponents.createDecryptionResult({
         ciphertext: ciphertext.toString(),
         plaintextInt: plaintextInt.toString(),
         plaintextStr,
         duration,
-        privateKey: currentKeys.privateKey
+        privateKey: currentKeys.privateKey,
+        crt: { steps: crtSteps, timing }
     });
 
-    UIUtils.displayResults('decryption-results', decryptionDisplay, true);
+    // The trace follows the exponentiation with the full d, the one CRT splits in two
+    const { d, n } = currentKeys.privateKey;
+    const traceDisplay = createExponentiationTraces(ciphertext, d, n, 'm = c<sup>d</sup> mod n (without CRT)', 'd');
+
+    UIUtils.displayResults('decryption-results', decryptionDisplay + traceDisplay, true);
+    UIUtils.setupCopyButtons();
+}
+
+/**
+ * Render recovered message bytes in the selected output format
+ *
+ * Warns when text output is selected but the bytes are not valid UTF-8
+ * (binary input, or a wrong key): hex shows them exactly.
+ *
+ * @param {Uint8Array} bytes - Recovered message bytes
+ * @returns {string} - Formatted message
+ */
+function formatRecoveredMessage(bytes) {
+    const format = document.getElementById('decrypted-format').value;
+    if (format === 'utf8' && !MessageEncoding.isValidUTF8(bytes)) {
+        UIUtils.showWarning('The recovered bytes are not valid UTF-8. Choose hex output to see them exactly.');
+    }
+    return MessageEncoding.formatMessage(bytes, format);
+}
+
+/**
+ * Average running time of a synchronous operation
+ *
+ * Single small-key decryptions finish below the browser's timer
+ * resolution, so repeat until at least minTotal ms have elapsed.
+ *
+ * @param {Function} operation - Operation to time
+ * @param {number} minTotal - Minimum total measuring time in ms
+ * @returns {number} - Average duration in ms
+ */
+function averageDuration(operation, minTotal = 100) {
+    let runs = 0;
+    const startTime = performance.now();
+
+    do {
+        operation();
+        runs++;
+    } while (performance.now() - startTime < minTotal);
+
+    return (performance.now() - startTime) / runs;
+}
+
+/**
+ * Decrypt with RSA-OAEP and display the decoding steps
+ *
+ * @param {BigInt} ciphertext - Ciphertext integer
+ */
+async function handleDecryptOAEP(ciphertext) {
+    const { hash, label } = getOAEPOptions('decrypt-oaep-hash', 'decrypt-oaep-label');
+
+    try {
+        const startTime = performance.now();
+        const { message, steps } = await RSACore.decryptOAEP(ciphertext, currentKeys.privateKey, { hash, label });
+        const endTime = performance.now();
+        const duration = ((endTime - startTime)).toFixed(2);
+
+        const decryptionDisplay = DisplayComponents.createOAEPDecryptionResult({
+            ciphertext: ciphertext.toString(),
+            plaintextStr: formatRecoveredMessage(message),
+            duration,
+            steps
+        });
+        UIUtils.displayResults('decryption-results', decryptionDisplay, true);
+
+        console.log('OAEP decryption successful');
+
+    } catch (error) {
+        console.error('OAEP decryption failed:', error);
+        UIUtils.showError('Decryption failed: ' + error.message +
+            ' (wrong key, hash or label, or the ciphertext was modified)');
+    }
+}
+
+/**
+ * Decrypt with PKCS#1 v1.5 padding and display the padding check
+ *
+ * @param {BigInt} ciphertext - Ciphertext integer
+ */
+function handleDecryptPKCS1v15(ciphertext) {
+    try {
+        const startTime = performance.now();
+        const { message, steps } = RSACore.decryptPKCS1v15(ciphertext, currentKeys.privateKey);
+        const endTime = performance.now();
+        const duration = ((endTime - startTime)).toFixed(2);
+
+        const decryptionDisplay = DisplayComponents.createPKCS1v15DecryptionResult({
+            ciphertext: ciphertext.toString(),
+            plaintextStr: formatRecoveredMessage(message),
+            duration,
+            steps
+        });
+        UIUtils.displayResults('decryption-results', decryptionDisplay, true);
+
+        console.log('PKCS#1 v1.5 decryption successful');
+
+    } catch (error) {
+        console.error('PKCS#1 v1.5 decryption failed:', error);
+        UIUtils.showError('Decryption failed: ' + error.message +
+            ' (wrong key, or the ciphertext was modified)');
+    }
+}
+
+/**
+ * Decrypt a hybrid envelope and display the key recovery steps
+ *
+ * @param {string} envelopeStr - Envelope JSON
+ */
+async function handleDecryptHybrid(envelopeStr) {
+    try {
+        const startTime = performance.now();
+        const { message, steps } = await RSAHybrid.decryptHybrid(envelopeStr, currentKeys.privateKey);
+        const endTime = performance.now();
+        const duration = ((endTime - startTime)).toFixed(2);
+
+        syncDecryptionPadding('hybrid');
+
+        const decryptionDisplay = DisplayComponents.createHybridDecryptionResult({
+            plaintextStr: formatRecoveredMessage(message),
+            duration,
+            steps
+        });
+        UIUtils.displayResults('decryption-results', decryptionDisplay, true);
+
+        console.log('Hybrid decryption successful');
+
+    } catch (error) {
+        console.error('Hybrid decryption failed:', error);
+        const hint = error.message === 'Decryption error'
+            ? ' (wrong key, or the envelope was modified)'
+            : '';
+        UIUtils.showError('Decryption failed: ' + error.message + hint);
+    }
+}
+
+// ============================================================================
+// SIGNATURE HANDLERS
+// ============================================================================
+
+/**
+ * Read signature parameters from the Signatures tab
+ *
+ * @returns {Object} - { scheme, hash, saltLength } (saltLength undefined = hLen)
+ */
+function getSignatureOptions() {
+    const saltInput = document.getElementById('pss-salt-length').value.trim();
+
+    return {
+        scheme: document.getElementById('signature-scheme').value,
+        hash: document.getElementById('signature-hash').value,
+        saltLength: saltInput === '' ? undefined : parseInt(saltInput)
+    };
+}
+
+/**
+ * Handle sign button click
+ */
+async function handleSign() {
+    if (!hasPrivateKey()) {
+        return;
+    }
+
+    const message = document.getElementById('sign-message').value;
+    const { scheme, hash, saltLength } = getSignatureOptions();
+
+    try {
+        const messageBytes = new TextEncoder().encode(message);
+
+        const startTime = performance.now();
+        const { signature, steps } = scheme === 'pss'
+            ? await RSACore.signPSS(messageBytes, currentKeys.privateKey, { hash, saltLength })
+            : await RSACore.signPKCS1v15(messageBytes, currentKeys.privateKey, { hash });
+        const endTime = performance.now();
+        const duration = ((endTime - startTime)).toFixed(2);
+
+        const signatureDisplay = DisplayComponents.createSignatureResult({
+            message,
+            signature: signature.toString(),
+            duration,
+            steps
+        });
+        UIUtils.displayResults('signature-results', signatureDisplay, true);
+
+        // Pre-fill the verification form
+        document.getElementById('verify-message').value = message;
+        document.getElementById('signature-input').value = signature.toString();
+        UIUtils.clearResults(['verification-results']);
+
+        UIUtils.setupCopyButtons();
+
+        console.log('Signing successful');
+
+    } catch (error) {
+        console.error('Signing failed:', error);
+        UIUtils.showError('Signing failed: ' + error.message);
+    }
+}
+
+/**
+ * Handle verify button click
+ */
+async function handleVerify() {
+    if (!currentKeys) {
+        UIUtils.showError('Please generate keys first!');
+        return;
+    }
+
+    const message = document.getElementById('verify-message').value;
+    const signatureStr = document.getElementById('signature-input').value.trim();
+
+    if (!signatureStr) {
+        UIUtils.showError('Please enter a signature to verify');
+        return;
+    }
+
+    const { scheme, hash, saltLength } = getSignatureOptions();
+
+    try {
+        const signature = BigInt(signatureStr);
+        const messageBytes = new TextEncoder().encode(message);
+
+        const startTime = performance.now();
+        const result = scheme === 'pss'
+            ? await RSACore.verifyPSS(messageBytes, signature, currentKeys.publicKey, { hash, saltLength })
+            : await RSACore.verifyPKCS1v15(messageBytes, signature, currentKeys.publicKey, { hash });
+        const endTime = performance.now();
+        const duration = ((endTime - startTime)).toFixed(2);
+
+        const verificationDisplay = DisplayComponents.createVerificationResult({ ...result, duration });
+        UIUtils.displayResults('verification-results', verificationDisplay, true);
+
+        console.log('Verification complete:', result.valid);
+
+    } catch (error) {
+        console.error('Verification failed:', error);
+        UIUtils.showError('Verification failed: ' + error.message);
+    }
+}
+
+// ============================================================================
+// BLIND SIGNATURE HANDLERS
+// ============================================================================
+
+/**
+ * Forget the blind signature session and lock steps 2 and 3
+ * (called when the signer's key changes)
+ */
+function resetBlindSignature() {
+    blindSession = null;
+    UIUtils.clearResults(['blind-request-results', 'blind-sign-results', 'blind-unblind-results']);
+    document.getElementById('blind-sign-btn').disabled = true;
+    document.getElementById('blind-unblind-btn').disabled = true;
+}
+
+/**
+ * Handle "1. Requester: Blind": encode the message and blind it
+ * with a fresh random r under the current public key
+ */
+async function handleBlindRequest() {
+    if (!hasPrivateKey()) {
+        return;
+    }
+
+    const message = document.getElementById('blind-message').value;
+    const scheme = document.getElementById('blind-scheme').value;
+    const { hash, saltLength } = getSignatureOptions();
+
+    resetBlindSignature();
+
+    try {
+        const messageBytes = new TextEncoder().encode(message);
+
+        const startTime = performance.now();
+        const { blindedMessage, inverse, steps } =
+            await RSACore.blindMessage(messageBytes, currentKeys.publicKey, { scheme, hash, saltLength });
+        const duration = (performance.now() - startTime).toFixed(2);
+
+        blindSession = { keys: currentKeys, messageBytes, scheme, hash, saltLength, m: steps.m, inverse, blindedMessage };
+
+        UIUtils.displayResults('blind-request-results',
+            DisplayComponents.createBlindRequestResult({ message, blindedMessage, duration, steps }), true);
+        UIUtils.setupCopyButtons();
+
+        document.getElementById('blind-sign-btn').disabled = false;
+
+    } catch (error) {
+        console.error('Blinding failed:', error);
+        UIUtils.showError('Blinding failed: ' + error.message);
+    }
+}
+
+/**
+ * Handle "2. Signer: Sign": sign m' with the private key. The signer
+ * is handed m' alone, never the message or r
+ */
+function handleBlindSign() {
+    if (!blindSession) {
+        UIUtils.showError('Blind a message first (step 1)');
+        return;
+    }
+
+    try {
+        const { blindedMessage } = blindSession;
+
+        const startTime = performance.now();
+        const { blindSignature } = RSACore.blindSign(blindedMessage, blindSession.keys.privateKey);
+        const duration = (performance.now() - startTime).toFixed(2);
+
+        blindSession.blindSignature = blindSignature;
+
+        UIUtils.clearResults('blind-unblind-results');
+        UIUtils.displayResults('blind-sign-results',
+            DisplayComponents.createBlindSignResult({ blindedMessage, blindSignature, duration }), true);
+        UIUtils.setupCopyButtons();
+
+        document.getElementById('blind-unblind-btn').disabled = false;
+
+    } catch (error) {
+        console.error('Blind signing failed:', error);
+        UIUtils.showError('Blind signing failed: ' + error.message);
+    }
+}
+
+/**
+ * Handle "3. Requester: Unblind, Verifier: Verify": remove r from s'
+ * and check the result as an ordinary signature on the message
+ */
+async function handleBlindUnblind() {
+    if (!blindSession || blindSession.blindSignature === undefined) {
+        UIUtils.showError('Have the signer sign the blinded message first (step 2)');
+        return;
+    }
+
+    const { keys, messageBytes, scheme, hash, saltLength, m, inverse, blindSignature } = blindSession;
+
+    try {
+        const startTime = performance.now();
+        const { signature } = RSACore.unblindSignature(blindSignature, inverse, m, keys.publicKey);
+        const verification = scheme === 'pss'
+            ? await RSACore.verifyPSS(messageBytes, signature, keys.publicKey, { hash, saltLength })
+            : await RSACore.verifyPKCS1v15(messageBytes, signature, keys.publicKey, { hash });
+        const duration = (performance.now() - startTime).toFixed(2);
+
+        UIUtils.displayResults('blind-unblind-results',
+            DisplayComponents.createBlindUnblindResult({ inverse, signature, verification, duration }), true);
+        UIUtils.setupCopyButtons();
+
+    } catch (error) {
+        console.error('Unblinding failed:', error);
+        UIUtils.showError('Unblinding failed: ' + error.message);
+    }
 }
 
 // ============================================================================
@@ -355,10 +1541,12 @@ function displayWelcomeMessage() {
                 <li><strong>Generate Keys:</strong> Create an RSA key pair (public and private)</li>
                 <li><strong>Encrypt:</strong> Enter a message and encrypt it with the public key</li>
                 <li><strong>Decrypt:</strong> Use the private key to recover the original message</li>
+                <li><strong>Sign:</strong> Sign a message with the private key and verify it with the public key</li>
             </ol>
         ${DisplayComponents.createEducationalNote(
-            'This tool is designed for learning. It implements "textbook RSA" without padding schemes. ' +
-            'Real-world RSA uses OAEP padding and proper key management in Hardware Security Modules (HSMs).'
+            'This tool is designed for learning. It starts from "textbook RSA" without padding; ' +
+            'switch the padding scheme to RSA-OAEP in the Encryption tab to see how real-world RSA randomizes messages. ' +
+            'Production systems also keep keys in Hardware Security Modules (HSMs).'
         )}
         </div>
         `;
@@ -0,0 +1,63 @@
+/**
+ * ============================================================================
+ * RSA MODULAR EXPONENTIATION - UI CONTROLLER
+ *
+ * Drives the "Modular Exponentiation" tab of the RSA tool: the benchmark
+ * of binary and sliding-window exponentiation with division or Montgomery
+ * reduction (ModPowBenchmark).
+ *
+ * Loaded after rsa-demo.js, which owns the main tabs and shared state.
+ *
+ * ============================================================================
+ */
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', function() {
+    const benchmarkBtn = document.getElementById('benchmark-btn');
+    if (benchmarkBtn) {
+        benchmarkBtn.addEventListener('click', handleModPowBenchmark);
+    }
+});
+
+// ============================================================================
+// BENCHMARK
+// ============================================================================
+
+/**
+ * Time every exponentiation method at the selected modulus size
+ */
+async function handleModPowBenchmark() {
+    const bits = parseInt(document.getElementById('benchmark-bits').value);
+
+    const runBtn = document.getElementById('benchmark-btn');
+    UIUtils.setButtonLoading(runBtn, 'Benchmarking...');
+    UIUtils.clearResults(['benchmark-results']);
+
+    const progressDiv = document.getElementById('benchmark-progress');
+
+    try {
+        const startTime = performance.now();
+        const result = await ModPowBenchmark.runModPowBenchmark(bits, {
+            onProgress: (label, done, total) => {
+                UIUtils.showLoading(progressDiv, `Timing method ${done + 1} of ${total}: ${label}...`);
+            }
+        });
+        const duration = ((performance.now() - startTime) / 1000).toFixed(1);
+
+        UIUtils.hideLoading(progressDiv);
+        UIUtils.displayResults('benchmark-results',
+            DisplayComponents.createModPowBenchmark({ result, duration }), true);
+
+        console.log('Modular exponentiation benchmark complete');
+
+    } catch (error) {
+        console.error('Benchmark failed:', error);
+        UIUtils.showError('Benchmark failed: ' + error.message);
+    } finally {
+        UIUtils.resetButton(runBtn, 'Run Benchmark');
+        UIUtils.hideLoading(progressDiv);
+    }
+}
@@ -0,0 +1,341 @@
+/**
+ * ============================================================================
+ * HYBRID RSA ENCRYPTION (RSA KEY TRANSPORT + AES-256-GCM)
+ *
+ * RSA encrypts at most one modulus-sized block (62 bytes for a 1024-bit
+ * key with OAEP/SHA-256), and slowly. Real systems (TLS 1.2 RSA key
+ * exchange, PGP, CMS, JWE) therefore use RSA only to transport a fresh
+ * symmetric key and encrypt the message itself with AES:
+ *
+ *   1. Pick a random AES-256 key K (the data encryption key)
+ *   2. Send K under RSA:
+ *      - RSA-OAEP: c = OAEP-encrypt(K), any RSA-OAEP key works as-is
+ *      - RSA-KEM (ISO 18033-2): random z < n, c = z^e mod n and
+ *        K = HKDF(I2OSP(z, k)); no padding needed, fits any key size
+ *   3. Encrypt the message with AES-GCM under K (confidentiality and
+ *      integrity: any modified byte makes decryption fail)
+ *
+ * The result is a self-describing JSON envelope. Its header fields are
+ * bound to the AES-GCM tag as additional authenticated data, so the
+ * algorithm names cannot be swapped without detection.
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ * - RSACore (rsa-core.js)
+ * - Web Crypto API (crypto.subtle) for AES-GCM and HKDF
+ *
+ * ============================================================================
+ */
+
+// Envelope identification
+const HYBRID_ENVELOPE_TYPE = 'rsa-hybrid';
+const HYBRID_ENVELOPE_VERSION = 1;
+
+// Symmetric layer
+const HYBRID_CIPHER = 'AES-256-GCM';
+const HYBRID_AES_KEY_BYTES = 32;
+const HYBRID_IV_BYTES = 12;       // 96-bit nonce, the GCM standard size
+const HYBRID_TAG_BYTES = 16;
+
+// HKDF "info" for RSA-KEM: separates these keys from any other use of z
+const HYBRID_KDF_INFO = 'rsa-hybrid v1 AES-256-GCM';
+
+/**
+ * Key transport mechanisms, by the name stored in the envelope
+ */
+const HYBRID_KEMS = Object.freeze({
+    'RSA-KEM': { label: 'RSA-KEM (random z, key = HKDF(z))', kdf: 'HKDF' },
+    'RSA-OAEP': { label: 'RSA-OAEP (wrap a random AES key)', kdf: null }
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Decode a base64 envelope field
+ *
+ * @param {string} text - Base64 text
+ * @param {string} field - Envelope field name, for the error message
+ * @returns {Uint8Array} - Data
+ * @throws {Error} If the text is not valid base64
+ */
+function hybridBase64ToBytes(text, field) {
+    try {
+        return MathUtils.base64ToBytes(text);
+    } catch (error) {
+        throw new Error(`Envelope field "${field}" is not valid base64`);
+    }
+}
+
+/**
+ * Header fields covered by the GCM tag, in a fixed order
+ *
+ * @param {Object} envelope - Envelope (or its header fields)
+ * @returns {Uint8Array} - Additional authenticated data
+ */
+function hybridAssociatedData(envelope) {
+    const { type, version, kem, hash, kdf, cipher, modulusBits } = envelope;
+    return new TextEncoder().encode(JSON.stringify([type, version, kem, hash, kdf, cipher, modulusBits]));
+}
+
+/**
+ * Derive the AES key from the RSA-KEM secret z
+ *
+ * @param {Uint8Array} secret - I2OSP(z, k)
+ * @param {string} hash - HKDF hash
+ * @returns {Promise<CryptoKey>} - Extractable AES-256-GCM key
+ */
+async function deriveKEMKey(secret, hash) {
+    const ikm = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'HKDF', hash, salt: new Uint8Array(0), info: new TextEncoder().encode(HYBRID_KDF_INFO) },
+        ikm,
+        { name: 'AES-GCM', length: HYBRID_AES_KEY_BYTES * 8 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Import raw AES key bytes for AES-GCM
+ *
+ * @param {Uint8Array} keyBytes - 32 bytes
+ * @returns {Promise<CryptoKey>}
+ */
+function importAESKey(keyBytes) {
+    return crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+// ============================================================================
+// ENCRYPTION
+// ============================================================================
+
+/**
+ * Encrypt a message of any length for an RSA public key
+ *
+ * @param {Uint8Array} message - Message bytes
+ * @param {Object} publicKey - {e, n}
+ * @param {Object} options
+ * @param {string} options.kem - 'RSA-KEM' (default) or 'RSA-OAEP'
+ * @param {string} options.hash - HKDF or OAEP hash (default Config.RSA.DEFAULT_OAEP_HASH)
+ * @returns {Promise<Object>} - { envelope, steps } where steps holds the
+ *          AES key, IV, RSA values and sizes for display
+ * @throws {Error} If the KEM is unknown or the key is too small for OAEP
+ */
+async function encryptHybrid(message, publicKey, options = {}) {
+    const { kem = 'RSA-KEM', hash = Config.RSA.DEFAULT_OAEP_HASH } = options;
+
+    if (!HYBRID_KEMS[kem]) {
+        throw new Error(`Unknown key transport: ${kem}`);
+    }
+
+    const k = RSACore.modulusByteLength(publicKey.n);
+    const steps = { kem, hash, k };
+    let aesKey;
+    let encryptedKeyInt;
+
+    if (kem === 'RSA-KEM') {
+        // z uniform in [0, n): 64 extra random bits make the bias negligible
+        const z = MathUtils.randomBigInt(MathUtils.bitLength(publicKey.n) + 64) % publicKey.n;
+        encryptedKeyInt = RSACore.encrypt(z, publicKey);
+        aesKey = await deriveKEMKey(MathUtils.i2osp(z, k), hash);
+        steps.z = z;
+    } else {
+        const keyBytes = new Uint8Array(HYBRID_AES_KEY_BYTES);
+        crypto.getRandomValues(keyBytes);
+        ({ ciphertext: encryptedKeyInt } = await RSACore.encryptOAEP(keyBytes, publicKey, { hash }));
+        aesKey = await importAESKey(keyBytes);
+    }
+
+    const header = {
+        type: HYBRID_ENVELOPE_TYPE,
+        version: HYBRID_ENVELOPE_VERSION,
+        kem,
+        hash,
+        kdf: HYBRID_KEMS[kem].kdf,
+        cipher: HYBRID_CIPHER,
+        modulusBits: MathUtils.bitLength(publicKey.n)
+    };
+
+    const iv = new Uint8Array(HYBRID_IV_BYTES);
+    crypto.getRandomValues(iv);
+
+    const sealed = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: hybridAssociatedData(header), tagLength: HYBRID_TAG_BYTES * 8 },
+        aesKey,
+        message
+    ));
+
+    const encryptedKey = MathUtils.i2osp(encryptedKeyInt, k);
+    const envelope = {
+        ...header,
+        encryptedKey: MathUtils.bytesToBase64(encryptedKey),
+        iv: MathUtils.bytesToBase64(iv),
+        ciphertext: MathUtils.bytesToBase64(sealed)
+    };
+
+    Object.assign(steps, {
+        aesKey: new Uint8Array(await crypto.subtle.exportKey('raw', aesKey)),
+        encryptedKeyInt,
+        iv,
+        messageLength: message.length,
+        sealedLength: sealed.length,
+        tag: sealed.slice(sealed.length - HYBRID_TAG_BYTES)
+    });
+
+    return { envelope, steps };
+}
+
+// ============================================================================
+// ENVELOPE PARSING AND DECRYPTION
+// ============================================================================
+
+/**
+ * Serialize an envelope for display and transport
+ *
+ * @param {Object} envelope - From encryptHybrid
+ * @returns {string} - Indented JSON
+ */
+function serializeEnvelope(envelope) {
+    return JSON.stringify(envelope, null, 2);
+}
+
+/**
+ * Check whether text looks like a hybrid envelope (without validating it)
+ *
+ * @param {string} text - Ciphertext field contents
+ * @returns {boolean} - True for JSON with type "rsa-hybrid"
+ */
+function isEnvelope(text) {
+    if (!text.trim().startsWith('{')) {
+        return false;
+    }
+    try {
+        return JSON.parse(text).type === HYBRID_ENVELOPE_TYPE;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parse and validate a hybrid envelope
+ *
+ * @param {string} text - Envelope JSON
+ * @returns {Object} - Envelope with encryptedKey, iv and ciphertext as bytes
+ * @throws {Error} Naming the first missing or unsupported field
+ */
+function parseEnvelope(text) {
+    let envelope;
+    try {
+        envelope = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Envelope is not valid JSON');
+    }
+
+    if (envelope.type !== HYBRID_ENVELOPE_TYPE) {
+        throw new Error(`Not a hybrid envelope (type must be "${HYBRID_ENVELOPE_TYPE}")`);
+    }
+    if (envelope.version !== HYBRID_ENVELOPE_VERSION) {
+        throw new Error(`Unsupported envelope version: ${envelope.version}`);
+    }
+    if (!HYBRID_KEMS[envelope.kem]) {
+        throw new Error(`Unsupported key transport: ${envelope.kem}`);
+    }
+    if (!Config.RSA.OAEP_HASHES[envelope.hash]) {
+        throw new Error(`Unsupported hash: ${envelope.hash}`);
+    }
+    if (envelope.cipher !== HYBRID_CIPHER) {
+        throw new Error(`Unsupported cipher: ${envelope.cipher}`);
+    }
+
+    for (const field of ['encryptedKey', 'iv', 'ciphertext']) {
+        if (typeof envelope[field] !== 'string') {
+            throw new Error(`Envelope field "${field}" is missing`);
+        }
+    }
+
+    const iv = hybridBase64ToBytes(envelope.iv, 'iv');
+    if (iv.length !== HYBRID_IV_BYTES) {
+        throw new Error(`Envelope IV must be ${HYBRID_IV_BYTES} bytes`);
+    }
+
+    return {
+        ...envelope,
+        encryptedKey: hybridBase64ToBytes(envelope.encryptedKey, 'encryptedKey'),
+        iv,
+        ciphertext: hybridBase64ToBytes(envelope.ciphertext, 'ciphertext')
+    };
+}
+
+/**
+ * Decrypt a hybrid envelope with an RSA private key
+ *
+ * Failures of the RSA step and of the GCM tag are reported with one
+ * generic message, like decryptOAEP, so the error reveals nothing about
+ * which layer rejected the ciphertext.
+ *
+ * @param {string} text - Envelope JSON
+ * @param {Object} privateKey - {d, n} (CRT parameters used if present)
+ * @returns {Promise<Object>} - { message: Uint8Array, envelope, steps }
+ * @throws {Error} On a malformed envelope (specific message), a key of
+ *         the wrong size, or 'Decryption error' for a wrong key or tampering
+ */
+async function decryptHybrid(text, privateKey) {
+    const envelope = parseEnvelope(text);
+    const k = RSACore.modulusByteLength(privateKey.n);
+
+    if (envelope.modulusBits !== MathUtils.bitLength(privateKey.n) || envelope.encryptedKey.length !== k) {
+        throw new Error(`This envelope was made for a ${envelope.modulusBits}-bit key, not this ${MathUtils.bitLength(privateKey.n)}-bit one`);
+    }
+
+    const encryptedKeyInt = MathUtils.os2ip(envelope.encryptedKey);
+    const steps = { kem: envelope.kem, hash: envelope.hash, k, encryptedKeyInt, iv: envelope.iv };
+
+    try {
+        let aesKey;
+        if (envelope.kem === 'RSA-KEM') {
+            const z = RSACore.decrypt(encryptedKeyInt, privateKey);
+            aesKey = await deriveKEMKey(MathUtils.i2osp(z, k), envelope.hash);
+            steps.z = z;
+        } else {
+            const { message: keyBytes } = await RSACore.decryptOAEP(encryptedKeyInt, privateKey, { hash: envelope.hash });
+            if (keyBytes.length !== HYBRID_AES_KEY_BYTES) {
+                throw new Error('Decryption error');
+            }
+            aesKey = await importAESKey(keyBytes);
+        }
+
+        const message = new Uint8Array(await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: envelope.iv, additionalData: hybridAssociatedData(envelope), tagLength: HYBRID_TAG_BYTES * 8 },
+            aesKey,
+            envelope.ciphertext
+        ));
+
+        steps.aesKey = new Uint8Array(await crypto.subtle.exportKey('raw', aesKey));
+        steps.sealedLength = envelope.ciphertext.length;
+
+        return { message, envelope, steps };
+    } catch (error) {
+        throw new Error('Decryption error');
+    }
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const RSAHybrid = {
+    KEMS: HYBRID_KEMS,
+    CIPHER: HYBRID_CIPHER,
+    encryptHybrid,
+    decryptHybrid,
+    serializeEnvelope,
+    parseEnvelope,
+    isEnvelope
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RSAHybrid = RSAHybrid;
+}
@@ -0,0 +1,389 @@
+/**
+ * ============================================================================
+ * RSA PUBLIC KEY AUDITOR
+ *
+ * Runs the checks a reviewer can make with nothing but (n, e), for keys
+ * received from third parties:
+ *
+ * - Modulus size:   security strength per NIST SP 800-57 Part 1 and the
+ *                   transition rules of SP 800-131A
+ * - Exponent:       e = 1, even e, e = 3, outside the FIPS 186-4 range,
+ *                   and Wiener's attack when e is unusually large
+ * - Small factors:  trial division by every prime below 2^20
+ * - Fermat:         p and q close together (n = a² - b²)
+ * - ROCA:           fingerprint of Infineon RSALib keys (CVE-2017-15361)
+ * - Perfect power:  n = m^k, including p = q
+ *
+ * A key that passes every check is not proven secure: the auditor only
+ * finds mistakes that leave a trace in the public key.
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ * - RSAKeyFormats (rsa-key-formats.js), for PEM input
+ * - RSAAttacks (rsa-attacks.js)
+ * - Factorization (factorization.js)
+ *
+ * ============================================================================
+ */
+
+// Trial division bound: all primes below 2^20 (82,025 divisions)
+const AUDIT_TRIAL_DIVISION_BOUND = 1 << 20;
+
+// Fermat steps before the check gives up
+const AUDIT_FERMAT_ITERATIONS = 100000;
+
+// Security strength of RSA moduli, NIST SP 800-57 Part 1 Rev. 5, Table 2
+const RSA_SECURITY_STRENGTHS = Object.freeze([
+    { bits: 1024, strength: 80 },
+    { bits: 2048, strength: 112 },
+    { bits: 3072, strength: 128 },
+    { bits: 7680, strength: 192 },
+    { bits: 15360, strength: 256 }
+]);
+
+// FIPS 186-4 §B.3.1: 2^16 < e < 2^256
+const FIPS_MIN_EXPONENT = (1n << 16n) + 1n;
+const FIPS_MAX_EXPONENT = 1n << 256n;
+
+// Primes used by the ROCA detector of Nemec et al. (CCS 2017). RSALib
+// primes are k·M + (65537^a mod M) with M the product of the first primes,
+// so n mod r always lies in the subgroup generated by 65537 mod r
+const ROCA_PRIMES = Object.freeze([
+    3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53, 59, 61, 67, 71,
+    73, 79, 83, 89, 97, 101, 103, 107, 109, 113, 127, 131, 137, 139, 149, 151,
+    157, 163, 167
+]);
+const ROCA_GENERATOR = 65537;
+
+// Statuses in order of severity
+const AUDIT_STATUSES = Object.freeze(['pass', 'warning', 'fail']);
+
+// ============================================================================
+// INPUT
+// ============================================================================
+
+/**
+ * Parse a public key pasted for review
+ *
+ * ACCEPTED:
+ * - PEM: PUBLIC KEY, RSA PUBLIC KEY (a private key PEM is accepted too;
+ *   only its public part is audited)
+ * - Integer pair: "n = …, e = …" (labels n/modulus and e/exponent), or
+ *   just the two numbers, n first. Decimal or 0x-prefixed hex
+ *
+ * @param {string} text - Pasted key
+ * @returns {Object} - { publicKey: {e, n}, source }
+ * @throws {Error} If the text is neither a PEM key nor an integer pair
+ */
+function parseAuditInput(text) {
+    if (/-----BEGIN /.test(text)) {
+        const imported = RSAKeyFormats.importKey(text);
+        const format = RSAKeyFormats.FORMATS[imported.format];
+        return {
+            publicKey: imported.publicKey,
+            source: `PEM, ${format.name}${format.isPrivate ? ' (public part audited)' : ''}`
+        };
+    }
+
+    const tokens = text
+        .replace(/\b(n|modulus|e|exponent|public\s*exponent)\s*[=:]\s*/gi, (match, label) => `${label.replace(/\s/g, '')}=`)
+        .split(/[\s,;]+/)
+        .filter(token => token !== '');
+
+    const values = {};
+    const unlabeled = [];
+    for (const token of tokens) {
+        const [label, value] = token.includes('=') ? token.split('=') : [null, token];
+        if (label === null) {
+            unlabeled.push(value);
+        } else {
+            values[/^(n|modulus)$/i.test(label) ? 'n' : 'e'] = value;
+        }
+    }
+    ['n', 'e'].forEach(name => {
+        if (values[name] === undefined && unlabeled.length > 0) {
+            values[name] = unlabeled.shift();
+        }
+    });
+
+    if (values.n === undefined || values.e === undefined || unlabeled.length > 0) {
+        throw new Error('Paste a PEM public key, or n and e (e.g. "n = 3233, e = 17")');
+    }
+
+    return {
+        publicKey: { n: MathUtils.parseBigInt(values.n), e: MathUtils.parseBigInt(values.e) },
+        source: 'Integer pair'
+    };
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * Modulus size against NIST guidance
+ *
+ * SP 800-131A Rev. 2 disallows RSA keys below 2048 bits (80-bit security)
+ * for new signatures and key transport since 2014. 2048 bits (112-bit
+ * security) is acceptable through 2030; from 2031 SP 800-57 asks for
+ * 128-bit security, i.e. 3072 bits.
+ *
+ * Sizes are compared in whole bytes: a 2047-bit modulus (two 1024-bit
+ * primes whose product lost the top bit) counts as a 2048-bit key.
+ *
+ * @param {BigInt} n - Modulus
+ * @returns {Object} - Check result { id, title, status, summary }
+ */
+function checkModulusSize(n) {
+    const bits = MathUtils.bitLength(n);
+    const nominal = Math.ceil(bits / 8) * 8;
+    const level = [...RSA_SECURITY_STRENGTHS].reverse().find(row => nominal >= row.bits);
+    const strength = level ? `${level.strength}-bit security` : 'less than 80-bit security';
+    const result = { id: 'modulus-size', title: 'Modulus size (NIST)' };
+
+    if (nominal < 1024) {
+        return { ...result, status: 'fail', summary: `${bits} bits: ${strength}. Moduli of this size are factored by the Number Field Sieve (RSA-768 fell in 2009).` };
+    }
+    if (nominal < 2048) {
+        return { ...result, status: 'fail', summary: `${bits} bits: ${strength}. Disallowed by NIST SP 800-131A since 2014; accept only for verifying legacy signatures.` };
+    }
+    if (nominal < 3072) {
+        return { ...result, status: 'pass', summary: `${bits} bits: ${strength}. Acceptable through 2030; plan a move to 3072 bits.` };
+    }
+    return { ...result, status: 'pass', summary: `${bits} bits: ${strength}. Acceptable beyond 2030.` };
+}
+
+/**
+ * Public exponent sanity
+ *
+ * @param {Object} publicKey - {e, n}
+ * @returns {Object} - Check result { id, title, status, summary, privateExponent? }
+ */
+function checkPublicExponent(publicKey) {
+    const { e, n } = publicKey;
+    const result = { id: 'exponent', title: 'Public exponent' };
+
+    if (e === 1n) {
+        return { ...result, status: 'fail', summary: 'e = 1: m^e = m, the "ciphertext" is the plaintext and every message is a valid signature of itself.' };
+    }
+    if (e < 1n) {
+        return { ...result, status: 'fail', summary: `e = ${e}: not a valid RSA public exponent.` };
+    }
+    if (e >= n) {
+        return { ...result, status: 'fail', summary: 'e ≥ n: not a valid RSA public exponent.' };
+    }
+    if (e % 2n === 0n) {
+        return { ...result, status: 'fail', summary: `e = ${MathUtils.bitLength(e) > 64 ? `${MathUtils.bitLength(e)}-bit even number` : e} is even, but φ(n) is even too: e has no inverse, so no private key exists.` };
+    }
+    if (e === 3n) {
+        return { ...result, status: 'warning', summary: 'e = 3 is valid, but unforgiving: unpadded or badly padded messages fall to cube roots, Håstad\'s broadcast attack and Coppersmith\'s method. FIPS 186-4 requires e > 2^16.' };
+    }
+    if (e < FIPS_MIN_EXPONENT) {
+        return { ...result, status: 'warning', summary: `e = ${e} is below the FIPS 186-4 minimum of 2^16 + 1 = 65537.` };
+    }
+    if (e >= FIPS_MAX_EXPONENT) {
+        // A huge e is what a deliberately small d produces
+        const wiener = RSAAttacks.wiener(publicKey);
+        if (wiener.success) {
+            return { ...result, status: 'fail', summary: `e has ${MathUtils.bitLength(e)} bits and the private exponent is small: Wiener's attack recovered d (${MathUtils.bitLength(wiener.d)} bits).`, privateExponent: wiener.d };
+        }
+        return { ...result, status: 'warning', summary: `e has ${MathUtils.bitLength(e)} bits, above the FIPS 186-4 maximum of 2^256. Wiener's attack did not recover d (d > n^¼/3).` };
+    }
+    return { ...result, status: 'pass', summary: `e = ${e}${e === 65537n ? ' (F4, the standard choice)' : ''} is within the FIPS 186-4 range 2^16 < e < 2^256.` };
+}
+
+/**
+ * Trial division by every prime below AUDIT_TRIAL_DIVISION_BOUND
+ *
+ * @param {BigInt} n - Modulus
+ * @returns {Object} - Check result { id, title, status, summary, factors }
+ */
+function checkSmallFactors(n) {
+    const factors = Factorization.primesUpTo(AUDIT_TRIAL_DIVISION_BOUND)
+        .map(BigInt)
+        .filter(p => p < n && n % p === 0n);
+    const result = { id: 'small-factors', title: 'Small prime factors', factors };
+
+    if (factors.length > 0) {
+        return { ...result, status: 'fail', summary: `n is divisible by ${factors.join(', ')}. An RSA modulus must be the product of two large primes.` };
+    }
+    return { ...result, status: 'pass', summary: 'No prime factor below 2^20.' };
+}
+
+/**
+ * Fermat near-square check: are p and q close?
+ *
+ * After K failed steps of Fermat's method, (p - q)² > 8K·√n, which bounds
+ * |p - q| from below by about 2^(bits/4 + log2(8K)/2). FIPS 186-4 asks for
+ * |p - q| > 2^(bits/2 - 100), which cannot be checked without the primes.
+ *
+ * @param {BigInt} n - Modulus
+ * @returns {Object} - Check result { id, title, status, summary, factors }
+ */
+function checkFermatNearSquare(n) {
+    const result = { id: 'fermat', title: 'Fermat near-square (p ≈ q)', factors: [] };
+
+    if (n % 2n === 0n) {
+        return { ...result, status: 'pass', summary: 'Skipped: n is even.' };
+    }
+
+    const found = RSAAttacks.fermatFactor(n, { maxIterations: AUDIT_FERMAT_ITERATIONS, traceRows: 0 });
+    if (found && found.q > 1n) {
+        return {
+            ...result,
+            status: 'fail',
+            factors: [found.q, found.p],
+            summary: found.p === found.q
+                ? 'Factored in 1 step: n = p² (p = q).'
+                : `Factored in ${found.iterations.toLocaleString()} step(s): |p - q| has only ${MathUtils.bitLength(found.p - found.q)} bits, against ${MathUtils.bitLength(n)} bits for n.`
+        };
+    }
+
+    const boundBits = Math.floor((MathUtils.bitLength(n) - 1) / 4 + Math.log2(8 * AUDIT_FERMAT_ITERATIONS) / 2);
+    return { ...result, status: 'pass', summary: `Not factored in ${AUDIT_FERMAT_ITERATIONS.toLocaleString()} steps, so |p - q| > 2^${boundBits}.` };
+}
+
+// Subgroup generated by 65537 mod r, computed once per prime
+const rocaSubgroups = new Map();
+
+/**
+ * Residues of powers of 65537 modulo a small prime
+ *
+ * @param {number} r - Prime from ROCA_PRIMES
+ * @returns {Set<number>} - { 65537^k mod r }
+ */
+function rocaSubgroup(r) {
+    if (!rocaSubgroups.has(r)) {
+        const g = ROCA_GENERATOR % r;
+        const subgroup = new Set();
+        let x = 1;
+        do {
+            subgroup.add(x);
+            x = (x * g) % r;
+        } while (x !== 1);
+        rocaSubgroups.set(r, subgroup);
+    }
+    return rocaSubgroups.get(r);
+}
+
+/**
+ * ROCA fingerprint (Return of Coppersmith's Attack, CVE-2017-15361)
+ *
+ * Infineon's RSALib (smart cards, TPMs, Estonian ID cards) built primes
+ * as k·M + (65537^a mod M). Then n mod r is a power of 65537 mod r for
+ * every prime r | M. For a random n the chance of this holding for all
+ * ROCA_PRIMES is below 2^-150, so a match identifies RSALib keys, which
+ * Coppersmith's method factors (CPU-months for 2048 bits, hours for 512).
+ *
+ * @param {BigInt} n - Modulus
+ * @returns {boolean} - True if n has the RSALib structure
+ */
+function hasROCAFingerprint(n) {
+    return ROCA_PRIMES.every(r => rocaSubgroup(r).has(Number(n % BigInt(r))));
+}
+
+/**
+ * ROCA fingerprint check
+ *
+ * @param {BigInt} n - Modulus
+ * @returns {Object} - Check result { id, title, status, summary }
+ */
+function checkROCA(n) {
+    const result = { id: 'roca', title: 'ROCA fingerprint (Infineon RSALib)' };
+
+    if (hasROCAFingerprint(n)) {
+        return { ...result, status: 'fail', summary: 'n has the structure of Infineon RSALib keys (CVE-2017-15361): it can be factored with Coppersmith\'s method. Replace the key and update the device firmware.' };
+    }
+    return { ...result, status: 'pass', summary: 'n does not have the RSALib structure.' };
+}
+
+/**
+ * Perfect power check: n = m^k for some k ≥ 2
+ *
+ * Only prime k need testing (m^6 = (m^2)^3). k = 2 catches p = q.
+ *
+ * @param {BigInt} n - Modulus
+ * @returns {Object} - Check result { id, title, status, summary, root?, exponent? }
+ */
+function checkPerfectPower(n) {
+    const result = { id: 'perfect-power', title: 'Perfect power' };
+
+    for (const k of Factorization.primesUpTo(MathUtils.bitLength(n))) {
+        const root = MathUtils.integerRoot(n, k);
+        if (root > 1n && root ** BigInt(k) === n) {
+            return {
+                ...result,
+                status: 'fail',
+                root,
+                exponent: k,
+                summary: `n = m^${k} with m = ${root.toString().length > 40 ? `a ${MathUtils.bitLength(root)}-bit number` : root}${k === 2 ? ' (p = q?)' : ''}: φ(n) follows from m, so the key is broken.`
+            };
+        }
+    }
+    return { ...result, status: 'pass', summary: 'n is not a perfect power.' };
+}
+
+// ============================================================================
+// AUDIT
+// ============================================================================
+
+/**
+ * Run every check on a public key
+ *
+ * @param {Object} publicKey - {e, n}
+ * @returns {Object} - { publicKey, bits, status, checks, duration }
+ *          status is the worst check status ('pass', 'warning', 'fail'),
+ *          duration in ms
+ * @throws {Error} If n < 2
+ */
+function auditPublicKey(publicKey) {
+    if (publicKey.n < 2n) {
+        throw new Error('The modulus must be at least 2');
+    }
+
+    const startTime = performance.now();
+    const { n } = publicKey;
+
+    const checks = [
+        checkModulusSize(n),
+        checkPublicExponent(publicKey),
+        checkSmallFactors(n),
+        checkFermatNearSquare(n),
+        checkROCA(n),
+        checkPerfectPower(n)
+    ];
+
+    const worst = Math.max(...checks.map(check => AUDIT_STATUSES.indexOf(check.status)));
+
+    return {
+        publicKey,
+        bits: MathUtils.bitLength(n),
+        status: AUDIT_STATUSES[worst],
+        checks,
+        duration: performance.now() - startTime
+    };
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const RSAKeyAudit = {
+    SECURITY_STRENGTHS: RSA_SECURITY_STRENGTHS,
+    TRIAL_DIVISION_BOUND: AUDIT_TRIAL_DIVISION_BOUND,
+    FERMAT_ITERATIONS: AUDIT_FERMAT_ITERATIONS,
+    parseAuditInput,
+    checkModulusSize,
+    checkPublicExponent,
+    checkSmallFactors,
+    checkFermatNearSquare,
+    hasROCAFingerprint,
+    checkROCA,
+    checkPerfectPower,
+    auditPublicKey
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RSAKeyAudit = RSAKeyAudit;
+}
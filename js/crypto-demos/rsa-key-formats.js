@@ -0,0 +1,375 @@
+/**
+ * ============================================================================
+ * RSA KEY FORMATS - PKCS#1, PKCS#8 AND SPKI
+ *
+ * Converts between the tool's BigInt keys and the DER/PEM structures used
+ * by OpenSSL, ssh-keygen, browsers and certificate authorities:
+ *
+ *   RSAPublicKey  (PKCS#1, RFC 8017 A.1.1)    "RSA PUBLIC KEY"
+ *     SEQUENCE { modulus INTEGER, publicExponent INTEGER }
+ *
+ *   SubjectPublicKeyInfo (SPKI, RFC 5280)     "PUBLIC KEY"
+ *     SEQUENCE { AlgorithmIdentifier { rsaEncryption, NULL },
+ *                BIT STRING { RSAPublicKey } }
+ *
+ *   RSAPrivateKey (PKCS#1, RFC 8017 A.1.2)    "RSA PRIVATE KEY"
+ *     SEQUENCE { version 0, n, e, d, p, q, dP, dQ, qInv }
+ *     multi-prime keys: version 1, followed by
+ *     SEQUENCE OF SEQUENCE { prime rᵢ, exponent dᵢ, coefficient tᵢ }
+ *
+ *   PrivateKeyInfo (PKCS#8, RFC 5208)         "PRIVATE KEY"
+ *     SEQUENCE { version 0, AlgorithmIdentifier { rsaEncryption, NULL },
+ *                OCTET STRING { RSAPrivateKey } }
+ *
+ * SPKI and PKCS#8 wrap the RSA-specific structure in an algorithm
+ * identifier, so one parser can handle RSA, EC and other key types.
+ * They are what `openssl genpkey` and Web Crypto produce today.
+ *
+ * DEPENDENCIES:
+ * - MathUtils (math-utils.js)
+ * - ASN1 (asn1.js)
+ * - RSACore (rsa-core.js)
+ *
+ * ============================================================================
+ */
+
+const RSA_ENCRYPTION_OID = '1.2.840.113549.1.1.1';
+
+/**
+ * Export formats offered by the tool
+ */
+const RSA_KEY_EXPORT_FORMATS = {
+    'spki':          { label: 'PUBLIC KEY',      name: 'SubjectPublicKeyInfo (SPKI)', isPrivate: false },
+    'pkcs1-public':  { label: 'RSA PUBLIC KEY',  name: 'PKCS#1 RSAPublicKey',         isPrivate: false },
+    'pkcs1-private': { label: 'RSA PRIVATE KEY', name: 'PKCS#1 RSAPrivateKey',        isPrivate: true },
+    'pkcs8':         { label: 'PRIVATE KEY',     name: 'PKCS#8 PrivateKeyInfo',       isPrivate: true }
+};
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * AlgorithmIdentifier for rsaEncryption (parameters NULL)
+ *
+ * @returns {Uint8Array} - DER
+ */
+function rsaAlgorithmIdentifier() {
+    return ASN1.encodeSequence(ASN1.encodeOID(RSA_ENCRYPTION_OID), ASN1.encodeNull());
+}
+
+/**
+ * Encode a public key as PKCS#1 RSAPublicKey
+ *
+ * @param {Object} publicKey - {e, n}
+ * @returns {Uint8Array} - DER
+ */
+function encodeRSAPublicKey(publicKey) {
+    return ASN1.encodeSequence(ASN1.encodeInteger(publicKey.n), ASN1.encodeInteger(publicKey.e));
+}
+
+/**
+ * Encode a public key as SubjectPublicKeyInfo
+ *
+ * @param {Object} publicKey - {e, n}
+ * @returns {Uint8Array} - DER
+ */
+function encodeSPKI(publicKey) {
+    return ASN1.encodeSequence(rsaAlgorithmIdentifier(), ASN1.encodeBitString(encodeRSAPublicKey(publicKey)));
+}
+
+/**
+ * Encode a private key as PKCS#1 RSAPrivateKey
+ *
+ * Needs the prime factors: the format always stores the CRT parameters.
+ * Keys with otherPrimes are written as version 1 (multi-prime).
+ *
+ * @param {Object} publicKey - {e, n}
+ * @param {Object} privateKey - {d, n, p, q, otherPrimes?} (dP, dQ, qInv computed if absent)
+ * @returns {Uint8Array} - DER
+ */
+function encodeRSAPrivateKey(publicKey, privateKey) {
+    const { d, n, p, q } = privateKey;
+    if (p === undefined || q === undefined) {
+        throw new Error('Private key export needs the prime factors p and q');
+    }
+
+    const crt = privateKey.dP !== undefined ? privateKey : RSACore.crtParameters(p, q, d);
+
+    const fields = [n, publicKey.e, d, p, q, crt.dP, crt.dQ, crt.qInv].map(ASN1.encodeInteger);
+    const otherPrimes = privateKey.otherPrimes || [];
+
+    if (otherPrimes.length === 0) {
+        return ASN1.encodeSequence(ASN1.encodeInteger(0n), ...fields);
+    }
+
+    const otherPrimeInfos = ASN1.encodeSequence(...otherPrimes.map(({ prime, exponent, coefficient }) =>
+        ASN1.encodeSequence(...[prime, exponent, coefficient].map(ASN1.encodeInteger))));
+
+    return ASN1.encodeSequence(ASN1.encodeInteger(1n), ...fields, otherPrimeInfos);
+}
+
+/**
+ * Encode a private key as PKCS#8 PrivateKeyInfo
+ *
+ * @param {Object} publicKey - {e, n}
+ * @param {Object} privateKey - {d, n, p, q, ...}
+ * @returns {Uint8Array} - DER
+ */
+function encodePKCS8(publicKey, privateKey) {
+    return ASN1.encodeSequence(
+        ASN1.encodeInteger(0n),
+        rsaAlgorithmIdentifier(),
+        ASN1.encodeOctetString(encodeRSAPrivateKey(publicKey, privateKey))
+    );
+}
+
+/**
+ * Export a key pair in one of the supported formats
+ *
+ * @param {Object} keys - { publicKey, privateKey }
+ * @param {String} format - Key of RSA_KEY_EXPORT_FORMATS
+ * @returns {Object} - { pem, der, label }
+ */
+function exportKey(keys, format) {
+    const info = RSA_KEY_EXPORT_FORMATS[format];
+    if (!info) {
+        throw new Error(`Unknown key format: ${format}`);
+    }
+    if (info.isPrivate && !keys.privateKey) {
+        throw new Error('This key has no private part to export');
+    }
+
+    const encoders = {
+        'spki': () => encodeSPKI(keys.publicKey),
+        'pkcs1-public': () => encodeRSAPublicKey(keys.publicKey),
+        'pkcs1-private': () => encodeRSAPrivateKey(keys.publicKey, keys.privateKey),
+        'pkcs8': () => encodePKCS8(keys.publicKey, keys.privateKey)
+    };
+
+    const der = encoders[format]();
+    return { pem: ASN1.toPEM(der, info.label), der, label: info.label };
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Check an AlgorithmIdentifier names rsaEncryption
+ *
+ * @param {Object} node - Decoded AlgorithmIdentifier SEQUENCE
+ */
+function expectRSAAlgorithm(node) {
+    ASN1.expectTag(node, ASN1.TAGS.SEQUENCE);
+    const oid = ASN1.readOID(node.children[0]);
+
+    if (oid !== RSA_ENCRYPTION_OID) {
+        const name = ASN1.OIDS[oid] ? ` (${ASN1.OIDS[oid]})` : '';
+        throw new Error(`Not an RSA key: algorithm ${oid}${name}`);
+    }
+}
+
+/**
+ * Decode PKCS#1 RSAPublicKey
+ *
+ * @param {Uint8Array} der - DER bytes
+ * @returns {Object} - {e, n}
+ */
+function decodeRSAPublicKey(der) {
+    const root = ASN1.decode(der);
+    ASN1.expectTag(root, ASN1.TAGS.SEQUENCE);
+
+    if (root.children.length !== 2) {
+        throw new Error('RSAPublicKey must contain exactly n and e');
+    }
+
+    return {
+        n: ASN1.readInteger(root.children[0]),
+        e: ASN1.readInteger(root.children[1])
+    };
+}
+
+/**
+ * Decode SubjectPublicKeyInfo
+ *
+ * @param {Uint8Array} der - DER bytes
+ * @returns {Object} - {e, n}
+ */
+function decodeSPKI(der) {
+    const root = ASN1.decode(der);
+    ASN1.expectTag(root, ASN1.TAGS.SEQUENCE);
+    expectRSAAlgorithm(root.children[0]);
+
+    return decodeRSAPublicKey(ASN1.readBitString(root.children[1]));
+}
+
+/**
+ * Decode PKCS#1 RSAPrivateKey
+ *
+ * @param {Uint8Array} der - DER bytes
+ * @returns {Object} - { publicKey: {e, n}, privateKey: {d, n, p, q, dP, dQ, qInv, otherPrimes?} }
+ */
+function decodeRSAPrivateKey(der) {
+    const root = ASN1.decode(der);
+    ASN1.expectTag(root, ASN1.TAGS.SEQUENCE);
+
+    const version = ASN1.readInteger(root.children[0]);
+    if (version === 0n && root.children.length !== 9) {
+        throw new Error('RSAPrivateKey must contain 9 INTEGERs');
+    }
+    if (version === 1n && root.children.length !== 10) {
+        throw new Error('Multi-prime RSAPrivateKey must contain 9 INTEGERs and OtherPrimeInfos');
+    }
+    if (version > 1n) {
+        throw new Error(`Unsupported RSAPrivateKey version ${version}`);
+    }
+
+    const [n, e, d, p, q, dP, dQ, qInv] = root.children.slice(1, 9).map(ASN1.readInteger);
+    const privateKey = { d, n, p, q, dP, dQ, qInv };
+
+    if (version === 1n) {
+        ASN1.expectTag(root.children[9], ASN1.TAGS.SEQUENCE);
+        privateKey.otherPrimes = root.children[9].children.map(info => {
+            ASN1.expectTag(info, ASN1.TAGS.SEQUENCE);
+            if (info.children.length !== 3) {
+                throw new Error('OtherPrimeInfo must contain 3 INTEGERs');
+            }
+            const [prime, exponent, coefficient] = info.children.map(ASN1.readInteger);
+            return { prime, exponent, coefficient };
+        });
+        if (privateKey.otherPrimes.length === 0) {
+            throw new Error('Multi-prime RSAPrivateKey needs at least one OtherPrimeInfo');
+        }
+    }
+
+    return {
+        publicKey: { e, n },
+        privateKey
+    };
+}
+
+/**
+ * Decode PKCS#8 PrivateKeyInfo (unencrypted)
+ *
+ * @param {Uint8Array} der - DER bytes
+ * @returns {Object} - { publicKey, privateKey }
+ */
+function decodePKCS8(der) {
+    const root = ASN1.decode(der);
+    ASN1.expectTag(root, ASN1.TAGS.SEQUENCE);
+
+    const version = ASN1.readInteger(root.children[0]);
+    if (version > 1n) {
+        throw new Error(`Unsupported PKCS#8 version ${version}`);
+    }
+    expectRSAAlgorithm(root.children[1]);
+    ASN1.expectTag(root.children[2], ASN1.TAGS.OCTET_STRING);
+
+    return decodeRSAPrivateKey(root.children[2].content);
+}
+
+/**
+ * Sanity-check an imported private key
+ *
+ * Catches truncated copy-pastes and hand-edited files before they
+ * produce confusing decryption errors later.
+ *
+ * @param {Object} publicKey - {e, n}
+ * @param {Object} privateKey - {d, n, p, q, dP, dQ, qInv, otherPrimes?}
+ */
+function validateImportedPrivateKey(publicKey, privateKey) {
+    const { n, p, q, d, dP, dQ, qInv, otherPrimes = [] } = privateKey;
+    const primes = [p, q, ...otherPrimes.map(info => info.prime)];
+
+    if (primes.reduce((product, prime) => product * prime, 1n) !== n) {
+        throw new Error(otherPrimes.length > 0 ? 'Inconsistent key: product of the primes ≠ n' : 'Inconsistent key: p × q ≠ n');
+    }
+    if (dP !== d % (p - 1n) || dQ !== d % (q - 1n) || (qInv * q) % p !== 1n) {
+        throw new Error('Inconsistent key: CRT parameters do not match d, p and q');
+    }
+    const expected = RSACore.otherPrimeInfos(primes, d);
+    if (otherPrimes.some((info, i) => info.exponent !== expected[i].exponent || info.coefficient !== expected[i].coefficient)) {
+        throw new Error('Inconsistent key: OtherPrimeInfo exponents or coefficients do not match d and the primes');
+    }
+
+    const test = 0x1234567890abcdefn % n;
+    if (RSACore.decrypt(RSACore.encrypt(test, publicKey), { d, n }) !== test) {
+        throw new Error('Inconsistent key: e and d are not inverses');
+    }
+}
+
+/**
+ * Import an RSA key from PEM text
+ *
+ * Recognizes the labels OpenSSL writes:
+ *   PUBLIC KEY, RSA PUBLIC KEY, RSA PRIVATE KEY, PRIVATE KEY
+ *
+ * @param {String} text - PEM text (surrounding text is ignored)
+ * @returns {Object} - { format, publicKey, privateKey (or null), p, q, primes, phi, der }
+ */
+function importKey(text) {
+    const { label, der } = ASN1.fromPEM(text);
+
+    let format;
+    let publicKey;
+    let privateKey = null;
+
+    switch (label) {
+        case 'PUBLIC KEY':
+            format = 'spki';
+            publicKey = decodeSPKI(der);
+            break;
+        case 'RSA PUBLIC KEY':
+            format = 'pkcs1-public';
+            publicKey = decodeRSAPublicKey(der);
+            break;
+        case 'RSA PRIVATE KEY':
+            format = 'pkcs1-private';
+            ({ publicKey, privateKey } = decodeRSAPrivateKey(der));
+            break;
+        case 'PRIVATE KEY':
+            format = 'pkcs8';
+            ({ publicKey, privateKey } = decodePKCS8(der));
+            break;
+        case 'ENCRYPTED PRIVATE KEY':
+            throw new Error('Encrypted PKCS#8 is not supported; export with -nocrypt or `openssl pkey`');
+        default:
+            throw new Error(`Unsupported PEM label: ${label}`);
+    }
+
+    const result = { format, publicKey, privateKey, p: null, q: null, primes: null, phi: null, der };
+
+    if (privateKey) {
+        validateImportedPrivateKey(publicKey, privateKey);
+        result.p = privateKey.p;
+        result.q = privateKey.q;
+        result.primes = [privateKey.p, privateKey.q, ...(privateKey.otherPrimes || []).map(info => info.prime)];
+        result.phi = MathUtils.eulerTotient(...result.primes);
+    }
+
+    return result;
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const RSAKeyFormats = {
+    FORMATS: RSA_KEY_EXPORT_FORMATS,
+    encodeSPKI,
+    encodeRSAPublicKey,
+    encodeRSAPrivateKey,
+    encodePKCS8,
+    exportKey,
+    decodeSPKI,
+    decodeRSAPublicKey,
+    decodeRSAPrivateKey,
+    decodePKCS8,
+    importKey
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RSAKeyFormats = RSAKeyFormats;
+}
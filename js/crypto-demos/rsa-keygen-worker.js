@@ -0,0 +1,54 @@
+/**
+ * ============================================================================
+ * RSA PRIME SEARCH - WEB WORKER
+ *
+ * Runs RSACore.findPrimeByMode off the main thread. Started by
+ * RSAKeygenWorkers, which races several of these workers for each prime
+ * and terminates the rest as soon as one of them finds it.
+ *
+ * MESSAGES IN:
+ *   { type: 'findPrime', bits, options }   options: { mode, publicExponent }
+ *
+ * MESSAGES OUT:
+ *   { type: 'progress', attempt, isPrime }  after every candidate
+ *   { type: 'prime', prime }                once, then the worker idles
+ *   { type: 'error', message }              if the search throws
+ *
+ * ============================================================================
+ */
+
+// Paths are relative to this file; the scripts only touch `window` behind
+// typeof checks, so they load unchanged in a worker scope
+importScripts('../config.js', 'math-utils.js', 'rsa-core.js');
+
+self.addEventListener('message', async function(event) {
+    const { type, bits, options } = event.data;
+
+    if (type !== 'findPrime') {
+        return;
+    }
+
+    // A FIPS 186-4 search that hits its candidate limit starts over, as in
+    // RSACore.generateKeyPair; the attempt count carries on
+    let prime = null;
+    let attempts = 0;
+    let previousAttempts = 0;
+    while (prime === null) {
+        try {
+            prime = await RSACore.findPrimeByMode(bits, (attempt, isPrime) => {
+                attempts = previousAttempts + attempt;
+                self.postMessage({ type: 'progress', attempt: attempts, isPrime });
+            }, null, options);
+        } catch (error) {
+            if (error.name !== 'PrimeSearchLimitError') {
+                // Thrown from this async handler it would be an unhandled
+                // rejection, which never reaches the page's 'error' listener
+                self.postMessage({ type: 'error', message: error.message });
+                return;
+            }
+            previousAttempts = attempts;
+        }
+    }
+
+    self.postMessage({ type: 'prime', prime });
+});
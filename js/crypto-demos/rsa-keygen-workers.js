@@ -0,0 +1,164 @@
+/**
+ * ============================================================================
+ * RSA KEY GENERATION IN WEB WORKERS
+ *
+ * Prime search dominates RSA key generation (seconds for 2048 bits,
+ * minutes for 4096) and freezes the page when it runs on the main thread.
+ * This module moves it into rsa-keygen-worker.js:
+ *
+ * - Each prime (p, then q) is searched by navigator.hardwareConcurrency
+ *   workers at once; the first prime found wins and all workers stop.
+ * - Everything after the search (n, φ(n), d, CRT values) is cheap and
+ *   stays in RSACore.generateKeyPair, which receives findPrimeInWorkers
+ *   as its prime source.
+ * - An AbortSignal terminates the running workers immediately.
+ *
+ * Falls back to the main-thread search when Config.FEATURES.ENABLE_WEB_WORKERS
+ * is off, Workers are unavailable, or the worker script cannot load (e.g.
+ * pages opened from file://).
+ *
+ * ============================================================================
+ */
+
+// Resolved against this script's own URL so the worker loads from any page
+const KEYGEN_WORKER_URL = (typeof document !== 'undefined' && document.currentScript)
+    ? new URL('rsa-keygen-worker.js', document.currentScript.src).href
+    : null;
+
+/**
+ * Check whether key generation can use Web Workers
+ *
+ * @returns {boolean} - True if enabled in Config and supported here
+ */
+function canUseKeygenWorkers() {
+    return Config.FEATURES.ENABLE_WEB_WORKERS &&
+        typeof Worker !== 'undefined' &&
+        KEYGEN_WORKER_URL !== null;
+}
+
+/**
+ * Number of workers that search for each prime
+ *
+ * @returns {number} - One per logical core reported by the browser
+ */
+function keygenWorkerCount() {
+    return Math.max(1, navigator.hardwareConcurrency || 1);
+}
+
+/**
+ * Search for a prime with several workers in parallel
+ *
+ * Same signature as RSACore.findPrimeByMode, so it can be passed to
+ * RSACore.generateKeyPair as options.findPrime. Each worker draws its own
+ * random candidates; attempts are summed across workers for progress.
+ *
+ * @param {number} bits - Desired bit length
+ * @param {Function} progressCallback - Optional callback(attempt, isPrime, { workers })
+ * @param {AbortSignal} signal - Optional signal that terminates the search
+ * @param {Object} options - { mode, publicExponent }, see RSACore.findPrimeByMode
+ * @returns {Promise<BigInt>} - Random prime number
+ */
+function findPrimeInWorkers(bits, progressCallback = null, signal = null, options = {}) {
+    return new Promise((resolve, reject) => {
+        const workerCount = keygenWorkerCount();
+        const attempts = new Array(workerCount).fill(0);
+        const workers = [];
+        let settled = false;
+
+        function finish() {
+            settled = true;
+            workers.forEach(worker => worker.terminate());
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+
+        function onAbort() {
+            finish();
+            reject(new DOMException('Key generation cancelled', 'AbortError'));
+        }
+
+        if (signal) {
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort);
+        }
+
+        for (let i = 0; i < workerCount; i++) {
+            const worker = new Worker(KEYGEN_WORKER_URL);
+
+            worker.addEventListener('message', (event) => {
+                if (settled) return;
+                const message = event.data;
+
+                if (message.type === 'progress') {
+                    attempts[i] = message.attempt;
+                    const total = attempts.reduce((sum, count) => sum + count, 0);
+                    if (progressCallback) progressCallback(total, message.isPrime, { workers: workerCount });
+                } else if (message.type === 'prime') {
+                    finish();
+                    resolve(message.prime);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error('Prime search worker failed: ' + message.message));
+                }
+            });
+
+            worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                if (settled) return;
+                finish();
+                reject(new Error('Prime search worker failed: ' + (event.message || 'could not load ' + KEYGEN_WORKER_URL)));
+            });
+
+            worker.postMessage({ type: 'findPrime', bits, options });
+            workers.push(worker);
+        }
+    });
+}
+
+/**
+ * Generate an RSA key pair without blocking the page
+ *
+ * Drop-in replacement for RSACore.generateKeyPair: options are passed
+ * through (options.signal cancels generation), only the prime source
+ * changes. If the workers fail to start, the key is generated on the
+ * main thread.
+ *
+ * @param {number} bits - Key size in bits
+ * @param {Function} progressCallback - Optional callback(stage, data); prime
+ *        search data is { attempt, isPrime, workers }
+ * @param {Object} options - RSACore.generateKeyPair options except findPrime
+ * @returns {Promise<Object>} - Same key object as RSACore.generateKeyPair
+ */
+async function generateKeyPairInWorkers(bits, progressCallback = null, options = {}) {
+    if (!canUseKeygenWorkers()) {
+        return RSACore.generateKeyPair(bits, progressCallback, options);
+    }
+
+    try {
+        return await RSACore.generateKeyPair(bits, progressCallback, { ...options, findPrime: findPrimeInWorkers });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error;
+        }
+        console.warn(error.message + ' - generating on the main thread instead');
+        return RSACore.generateKeyPair(bits, progressCallback, options);
+    }
+}
+
+// ============================================================================
+// EXPORT ALL FUNCTIONS
+// ============================================================================
+
+const RSAKeygenWorkers = {
+    isAvailable: canUseKeygenWorkers,
+    workerCount: keygenWorkerCount,
+    findPrime: findPrimeInWorkers,
+    generateKeyPair: generateKeyPairInWorkers
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RSAKeygenWorkers = RSAKeygenWorkers;
+}
@@ -64,12 +64,14 @@ const DisplayComponents = {
      * @param {Object} options
      * @param {string} options.title - Card title
      * @param {Object} options.publicKey - { e, n }
-     * @param {Object} options.privateKey - { d } (optional)
-     * @param {Object} options.educational - { p, q, phi } (optional)
+     * @param {Object} options.privateKey - { d, dP, dQ, qInv, otherPrimes? } (optional; CRT fields optional)
+     * @param {Object} options.educational - { p, q, primes?, phi, lambda?, dPhi?, dLambda? } (optional);
+     *        primes lists every factor of a multi-prime key, dPhi and dLambda are e⁻¹ mod φ(n) and mod λ(n)
+     * @param {Object} options.fingerprint - Public key fingerprint from KeyFingerprint.fingerprintSPKI (optional)
      * @returns {string} - HTML string
      */
     createKeyDisplayCard(options) {
-        const { title, publicKey, privateKey, educational } = options;
+        const { title, publicKey, privateKey, educational, fingerprint } = options;
         const { e, n } = publicKey;
 
         let html = `
@@ -81,15 +83,30 @@ const DisplayComponents = {
                 ${this.createCodeValueDisplay('Modulus (n)', n.toString(), 'display-n')}
                 ${this.createCodeValueDisplay('Public Exponent (e)', e.toString(), 'display-e')}
                 <p class="key-info">Bit length: ${this._bitLength(n)} bits</p>
+                ${fingerprint ? this.createKeyFingerprint({ fingerprint, id: 'display-fingerprint' }) : ''}
             </div>
         `;
 
-        const { d } = privateKey;
         if (privateKey) {
+            const { d } = privateKey;
             html += `
             <div class="card--key-section private-key">
                 <h4>🔒 Private Key (keep secret!)</h4>
                 ${this.createCodeValueDisplay('Private Exponent (d)', d.toString(), 'display-d')}
+                ${privateKey.dP !== undefined ? `
+                ${this.createCodeValueDisplay('dP = d mod (p-1)', privateKey.dP.toString(), 'display-dp')}
+                ${this.createCodeValueDisplay('dQ = d mod (q-1)', privateKey.dQ.toString(), 'display-dq')}
+                ${this.createCodeValueDisplay('qInv = q⁻¹ mod p', privateKey.qInv.toString(), 'display-qinv')}
+                <p class="key-info">CRT parameters: decryption works modulo p and q separately, then recombines.</p>
+                ` : ''}
+                ${(privateKey.otherPrimes || []).map(({ exponent, coefficient }, i) => {
+                    const name = `r${this._subscript(i + 3)}`;
+                    const before = ['p', 'q', ...Array.from({ length: i }, (_, j) => `r${this._subscript(j + 3)}`)].join('·');
+                    return `
+                ${this.createCodeValueDisplay(`d${this._subscript(i + 3)} = d mod (${name}-1)`, exponent.toString(), `display-d-r${i + 3}`)}
+                ${this.createCodeValueDisplay(`t${this._subscript(i + 3)} = (${before})⁻¹ mod ${name}`, coefficient.toString(), `display-t-r${i + 3}`)}`;
+                }).join('')}
+                ${privateKey.otherPrimes ? '<p class="key-info">Multi-prime key: each further prime rᵢ has its own CRT exponent dᵢ and coefficient tᵢ (RFC 8017 OtherPrimeInfo).</p>' : ''}
                 <div class="alert alert--warning">
                     ⚠️ Never share your private key! In production systems, this would be stored in a Hardware Security Module (HSM).
                 </div>
@@ -97,20 +114,43 @@ const DisplayComponents = {
             `;
         }
 
-        if (educational) {
-            const { p, q, phi } = educational;
+        if (educational && privateKey) {
+            const { p, q, phi, lambda, dPhi, dLambda } = educational;
+            const { d } = privateKey;
+            const primes = educational.primes || [p, q];
+            const names = primes.map((_, i) => i < 2 ? ['p', 'q'][i] : `r${this._subscript(i + 1)}`);
+            const factors = names.map(name => `${name}-1`);
+            const verification = (e * d) % phi;
+            const hasLambda = lambda !== undefined;
+            const reducedByLambda = hasLambda && d === dLambda && d !== dPhi;
+
             html += `
             <div class="card--key-section educational">
                 <h4>📚 Educational Details (not normally shown)</h4>
-                ${this.createCodeValueDisplay('Prime p', p.toString(), 'display-p')}
-                ${this.createCodeValueDisplay('Prime q', q.toString(), 'display-q')}
-                ${this.createCodeValueDisplay('φ(n) = (p-1)(q-1)', phi.toString(), 'display-phi')}
+                ${primes.map((prime, i) =>
+                    this.createCodeValueDisplay(`Prime ${names[i]}`, prime.toString(), i < 2 ? `display-${names[i]}` : `display-r${i + 1}`)).join('')}
+                ${this.createCodeValueDisplay(`φ(n) = ${factors.map(factor => `(${factor})`).join('')}`, phi.toString(), 'display-phi')}
+                ${hasLambda ? `
+                ${this.createCodeValueDisplay(`λ(n) = lcm(${factors.join(', ')})`, lambda.toString(), 'display-lambda')}
+                ${dPhi !== undefined && dPhi !== d ? this.createCodeValueDisplay('e⁻¹ mod φ(n) (textbook d)', dPhi.toString(), 'display-d-phi') : ''}
+                ${dLambda !== d ? this.createCodeValueDisplay('e⁻¹ mod λ(n) (smallest working d)', dLambda.toString(), 'display-d-lambda') : ''}
+                ` : ''}
                 <div class="math-explanation">
                     <p><strong>Key Relationship:</strong></p>
-                    <p>e × d ≡ 1 (mod φ(n))</p>
+                    <p>e × d ≡ 1 (mod ${reducedByLambda ? 'λ(n)' : 'φ(n)'})</p>
                     <p>Verification:</p>
-                    <p> (e × d) mod φ(n) = ${((e * d) % phi).toString()}</p>
+                    <p> (e × d) mod φ(n) = ${verification.toString()}</p>
+                    ${hasLambda ? `<p> (e × d) mod λ(n) = ${((e * d) % lambda).toString()}</p>` : ''}
+                    ${verification !== 1n ? `<p>This d was reduced modulo λ(n) = lcm(${factors.join(', ')}), a divisor of φ(n), as OpenSSL does: e × d ≡ 1 (mod λ(n)) is all decryption needs.</p>` : ''}
+                </div>
+                ${hasLambda && dPhi !== undefined ? `
+                <div class="math-explanation">
+                    <p><strong>φ(n) versus λ(n):</strong></p>
+                    <p>φ(n) / λ(n) = ${(phi / lambda).toString()}</p>
+                    <p>e⁻¹ mod φ(n) = e⁻¹ mod λ(n) + ${((dPhi - dLambda) / lambda).toString()} × λ(n)</p>
+                    <p>Sizes: ${this._bitLength(dPhi)} bits (mod φ(n)) versus ${this._bitLength(dLambda)} bits (mod λ(n))</p>
                 </div>
+                ` : ''}
             </div>
             `;
         }
@@ -388,6 +428,35 @@ const DisplayComponents = {
         return html;
     },
 
+    /**
+     * Create scrollable data table
+     *
+     * USED IN: Algorithm traces and attack iteration logs
+     *
+     * @param {Array<string>} headers - Column headings
+     * @param {Array<Array>} rows - Row cells (escaped, converted with String())
+     * @returns {string} - HTML string
+     */
+    createDataTable(headers, rows) {
+        let html = '<div class="table-scroll"><table class="data-table"><thead><tr>';
+
+        headers.forEach(header => {
+            html += `<th>${UIUtils.escapeHtml(header)}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+
+        rows.forEach(row => {
+            html += '<tr>';
+            row.forEach(cell => {
+                html += `<td>${UIUtils.escapeHtml(String(cell))}</td>`;
+            });
+            html += '</tr>';
+        });
+
+        html += '</tbody></table></div>';
+        return html;
+    },
+
     /**
      * Create timing display
      *
@@ -567,14 +636,16 @@ const DisplayComponents = {
      *
      * @param {Object} options
      * @param {string} options.originalMessage - Original plaintext
+     * @param {Uint8Array} options.messageBytes - Message bytes (optional)
      * @param {string} options.messageInt - Message as BigInt
      * @param {string} options.ciphertext - Encrypted ciphertext
+     * @param {string} options.ciphertextText - Ciphertext in the selected output format (default: decimal)
      * @param {string} options.duration - Computation time
      * @param {Object} options.publicKey - {e, n}
      * @returns {string} - HTML string
      */
     createEncryptionResult(options) {
-        const { originalMessage, messageInt, ciphertext, duration, publicKey } = options;
+        const { originalMessage, messageBytes, messageInt, ciphertext, ciphertextText = ciphertext, duration, publicKey } = options;
         const { e, n } = publicKey;
 
         return `
@@ -586,14 +657,20 @@ const DisplayComponents = {
                 <code class="message-display">${UIUtils.escapeHtml(originalMessage)}</code>
             </div>
 
+            ${messageBytes ? `
+            <div class="card--result">
+                <p>Message bytes (${messageBytes.length} bytes):</p>
+                ${this.createCodeValueDisplay('Bytes (hex)', this._bytesToHex(messageBytes), 'message-bytes', false)}
+            </div>` : ''}
+
             <div class="card--result">
-                <p>Message converted to number (base-256 encoding):</p>
+                <p>Message converted to number: m = OS2IP(bytes) (base-256 encoding):</p>
                 ${this.createCodeValueDisplay('Numeric Representation', messageInt, 'message-int')}
             </div>
 
             <div class="card--result">
                 <p>Encrypted value: c = m<sup>e</sup> mod n</p>
-                ${this.createCodeValueDisplay('Ciphertext', ciphertext, 'ciphertext')}
+                ${this.createCodeValueDisplay('Ciphertext', ciphertextText, 'ciphertext')}
             </div>
 
             ${this.createMathBreakdown({
@@ -621,10 +698,11 @@ const DisplayComponents = {
      * @param {string} options.plaintextStr - Recovered message
      * @param {string} options.duration - Computation time
      * @param {Object} options.privateKey - {d, n}
+     * @param {Object} options.crt - { steps, timing } for the CRT breakdown (optional)
      * @returns {string} - HTML string
      */
     createDecryptionResult(options) {
-        const { ciphertext, plaintextInt, plaintextStr, duration, privateKey } = options;
+        const { ciphertext, plaintextInt, plaintextStr, duration, privateKey, crt } = options;
         const { d, n } = privateKey;
 
         return `
@@ -657,55 +735,1767 @@ const DisplayComponents = {
             result: `m = ${plaintextInt}`,
             decoded: `${plaintextStr}`
         })}
+
+        ${crt ? this.createCRTBreakdown(crt.steps, crt.timing, privateKey) : ''}
         </div>
         `;
     },
 
-    // ========================================================================
-    // ECC-SPECIFIC COMPONENTS
-    // ========================================================================
-
-    // Security alert for weak parameters
-    createECCSecurityAlert (type) {
-        const alerts = {
-            'small-field': {
-                title: 'Small Prime Field',
-                message: 'Prime p < 2^128 is INSECURE. Use for education only.',
-                severity: 'danger'
-            },
-            'weak-generator': {
-                title: 'Weak Generator Point',
-                message: 'Generator order is too small. Private key can be brute-forced.',
-                severity: 'danger'
-            },
-            'no-cofactor-check': {
-                title: 'Missing Cofactor Verification',
-                message: 'Not checking hQ = ∞ allows small subgroup attacks.',
-                severity: 'warning'
-            },
-            'timing-attack': {
-                title: 'Timing Attack Vulnerability',
-                message: 'Non-constant-time scalar multiplication leaks private key bits.',
-                severity: 'warning'
-            }
+    /**
+     * Create CRT decryption breakdown with timing comparison
+     *
+     * @param {Object} steps - { cP, cQ, m1, m2, h, others } from RSACore.decryptCRT
+     * @param {Object} timing - { crt, plain } average durations in ms
+     * @param {Object} privateKey - {p, q, dP, dQ, qInv, otherPrimes?}
+     * @returns {string} - HTML string
+     */
+    createCRTBreakdown(steps, timing, privateKey) {
+        const { p, q, dP, dQ, otherPrimes = [] } = privateKey;
+        const others = steps.others || [];
+        const primeCount = 2 + others.length;
+        const short = value => {
+            const str = value.toString();
+            return str.length > 50 ? str.substring(0, 50) + '...' : str;
         };
 
-        return this.createSecurityAlert(alerts[type].message, alerts[type].severity);
+        return `
+        <div class="math-breakdown">
+            <h4>Chinese Remainder Theorem Path</h4>
+            <ol class="padding-steps">
+                <li>
+                    <p>m₁ = (c mod p)<sup>dP</sup> mod p - a ${this._bitLength(p)}-bit exponentiation with a ${this._bitLength(dP)}-bit exponent</p>
+                    ${this.createCodeValueDisplay('m₁', short(steps.m1), 'crt-m1', false)}
+                </li>
+                <li>
+                    <p>m₂ = (c mod q)<sup>dQ</sup> mod q - a ${this._bitLength(q)}-bit exponentiation with a ${this._bitLength(dQ)}-bit exponent</p>
+                    ${this.createCodeValueDisplay('m₂', short(steps.m2), 'crt-m2', false)}
+                </li>
+                <li>
+                    <p>Garner recombination: h = qInv · (m₁ - m₂) mod p, m = m₂ + h · q</p>
+                    ${this.createCodeValueDisplay('h', short(steps.h), 'crt-h', false)}
+                </li>
+                ${others.map(({ prime, m, h }, i) => {
+                    const index = this._subscript(i + 3);
+                    const before = ['p', 'q', ...Array.from({ length: i }, (_, j) => `r${this._subscript(j + 3)}`)].join('·');
+                    return `
+                <li>
+                    <p>m${index} = (c mod r${index})<sup>d${index}</sup> mod r${index} - a ${this._bitLength(prime)}-bit exponentiation with a ${this._bitLength(otherPrimes[i].exponent)}-bit exponent</p>
+                    <p>Fold in r${index}: h${index} = t${index} · (m${index} - m) mod r${index}, m = m + ${before} · h${index}</p>
+                    ${this.createCodeValueDisplay(`m${index}`, short(m), `crt-m${i + 3}`, false)}
+                    ${this.createCodeValueDisplay(`h${index}`, short(h), `crt-h${i + 3}`, false)}
+                </li>`;
+                }).join('')}
+            </ol>
+
+            ${this.createMetadataTable([
+                { label: 'Plain c^d mod n', value: `${timing.plain.toFixed(3)} ms` },
+                { label: primeCount > 2 ? `CRT (${primeCount} exponentiations, 1/${primeCount} size)` : 'CRT (two half-size exponentiations)', value: `${timing.crt.toFixed(3)} ms` },
+                { label: 'Speedup', value: `${(timing.plain / timing.crt).toFixed(2)}×` }
+            ])}
+            <p class="key-info">Average over repeated runs. ${primeCount > 2
+                ? `Theory predicts about ${primeCount * primeCount}×: ${primeCount} moduli and exponents of 1/${primeCount} the size.`
+                : 'Theory predicts about 4×: half-size moduli and half-size exponents.'}</p>
+        </div>
+        `;
     },
 
-    // ========================================================================
-    // HELPER METHODS (Private)
-    // ========================================================================
+    /**
+     * Create OAEP encryption result display
+     *
+     * Walks through the RFC 8017 encoding: lHash, DB, seed, the two
+     * MGF1 masks and the final encoded block EM, then the RSA step.
+     *
+     * @param {Object} options
+     * @param {string} options.originalMessage - Original plaintext
+     * @param {string} options.ciphertext - Encrypted ciphertext
+     * @param {string} options.ciphertextText - Ciphertext in the selected output format (default: decimal)
+     * @param {string} options.duration - Computation time
+     * @param {Object} options.publicKey - {e, n}
+     * @param {Object} options.steps - Intermediate values from RSACore.encryptOAEP
+     * @returns {string} - HTML string
+     */
+    createOAEPEncryptionResult(options) {
+        const { originalMessage, ciphertext, ciphertextText = ciphertext, duration, publicKey, steps } = options;
+        const { e, n } = publicKey;
+        const hex = bytes => this._bytesToHex(bytes);
+
+        return `
+        <div class="card card--result">
+            <h3>✓ RSA-OAEP Encryption Complete (${duration}ms)</h3>
+
+            <div class="card--result">
+                <h4>Original Message</h4>
+                <code class="message-display">${UIUtils.escapeHtml(originalMessage)}</code>
+                <p class="key-info">Hash: ${UIUtils.escapeHtml(steps.hash)} (hLen = ${steps.hLen} bytes) · Block size k = ${steps.k} bytes · Label: "${UIUtils.escapeHtml(steps.label)}"</p>
+            </div>
+
+            <ol class="padding-steps">
+                <li>
+                    <p>Hash the label: lHash = ${UIUtils.escapeHtml(steps.hash)}(L)</p>
+                    ${this.createCodeValueDisplay('lHash', hex(steps.lHash), 'oaep-lhash', false)}
+                </li>
+                <li>
+                    <p>Build the data block DB = lHash || PS || 0x01 || M (PS = ${steps.paddingLength} zero bytes)</p>
+                    ${this.createCodeValueDisplay('DB', hex(steps.dataBlock), 'oaep-db', false)}
+                </li>
+                <li>
+                    <p>Draw a fresh random seed (${steps.hLen} bytes) - this is what makes OAEP randomized</p>
+                    ${this.createCodeValueDisplay('seed', hex(steps.seed), 'oaep-seed', false)}
+                </li>
+                <li>
+                    <p>Mask the data block: maskedDB = DB ⊕ MGF1(seed, ${steps.k - steps.hLen - 1})</p>
+                    ${this.createCodeValueDisplay('dbMask', hex(steps.dbMask), 'oaep-dbmask', false)}
+                    ${this.createCodeValueDisplay('maskedDB', hex(steps.maskedDB), 'oaep-maskeddb', false)}
+                </li>
+                <li>
+                    <p>Mask the seed: maskedSeed = seed ⊕ MGF1(maskedDB, ${steps.hLen})</p>
+                    ${this.createCodeValueDisplay('seedMask', hex(steps.seedMask), 'oaep-seedmask', false)}
+                    ${this.createCodeValueDisplay('maskedSeed', hex(steps.maskedSeed), 'oaep-maskedseed', false)}
+                </li>
+                <li>
+                    <p>Encoded message EM = 0x00 || maskedSeed || maskedDB</p>
+                    ${this.createCodeValueDisplay('EM', hex(steps.encodedMessage), 'oaep-em', true)}
+                </li>
+            </ol>
+
+            <div class="card--result">
+                <p>Encrypted value: c = OS2IP(EM)<sup>e</sup> mod n</p>
+                ${this.createCodeValueDisplay('Ciphertext', ciphertextText, 'ciphertext')}
+            </div>
+
+            ${this.createMathBreakdown({
+                title: 'Mathematical Breakdown',
+                operation: 'c = m<sup>e</sup> mod n, where m = OS2IP(EM)',
+                values: [
+                    { label: 'm (encoded message)', value: steps.m.toString().substring(0, 50) + '...' },
+                    { label: 'e (public exponent)', value: e.toString() },
+                    { label: 'n (modulus)', value: n.toString().substring(0, 50) + '...' }
+                ],
+                result: `c = ${ciphertext}`
+            })}
+
+            ${this.createEducationalNote('Encrypt the same message again: the seed changes, so EM and the ciphertext change completely. An attacker can no longer test guesses by re-encrypting candidate plaintexts.')}
+        </div>
+        `;
+    },
 
     /**
-     * Get bit length of BigInt (helper)
-     * @private
+     * Create OAEP decryption result display
+     *
+     * @param {Object} options
+     * @param {string} options.ciphertext - Input ciphertext
+     * @param {string} options.plaintextStr - Recovered message
+     * @param {string} options.duration - Computation time
+     * @param {Object} options.steps - Intermediate values from RSACore.decryptOAEP
+     * @returns {string} - HTML string
      */
-    _bitLength(n) {
-        if (typeof n === 'bigint') {
-            return n === 0n ? 0 : n.toString(2).length;
+    createOAEPDecryptionResult(options) {
+        const { ciphertext, plaintextStr, duration, steps } = options;
+        const hex = bytes => this._bytesToHex(bytes);
+
+        return `
+        <div class="card card--result">
+            <h3>✓ RSA-OAEP Decryption Complete (${duration}ms)</h3>
+
+            <div class="card--result">
+                <h4>Original Ciphertext</h4>
+                ${this.createCodeValueDisplay('Ciphertext', ciphertext, 'decrypt-ciphertext', false)}
+            </div>
+
+            <ol class="padding-steps">
+                <li>
+                    <p>Recover the encoded block: EM = I2OSP(c<sup>d</sup> mod n, ${steps.k})</p>
+                    ${this.createCodeValueDisplay('EM', hex(steps.encodedMessage), 'oaep-dec-em', false)}
+                </li>
+                <li>
+                    <p>Unmask the seed: seed = maskedSeed ⊕ MGF1(maskedDB, ${steps.hLen})</p>
+                    ${this.createCodeValueDisplay('seed', hex(steps.seed), 'oaep-dec-seed', false)}
+                </li>
+                <li>
+                    <p>Unmask the data block: DB = maskedDB ⊕ MGF1(seed, ${steps.k - steps.hLen - 1})</p>
+                    ${this.createCodeValueDisplay('DB', hex(steps.dataBlock), 'oaep-dec-db', false)}
+                </li>
+                <li>
+                    <p>Check lHash, skip ${steps.paddingLength} zero bytes of PS, find the 0x01 separator</p>
+                    ${this.createCodeValueDisplay('lHash', hex(steps.lHash), 'oaep-dec-lhash', false)}
+                </li>
+            </ol>
+
+            <div class="card--result success">
+                <h4>Recovered Message</h4>
+                <code class="message-display">${UIUtils.escapeHtml(plaintextStr)}</code>
+            </div>
+        </div>
+        `;
+    },
+
+    /**
+     * Create PKCS#1 v1.5 encryption result display
+     *
+     * @param {Object} options
+     * @param {string} options.originalMessage - Original plaintext
+     * @param {string} options.ciphertext - Encrypted ciphertext
+     * @param {string} options.ciphertextText - Ciphertext in the selected output format (default: decimal)
+     * @param {string} options.duration - Computation time
+     * @param {Object} options.steps - Intermediate values from RSACore.encryptPKCS1v15
+     * @returns {string} - HTML string
+     */
+    createPKCS1v15EncryptionResult(options) {
+        const { originalMessage, ciphertext, ciphertextText = ciphertext, duration, steps } = options;
+        const hex = bytes => this._bytesToHex(bytes);
+
+        return `
+        <div class="card card--result">
+            <h3>✓ PKCS#1 v1.5 Encryption Complete (${duration}ms)</h3>
+
+            <div class="card--result">
+                <h4>Original Message</h4>
+                <code class="message-display">${UIUtils.escapeHtml(originalMessage)}</code>
+                <p class="key-info">Block size k = ${steps.k} bytes · Capacity ${steps.k - 11} bytes</p>
+            </div>
+
+            <ol class="padding-steps">
+                <li>
+                    <p>Draw PS: ${steps.padding.length} random <strong>nonzero</strong> bytes</p>
+                    ${this.createCodeValueDisplay('PS', hex(steps.padding), 'pkcs1-ps', false)}
+                </li>
+                <li>
+                    <p>Encoded message EM = 0x00 || 0x02 || PS || 0x00 || M</p>
+                    ${this.createCodeValueDisplay('EM', hex(steps.encodedMessage), 'pkcs1-em', true)}
+                </li>
+            </ol>
+
+            <div class="card--result">
+                <p>Encrypted value: c = OS2IP(EM)<sup>e</sup> mod n</p>
+                ${this.createCodeValueDisplay('Ciphertext', ciphertextText, 'ciphertext')}
+            </div>
+
+            ${this.createSecurityAlert('PKCS#1 v1.5 is randomized but not chosen-ciphertext secure: a server that reveals whether padding is valid lets an attacker decrypt this ciphertext. Try it in the Attacks Lab tab.')}
+        </div>
+        `;
+    },
+
+    /**
+     * Create PKCS#1 v1.5 decryption result display
+     *
+     * @param {Object} options
+     * @param {string} options.ciphertext - Input ciphertext
+     * @param {string} options.plaintextStr - Recovered message
+     * @param {string} options.duration - Computation time
+     * @param {Object} options.steps - Intermediate values from RSACore.decryptPKCS1v15
+     * @returns {string} - HTML string
+     */
+    createPKCS1v15DecryptionResult(options) {
+        const { ciphertext, plaintextStr, duration, steps } = options;
+
+        return `
+        <div class="card card--result">
+            <h3>✓ PKCS#1 v1.5 Decryption Complete (${duration}ms)</h3>
+
+            <div class="card--result">
+                <h4>Original Ciphertext</h4>
+                ${this.createCodeValueDisplay('Ciphertext', ciphertext, 'decrypt-ciphertext', false)}
+            </div>
+
+            <ol class="padding-steps">
+                <li>
+                    <p>Recover the encoded block: EM = I2OSP(c<sup>d</sup> mod n, ${steps.k})</p>
+                    ${this.createCodeValueDisplay('EM', this._bytesToHex(steps.encodedMessage), 'pkcs1-dec-em', false)}
+                </li>
+                <li>
+                    <p>Check the 0x00 0x02 header, skip ${steps.paddingLength} bytes of PS, find the 0x00 separator</p>
+                </li>
+            </ol>
+
+            <div class="card--result success">
+                <h4>Recovered Message</h4>
+                <code class="message-display">${UIUtils.escapeHtml(plaintextStr)}</code>
+            </div>
+        </div>
+        `;
+    },
+
+    /**
+     * Create hybrid (RSA key transport + AES-GCM) encryption result display
+     *
+     * @param {Object} options
+     * @param {string} options.originalMessage - Original plaintext
+     * @param {string} options.envelope - Serialized JSON envelope
+     * @param {string} options.duration - Computation time
+     * @param {Object} options.steps - Intermediate values from RSAHybrid.encryptHybrid
+     * @returns {string} - HTML string
+     */
+    createHybridEncryptionResult(options) {
+        const { originalMessage, envelope, duration, steps } = options;
+        const hex = bytes => this._bytesToHex(bytes);
+        const isKEM = steps.kem === 'RSA-KEM';
+
+        return `
+        <div class="card card--result">
+            <h3>✓ Hybrid Encryption Complete (${duration}ms)</h3>
+
+            <div class="card--result">
+                <h4>Original Message</h4>
+                <code class="message-display">${UIUtils.escapeHtml(originalMessage)}</code>
+                <p class="key-info">${steps.messageLength} bytes · Key transport: ${UIUtils.escapeHtml(steps.kem)} with ${UIUtils.escapeHtml(steps.hash)} · Block size k = ${steps.k} bytes</p>
+            </div>
+
+            <ol class="padding-steps">
+                ${isKEM ? `
+                <li>
+                    <p>Draw a random z &lt; n and encrypt it with textbook RSA: c = z<sup>e</sup> mod n</p>
+                    ${this.createCodeValueDisplay('z', this._truncate(steps.z.toString(), 60), 'hybrid-z', false)}
+                </li>
+                <li>
+                    <p>Derive the AES key: K = HKDF-${UIUtils.escapeHtml(steps.hash)}(I2OSP(z, ${steps.k}))</p>
+                    ${this.createCodeValueDisplay('K', hex(steps.aesKey), 'hybrid-key', false)}
+                </li>` : `
+                <li>
+                    <p>Draw a random 256-bit AES key K</p>
+                    ${this.createCodeValueDisplay('K', hex(steps.aesKey), 'hybrid-key', false)}
+                </li>
+                <li>
+                    <p>Wrap K with RSA-OAEP: c = OS2IP(OAEP-encode(K))<sup>e</sup> mod n</p>
+                </li>`}
+                <li>
+                    <p>Draw a fresh 96-bit IV and encrypt the message with AES-256-GCM under K</p>
+                    ${this.createCodeValueDisplay('IV', hex(steps.iv), 'hybrid-iv', false)}
+                    ${this.createCodeValueDisplay('GCM tag', hex(steps.tag), 'hybrid-tag', false)}
+                </li>
+            </ol>
+
+            <div class="card--result">
+                <p>Envelope: header, c = ${this._truncate(steps.encryptedKeyInt.toString())} and the ${steps.sealedLength}-byte AES-GCM output (ciphertext + tag), base64-encoded</p>
+                ${this.createCodeValueDisplay('Envelope', envelope, 'hybrid-envelope')}
+            </div>
+
+            ${this.createEducationalNote('RSA runs once, on a key-sized value, no matter how long the message is. The header fields are authenticated by the GCM tag: changing any byte of the envelope makes decryption fail.')}
+        </div>
+        `;
+    },
+
+    /**
+     * Create hybrid decryption result display
+     *
+     * @param {Object} options
+     * @param {string} options.plaintextStr - Recovered message
+     * @param {string} options.duration - Computation time
+     * @param {Object} options.steps - Intermediate values from RSAHybrid.decryptHybrid
+     * @returns {string} - HTML string
+     */
+    createHybridDecryptionResult(options) {
+        const { plaintextStr, duration, steps } = options;
+        const hex = bytes => this._bytesToHex(bytes);
+        const isKEM = steps.kem === 'RSA-KEM';
+
+        return `
+        <div class="card card--result">
+            <h3>✓ Hybrid Decryption Complete (${duration}ms)</h3>
+
+            <ol class="padding-steps">
+                <li>
+                    <p>${isKEM
+                        ? `Recover z = c<sup>d</sup> mod n and re-derive K = HKDF-${UIUtils.escapeHtml(steps.hash)}(I2OSP(z, ${steps.k}))`
+                        : `Unwrap K with RSA-OAEP (${UIUtils.escapeHtml(steps.hash)})`}</p>
+                    ${this.createCodeValueDisplay('c', this._truncate(steps.encryptedKeyInt.toString(), 60), 'hybrid-dec-c', false)}
+                    ${this.createCodeValueDisplay('K', hex(steps.aesKey), 'hybrid-dec-key', false)}
+                </li>
+                <li>
+                    <p>Decrypt ${steps.sealedLength} bytes with AES-256-GCM and check the tag over the ciphertext and the envelope header</p>
+                    ${this.createCodeValueDisplay('IV', hex(steps.iv), 'hybrid-dec-iv', false)}
+                </li>
+            </ol>
+
+            <div class="card--result success">
+                <h4>Recovered Message</h4>
+                <code class="message-display">${UIUtils.escapeHtml(plaintextStr)}</code>
+            </div>
+        </div>
+        `;
+    },
+
+    /**
+     * Create RSA signature result display
+     *
+     * Shows the EMSA encoding steps for the scheme in steps.scheme
+     * ('pss' or 'pkcs1v15'), then the private-key operation.
+     *
+     * @param {Object} options
+     * @param {string} options.message - Signed message
+     * @param {string} options.signature - Signature integer
+     * @param {string} options.duration - Computation time
+     * @param {Object} options.steps - Intermediate values from RSACore.signPSS / signPKCS1v15
+     * @returns {string} - HTML string
+     */
+    createSignatureResult(options) {
+        const { message, signature, duration, steps } = options;
+        const hex = bytes => this._bytesToHex(bytes);
+        const isPSS = steps.scheme === 'pss';
+
+        const encodingSteps = isPSS ? `
+                <li>
+                    <p>Hash the message: mHash = ${UIUtils.escapeHtml(steps.hash)}(M)</p>
+                    ${this.createCodeValueDisplay('mHash', hex(steps.mHash), 'pss-mhash', false)}
+                </li>
+                <li>
+                    <p>Draw a random salt (${steps.salt.length} bytes) and hash M' = 0x00 × 8 || mHash || salt</p>
+                    ${this.createCodeValueDisplay('salt', hex(steps.salt), 'pss-salt', false)}
+                    ${this.createCodeValueDisplay('H', hex(steps.H), 'pss-h', false)}
+                </li>
+                <li>
+                    <p>Build DB = PS || 0x01 || salt and mask it: maskedDB = DB ⊕ MGF1(H)</p>
+                    ${this.createCodeValueDisplay('DB', hex(steps.dataBlock), 'pss-db', false)}
+                    ${this.createCodeValueDisplay('maskedDB', hex(steps.maskedDB), 'pss-maskeddb', false)}
+                </li>
+                <li>
+                    <p>Encoded message EM = maskedDB || H || 0xBC (${steps.emBits} bits, so EM &lt; n)</p>
+                    ${this.createCodeValueDisplay('EM', hex(steps.encodedMessage), 'pss-em', false)}
+                </li>` : `
+                <li>
+                    <p>Hash the message: H = ${UIUtils.escapeHtml(steps.hash)}(M)</p>
+                    ${this.createCodeValueDisplay('H', hex(steps.digest), 'pkcs1-sig-digest', false)}
+                </li>
+                <li>
+                    <p>Wrap it in a DER DigestInfo that names the hash: T = AlgorithmIdentifier || H</p>
+                    ${this.createCodeValueDisplay('T', hex(steps.digestInfo), 'pkcs1-sig-t', false)}
+                </li>
+                <li>
+                    <p>Encoded message EM = 0x00 || 0x01 || FF…FF || 0x00 || T</p>
+                    ${this.createCodeValueDisplay('EM', hex(steps.encodedMessage), 'pkcs1-sig-em', false)}
+                </li>`;
+
+        return `
+        <div class="card card--result">
+            <h3>✓ ${isPSS ? 'RSASSA-PSS' : 'RSASSA-PKCS1-v1_5'} Signature Created (${duration}ms)</h3>
+
+            <div class="card--result">
+                <h4>Message</h4>
+                <code class="message-display">${UIUtils.escapeHtml(message)}</code>
+                <p class="key-info">Hash: ${UIUtils.escapeHtml(steps.hash)} · Block size k = ${steps.k} bytes</p>
+            </div>
+
+            <ol class="padding-steps">${encodingSteps}
+            </ol>
+
+            <div class="card--result">
+                <p>Signature: s = OS2IP(EM)<sup>d</sup> mod n</p>
+                ${this.createCodeValueDisplay('Signature', signature, 'signature')}
+            </div>
+
+            ${this.createEducationalNote(isPSS
+                ? 'Sign the same message again: the salt changes, so the signature changes too. Both verify.'
+                : 'PKCS#1 v1.5 signatures are deterministic: signing the same message again gives exactly the same signature.')}
+        </div>
+        `;
+    },
+
+    /**
+     * Create RSA signature verification result display
+     *
+     * @param {Object} options
+     * @param {boolean} options.valid - Verification outcome
+     * @param {string} options.reason - Why verification failed (null if valid)
+     * @param {string} options.duration - Computation time
+     * @param {Object} options.steps - Intermediate values from RSACore.verifyPSS / verifyPKCS1v15
+     * @returns {string} - HTML string
+     */
+    createVerificationResult(options) {
+        const { valid, reason, duration, steps } = options;
+        const hex = bytes => this._bytesToHex(bytes);
+        const isPSS = steps.scheme === 'pss';
+
+        let details = '';
+        if (isPSS && steps.expectedH) {
+            details = `
+            <ol class="padding-steps">
+                <li>
+                    <p>Recover EM = I2OSP(s<sup>e</sup> mod n), split it into maskedDB || H || 0xBC</p>
+                    ${this.createCodeValueDisplay('EM', hex(steps.encodedMessage), 'verify-em', false)}
+                </li>
+                <li>
+                    <p>Unmask DB = maskedDB ⊕ MGF1(H) and read the salt after the 0x01 separator</p>
+                    ${this.createCodeValueDisplay('salt', hex(steps.salt), 'verify-salt', false)}
+                </li>
+                <li>
+                    <p>Recompute H' = ${UIUtils.escapeHtml(steps.hash)}(0x00 × 8 || ${UIUtils.escapeHtml(steps.hash)}(M) || salt) and compare with H</p>
+                    ${this.createCodeValueDisplay('H (from signature)', hex(steps.H), 'verify-h', false)}
+                    ${this.createCodeValueDisplay("H' (from message)", hex(steps.expectedH), 'verify-h-prime', false)}
+                </li>
+            </ol>`;
+        } else if (!isPSS && steps.recoveredMessage) {
+            details = `
+            <ol class="padding-steps">
+                <li>
+                    <p>Recover EM = I2OSP(s<sup>e</sup> mod n, ${steps.k})</p>
+                    ${this.createCodeValueDisplay('EM (from signature)', hex(steps.recoveredMessage), 'verify-em', false)}
+                </li>
+                <li>
+                    <p>Encode the received message the same way and compare the whole block</p>
+                    ${this.createCodeValueDisplay("EM' (from message)", hex(steps.encodedMessage), 'verify-em-prime', false)}
+                </li>
+            </ol>`;
+        } else if (steps.encodedMessage) {
+            details = this.createCodeValueDisplay('EM = I2OSP(s^e mod n)', hex(steps.encodedMessage), 'verify-em', false);
         }
-        return 0;
+
+        return `
+        <div class="card card--result ${valid ? 'success' : ''}">
+            <h3>${valid ? '✓ Signature Valid' : '✗ Signature Invalid'} (${duration}ms)</h3>
+            ${valid ? '' : `<div class="alert alert--error"><p><strong>Reason:</strong> ${UIUtils.escapeHtml(reason)}</p></div>`}
+            ${details}
+        </div>
+        `;
+    },
+
+    /**
+     * Create the requester's blinding step of a blind signature
+     *
+     * @param {Object} options
+     * @param {string} options.message - Message being blinded
+     * @param {BigInt} options.blindedMessage - m' = m·r^e mod n
+     * @param {string} options.duration - Computation time
+     * @param {Object} options.steps - Intermediate values from RSACore.blindMessage
+     * @returns {string} - HTML string
+     */
+    createBlindRequestResult(options) {
+        const { message, blindedMessage, duration, steps } = options;
+        const scheme = RSACore.BLIND_SIGNATURE_SCHEMES[steps.scheme].label;
+
+        return `
+        <div class="card card--result">
+            <h3>1. Requester: Message Blinded (${duration}ms)</h3>
+
+            <div class="card--result">
+                <h4>Message (stays with the requester)</h4>
+                <code class="message-display">${UIUtils.escapeHtml(message)}</code>
+                <p class="key-info">${UIUtils.escapeHtml(scheme)} · Hash: ${UIUtils.escapeHtml(steps.hash)}</p>
+            </div>
+
+            <ol class="padding-steps">
+                <li>
+                    <p>Encode the message as for an ordinary signature: m = OS2IP(EM)</p>
+                    ${this.createCodeValueDisplay('m', steps.m.toString(), 'blind-m', false)}
+                </li>
+                <li>
+                    <p>Draw a secret random blinding factor r with gcd(r, n) = 1, and compute r<sup>e</sup> mod n</p>
+                    ${this.createCodeValueDisplay('r', steps.r.toString(), 'blind-r', false)}
+                    ${this.createCodeValueDisplay('r^e mod n', steps.rE.toString(), 'blind-re', false)}
+                </li>
+                <li>
+                    <p>Blind: m' = m · r<sup>e</sup> mod n. Only m' is sent to the signer</p>
+                    ${this.createCodeValueDisplay("m'", blindedMessage.toString(), 'blind-m-prime')}
+                </li>
+            </ol>
+
+            ${this.createEducationalNote(
+                'For a uniform random r, r^e mod n is uniform too, so m\' is a random number that says nothing about m.'
+            )}
+        </div>
+        `;
+    },
+
+    /**
+     * Create the signer's step of a blind signature
+     *
+     * @param {Object} options
+     * @param {BigInt} options.blindedMessage - m' as received from the requester
+     * @param {BigInt} options.blindSignature - s' = m'^d mod n
+     * @param {string} options.duration - Computation time
+     * @returns {string} - HTML string
+     */
+    createBlindSignResult(options) {
+        const { blindedMessage, blindSignature, duration } = options;
+
+        return `
+        <div class="card card--result">
+            <h3>2. Signer: Blinded Message Signed (${duration}ms)</h3>
+            <p>The signer sees nothing but m' and applies the private key to it: s' = m'<sup>d</sup> mod n</p>
+            ${this.createCodeValueDisplay("m' (received)", blindedMessage.toString(), 'blind-received', false)}
+            ${this.createCodeValueDisplay("s'", blindSignature.toString(), 'blind-s-prime')}
+
+            ${this.createSecurityAlert(
+                'A blind signing key must sign nothing else. The signer cannot tell what m\' is: ' +
+                'on a key that also decrypts or signs documents, m\' = c · r^e would decrypt any ciphertext c ' +
+                'and m\' = EM · r^e would sign any document.',
+                'warning'
+            )}
+        </div>
+        `;
+    },
+
+    /**
+     * Create the unblinding and verification step of a blind signature
+     *
+     * @param {Object} options
+     * @param {BigInt} options.inverse - r^-1 mod n
+     * @param {BigInt} options.signature - Unblinded signature s = s'·r^-1 mod n
+     * @param {Object} options.verification - Result of RSACore.verifyPSS / verifyPKCS1v15
+     * @param {string} options.duration - Computation time
+     * @returns {string} - HTML string
+     */
+    createBlindUnblindResult(options) {
+        const { inverse, signature, verification, duration } = options;
+        const isPSS = verification.steps.scheme === 'pss';
+
+        return `
+        <div class="card card--result ${verification.valid ? 'success' : ''}">
+            <h3>3. Requester Unblinds, Verifier Verifies (${duration}ms)</h3>
+
+            <ol class="padding-steps">
+                <li>
+                    <p>Requester: s = s' · r<sup>-1</sup> = m<sup>d</sup> · r · r<sup>-1</sup> = m<sup>d</sup> mod n</p>
+                    ${this.createCodeValueDisplay('r^-1 mod n', inverse.toString(), 'blind-r-inverse', false)}
+                    ${this.createCodeValueDisplay('Signature s', signature.toString(), 'blind-signature')}
+                </li>
+                <li>
+                    <p>Verifier: check (M, s) with the signer's public key, exactly like any ${isPSS ? 'RSASSA-PSS' : 'RSASSA-PKCS1-v1_5'} signature</p>
+                    <p><strong>${verification.valid ? '✓ Signature Valid' : '✗ Signature Invalid'}</strong></p>
+                    ${verification.valid ? '' : `<div class="alert alert--error"><p><strong>Reason:</strong> ${UIUtils.escapeHtml(verification.reason)}</p></div>`}
+                </li>
+            </ol>
+
+            ${this.createEducationalNote(isPSS
+                ? 'Unlinkable: every m\' matches every message for some r, so the signer cannot tell which session produced (M, s). ' +
+                  'The requester picked the salt, so blinding the same message again gives a different signature.'
+                : 'PKCS#1 v1.5 is deterministic: s is exactly the signature the signer would have made on M directly. ' +
+                  'Sessions stay unlinkable (every m\' matches every message for some r), but equal messages give equal signatures.')}
+        </div>
+        `;
+    },
+
+    /**
+     * Create prime search statistics for a generated key, with a
+     * comparison of all prime generation modes used in this session
+     *
+     * @param {Object} options
+     * @param {string} options.modeLabel - Name of the prime generation mode
+     * @param {Object} options.statistics - { primes: [{ stage, attempts, duration }], retries }
+     *        from RSACore.generateKeyPair
+     * @param {Array<Object>} options.session - [{ label, bits, keys, primes, attempts, duration }],
+     *        durations in ms
+     * @returns {string} - HTML string
+     */
+    createPrimeStatistics(options) {
+        const { modeLabel, statistics, session } = options;
+        const average = (total, count) => count > 0 ? total / count : 0;
+
+        const searches = statistics.primes.map(({ stage, attempts, duration }) => ({
+            label: stage.replace('Generating prime', 'Prime'),
+            value: `${attempts.toLocaleString()} candidates in ${(duration / 1000).toFixed(2)}s`
+        }));
+        if (statistics.retries > 0) {
+            searches.push({ label: 'Regenerated', value: `${statistics.retries} time(s) (p, q too close or gcd(e, φ(n)) ≠ 1)` });
+        }
+
+        const rows = session.map(({ label, bits, keys, primes, attempts, duration }) => [
+            label,
+            `${bits} bits`,
+            keys.toString(),
+            Math.round(average(attempts, primes)).toLocaleString(),
+            `${average(duration, primes).toFixed(0)} ms`
+        ]);
+
+        return `
+        <div class="card card--result">
+            <h3>Prime Search: ${UIUtils.escapeHtml(modeLabel)}</h3>
+            ${this.createMetadataTable(searches)}
+
+            <h4>Cost of Each Definition of "Good Prime" (this session)</h4>
+            ${this.createDataTable(['Mode', 'Key size', 'Keys', 'Candidates / prime', 'Time / prime'], rows)}
+            <p class="key-info">Candidates count every number examined, including those rejected by the small-prime sieve. With workers, candidates are summed over all workers.</p>
+
+            ${this.createEducationalNote('Safe and strong primes defeat Pollard\'s p-1 and Williams\' p+1 methods, which need a smooth p-1 or p+1. For primes of 512 bits and more a random prime is already safe from them with overwhelming probability, so FIPS 186-4 only asks for the √2 bound and gcd(p-1, e) = 1.')}
+        </div>
+        `;
+    },
+
+    /**
+     * Create the extended Euclidean derivation of d = e⁻¹ mod φ(n) (or λ(n))
+     *
+     * Small keys get the full table of quotients, remainders and Bézout
+     * coefficients; large keys get a summary and a download button
+     * (#download-euclid-btn) for the full trace.
+     *
+     * @param {Object} options
+     * @param {BigInt} options.e - Public exponent
+     * @param {BigInt} options.modulus - φ(n) or λ(n), whichever d was derived under
+     * @param {string} options.modulusName - 'φ(n)' or 'λ(n)'
+     * @param {BigInt} options.d - Private exponent
+     * @param {Object} options.trace - Output of MathUtils.extendedGCDTrace(modulus, e)
+     * @param {boolean} options.showValues - Full table (small keys) or summary (large keys)
+     * @returns {string} - HTML string
+     */
+    createExtendedEuclidTrace(options) {
+        const { e, modulus, modulusName, d, trace, showValues } = options;
+        const { rows, gcd, x, y } = trace;
+        const steps = rows.length - 2;
+        const verification = (e * d) % modulus;
+
+        let body;
+        if (showValues) {
+            body = this.createDataTable(['i', 'qᵢ', 'rᵢ', `sᵢ (× ${modulusName})`, 'tᵢ (× e)'], rows.map(row => [
+                row.index,
+                row.quotient === null ? '–' : row.quotient.toString(),
+                row.remainder.toString(),
+                row.s.toString(),
+                row.t.toString()
+            ]));
+        } else {
+            const largestQuotient = rows.reduce((max, row) => row.quotient !== null && row.quotient > max ? row.quotient : max, 0n);
+            const coefficient = v => v < 0n ? `${this._bitLength(-v)} bits, negative` : `${this._bitLength(v)} bits`;
+            body = `
+            ${this.createMetadataTable([
+                { label: 'Division steps', value: steps.toLocaleString() },
+                { label: 'Largest quotient', value: `${this._bitLength(largestQuotient)} bits` },
+                { label: `Coefficient s (× ${modulusName})`, value: coefficient(x) },
+                { label: 'Coefficient t (× e)', value: coefficient(y) }
+            ])}
+            <p class="key-info">The table has one row per step with values as large as ${modulusName}: download it to see every row.</p>
+            <button class="btn btn-primary" id="download-euclid-btn">Download Full Trace (.csv)</button>`;
+        }
+
+        return `
+        <div class="card card--result">
+            <h3>Deriving d = e⁻¹ mod ${modulusName}: Extended Euclidean Algorithm</h3>
+            <p class="key-info">Each row divides the two rows above it: rᵢ = rᵢ₋₂ - qᵢ·rᵢ₋₁, and s, t follow the same rule, so rᵢ = ${modulusName}·sᵢ + e·tᵢ holds on every row.</p>
+            ${body}
+            <div class="math-breakdown">
+                <h4>Result (${steps} steps)</h4>
+                <div class="calculation">
+                    <p>gcd(${modulusName}, e) = ${gcd.toString()} = ${modulusName}·s + e·t</p>
+                    <p>d = t mod ${modulusName} = ${this._truncate(d.toString())}</p>
+                    <p>e·d mod ${modulusName} = ${verification.toString()} ${verification === 1n ? '✓' : '✗'}</p>
+                </div>
+            </div>
+        </div>
+        `;
+    },
+
+    /**
+     * Create exported key display (PEM text with copy and download)
+     *
+     * @param {Object} options
+     * @param {string} options.formatName - e.g. 'PKCS#8 PrivateKeyInfo'
+     * @param {string} options.pem - PEM text
+     * @param {number} options.derLength - DER size in bytes
+     * @param {boolean} options.isPrivate - Whether the export contains the private key
+     * @returns {string} - HTML string
+     */
+    createKeyExportResult(options) {
+        const { formatName, pem, derLength, isPrivate } = options;
+
+        return `
+        <div class="card card--result">
+            <h3>✓ Exported as ${UIUtils.escapeHtml(formatName)} (${derLength} bytes DER)</h3>
+            <pre class="pem-output" id="exported-pem">${UIUtils.escapeHtml(pem)}</pre>
+            <button class="copy-btn" data-copy="exported-pem">Copy</button>
+            <button class="btn btn-primary" id="download-pem-btn">Download .pem</button>
+            ${isPrivate ? this.createSecurityAlert('This file contains the private key unencrypted. Real tooling would encrypt it with a passphrase (PKCS#8 EncryptedPrivateKeyInfo).') : ''}
+        </div>
+        `;
+    },
+
+    /**
+     * Create ASN.1 structure dump (like `openssl asn1parse`)
+     *
+     * @param {Array<Object>} lines - { depth, offset, label, value } from ASN1.describe
+     * @returns {string} - HTML string
+     */
+    createASN1Structure(lines) {
+        const rows = lines.map(({ depth, offset, label, value }) =>
+            `<span class="asn1-offset">${String(offset).padStart(5)}:</span> ` +
+            `${'  '.repeat(depth)}${UIUtils.escapeHtml(label)} ${UIUtils.escapeHtml(value)}`
+        );
+
+        return `
+        <div class="math-breakdown">
+            <h4>ASN.1 Structure (DER)</h4>
+            <pre class="asn1-dump">${rows.join('\n')}</pre>
+        </div>
+        `;
+    },
+
+    /**
+     * Create key vault listing with load, rename, export and delete actions
+     *
+     * Action buttons carry data-vault-action and data-id for one delegated
+     * click handler; they are disabled while the vault is locked.
+     *
+     * @param {Object} options
+     * @param {Array<Object>} options.entries - { id, name, kind, summary, created } from KeyVault
+     * @param {boolean} options.unlocked - Whether the vault key is in memory
+     * @returns {string} - HTML string
+     */
+    createKeyVaultList(options) {
+        const { entries, unlocked } = options;
+
+        if (entries.length === 0) {
+            return '<p>No keys for this tool in the vault yet.</p>';
+        }
+
+        const actions = [['load', 'Load'], ['rename', 'Rename'], ['export', 'Export'], ['delete', 'Delete']];
+        const rows = entries.map(({ id, name, summary, created }) => {
+            const buttons = actions.map(([action, label]) =>
+                `<button class="btn btn-primary" data-vault-action="${action}" data-id="${UIUtils.escapeHtml(id)}"${unlocked ? '' : ' disabled'}>${label}</button>`
+            ).join(' ');
+
+            return `
+                <tr>
+                    <td>${UIUtils.escapeHtml(name)}</td>
+                    <td>${UIUtils.escapeHtml(summary)}</td>
+                    <td>${UIUtils.escapeHtml(new Date(created).toLocaleString())}</td>
+                    <td>${buttons}</td>
+                </tr>`;
+        }).join('');
+
+        return `
+        <div class="table-scroll">
+            <table class="data-table">
+                <thead><tr><th>Name</th><th>Key</th><th>Saved</th><th>Actions</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        ${unlocked ? '' : '<p>Unlock the vault to load, rename, export or delete keys.</p>'}
+        `;
+    },
+
+    /**
+     * Create public key fingerprint display (hex, base64 and randomart)
+     *
+     * The randomart canvas is empty until KeyFingerprint.drawRandomart is
+     * called on `${id}-randomart` after the HTML is in the page.
+     *
+     * @param {Object} options
+     * @param {Object} options.fingerprint - { hex, base64, randomart } from KeyFingerprint.fingerprintSPKI
+     * @param {string} options.id - Id prefix for the copy buttons and canvas
+     * @param {string} options.title - Heading (default: 'Fingerprint')
+     * @returns {string} - HTML string
+     */
+    createKeyFingerprint(options) {
+        const { fingerprint, id, title = 'Fingerprint' } = options;
+        const { randomart } = fingerprint;
+
+        return `
+        <div class="key-fingerprint">
+            <h4>🔎 ${UIUtils.escapeHtml(title)}</h4>
+            ${this.createCodeValueDisplay('SHA-256 of the SubjectPublicKeyInfo (hex)', fingerprint.hex, `${id}-hex`)}
+            ${this.createCodeValueDisplay('SHA-256 (base64, OpenSSH style)', fingerprint.base64, `${id}-base64`)}
+            <div class="key-fingerprint-art">
+                <canvas id="${id}-randomart" width="${randomart.width * 16}" height="${randomart.height * 16}"
+                    aria-label="Randomart of the fingerprint"></canvas>
+                <pre>${UIUtils.escapeHtml(randomart.lines.join('\n'))}</pre>
+            </div>
+            <p>Compare fingerprints over a channel an attacker cannot alter, such as in person or over the phone: a matching fingerprint means a matching key. The drunken bishop picture (as in <code>ssh-keygen -lv</code>) makes a different key easy to spot at a glance.</p>
+        </div>
+        `;
+    },
+
+    /**
+     * Create Bleichenbacher attack result display
+     *
+     * @param {Object} options
+     * @param {string} options.recoveredMessage - Decoded plaintext
+     * @param {Uint8Array} options.encodedMessage - Recovered encoded block EM
+     * @param {number} options.queries - Oracle queries used
+     * @param {string} options.duration - Attack time in seconds
+     * @param {Array<Object>} options.history - Per-iteration records from RSAAttacks.bleichenbacher
+     * @returns {string} - HTML string
+     */
+    createBleichenbacherResult(options) {
+        const { recoveredMessage, encodedMessage, queries, duration, history } = options;
+
+        const rows = history.map(({ iteration, stage, s, queries, intervals, widthBits }) => [
+            iteration,
+            stage.split(':')[0],
+            s.toString().length > 24 ? s.toString().substring(0, 24) + '...' : s.toString(),
+            queries.toLocaleString(),
+            intervals,
+            widthBits
+        ]);
+
+        return `
+        <div class="card card--result">
+            <h3>✓ Plaintext Recovered Without the Private Key (${duration}s)</h3>
+
+            <div class="card--result success">
+                <h4>Recovered Message</h4>
+                <code class="message-display">${UIUtils.escapeHtml(recoveredMessage)}</code>
+            </div>
+
+            ${this.createCodeValueDisplay('Recovered EM', this._bytesToHex(encodedMessage), 'bleichenbacher-em', false)}
+
+            ${this.createMetadataTable([
+                { label: 'Oracle queries', value: queries.toLocaleString() },
+                { label: 'Iterations', value: history.length.toString() }
+            ])}
+
+            <h4>Iterations</h4>
+            <p>Each conforming answer narrows the candidate interval for m; "width" is log₂ of its size.</p>
+            ${this.createDataTable(['i', 'Step', 's', 'Queries so far', 'Intervals', 'Width (bits)'], rows)}
+
+            ${this.createEducationalNote('The oracle only ever answered "padding valid" or "padding invalid". Servers must treat every decryption failure identically, including timing; TLS 1.3 removed RSA key exchange altogether.')}
+        </div>
+        `;
+    },
+
+    /**
+     * Create Fermat factorization result display
+     *
+     * @param {Object} options
+     * @param {BigInt} options.n - Factored modulus
+     * @param {BigInt} options.p - Recovered factor a + b
+     * @param {BigInt} options.q - Recovered factor a - b
+     * @param {number} options.iterations - Steps taken
+     * @param {Array<Object>} options.trace - [{ iteration, a, b2, b }] (b null if a² - n is not a square)
+     * @param {string} options.duration - Attack time in ms
+     * @returns {string} - HTML string
+     */
+    createFermatResult(options) {
+        const { n, p, q, iterations, trace, duration } = options;
+        const diff = p > q ? p - q : q - p;
+
+        const rows = trace.map(({ iteration, a, b2, b }) => [
+            iteration.toLocaleString(),
+            this._truncate(a.toString()),
+            this._truncate(b2.toString()),
+            b === null ? '✗' : `✓ b = ${this._truncate(b.toString())}`
+        ]);
+
+        return `
+        <div class="card card--result">
+            <h3>✓ Modulus Factored by Fermat's Method (${duration}ms)</h3>
+
+            ${this.createMetadataTable([
+                { label: 'Modulus size', value: `${this._bitLength(n)} bits` },
+                { label: '|p - q|', value: `${this._bitLength(diff)} bits` },
+                { label: 'Steps', value: iterations.toLocaleString() }
+            ])}
+
+            <h4>Iterations</h4>
+            <p>Starting at a = ⌈√n⌉, each step tests whether a² - n is a perfect square b².${trace.length < iterations ? ` Showing the first ${trace.length - 1} steps and the last one.` : ''}</p>
+            ${this.createDataTable(['Step', 'a', 'a² - n', 'Perfect square?'], rows)}
+
+            <div class="card--result success">
+                <h4>Recovered Factors: n = (a + b)(a - b)</h4>
+                ${this.createCodeValueDisplay('p = a + b', p.toString(), 'fermat-p')}
+                ${this.createCodeValueDisplay('q = a - b', q.toString(), 'fermat-q')}
+            </div>
+
+            ${this.createEducationalNote('Fermat needs about (p - q)² / (8√n) steps. Independently generated primes differ by about √n, which makes that count astronomically large; primes chosen as "the next prime after p" fall in a handful of steps.')}
+        </div>
+        `;
+    },
+
+    /**
+     * Create Wiener attack result display with the continued-fraction table
+     *
+     * @param {Object} options
+     * @param {Object} options.publicKey - { e, n } that was attacked
+     * @param {Object} options.result - Output of RSAAttacks.wiener
+     * @param {string} options.duration - Attack time in ms
+     * @returns {string} - HTML string
+     */
+    createWienerResult(options) {
+        const { publicKey, result, duration } = options;
+        const { e, n } = publicKey;
+
+        const rows = result.rows.map(({ index, quotient, k, d, phi, factored }) => [
+            index,
+            this._truncate(quotient.toString()),
+            this._truncate(k.toString()),
+            this._truncate(d.toString()),
+            phi === null ? '✗' : this._truncate(phi.toString()),
+            factored ? '✓ p, q found' : '—'
+        ]);
+
+        // n^¼/3 has about bits(n)/4 - log₂3 bits
+        const boundBits = Math.floor(this._bitLength(n) / 4 - Math.log2(3));
+
+        let html = `
+        <div class="card card--result">
+            <h3>${result.success ? `✓ Private Exponent Recovered from (e, n) (${duration}ms)` : '✗ Wiener\'s Attack Failed'}</h3>
+
+            ${this.createMetadataTable([
+                { label: 'Modulus size', value: `${this._bitLength(n)} bits` },
+                { label: 'Public exponent e', value: `${this._bitLength(e)} bits` },
+                { label: 'Wiener bound n^¼/3', value: `about ${boundBits} bits` },
+                { label: 'Convergents tested', value: result.rows.length.toString() }
+            ])}
+
+            <h4>Continued Fraction of e/n</h4>
+            <p>Each convergent kᵢ/dᵢ is a guess for k/d in e·d = 1 + k·φ(n). A guess survives if kᵢ divides e·dᵢ - 1, giving a candidate φ(n); it is right if x² - (n - φ + 1)x + n has integer roots.</p>
+            ${this.createDataTable(['i', 'aᵢ', 'kᵢ', 'dᵢ', 'φ candidate (e·dᵢ - 1)/kᵢ', 'Factors n?'], rows)}
+        `;
+
+        if (result.success) {
+            html += `
+            <div class="card--result success">
+                <h4>Recovered Private Key</h4>
+                ${this.createCodeValueDisplay(`d (${this._bitLength(result.d)} bits)`, result.d.toString(), 'wiener-d')}
+                ${this.createCodeValueDisplay('p', result.p.toString(), 'wiener-p')}
+                ${this.createCodeValueDisplay('q', result.q.toString(), 'wiener-q')}
+            </div>
+            `;
+        }
+
+        html += `
+            ${this.createEducationalNote('A small d speeds up decryption, but d < n^¼/3 is recovered in milliseconds from the public key alone. Keep e small (65537) and let d be as large as n; use CRT for fast decryption instead.')}
+        </div>
+        `;
+        return html;
+    },
+
+    /**
+     * Create Håstad broadcast attack result display
+     *
+     * @param {Object} options
+     * @param {Array<Object>} options.publicKeys - Recipients' { e, n }
+     * @param {Array<BigInt>} options.ciphertexts - Intercepted cᵢ = m^e mod nᵢ
+     * @param {Object} options.result - Output of RSAAttacks.hastadBroadcast
+     * @param {string} options.recoveredMessage - result.message decoded to text
+     * @param {string} options.duration - Attack time in ms
+     * @returns {string} - HTML string
+     */
+    createHastadResult(options) {
+        const { publicKeys, ciphertexts, result, recoveredMessage, duration } = options;
+        const e = publicKeys[0].e;
+        const short = value => this._truncate(value.toString(), 50);
+
+        return `
+        <div class="card card--result">
+            <h3>✓ Message Recovered from ${ciphertexts.length} Ciphertexts (${duration}ms)</h3>
+
+            ${this.createMathBreakdown({
+                title: 'Step 1: Intercept the Broadcast',
+                operation: `c<sub>i</sub> = m<sup>${e}</sup> mod n<sub>i</sub> for each recipient`,
+                values: ciphertexts.flatMap((c, i) => [
+                    { label: `n${i + 1}`, value: short(publicKeys[i].n) },
+                    { label: `c${i + 1}`, value: short(c) }
+                ])
+            })}
+
+            ${this.createMathBreakdown({
+                title: 'Step 2: Combine with the Chinese Remainder Theorem',
+                operation: 'x = Σ c<sub>i</sub> · N<sub>i</sub> · (N<sub>i</sub><sup>-1</sup> mod n<sub>i</sub>) mod N, with N = n<sub>1</sub>·n<sub>2</sub>·n<sub>3</sub> and N<sub>i</sub> = N / n<sub>i</sub>',
+                values: [
+                    ...result.terms.map(({ yi }, i) => ({ label: `N${i + 1}⁻¹ mod n${i + 1}`, value: short(yi) })),
+                    { label: `N (${this._bitLength(result.modulus)} bits)`, value: short(result.modulus) }
+                ],
+                result: `x = ${short(result.combined)} (${this._bitLength(result.combined)} bits)`
+            })}
+
+            ${this.createMathBreakdown({
+                title: `Step 3: Take the Integer ${e === 3n ? 'Cube' : `${e}-th`} Root`,
+                operation: `m < n<sub>i</sub> for every i, so m<sup>${e}</sup> < N and x = m<sup>${e}</sup> exactly: m = ⌊x<sup>1/${e}</sup>⌋`,
+                values: [
+                    { label: `m${e === 3n ? '³' : `^${e}`} = x`, value: 'verified' }
+                ],
+                result: `m = ${result.message.toString()}`,
+                decoded: recoveredMessage
+            })}
+
+            ${this.createEducationalNote('No private key and no factoring: the CRT turns three modular equations into one equation over the integers. Random padding (OAEP) gives each recipient a different plaintext, and e = 65537 would need 65537 recipients.')}
+        </div>
+        `;
+    },
+
+    /**
+     * Create common-modulus attack result display
+     *
+     * @param {Object} options
+     * @param {Array<Object>} options.publicKeys - [{e₁, n}, {e₂, n}] sharing n
+     * @param {Object} options.result - Output of RSAAttacks.commonModulus
+     * @param {string} options.recoveredMessage - result.message decoded to text
+     * @param {string} options.duration - Attack time in ms
+     * @returns {string} - HTML string
+     */
+    createCommonModulusResult(options) {
+        const { publicKeys, result, recoveredMessage, duration } = options;
+        const [a, b] = result.terms.map(term => term.coefficient);
+        const short = value => this._truncate(value.toString(), 50);
+
+        return `
+        <div class="card card--result">
+            <h3>✓ Message Recovered Without a Private Key (${duration}ms)</h3>
+
+            ${this.createMathBreakdown({
+                title: 'Step 1: Intercept Both Ciphertexts',
+                operation: 'c<sub>1</sub> = m<sup>e<sub>1</sub></sup> mod n (to Alice), c<sub>2</sub> = m<sup>e<sub>2</sub></sup> mod n (to Bob)',
+                values: [
+                    { label: `n (${this._bitLength(publicKeys[0].n)} bits)`, value: short(publicKeys[0].n) },
+                    { label: 'e1', value: publicKeys[0].e.toString() },
+                    { label: 'e2', value: publicKeys[1].e.toString() },
+                    { label: 'c1', value: short(result.terms[0].ciphertext) },
+                    { label: 'c2', value: short(result.terms[1].ciphertext) }
+                ]
+            })}
+
+            ${this.createMathBreakdown({
+                title: 'Step 2: Extended Euclid on the Exponents',
+                operation: 'Find a, b with a·e<sub>1</sub> + b·e<sub>2</sub> = gcd(e<sub>1</sub>, e<sub>2</sub>) = 1',
+                values: [
+                    { label: 'a', value: a.toString() },
+                    { label: 'b', value: b.toString() }
+                ],
+                result: `${a}·${publicKeys[0].e} + ${b < 0n ? `(${b})` : b}·${publicKeys[1].e} = ${result.gcd}`
+            })}
+
+            ${this.createMathBreakdown({
+                title: 'Step 3: Combine the Ciphertexts',
+                operation: 'm = c<sub>1</sub><sup>a</sup> · c<sub>2</sub><sup>b</sup> mod n; a negative power uses the modular inverse: c<sup>-k</sup> = (c<sup>-1</sup> mod n)<sup>k</sup>',
+                values: result.terms.map(({ ciphertext, coefficient, base, power }, i) => ({
+                    label: base === ciphertext
+                        ? `c${i + 1}^${coefficient} mod n`
+                        : `(c${i + 1}⁻¹ mod n)^${-coefficient} mod n, with c${i + 1}⁻¹ = ${short(base)}`,
+                    value: short(power)
+                })),
+                result: `m = ${result.message.toString()}`,
+                decoded: recoveredMessage
+            })}
+
+            ${this.createEducationalNote('Both keys were "secure" on their own. Sharing n lets anyone who sees the same message sent to two users read it: m^(a·e₁ + b·e₂) = m¹. Every user needs their own p and q.')}
+        </div>
+        `;
+    },
+
+    /**
+     * Create display for factoring a shared modulus from one key pair
+     *
+     * @param {Object} options
+     * @param {Object} options.insiderKeys - Bob's full key pair
+     * @param {Object} options.victimPublicKey - Alice's { e, n }, same n
+     * @param {Object} options.result - Output of RSAAttacks.factorFromKeyPair
+     * @param {BigInt} options.recoveredD - Alice's d computed from p and q
+     * @param {string} options.decryptedMessage - Alice's ciphertext decrypted with recoveredD
+     * @param {string} options.duration - Attack time in ms
+     * @returns {string} - HTML string
+     */
+    createSharedModulusFactorResult(options) {
+        const { insiderKeys, victimPublicKey, result, recoveredD, decryptedMessage, duration } = options;
+        const { e } = insiderKeys.publicKey;
+        const { d, n } = insiderKeys.privateKey;
+
+        const rows = result.attempts.map(({ g, sequence, factor }) => [
+            this._truncate(g.toString()),
+            sequence.map(x => x === 1n ? '1' : (x === n - 1n ? '-1' : this._truncate(x.toString(), 12))).join(' → '),
+            factor === null ? '✗ only ±1 seen' : '✓ non-trivial √1'
+        ]);
+
+        return `
+        <div class="card card--result">
+            <h3>✓ Shared Modulus Factored with Bob's Own Key Pair (${duration}ms)</h3>
+
+            ${this.createMathBreakdown({
+                title: 'Step 1: A Multiple of λ(n)',
+                operation: 'e·d ≡ 1 (mod λ(n)), so k = e·d - 1 = 2<sup>t</sup>·r is a multiple of λ(n) and g<sup>k</sup> ≡ 1 (mod n)',
+                values: [
+                    { label: 'Bob\'s e', value: e.toString() },
+                    { label: 'Bob\'s d', value: this._truncate(d.toString(), 50) },
+                    { label: `k (${this._bitLength(result.k)} bits)`, value: this._truncate(result.k.toString(), 50) }
+                ],
+                result: `k = 2^${result.t} · r with r odd`
+            })}
+
+            <h4>Step 2: Look for a Square Root of 1 Other Than ±1</h4>
+            <p>Square g<sup>r</sup> until it reaches 1. The value just before the 1 is a square root of 1 mod n; if it is not -1, it is +1 modulo one prime and -1 modulo the other, and gcd(x - 1, n) splits n.</p>
+            ${this.createDataTable(['Random g', 'g^r, g^(2r), ...', 'Outcome'], rows)}
+
+            <div class="card--result success">
+                <h4>Recovered Factors and Alice's Private Key</h4>
+                ${this.createCodeValueDisplay('p', result.p.toString(), 'shared-p')}
+                ${this.createCodeValueDisplay('q', result.q.toString(), 'shared-q')}
+                ${this.createCodeValueDisplay(`Alice's d = ${victimPublicKey.e}⁻¹ mod φ(n)`, recoveredD.toString(), 'shared-alice-d')}
+                ${this.createMetadataTable([
+                    { label: 'Alice\'s ciphertext decrypted by Bob', value: decryptedMessage }
+                ])}
+            </div>
+
+            ${this.createEducationalNote('Knowing any one (e, d) pair for n is as good as knowing p and q. On a shared modulus every user holds such a pair, so every user can read everyone else\'s mail and forge their signatures.')}
+        </div>
+        `;
+    },
+
+    /**
+     * Create factorization attempt result display
+     *
+     * @param {Object} options
+     * @param {BigInt} options.n - Number that was attacked
+     * @param {string} options.methodLabel - e.g. 'Pollard rho (Brent)'
+     * @param {Object} options.result - Output of Factorization.factor
+     * @param {number} options.duration - Wall time in ms
+     * @param {Object} options.keys - Optional key pair whose modulus is n
+     * @returns {string} - HTML string
+     */
+    createFactorizationResult(options) {
+        const { n, methodLabel, result, duration, keys } = options;
+        const found = result.factor !== null && result.factor !== n && result.factor !== 1n;
+        const rate = Math.round(result.iterations / Math.max(duration / 1000, 0.001));
+
+        const metadata = [
+            { label: 'Target', value: `${this._bitLength(n)}-bit ${keys ? 'modulus of the current key' : 'number'}` },
+            { label: 'Method', value: methodLabel },
+            { label: 'Iterations', value: result.iterations.toLocaleString() },
+            { label: 'Time', value: this._formatDuration(duration / 1000) },
+            { label: 'Speed', value: `${rate.toLocaleString()} iterations/s` }
+        ];
+        if (result.stage) {
+            metadata.push({ label: 'Pollard p - 1 stage', value: found ? `factor found in stage ${result.stage}` : `gave up after stage ${result.stage}` });
+        }
+
+        let title = '✗ No Factor Found';
+        if (found) {
+            title = `✓ n Factored (${this._formatDuration(duration / 1000)})`;
+        } else if (result.factor === n) {
+            title = 'n Is Prime: Nothing to Factor';
+        }
+
+        let html = `
+        <div class="card card--result">
+            <h3>${title}</h3>
+            ${this.createMetadataTable(metadata)}
+        `;
+
+        if (found) {
+            html += `
+            <div class="card--result success">
+                <h4>Factors</h4>
+                ${this.createCodeValueDisplay(`Factor (${this._bitLength(result.factor)} bits)`, result.factor.toString(), 'factor-found')}
+                ${this.createCodeValueDisplay(`Cofactor (${this._bitLength(result.cofactor)} bits)`, result.cofactor.toString(), 'factor-cofactor')}
+            </div>
+            `;
+            if (keys) {
+                html += this.createSecurityAlert('The modulus of the current key is factored: φ(n), and with it d, follow immediately. This key is broken.', 'danger');
+            }
+        } else if (result.factor === null) {
+            html += this.createEducationalNote(keys
+                ? 'The key survived. For a properly generated key this is expected: its primes are far too large for trial division and rho, and p - 1 has a large prime factor.'
+                : 'Gave up at the iteration limit or the p - 1 bounds. Try another method, raise the limit, or widen B1 and B2.');
+        }
+
+        html += '</div>';
+        return html;
+    },
+
+    /**
+     * Create "which key sizes fall?" table from measured speeds
+     *
+     * @param {Array<Object>} estimates - From Factorization.estimateFactoringTimes
+     * @param {number} currentBits - Size of the current key, marked in the table (optional)
+     * @returns {string} - HTML string
+     */
+    createFactoringEstimates(estimates, currentBits = null) {
+        const verdict = ({ seconds, verdict }) => `${this._formatDuration(seconds)} (${verdict})`;
+        const rows = estimates.map(({ bits, trial, rho }) => [
+            `${bits} bits${bits === currentBits ? ' ← current key' : ''}`,
+            verdict(trial),
+            verdict(rho)
+        ]);
+
+        return `
+        <div class="card card--result">
+            <h4>Which Key Sizes Fall?</h4>
+            <p>Expected time to split a balanced n = p·q on this machine, from the speeds just measured. Trial division needs about p/3 divisions, Pollard rho about √(πp/2) steps.</p>
+            ${this.createDataTable(['RSA modulus', 'Trial division', 'Pollard rho'], rows)}
+            ${this.createEducationalNote('Pollard p - 1 is not in the table: it either succeeds in seconds (p - 1 smooth) or not at all, whatever the key size. Real 512-bit keys do fall, in hours, to the General Number Field Sieve; 2048-bit keys are out of reach of every known classical algorithm.')}
+        </div>
+        `;
+    },
+
+    /**
+     * Create batch GCD shared-prime report
+     *
+     * @param {Object} options
+     * @param {Array<Object>} options.moduli - Scanned { n, source } from BatchGCD.parseModuli
+     * @param {Object} options.result - Output of BatchGCD.findSharedPrimes
+     * @param {string} options.duration - Scan time in ms
+     * @param {Array<Object>} options.groundTruth - Keys from BatchGCD.generateWeakBatch
+     *        when the scanned list is a generated batch (optional)
+     * @param {number} options.maxRows - Rows shown per table (default 100)
+     * @returns {string} - HTML string
+     */
+    createBatchGCDResult(options) {
+        const { moduli, result, duration, groundTruth = null, maxRows = 100 } = options;
+        const { factored, duplicates, sharedPrimes, pairs, depth } = result;
+        const keyName = index => `#${index + 1} (${moduli[index].source})`;
+        const overflow = (shown, total) => total > shown
+            ? `<p>... and ${(total - shown).toLocaleString()} more.</p>`
+            : '';
+
+        const metadata = [
+            { label: 'Moduli scanned', value: moduli.length.toLocaleString() },
+            { label: 'Product tree depth', value: depth.toString() },
+            { label: 'Batch GCD time', value: `${duration}ms` },
+            { label: 'Keys factored', value: factored.length.toLocaleString() },
+            { label: 'Shared primes', value: sharedPrimes.length.toLocaleString() },
+            { label: 'Key pairs sharing a prime', value: pairs.length.toLocaleString() }
+        ];
+        if (duplicates.length > 0) {
+            metadata.push({ label: 'Identical moduli', value: `${duplicates.length} group(s)` });
+        }
+        if (groundTruth) {
+            const weak = groundTruth.filter(key => key.weak).length;
+            metadata.push({ label: 'Weak keys in the generated batch', value: `${weak} (${factored.length} found)` });
+        }
+
+        let html = `
+        <div class="card card--result">
+            <h3>${factored.length > 0 ? `✗ ${factored.length} Key(s) Factored by Shared Primes` : '✓ No Shared Primes Found'}</h3>
+            ${this.createMetadataTable(metadata)}
+        `;
+
+        if (factored.length > 0) {
+            const rows = factored.slice(0, maxRows).map(({ index, n, p, q }) => [
+                keyName(index),
+                `${this._bitLength(n)} bits`,
+                this._truncate(p.toString(), 30),
+                this._truncate(q.toString(), 30)
+            ]);
+            html += `
+            <h4>Recovered Factorizations</h4>
+            ${this.createDataTable(['Key', 'Size', 'p', 'q'], rows)}
+            ${overflow(rows.length, factored.length)}
+
+            <h4>Primes Held by Several Keys</h4>
+            ${this.createDataTable(['Shared prime', 'Keys'], sharedPrimes.slice(0, maxRows).map(({ prime, indices }) => [
+                this._truncate(prime.toString(), 30),
+                indices.map(index => `#${index + 1}`).join(', ')
+            ]))}
+            ${overflow(Math.min(maxRows, sharedPrimes.length), sharedPrimes.length)}
+
+            <h4>Pairs of Keys Sharing a Prime</h4>
+            ${this.createDataTable(['Key', 'Key', 'gcd'], pairs.slice(0, maxRows).map(({ i, j, prime }) => [
+                keyName(i),
+                keyName(j),
+                this._truncate(prime.toString(), 30)
+            ]))}
+            ${overflow(Math.min(maxRows, pairs.length), pairs.length)}
+            `;
+        }
+
+        if (duplicates.length > 0) {
+            html += this.createSecurityAlert(
+                `Identical moduli: ${duplicates.map(group => group.map(index => `#${index + 1}`).join(' = ')).join('; ')}. ` +
+                'These owners hold the same private key, but gcd alone cannot factor n.', 'warning');
+        }
+
+        if (groundTruth && factored.length < groundTruth.filter(key => key.weak).length) {
+            html += this.createEducationalNote('A weak key is only caught once a second key uses the same low-entropy p. With more keys (or fewer RNG states), every weak device eventually collides.');
+        }
+
+        html += `
+            ${this.createEducationalNote('One gcd breaks two keys that share a prime, and batch GCD computes all the gcds at once: one product tree up, one remainder tree down. In 2012 this factored keys of tens of thousands of routers and firewalls that had generated p before gathering any entropy.')}
+        </div>
+        `;
+        return html;
+    },
+
+    /**
+     * Create public key audit report
+     *
+     * @param {Object} options
+     * @param {Object} options.report - Output of RSAKeyAudit.auditPublicKey
+     * @param {string} options.source - Input format, from RSAKeyAudit.parseAuditInput
+     * @returns {string} - HTML string
+     */
+    createKeyAuditReport(options) {
+        const { report, source } = options;
+        const { publicKey, bits, status, checks, duration } = report;
+        const icons = { pass: '✓ Pass', warning: '⚠️ Warning', fail: '✗ Fail' };
+        const count = level => checks.filter(check => check.status === level).length;
+
+        const titles = {
+            pass: '✓ No Problems Found',
+            warning: `⚠️ ${count('warning')} Warning(s)`,
+            fail: `✗ ${count('fail')} Critical Finding(s)`
+        };
+
+        const metadata = [
+            { label: 'Input', value: source },
+            { label: 'Modulus', value: `${bits} bits` },
+            { label: 'Public exponent', value: this._truncate(publicKey.e.toString(), 30) },
+            { label: 'Audit time', value: `${duration.toFixed(0)}ms` }
+        ];
+
+        let html = `
+        <div class="card card--result ${status === 'pass' ? 'success' : ''}">
+            <h3>${titles[status]}</h3>
+            ${this.createMetadataTable(metadata)}
+            ${this.createCodeValueDisplay('Modulus n', publicKey.n.toString(), 'audit-modulus')}
+
+            <h4>Checks</h4>
+            ${this.createDataTable(['Check', 'Result', 'Finding'], checks.map(check => [
+                check.title,
+                icons[check.status],
+                check.summary
+            ]))}
+        `;
+
+        // Whatever the checks recovered: factors or the private exponent
+        const factors = checks.flatMap(check => check.factors || []);
+        const powers = checks.filter(check => check.root);
+        const exponent = checks.find(check => check.privateExponent);
+
+        if (factors.length > 0 || powers.length > 0 || exponent) {
+            html += '<h4>Recovered Secrets</h4>';
+            [...new Set(factors.map(String))].forEach((factor, index) => {
+                html += this.createCodeValueDisplay(`Factor of n (${this._bitLength(BigInt(factor))} bits)`, factor, `audit-factor-${index}`);
+            });
+            powers.forEach(({ root, exponent: k }) => {
+                html += this.createCodeValueDisplay(`m with n = m^${k}`, root.toString(), 'audit-root');
+            });
+            if (exponent) {
+                html += this.createCodeValueDisplay('Private exponent d', exponent.privateExponent.toString(), 'audit-private-exponent');
+            }
+            html += this.createSecurityAlert('Anyone holding this public key can recover the values above. Treat the key as compromised.', 'danger');
+        }
+
+        html += `
+            ${this.createEducationalNote(`The checks only see n and e. Passing them rules out the mistakes above, not every weakness: shared primes between keys (see Batch GCD in the Attacks Lab), a broken random number generator, or leaked private keys leave no trace in a single public key.`)}
+        </div>
+        `;
+        return html;
+    },
+
+    /**
+     * Create modular exponentiation benchmark results
+     *
+     * @param {Object} options
+     * @param {Object} options.result - Output of ModPowBenchmark.runModPowBenchmark
+     * @param {string} options.duration - Total benchmark time (seconds)
+     * @returns {string} - HTML string
+     */
+    createModPowBenchmark(options) {
+        const { result, duration } = options;
+        const { bits, iterations, windowBits, rows, agree } = result;
+        const fastest = rows.reduce((best, row) => row.privateMs < best.privateMs ? row : best);
+        const milliseconds = value => value < 1 ? `${value.toFixed(3)} ms` : `${value.toFixed(1)} ms`;
+
+        return `
+        <div class="card card--result ${agree ? 'success' : ''}">
+            <h3>⏱️ ${bits}-bit Modular Exponentiation (${duration}s)</h3>
+            ${agree ? '' : this.createSecurityAlert('The methods disagree on x^e mod n: at least one of them is wrong.', 'danger')}
+            ${this.createMetadataTable([
+                { label: 'Modulus', value: `random odd ${bits}-bit n` },
+                { label: 'Sliding window width', value: `${windowBits} bits (${2 ** (windowBits - 1)} precomputed odd powers)` },
+                { label: 'Runs per measurement', value: iterations.toString() },
+                { label: 'Fastest here', value: fastest.label }
+            ])}
+
+            ${this.createDataTable(['Method', `x^d, ${bits}-bit d`, 'x^65537', 'Speedup (x^d)'], rows.map(row => [
+                row.label,
+                milliseconds(row.privateMs),
+                milliseconds(row.publicMs),
+                `${row.speedup.toFixed(2)}×`
+            ]))}
+
+            ${this.createEducationalNote(
+                'A 17-bit exponent leaves nothing to save: windows only pay off for long exponents such as d and ' +
+                'the Miller-Rabin exponent (n - 1) / 2^s. Montgomery reduction avoids division, but on BigInt it needs ' +
+                'three full multiplications where % needs one multiplication and one native division, so it usually ' +
+                'loses in JavaScript; in C with machine words it is the standard choice. RSA here uses ' +
+                `sliding windows with ${MathUtils.MODPOW_REDUCTION === 'montgomery' ? 'Montgomery' : '%'} reduction.`
+            )}
+        </div>
+        `;
+    },
+
+    /**
+     * Create square-and-multiply traces of one modular exponentiation,
+     * one expandable table per method
+     *
+     * @param {Object} options
+     * @param {string} options.expression - What was computed (HTML), e.g. 'c = m<sup>e</sup> mod n'
+     * @param {string} options.exponentName - Name of the exponent, e.g. 'e'
+     * @param {Array<Object>} options.traces - Outputs of MathUtils.traceModPow
+     * @param {boolean} options.showValues - Full values (small keys) or bit lengths (large keys)
+     * @returns {string} - HTML string
+     */
+    createModPowTraces(options) {
+        const { expression, exponentName, traces, showValues } = options;
+        const methods = {
+            binary: {
+                label: 'modPow: square-and-multiply, right to left',
+                base: 'Running base x^(2^i)',
+                accumulator: 'Accumulator'
+            },
+            ladder: {
+                label: 'modPowConstantTime: Montgomery ladder, left to right',
+                base: 'R1 = R0 · x',
+                accumulator: 'R0 (accumulator)'
+            }
+        };
+        const value = v => showValues ? v.toString() : `${this._bitLength(v)} bits`;
+
+        const sections = traces.map(({ method, steps, squarings, multiplications }) => {
+            const { label, base, accumulator } = methods[method];
+            const pattern = steps.map(step => step.multiplied ? 'MS' : 'S').join(' ');
+
+            const rows = steps.map(step => [
+                step.position,
+                step.bit,
+                value(step.base),
+                value(step.accumulator),
+                step.multiplied ? 'multiply + square' : 'square'
+            ]);
+
+            return `
+            <details class="modpow-trace">
+                <summary>${UIUtils.escapeHtml(label)}: ${squarings} squarings, ${multiplications} multiplications</summary>
+                ${this.createCodeValueDisplay('Operations per bit (M = multiply, S = square)', pattern, `trace-pattern-${method}`, false)}
+                ${this.createDataTable(['Bit i', 'Bit', base, accumulator, 'Operations'], rows)}
+            </details>`;
+        }).join('');
+
+        return `
+        <div class="card card--result">
+            <h3>Exponentiation Trace: ${expression}</h3>
+            <p class="key-info">${UIUtils.escapeHtml(exponentName)} has ${traces[0].steps.length} bits.
+                ${showValues ? 'Values are shown in full.' : 'Values are shown as bit lengths at this key size: enter small primes as a manual key to see them in full.'}</p>
+            ${sections}
+            ${this.createEducationalNote(
+                'Compare the operation patterns: square-and-multiply multiplies only on 1-bits, so its sequence of ' +
+                'operations, and with it its running time and power draw, spells out the exponent. The ladder does ' +
+                'the same two operations for every bit. That difference is what timing and power analysis attacks ' +
+                'exploit when the exponent is the private key d.'
+            )}
+        </div>
+        `;
+    },
+
+    // ========================================================================
+    // PRIMALITY-SPECIFIC COMPONENTS
+    // ========================================================================
+
+    /**
+     * Create side-by-side primality test comparison with every base tried
+     *
+     * @param {Object} options
+     * @param {BigInt} options.n - Number that was tested
+     * @param {Array<Object>} options.comparison - Output of Primality.compareTests
+     * @param {number} options.duration - Time for all tests in ms
+     * @returns {string} - HTML string
+     */
+    createPrimalityComparison(options) {
+        const { n, comparison, duration } = options;
+        const byKey = Object.fromEntries(comparison.map(({ key, result }) => [key, result]));
+        const composite = !byKey.bailliePSW.probablePrime;
+        const value = x => this._truncate(x.toString(), 30);
+        const verdict = result => result.probablePrime ? 'probably prime' : 'composite';
+        const bases = list => list && list.length > 0 ? list.join(', ') : '-';
+
+        const summary = comparison.map(({ label, result }) => [
+            label,
+            verdict(result),
+            result.rounds ? bases(result.witnesses) : (result.probablePrime ? '-' : (result.stage || result.note || 'U_d, V sequence below')),
+            result.rounds ? bases(result.liars) : '-'
+        ]);
+
+        const fooled = composite
+            ? comparison.filter(({ result }) => result.probablePrime).map(({ label }) => label)
+            : [];
+
+        let html = `
+        <div class="card card--result ${composite ? '' : 'success'}">
+            <h3>${composite ? '✗ n Is Composite' : '✓ n Is Probably Prime'} (${duration}ms)</h3>
+            ${this.createMetadataTable([
+                { label: 'n', value: value(n) },
+                { label: 'Size', value: `${this._bitLength(n)} bits` }
+            ])}
+
+            <h4>Verdicts</h4>
+            ${this.createDataTable(['Test', 'Verdict', composite ? 'Witnesses (expose n)' : 'Failing bases', composite ? 'Liars (fooled)' : 'Passing bases'], summary)}
+        `;
+
+        if (fooled.length > 0) {
+            html += this.createSecurityAlert(`Fooled: ${fooled.join(', ')} called this composite number prime with the bases given.`, 'warning');
+        }
+
+        const { fermat, solovayStrassen, millerRabin, strongLucas, bailliePSW } = byKey;
+        const pass = passes => passes ? 'pass' : 'FAIL (witness)';
+
+        if (fermat.rounds.length > 0) {
+            html += `
+            <h4>Fermat: a^(n-1) mod n</h4>
+            ${this.createDataTable(['Base a', 'a^(n-1) mod n', 'Result'], fermat.rounds.map(round => [
+                round.base, value(round.value), pass(round.passes)
+            ]))}
+
+            <h4>Solovay-Strassen: a^((n-1)/2) ≡ (a/n)?</h4>
+            ${this.createDataTable(['Base a', 'Jacobi (a/n)', 'a^((n-1)/2) mod n', 'Result'], solovayStrassen.rounds.map(round => [
+                round.base, round.jacobi, round.euler === n - 1n ? '-1' : value(round.euler), pass(round.passes)
+            ]))}
+
+            <h4>Miller-Rabin: n - 1 = 2^${millerRabin.s} · ${value(millerRabin.d)}</h4>
+            ${this.createDataTable(['Base a', 'a^d, a^(2d), ... mod n', 'Result'], millerRabin.rounds.map(round => [
+                round.base,
+                round.sequence.map(x => x === n - 1n ? '-1' : value(x)).join(' → '),
+                pass(round.passes)
+            ]))}
+            `;
+        } else if (fermat.note) {
+            html += this.createEducationalNote(fermat.note);
+        }
+
+        if (strongLucas.D !== undefined) {
+            html += `
+            <h4>Strong Lucas: n + 1 = 2^${strongLucas.s} · ${value(strongLucas.d)}</h4>
+            ${this.createMetadataTable([
+                { label: 'Selfridge parameters', value: `D = ${strongLucas.D}, P = ${strongLucas.P}, Q = ${strongLucas.Q}` },
+                { label: 'U_d mod n', value: value(strongLucas.U) },
+                { label: 'V_d, V_2d, ... mod n', value: strongLucas.vSequence.map(value).join(' → ') },
+                { label: 'Result', value: strongLucas.probablePrime ? 'pass (U_d = 0 or some V = 0)' : 'FAIL' }
+            ])}
+            `;
+        } else if (strongLucas.note && fermat.rounds.length > 0) {
+            html += `<h4>Strong Lucas</h4><p>${UIUtils.escapeHtml(strongLucas.note)}</p>`;
+        }
+
+        html += `
+            <h4>Baillie-PSW</h4>
+            <p>Decided by: <strong>${UIUtils.escapeHtml(bailliePSW.stage)}</strong>${bailliePSW.smallFactor ? ` (divisible by ${bailliePSW.smallFactor})` : ''}.</p>
+            ${this.createEducationalNote('For composite n, a base that exposes n is a witness and a base that lets it pass is a liar. Fermat can have liars for every coprime base (Carmichael numbers); Solovay-Strassen at most 1/2 of them and Miller-Rabin at most 1/4. Baillie-PSW combines Miller-Rabin base 2 with a strong Lucas test, and no composite is known to pass both.')}
+        </div>
+        `;
+        return html;
+    },
+
+    /**
+     * Create gallery of pseudoprimes with the verdict of every test
+     *
+     * @param {Array<Object>} entries - [{ entry, comparison }], entry from
+     *        Primality.GALLERY and comparison from Primality.compareTests with its bases
+     * @returns {string} - HTML string
+     */
+    createPseudoprimeGallery(entries) {
+        const labels = entries.length > 0 ? entries[0].comparison.map(({ label }) => label) : [];
+
+        let html = `
+        <div class="card card--result">
+            <h3>Pseudoprime Gallery</h3>
+            <p>Every number below is composite. "Fooled" means the test called it prime with the bases listed.</p>
+            <div class="table-scroll"><table class="data-table"><thead><tr>
+                <th>n</th><th>Factors</th><th>Bases</th>
+                ${labels.map(label => `<th>${UIUtils.escapeHtml(label)}</th>`).join('')}
+                <th></th>
+            </tr></thead><tbody>
+        `;
+
+        entries.forEach(({ entry, comparison }, index) => {
+            html += `
+            <tr>
+                <td title="${UIUtils.escapeHtml(entry.title)}">${entry.n}</td>
+                <td>${UIUtils.escapeHtml(entry.factors)}</td>
+                <td>${this._truncate(entry.bases.join(', '), 20)}</td>
+                ${comparison.map(({ result }) => `<td>${result.probablePrime ? '✗ fooled' : '✓ caught'}</td>`).join('')}
+                <td><button class="btn btn-primary gallery-test-btn" data-index="${index}">Test</button></td>
+            </tr>
+            `;
+        });
+
+        html += '</tbody></table></div>';
+
+        entries.forEach(({ entry }) => {
+            html += `<p><strong>${entry.n}</strong>: ${UIUtils.escapeHtml(entry.title)}. ${UIUtils.escapeHtml(entry.note)}</p>`;
+        });
+
+        html += `
+            ${this.createEducationalNote('Carmichael numbers pass Fermat for every base coprime to n. Strong pseudoprimes survive even Miller-Rabin for chosen bases, which is why key generation picks bases at random. Strong Lucas pseudoprimes are caught by Miller-Rabin base 2 and vice versa; Baillie-PSW needs both to fail.')}
+        </div>
+        `;
+        return html;
+    },
+
+    // ========================================================================
+    // ECC-SPECIFIC COMPONENTS
+    // ========================================================================
+
+    // Security alert for weak parameters
+    createECCSecurityAlert (type) {
+        const alerts = {
+            'small-field': {
+                title: 'Small Prime Field',
+                message: 'Prime p < 2^128 is INSECURE. Use for education only.',
+                severity: 'danger'
+            },
+            'weak-generator': {
+                title: 'Weak Generator Point',
+                message: 'Generator order is too small. Private key can be brute-forced.',
+                severity: 'danger'
+            },
+            'no-cofactor-check': {
+                title: 'Missing Cofactor Verification',
+                message: 'Not checking hQ = ∞ allows small subgroup attacks.',
+                severity: 'warning'
+            },
+            'timing-attack': {
+                title: 'Timing Attack Vulnerability',
+                message: 'Non-constant-time scalar multiplication leaks private key bits.',
+                severity: 'warning'
+            }
+        };
+
+        return this.createSecurityAlert(alerts[type].message, alerts[type].severity);
+    },
+
+    // ========================================================================
+    // HELPER METHODS (Private)
+    // ========================================================================
+
+    /**
+     * Get bit length of BigInt (helper)
+     * @private
+     */
+    _bitLength(n) {
+        if (typeof n === 'bigint') {
+            return n === 0n ? 0 : n.toString(2).length;
+        }
+        return 0;
+    },
+
+    /**
+     * Digits as Unicode subscripts, for names like r₃ (helper)
+     * @private
+     */
+    _subscript(n) {
+        return String(n).replace(/\d/g, digit => '₀₁₂₃₄₅₆₇₈₉'[digit]);
+    },
+
+    /**
+     * Shorten long numbers for table cells (helper)
+     * @private
+     */
+    _truncate(str, length = 24) {
+        return str.length > length ? str.substring(0, length) + '...' : str;
+    },
+
+    /**
+     * Human-readable duration from seconds, up to "1.2e+40 years" (helper)
+     * @private
+     */
+    _formatDuration(seconds) {
+        const units = [
+            [365.25 * 86400, 'years'],
+            [86400, 'days'],
+            [3600, 'h'],
+            [60, 'min'],
+            [1, 's']
+        ];
+
+        if (seconds < 1) {
+            return `${(seconds * 1000).toFixed(1)} ms`;
+        }
+
+        const [size, unit] = units.find(([size]) => seconds >= size);
+        const value = seconds / size;
+        return `${value < 1e6 ? value.toFixed(1) : value.toExponential(1)} ${unit}`;
+    },
+
+    /**
+     * Convert byte array to hex string (helper)
+     * @private
+     */
+    _bytesToHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
     },
 
     /**
@@ -673,6 +673,29 @@ const UIUtils = {
         }
     },
 
+    /**
+     * Offer text content as a file download
+     *
+     * PATTERN: Blob + temporary object URL + synthetic click on <a download>
+     *
+     * @param {string} fileName - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} mimeType - MIME type (default: text/plain)
+     */
+    downloadFile(fileName, content, mimeType = 'text/plain') {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    },
+
     /**
      * Add class to element(s)
      *